@@ -0,0 +1,17 @@
+-- ============================================
+-- CONVERSA CLONE - DURABLE FLOW DELAYS
+-- Migration: 006
+-- Description: Persist delay node wake-up times so waiting contacts survive restarts
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- ============================================
+-- FLOW STATES: scheduled resume
+-- ============================================
+ALTER TABLE flow_states ADD COLUMN resume_at TIMESTAMP;
+
+CREATE INDEX idx_flow_states_resume ON flow_states(resume_at)
+    WHERE resume_at IS NOT NULL AND completed = FALSE;
+
+COMMENT ON COLUMN flow_states.resume_at IS 'When a delayed flow continues past current_node_id (NULL when not delayed)';
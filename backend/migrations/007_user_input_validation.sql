@@ -0,0 +1,11 @@
+-- ============================================
+-- CONVERSA CLONE - USER INPUT VALIDATION
+-- Migration: 007
+-- Description: Track invalid reply attempts on userInput nodes
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE flow_states ADD COLUMN input_attempts INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN flow_states.input_attempts IS 'Invalid replies received at the current userInput node';
@@ -0,0 +1,14 @@
+-- ============================================
+-- CONVERSA CLONE - INPUT TIMEOUTS
+-- Migration: 008
+-- Description: Per-node reply deadlines for flows waiting on user input
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE flow_states ADD COLUMN input_timeout_at TIMESTAMP;
+
+CREATE INDEX idx_flow_states_input_timeout ON flow_states(input_timeout_at)
+    WHERE input_timeout_at IS NOT NULL AND awaiting_input = TRUE AND completed = FALSE;
+
+COMMENT ON COLUMN flow_states.input_timeout_at IS 'When a waiting userInput node gives up and follows its timeout edge';
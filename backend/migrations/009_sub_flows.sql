@@ -0,0 +1,18 @@
+-- ============================================
+-- CONVERSA CLONE - SUB-FLOWS
+-- Migration: 009
+-- Description: Call stack for callFlow nodes and nested journey tracking
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE flow_states ADD COLUMN parent_flow_id INTEGER REFERENCES flows(id) ON DELETE SET NULL;
+ALTER TABLE flow_states ADD COLUMN return_node_id VARCHAR(100);
+
+ALTER TABLE flow_journeys ADD COLUMN parent_flow_id INTEGER REFERENCES flows(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_flow_journeys_parent ON flow_journeys(parent_flow_id) WHERE parent_flow_id IS NOT NULL;
+
+COMMENT ON COLUMN flow_states.parent_flow_id IS 'Flow that called this one and resumes when it ends';
+COMMENT ON COLUMN flow_states.return_node_id IS 'callFlow node in the parent flow to continue from';
+COMMENT ON COLUMN flow_journeys.parent_flow_id IS 'Set when the journey ran as a sub-flow of another flow';
@@ -0,0 +1,48 @@
+-- ============================================
+-- CONVERSA CLONE - FLOW VERSIONS
+-- Migration: 010
+-- Description: Immutable published flow versions, editable drafts and version pinning for in-flight contacts
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+CREATE TABLE flow_versions (
+    id SERIAL PRIMARY KEY,
+    flow_id INTEGER REFERENCES flows(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    flow_definition JSONB NOT NULL,
+    source VARCHAR(50) DEFAULT 'publish' CHECK (source IN ('publish', 'rollback', 'ab_test', 'migration')),
+    restored_from_version_id INTEGER REFERENCES flow_versions(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (flow_id, version_number)
+);
+
+CREATE INDEX idx_flow_versions_flow ON flow_versions(flow_id, version_number DESC);
+
+-- flows.flow_definition keeps mirroring the published version so triggers and analytics keep working
+ALTER TABLE flows ADD COLUMN draft_definition JSONB;
+ALTER TABLE flows ADD COLUMN published_version_id INTEGER REFERENCES flow_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE flow_states ADD COLUMN flow_version_id INTEGER REFERENCES flow_versions(id) ON DELETE SET NULL;
+
+-- Existing flows become version 1 and running contacts are pinned to it
+INSERT INTO flow_versions (flow_id, version_number, flow_definition, source, notes)
+SELECT id, 1, flow_definition, 'migration', 'Initial version'
+FROM flows;
+
+UPDATE flows f
+SET published_version_id = fv.id
+FROM flow_versions fv
+WHERE fv.flow_id = f.id AND fv.version_number = 1;
+
+UPDATE flow_states fs
+SET flow_version_id = f.published_version_id
+FROM flows f
+WHERE f.id = fs.flow_id AND fs.completed = false;
+
+COMMENT ON TABLE flow_versions IS 'Immutable snapshots of published flow definitions';
+COMMENT ON COLUMN flows.draft_definition IS 'Unpublished edits; NULL when the draft matches the published version';
+COMMENT ON COLUMN flows.published_version_id IS 'Version new contacts start on';
+COMMENT ON COLUMN flow_states.flow_version_id IS 'Version this contact started on and keeps running until the journey ends';
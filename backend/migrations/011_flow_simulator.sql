@@ -0,0 +1,47 @@
+-- ============================================
+-- CONVERSA CLONE - FLOW SIMULATOR
+-- Migration: 011
+-- Description: Sandboxed simulator sessions that run flows against a virtual contact
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- Simulator contacts never reach a real channel
+ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_channel_type_check;
+ALTER TABLE contacts ADD CONSTRAINT contacts_channel_type_check
+    CHECK (channel_type IN ('whatsapp', 'instagram', 'telegram', 'simulator'));
+
+CREATE TABLE simulator_sessions (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    flow_id INTEGER REFERENCES flows(id) ON DELETE CASCADE,
+    contact_id INTEGER UNIQUE REFERENCES contacts(id) ON DELETE CASCADE,
+    flow_definition JSONB NOT NULL,
+    skip_delays BOOLEAN DEFAULT TRUE,
+    step_mode BOOLEAN DEFAULT FALSE,
+    pending_flow_id INTEGER REFERENCES flows(id) ON DELETE SET NULL,
+    pending_node_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_simulator_sessions_user ON simulator_sessions(user_id);
+
+CREATE TABLE simulator_messages (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER REFERENCES simulator_sessions(id) ON DELETE CASCADE,
+    direction VARCHAR(20) NOT NULL CHECK (direction IN ('inbound', 'outbound', 'event')),
+    content TEXT,
+    flow_id INTEGER,
+    node_id VARCHAR(100),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_simulator_messages_session ON simulator_messages(session_id, id);
+
+COMMENT ON TABLE simulator_sessions IS 'Test runs of a flow (usually its draft) against a throwaway contact';
+COMMENT ON COLUMN simulator_sessions.flow_definition IS 'Definition under test, used instead of the published version';
+COMMENT ON COLUMN simulator_sessions.pending_node_id IS 'Step mode: node the run is paused before';
+COMMENT ON TABLE simulator_messages IS 'Virtual channel transcript: messages in both directions and execution events';
@@ -0,0 +1,46 @@
+-- ============================================
+-- CONVERSA CLONE - FLOW EXECUTION TRACES
+-- Migration: 012
+-- Description: Structured trace of every flow run (nodes, inputs, variables, branches, messages, errors)
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- One row per run: from a trigger, reply or scheduler tick until the flow waits or ends
+CREATE TABLE flow_runs (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+    flow_id INTEGER REFERENCES flows(id) ON DELETE SET NULL,
+    trigger_type VARCHAR(50) NOT NULL,
+    status VARCHAR(50) DEFAULT 'running' CHECK (status IN (
+        'running', 'waiting', 'paused', 'completed', 'abandoned', 'handed_off', 'stopped', 'failed', 'ended'
+    )),
+    steps INTEGER DEFAULT 0,
+    last_node_id VARCHAR(100),
+    error_node_id VARCHAR(100),
+    error_message TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
+CREATE INDEX idx_flow_runs_contact ON flow_runs(contact_id, started_at DESC);
+CREATE INDEX idx_flow_runs_flow ON flow_runs(flow_id, started_at DESC);
+CREATE INDEX idx_flow_runs_failed ON flow_runs(organization_id, started_at DESC) WHERE status = 'failed';
+
+CREATE TABLE flow_run_events (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER REFERENCES flow_runs(id) ON DELETE CASCADE,
+    flow_id INTEGER,
+    node_id VARCHAR(100),
+    node_type VARCHAR(50),
+    event_type VARCHAR(50) NOT NULL,
+    data JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_flow_run_events_run ON flow_run_events(run_id, id);
+
+COMMENT ON TABLE flow_runs IS 'Execution runs of flows per contact, for debugging';
+COMMENT ON COLUMN flow_runs.trigger_type IS 'What started the run: trigger, reply, delay, input_timeout, simulator_step';
+COMMENT ON TABLE flow_run_events IS 'Timeline of a run: node_entered, input_received, variables_changed, branch_taken, message_queued, integration_request, integration_response, waiting, flow_completed, flow_abandoned, error';
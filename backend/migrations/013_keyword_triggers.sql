@@ -0,0 +1,37 @@
+-- ============================================
+-- CONVERSA CLONE - KEYWORD TRIGGER ENGINE
+-- Migration: 013
+-- Description: Per-trigger match modes, flow priority and a single fallback flow per organization
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- [{ "keyword": "pricing", "match": "exact|contains|starts_with|regex|fuzzy", "caseSensitive": false }]
+ALTER TABLE flows ADD COLUMN triggers JSONB DEFAULT '[]';
+ALTER TABLE flows ADD COLUMN trigger_priority INTEGER DEFAULT 0;
+ALTER TABLE flows ADD COLUMN is_fallback BOOLEAN DEFAULT FALSE;
+
+-- Existing keywords keep matching the whole message
+UPDATE flows
+SET triggers = (
+    SELECT COALESCE(jsonb_agg(jsonb_build_object('keyword', keyword, 'match', 'exact')), '[]'::jsonb)
+    FROM unnest(keyword_triggers) AS keyword
+);
+
+-- Flows without keywords used to run on every message; the oldest active one per
+-- organization becomes its fallback, the others only run when started explicitly
+UPDATE flows SET is_fallback = TRUE
+WHERE id IN (
+    SELECT DISTINCT ON (organization_id) id
+    FROM flows
+    WHERE is_active = TRUE
+    AND (keyword_triggers IS NULL OR array_length(keyword_triggers, 1) IS NULL)
+    ORDER BY organization_id, created_at ASC
+);
+
+CREATE UNIQUE INDEX idx_flows_single_fallback ON flows(organization_id) WHERE is_fallback = TRUE;
+CREATE INDEX idx_flows_trigger_priority ON flows(organization_id, trigger_priority DESC) WHERE is_active = TRUE;
+
+COMMENT ON COLUMN flows.triggers IS 'Inbound message triggers with their match mode; keyword_triggers mirrors the keywords';
+COMMENT ON COLUMN flows.trigger_priority IS 'Higher wins when several flows match the same message';
+COMMENT ON COLUMN flows.is_fallback IS 'Runs when no trigger of the organization matches (at most one per organization)';
@@ -0,0 +1,26 @@
+-- ============================================
+-- CONVERSA CLONE - ORGANIZATION SECRETS
+-- Migration: 014
+-- Description: Encrypted per-organization secrets (API tokens, passwords, signing keys) used by integration nodes
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- Values are encrypted by the application (AES-256-GCM); only names are ever returned by the API
+CREATE TABLE organization_secrets (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    encrypted_value TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (organization_id, name)
+);
+
+CREATE INDEX idx_organization_secrets_org ON organization_secrets(organization_id);
+
+CREATE TRIGGER update_organization_secrets_updated_at BEFORE UPDATE ON organization_secrets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN organization_secrets.encrypted_value IS 'v1:<iv>:<auth tag>:<ciphertext>, base64, key from SECRETS_ENCRYPTION_KEY';
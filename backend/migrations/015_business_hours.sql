@@ -0,0 +1,39 @@
+-- ============================================
+-- CONVERSA CLONE - BUSINESS HOURS
+-- Migration: 015
+-- Description: Per-organization opening hours, holidays and out-of-hours replies; deferred agent handoffs
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- Organizations without a row are always open
+CREATE TABLE business_hours (
+    organization_id INTEGER PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+    timezone VARCHAR(64) NOT NULL,
+    -- { "mon": [{ "open": "09:00", "close": "18:00" }], ... }; missing days are closed
+    weekly_hours JSONB NOT NULL DEFAULT '{}',
+    -- [{ "date": "2026-12-25", "name": "Christmas", "recurring": true }]
+    holidays JSONB NOT NULL DEFAULT '[]',
+    auto_reply_enabled BOOLEAN DEFAULT FALSE,
+    auto_reply_message TEXT,
+    auto_reply_cooldown_hours INTEGER DEFAULT 12,
+    handoff_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_business_hours_updated_at BEFORE UPDATE ON business_hours
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Handoffs requested while closed wait as "scheduled" until opening time
+ALTER TABLE live_chat_sessions DROP CONSTRAINT IF EXISTS live_chat_sessions_status_check;
+ALTER TABLE live_chat_sessions ADD CONSTRAINT live_chat_sessions_status_check
+    CHECK (status IN ('scheduled', 'pending', 'active', 'resolved'));
+ALTER TABLE live_chat_sessions ADD COLUMN deferred_until TIMESTAMP;
+
+CREATE INDEX idx_live_chat_deferred ON live_chat_sessions(deferred_until) WHERE status = 'scheduled';
+
+-- Limits the out-of-hours auto-reply to one per cooldown
+ALTER TABLE contacts ADD COLUMN out_of_hours_replied_at TIMESTAMP;
+
+COMMENT ON COLUMN live_chat_sessions.deferred_until IS 'Opening time a scheduled handoff becomes pending for agents';
@@ -0,0 +1,18 @@
+-- ============================================
+-- CONVERSA CLONE - CHANNEL ADAPTERS
+-- Migration: 016
+-- Description: Remember the channel a contact wrote on; look up delivery receipts by provider message id
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+-- Replies go out on the channel the contact last wrote on while it is connected
+ALTER TABLE contacts ADD COLUMN last_channel_id INTEGER REFERENCES channels(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_contacts_last_channel ON contacts(last_channel_id) WHERE last_channel_id IS NOT NULL;
+
+-- Delivery and read receipts arrive with the provider's message id
+CREATE INDEX idx_messages_external_id ON messages(channel_id, message_id) WHERE message_id IS NOT NULL;
+
+COMMENT ON COLUMN contacts.last_channel_id IS 'Channel of the last inbound message; preferred for replies';
+COMMENT ON COLUMN messages.message_id IS 'Provider message id (inbound and sent outbound), matches delivery receipts';
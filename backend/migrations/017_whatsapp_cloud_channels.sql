@@ -0,0 +1,17 @@
+-- ============================================
+-- CONVERSA CLONE - WHATSAPP CLOUD API CHANNELS
+-- Migration: 017
+-- Description: WhatsApp Cloud API as a channel type next to whatsapp-web.js
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE channels DROP CONSTRAINT IF EXISTS channels_type_check;
+ALTER TABLE channels ADD CONSTRAINT channels_type_check
+    CHECK (type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram'));
+
+ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_channel_type_check;
+ALTER TABLE contacts ADD CONSTRAINT contacts_channel_type_check
+    CHECK (channel_type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram', 'simulator'));
+
+COMMENT ON COLUMN channels.credentials IS 'Adapter credentials; tokens and secrets encrypted like organization_secrets';
@@ -0,0 +1,13 @@
+-- ============================================
+-- CONVERSA CLONE - TELEGRAM CHANNELS
+-- Migration: 018
+-- Description: Telegram chat ids on contacts for the Telegram bot channel
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE contacts ADD COLUMN telegram_id VARCHAR(64);
+
+CREATE INDEX idx_contacts_telegram ON contacts(organization_id, telegram_id) WHERE telegram_id IS NOT NULL;
+
+COMMENT ON COLUMN contacts.telegram_id IS 'Telegram chat id the bot talks to the contact in';
@@ -0,0 +1,21 @@
+-- ============================================
+-- CONVERSA CLONE - WEB CHAT CHANNELS
+-- Migration: 019
+-- Description: Embeddable website chat widget as a channel type; visitor ids on contacts
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE channels DROP CONSTRAINT IF EXISTS channels_type_check;
+ALTER TABLE channels ADD CONSTRAINT channels_type_check
+    CHECK (type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram', 'webchat'));
+
+ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_channel_type_check;
+ALTER TABLE contacts ADD CONSTRAINT contacts_channel_type_check
+    CHECK (channel_type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram', 'webchat', 'simulator'));
+
+ALTER TABLE contacts ADD COLUMN webchat_visitor_id VARCHAR(64);
+
+CREATE INDEX idx_contacts_webchat_visitor ON contacts(organization_id, webchat_visitor_id) WHERE webchat_visitor_id IS NOT NULL;
+
+COMMENT ON COLUMN contacts.webchat_visitor_id IS 'Visitor id the web-chat widget keeps in the browser''s localStorage';
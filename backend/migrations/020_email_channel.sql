@@ -0,0 +1,23 @@
+-- ============================================
+-- CONVERSA CLONE - EMAIL CHANNELS
+-- Migration: 020
+-- Description: Email (SMTP/IMAP) as a channel type; email-only contacts use it
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE channels DROP CONSTRAINT IF EXISTS channels_type_check;
+ALTER TABLE channels ADD CONSTRAINT channels_type_check
+    CHECK (type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram', 'webchat', 'email'));
+
+ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_channel_type_check;
+ALTER TABLE contacts ADD CONSTRAINT contacts_channel_type_check
+    CHECK (channel_type IN ('whatsapp', 'whatsapp_cloud', 'instagram', 'telegram', 'webchat', 'email', 'simulator'));
+
+-- The external webhook used to create email-only contacts as WhatsApp contacts without a phone
+UPDATE contacts SET channel_type = 'email'
+WHERE channel_type = 'whatsapp' AND phone IS NULL AND email IS NOT NULL;
+
+CREATE INDEX idx_contacts_org_email ON contacts(organization_id, email) WHERE email IS NOT NULL;
+
+COMMENT ON COLUMN messages.metadata IS 'Channel extras, e.g. subject and References of email messages for threading';
@@ -0,0 +1,26 @@
+-- ============================================
+-- CONVERSA CLONE - WEB CHAT IDENTITY VERIFICATION
+-- Migration: 021
+-- Description: One-time codes that confirm a web chat visitor owns a known contact's phone or email
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE contacts ADD COLUMN linked_contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL;
+
+CREATE TABLE webchat_verifications (
+    id SERIAL PRIMARY KEY,
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    visitor_id VARCHAR(64) NOT NULL,
+    contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (channel_id, visitor_id)
+);
+
+CREATE INDEX idx_webchat_verifications_contact ON webchat_verifications(contact_id, created_at DESC);
+
+COMMENT ON COLUMN contacts.linked_contact_id IS 'Existing contact whose phone or email an unverified web chat visitor gave';
+COMMENT ON TABLE webchat_verifications IS 'Pending codes sent to a known contact before a web chat visitor is merged into it';
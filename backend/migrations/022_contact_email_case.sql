@@ -0,0 +1,11 @@
+-- ============================================
+-- CONVERSA CLONE - CASE-INSENSITIVE CONTACT EMAILS
+-- Migration: 022
+-- Description: Contacts are found by LOWER(email), so senders match whatever case was stored
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+DROP INDEX IF EXISTS idx_contacts_org_email;
+
+CREATE INDEX idx_contacts_org_email ON contacts(organization_id, LOWER(email)) WHERE email IS NOT NULL;
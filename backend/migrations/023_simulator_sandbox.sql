@@ -0,0 +1,18 @@
+-- ============================================
+-- CONVERSA CLONE - SIMULATOR SANDBOX
+-- Migration: 023
+-- Description: Simulator runs record agent handoffs on the session and call integrations only when asked to
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE simulator_sessions
+    ADD COLUMN live_integrations BOOLEAN DEFAULT FALSE,
+    ADD COLUMN handoff_status VARCHAR(20);
+
+-- Handoffs of earlier simulator runs must not show up in the agents' queue or statistics
+DELETE FROM live_chat_sessions
+WHERE contact_id IN (SELECT id FROM contacts WHERE channel_type = 'simulator');
+
+COMMENT ON COLUMN simulator_sessions.live_integrations IS 'Integration nodes make real HTTP calls; otherwise the call is only recorded';
+COMMENT ON COLUMN simulator_sessions.handoff_status IS 'Live chat status the run would have opened (pending or scheduled), never a real live_chat_sessions row';
@@ -0,0 +1,11 @@
+-- ============================================
+-- CONVERSA CLONE - FLOW RESUME LEASE
+-- Migration: 024
+-- Description: Delayed flows are leased while they resume, so a crash mid-resume retries instead of dropping the contact
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE flow_states ADD COLUMN claimed_at TIMESTAMP;
+
+COMMENT ON COLUMN flow_states.claimed_at IS 'When a scheduler instance claimed the due resume; resume_at is cleared once the resume succeeds and the claim expires after FLOW_RESUME_LEASE_SECONDS';
@@ -0,0 +1,16 @@
+-- ============================================
+-- CONVERSA CLONE - FLOW SCHEDULER ATTEMPTS
+-- Migration: 025
+-- Description: Input timeouts are leased like delayed resumes, and both give up after FLOW_RESUME_MAX_ATTEMPTS failures
+-- Author: BaiseBaise886
+-- Date: 2026-10-19
+-- ============================================
+
+ALTER TABLE flow_states
+    ADD COLUMN resume_attempts INTEGER DEFAULT 0,
+    ADD COLUMN input_timeout_claimed_at TIMESTAMP,
+    ADD COLUMN input_timeout_attempts INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN flow_states.resume_attempts IS 'Claims of the current delayed resume; the journey ends once it exceeds FLOW_RESUME_MAX_ATTEMPTS';
+COMMENT ON COLUMN flow_states.input_timeout_claimed_at IS 'When a scheduler instance claimed the due input timeout; input_timeout_at is cleared once the timeout branch went through';
+COMMENT ON COLUMN flow_states.input_timeout_attempts IS 'Claims of the current input timeout; the journey ends once it exceeds FLOW_RESUME_MAX_ATTEMPTS';
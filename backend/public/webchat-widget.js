@@ -0,0 +1,427 @@
+/**
+ * Conversa web-chat widget
+ *
+ * Embed with the snippet from GET /api/channels/:id:
+ *   <script src="https://api.example.com/api/webchat/widget.js" data-token="WIDGET_TOKEN" async></script>
+ *
+ * The visitor id is kept in localStorage so the conversation continues across page loads and tabs.
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript;
+  var token = script && script.getAttribute('data-token');
+  if (!token || window.__conversaWebChat) {
+    return;
+  }
+  window.__conversaWebChat = true;
+
+  var apiBase = new URL(script.src).origin;
+  var storageKey = 'conversa-webchat:' + token;
+
+  var state = {
+    socket: null,
+    visitorId: readVisitorId(),
+    open: false,
+    seen: {},
+    unreadIds: [],
+    greeting: '',
+    color: '#667eea'
+  };
+
+  function readVisitorId() {
+    try {
+      return window.localStorage.getItem(storageKey);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveVisitorId(visitorId) {
+    try {
+      window.localStorage.setItem(storageKey, visitorId);
+    } catch (e) {
+      // Private mode: the session lasts until the page is closed
+    }
+  }
+
+  function el(tag, style, text) {
+    var node = document.createElement(tag);
+    if (style) node.style.cssText = style;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  // ---- UI ----
+
+  var root = el('div', 'position:fixed;bottom:20px;right:20px;z-index:2147483000;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;font-size:14px;');
+
+  var bubble = el('button', 'width:56px;height:56px;border-radius:50%;border:none;color:#fff;font-size:24px;cursor:pointer;box-shadow:0 4px 12px rgba(0,0,0,0.25);position:relative;', '💬');
+  bubble.setAttribute('aria-label', 'Open chat');
+  var badge = el('span', 'display:none;position:absolute;top:-4px;right:-4px;background:#dc3545;color:#fff;border-radius:10px;padding:1px 6px;font-size:11px;');
+  bubble.appendChild(badge);
+
+  var panel = el('div', 'display:none;flex-direction:column;width:340px;max-width:calc(100vw - 40px);height:480px;max-height:calc(100vh - 100px);background:#fff;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,0.2);overflow:hidden;margin-bottom:12px;');
+
+  var header = el('div', 'color:#fff;padding:14px 16px;display:flex;justify-content:space-between;align-items:center;');
+  var title = el('strong', '', 'Chat with us');
+  var close = el('button', 'background:none;border:none;color:#fff;font-size:18px;cursor:pointer;', '✕');
+  close.setAttribute('aria-label', 'Close chat');
+  header.appendChild(title);
+  header.appendChild(close);
+
+  var list = el('div', 'flex:1;overflow-y:auto;padding:12px;background:#f7f7f9;');
+
+  var identifyLink = el('button', 'background:none;border:none;color:#666;font-size:12px;cursor:pointer;padding:6px 12px;text-align:left;text-decoration:underline;', 'Leave your phone number or email');
+  var identifyForm = el('form', 'display:none;padding:8px 12px;border-top:1px solid #eee;gap:6px;flex-direction:column;');
+  var nameInput = el('input', 'padding:6px 8px;border:1px solid #ddd;border-radius:6px;');
+  nameInput.placeholder = 'Name';
+  var phoneInput = el('input', 'padding:6px 8px;border:1px solid #ddd;border-radius:6px;');
+  phoneInput.placeholder = 'Phone number';
+  phoneInput.type = 'tel';
+  var emailInput = el('input', 'padding:6px 8px;border:1px solid #ddd;border-radius:6px;');
+  emailInput.placeholder = 'Email';
+  emailInput.type = 'email';
+  var identifyButton = el('button', 'padding:6px;border:none;border-radius:6px;color:#fff;cursor:pointer;', 'Save');
+  identifyButton.type = 'submit';
+  var identifyStatus = el('div', 'font-size:12px;color:#666;');
+  [nameInput, phoneInput, emailInput, identifyButton, identifyStatus].forEach(function (node) {
+    identifyForm.appendChild(node);
+  });
+
+  // Shown when the details belong to a known contact, who receives a code to confirm them
+  var verifyForm = el('form', 'display:none;padding:8px 12px;border-top:1px solid #eee;gap:6px;flex-direction:column;');
+  var codeInput = el('input', 'padding:6px 8px;border:1px solid #ddd;border-radius:6px;');
+  codeInput.placeholder = 'Code we just sent you';
+  codeInput.inputMode = 'numeric';
+  codeInput.autocomplete = 'one-time-code';
+  var verifyButton = el('button', 'padding:6px;border:none;border-radius:6px;color:#fff;cursor:pointer;', 'Confirm');
+  verifyButton.type = 'submit';
+  var verifyStatus = el('div', 'font-size:12px;color:#666;');
+  [codeInput, verifyButton, verifyStatus].forEach(function (node) {
+    verifyForm.appendChild(node);
+  });
+
+  var composer = el('form', 'display:flex;gap:6px;padding:10px;border-top:1px solid #eee;align-items:center;');
+  var fileInput = el('input');
+  fileInput.type = 'file';
+  fileInput.style.display = 'none';
+  var attach = el('button', 'background:none;border:none;font-size:18px;cursor:pointer;', '📎');
+  attach.type = 'button';
+  attach.setAttribute('aria-label', 'Attach a file');
+  var input = el('input', 'flex:1;padding:8px 10px;border:1px solid #ddd;border-radius:18px;outline:none;');
+  input.placeholder = 'Type a message...';
+  var send = el('button', 'border:none;border-radius:18px;color:#fff;padding:8px 14px;cursor:pointer;', 'Send');
+  send.type = 'submit';
+  [fileInput, attach, input, send].forEach(function (node) {
+    composer.appendChild(node);
+  });
+
+  [header, list, identifyLink, identifyForm, verifyForm, composer].forEach(function (node) {
+    panel.appendChild(node);
+  });
+  root.appendChild(panel);
+  root.appendChild(bubble);
+
+  function applyColor(color) {
+    state.color = color || state.color;
+    [bubble, header, send, identifyButton, verifyButton].forEach(function (node) {
+      node.style.background = state.color;
+    });
+  }
+  applyColor();
+
+  function setOpen(open) {
+    state.open = open;
+    panel.style.display = open ? 'flex' : 'none';
+    bubble.textContent = open ? '✕' : '💬';
+    bubble.appendChild(badge);
+    if (open) {
+      markRead();
+      input.focus();
+    }
+  }
+
+  function updateBadge() {
+    badge.textContent = String(state.unreadIds.length);
+    badge.style.display = state.unreadIds.length > 0 ? 'block' : 'none';
+  }
+
+  function markRead() {
+    state.unreadIds.forEach(function (id) {
+      ack(id, 'read');
+    });
+    state.unreadIds = [];
+    updateBadge();
+  }
+
+  function ack(id, status) {
+    if (state.socket) state.socket.emit('message_ack', { id: id, status: status });
+  }
+
+  function renderMedia(media) {
+    if (media.type === 'image') {
+      var image = el('img', 'max-width:100%;border-radius:8px;display:block;');
+      image.src = media.url;
+      image.alt = media.fileName || '';
+      return image;
+    }
+    if (media.type === 'audio' || media.type === 'voice') {
+      var audio = el('audio', 'max-width:100%;');
+      audio.controls = true;
+      audio.src = media.url;
+      return audio;
+    }
+    if (media.type === 'video') {
+      var video = el('video', 'max-width:100%;border-radius:8px;');
+      video.controls = true;
+      video.src = media.url;
+      return video;
+    }
+    var link = el('a', 'color:inherit;', '📄 ' + (media.fileName || 'Download file'));
+    link.href = media.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    return link;
+  }
+
+  function render(message) {
+    if (state.seen[message.id]) {
+      return;
+    }
+    state.seen[message.id] = true;
+
+    var fromVisitor = message.direction === 'visitor';
+    var row = el('div', 'display:flex;margin-bottom:8px;justify-content:' + (fromVisitor ? 'flex-end' : 'flex-start') + ';');
+    var box = el('div', 'max-width:80%;padding:8px 12px;border-radius:12px;white-space:pre-wrap;word-wrap:break-word;'
+      + (fromVisitor ? 'color:#fff;background:' + state.color + ';' : 'background:#fff;color:#222;box-shadow:0 1px 2px rgba(0,0,0,0.1);'));
+
+    if (message.media && message.media.url) {
+      box.appendChild(renderMedia(message.media));
+    }
+    if (message.text) {
+      box.appendChild(el('div', message.media ? 'margin-top:6px;' : '', message.text));
+    }
+    row.appendChild(box);
+    list.appendChild(row);
+
+    if (message.interactive && message.interactive.options) {
+      var options = el('div', 'display:flex;flex-wrap:wrap;gap:6px;margin:-2px 0 10px;');
+      message.interactive.options.forEach(function (option) {
+        var button = el('button', 'border:1px solid ' + state.color + ';color:' + state.color
+          + ';background:#fff;border-radius:14px;padding:5px 10px;cursor:pointer;font-size:13px;', option.title);
+        if (option.description) button.title = option.description;
+        button.addEventListener('click', function () {
+          sendText(option.title);
+        });
+        options.appendChild(button);
+      });
+      list.appendChild(options);
+    }
+
+    list.scrollTop = list.scrollHeight;
+  }
+
+  function receive(message) {
+    render(message);
+    if (message.direction !== 'agent') {
+      return;
+    }
+    ack(message.id, 'delivered');
+    if (state.open && document.visibilityState === 'visible') {
+      ack(message.id, 'read');
+    } else {
+      state.unreadIds.push(message.id);
+      updateBadge();
+    }
+  }
+
+  function errorText(response, fallback) {
+    return (response && response.details && response.details[0] && response.details[0].message)
+      || (response && response.error) || fallback;
+  }
+
+  function showNotice(text) {
+    list.appendChild(el('div', 'text-align:center;color:#999;font-size:12px;margin:6px 0;', text));
+    list.scrollTop = list.scrollHeight;
+  }
+
+  // ---- Messaging ----
+
+  function sendText(text) {
+    if (!text || !state.socket) {
+      return;
+    }
+    state.socket.emit('message', { text: text }, function (response) {
+      if (response && response.message) {
+        render(response.message);
+      } else {
+        showNotice('Message not sent. Please try again.');
+      }
+    });
+  }
+
+  function uploadFile(file) {
+    if (!state.visitorId) {
+      return;
+    }
+    var form = new FormData();
+    form.append('token', token);
+    form.append('visitorId', state.visitorId);
+    form.append('file', file);
+    attach.disabled = true;
+
+    fetch(apiBase + '/api/webchat/upload', { method: 'POST', body: form })
+      .then(function (response) {
+        return response.json().then(function (data) {
+          if (!response.ok) throw new Error(data.error || 'Upload failed');
+          render(data.message);
+        });
+      })
+      .catch(function (error) {
+        showNotice(error.message);
+      })
+      .then(function () {
+        attach.disabled = false;
+        fileInput.value = '';
+      });
+  }
+
+  function loadHistory(done) {
+    state.socket.emit('history', function (response) {
+      var messages = (response && response.messages) || [];
+      if (messages.length === 0 && state.greeting) {
+        render({ id: 'greeting', direction: 'agent', text: state.greeting });
+      }
+      messages.forEach(render);
+      if (done) done();
+    });
+  }
+
+  function connect() {
+    var socket = window.io(apiBase + '/webchat', {
+      // WebSocket only: long-polling would need CORS for every customer website
+      transports: ['websocket'],
+      auth: function (callback) {
+        callback({ token: token, visitorId: state.visitorId });
+      }
+    });
+    state.socket = socket;
+
+    socket.on('session', function (session) {
+      state.visitorId = session.visitorId;
+      saveVisitorId(session.visitorId);
+      title.textContent = session.title || title.textContent;
+      applyColor(session.color);
+      state.greeting = session.greeting;
+      loadHistory();
+    });
+
+    socket.on('message', receive);
+
+    socket.on('connect_error', function (error) {
+      if (error.message === 'Unknown widget' || error.message === 'Origin not allowed') {
+        socket.disconnect();
+        root.style.display = 'none';
+      }
+    });
+  }
+
+  // ---- Events ----
+
+  bubble.addEventListener('click', function () {
+    setOpen(!state.open);
+  });
+  close.addEventListener('click', function () {
+    setOpen(false);
+  });
+
+  composer.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var text = input.value.trim();
+    input.value = '';
+    sendText(text);
+  });
+
+  attach.addEventListener('click', function () {
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', function () {
+    if (fileInput.files[0]) uploadFile(fileInput.files[0]);
+  });
+
+  identifyLink.addEventListener('click', function () {
+    identifyForm.style.display = identifyForm.style.display === 'none' ? 'flex' : 'none';
+  });
+
+  identifyForm.addEventListener('submit', function (event) {
+    event.preventDefault();
+    if (!state.socket) {
+      return;
+    }
+    identifyStatus.textContent = 'Saving...';
+    state.socket.emit('identify', {
+      name: nameInput.value,
+      phone: phoneInput.value,
+      email: emailInput.value
+    }, function (response) {
+      if (response && response.success) {
+        identifyForm.style.display = 'none';
+        identifyLink.style.display = 'none';
+        if (response.verificationRequired) {
+          verifyForm.style.display = 'flex';
+          codeInput.focus();
+        } else {
+          showNotice('Thanks! We will keep in touch.');
+        }
+      } else {
+        identifyStatus.textContent = errorText(response, 'Could not save your details');
+      }
+    });
+  });
+
+  verifyForm.addEventListener('submit', function (event) {
+    event.preventDefault();
+    if (!state.socket) {
+      return;
+    }
+    verifyStatus.textContent = 'Checking...';
+    state.socket.emit('verify', { code: codeInput.value }, function (response) {
+      if (response && response.success) {
+        verifyForm.style.display = 'none';
+        // The conversation continues on the known contact, with its earlier messages
+        list.textContent = '';
+        state.seen = {};
+        loadHistory(function () {
+          showNotice('Thanks! We will keep in touch.');
+        });
+      } else {
+        verifyStatus.textContent = errorText(response, 'Could not check the code');
+      }
+    });
+  });
+
+  document.addEventListener('visibilitychange', function () {
+    if (state.open && document.visibilityState === 'visible') markRead();
+  });
+
+  // ---- Start ----
+
+  function start() {
+    document.body.appendChild(root);
+    if (window.io) {
+      connect();
+      return;
+    }
+    var client = document.createElement('script');
+    client.src = apiBase + '/socket.io/socket.io.js';
+    client.onload = connect;
+    document.head.appendChild(client);
+  }
+
+  if (document.body) {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start);
+  }
+})();
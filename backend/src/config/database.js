@@ -74,9 +74,8 @@ async function testConnection(retries = 3) {
 // Run connection test
 testConnection();
 
-// Query helper function that converts PostgreSQL parameterized queries ($1, $2, etc.) to MySQL format (?, ?)
-export const query = async (text, params) => {
-  // Convert PostgreSQL parameter syntax ($1, $2, etc.) to MySQL syntax (?, ?)
+// Convert PostgreSQL parameterized queries ($1, $2, etc.) to MySQL format (?, ?)
+const toMysqlQuery = (text, params) => {
   let mysqlQuery = text;
   if (params && params.length > 0) {
     // Replace $1, $2, $3, etc. with ?
@@ -84,11 +83,36 @@ export const query = async (text, params) => {
       mysqlQuery = mysqlQuery.replace(new RegExp(`\\$${i}\\b`, 'g'), '?');
     }
   }
-  
-  const [rows] = await pool.query(mysqlQuery, params);
+  return mysqlQuery;
+};
+
+// Query helper function that accepts PostgreSQL parameterized queries
+export const query = async (text, params) => {
+  const [rows] = await pool.query(toMysqlQuery(text, params), params);
   
   // Return result in PostgreSQL-compatible format for backward compatibility
   return { rows };
 };
 
+// Run callback(query) on one connection inside a transaction; rolls back when it throws
+export const transaction = async (callback) => {
+  const connection = await pool.getConnection();
+  const transactionQuery = async (text, params) => {
+    const [rows] = await connection.query(toMysqlQuery(text, params), params);
+    return { rows };
+  };
+
+  try {
+    await connection.beginTransaction();
+    const result = await callback(transactionQuery);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 export default pool;
\ No newline at end of file
@@ -11,12 +11,19 @@ export const config = {
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || 'development',
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`,
   
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     expire: process.env.JWT_EXPIRE || '7d'
   },
   
+  secrets: {
+    // Falls back to the JWT secret so development setups work without extra configuration;
+    // production refuses to start without its own key (checked below)
+    encryptionKey: process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+  },
+  
   database: {
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 5432,
@@ -52,7 +59,34 @@ export const config = {
   },
   
   whatsapp: {
-    sessionPath: process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions'
+    sessionPath: process.env.WHATSAPP_SESSION_PATH || './whatsapp-sessions',
+    cloudApiUrl: process.env.WHATSAPP_CLOUD_API_URL || 'https://graph.facebook.com/v21.0'
+  },
+
+  telegram: {
+    apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    pollTimeoutSeconds: parseInt(process.env.TELEGRAM_POLL_TIMEOUT_SECONDS) || 25
+  },
+
+  webchat: {
+    // Visitor messages (including uploads) accepted per minute for one widget and for one client address
+    messagesPerMinute: parseInt(process.env.WEBCHAT_MESSAGES_PER_MINUTE) || 20,
+    messagesPerMinutePerAddress: parseInt(process.env.WEBCHAT_MESSAGES_PER_MINUTE_PER_ADDRESS) || 60
+  },
+
+  email: {
+    imapPollIntervalSeconds: parseInt(process.env.EMAIL_IMAP_POLL_INTERVAL_SECONDS) || 60
+  },
+
+  flows: {
+    schedulerIntervalMs: parseInt(process.env.FLOW_SCHEDULER_INTERVAL_MS) || 5000,
+    schedulerBatchSize: parseInt(process.env.FLOW_SCHEDULER_BATCH_SIZE) || 50,
+    resumeLeaseSeconds: parseInt(process.env.FLOW_RESUME_LEASE_SECONDS) || 300,
+    resumeMaxAttempts: parseInt(process.env.FLOW_RESUME_MAX_ATTEMPTS) || 3,
+    maxStepsPerRun: parseInt(process.env.FLOW_MAX_STEPS_PER_RUN) || 100,
+    traceRetentionDays: parseInt(process.env.FLOW_TRACE_RETENTION_DAYS) || 14,
+    integrationTimeoutMs: parseInt(process.env.FLOW_INTEGRATION_TIMEOUT_MS) || 10000,
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone
   },
   
   media: {
@@ -71,4 +105,8 @@ export const config = {
   }
 };
 
+if (config.nodeEnv === 'production' && !process.env.SECRETS_ENCRYPTION_KEY) {
+  throw new Error('SECRETS_ENCRYPTION_KEY must be set in production: it encrypts organization secrets and channel credentials');
+}
+
 export default config;
\ No newline at end of file
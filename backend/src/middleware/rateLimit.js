@@ -15,6 +15,9 @@ export const apiLimiter = rateLimit({
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  // Signed channel webhooks carry all inbound traffic of a provider from a few IPs,
+  // and the web-chat widget script loads on every page view of a customer website
+  skip: (req) => /^\/channels\/\d+\/webhook$/.test(req.path) || req.path === '/webchat/widget.js',
   // Store in memory (for production, use Redis)
   handler: (req, res) => {
     res.status(429).json({
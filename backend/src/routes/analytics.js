@@ -3,6 +3,7 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import analyticsService from '../services/analytics.service.js';
 import abTestService from '../services/abtest.service.js';
+import flowValidatorService from '../services/flowValidator.service.js';
 
 const router = express.Router();
 
@@ -65,6 +66,8 @@ router.post('/abtest/variant', authenticate, asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'flowId, variantName, and flowDefinition required' });
   }
   
+  flowValidatorService.assertValid(flowDefinition);
+  
   // Validate flow belongs to organization
   const { query } = await import('../config/database.js');
   const flowCheck = await query(
@@ -167,9 +170,9 @@ router.post('/abtest/:flowId/promote', authenticate, asyncHandler(async (req, re
     return res.status(404).json({ error: 'Variant not found or does not belong to this flow' });
   }
   
-  await abTestService.promoteWinner(parseInt(flowId), parseInt(variantId));
+  const version = await abTestService.promoteWinner(parseInt(flowId), parseInt(variantId));
   
-  res.json({ success: true, message: 'Variant promoted to main flow' });
+  res.json({ success: true, message: `Variant promoted to main flow as version ${version.version_number}`, version });
 }));
 
 // Deactivate variant
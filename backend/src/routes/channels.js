@@ -1,8 +1,8 @@
 import express from 'express';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import whatsappService from '../services/whatsapp.service.js';
+import { asyncHandler, logger } from '../middleware/errorHandler.js';
+import channelService from '../services/channel.service.js';
 
 const router = express.Router();
 
@@ -16,10 +16,10 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   res.json(result.rows);
 }));
 
-// Get single channel
+// Get single channel (with webhook settings for webhook channels)
 router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT id, organization_id, type, name, phone_number, status, created_at, updated_at FROM channels WHERE id = $1 AND organization_id = $2',
+    'SELECT * FROM channels WHERE id = $1 AND organization_id = $2',
     [req.params.id, req.organizationId]
   );
   
@@ -27,7 +27,29 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Channel not found' });
   }
   
-  res.json(result.rows[0]);
+  res.json(channelService.describe(result.rows[0]));
+}));
+
+// Create channel of any supported type; credentials as its adapter expects them
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const { type, name, phone_number, credentials } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'Channel name required' });
+  }
+  
+  if (!channelService.supports(type)) {
+    return res.status(400).json({ error: `Channel type ${type} is not supported` });
+  }
+  
+  const channel = await channelService.create(req.organizationId, {
+    type,
+    name,
+    phoneNumber: phone_number,
+    credentials
+  });
+  
+  res.status(201).json(channel);
 }));
 
 // Create WhatsApp channel
@@ -49,7 +71,7 @@ router.post('/whatsapp', authenticate, asyncHandler(async (req, res) => {
   res.status(201).json(channel);
 }));
 
-// Connect WhatsApp channel (initialize)
+// Connect channel through its adapter
 router.post('/:id/connect', authenticate, asyncHandler(async (req, res) => {
   const channelId = parseInt(req.params.id);
   
@@ -64,17 +86,16 @@ router.post('/:id/connect', authenticate, asyncHandler(async (req, res) => {
   
   const channel = result.rows[0];
   
-  if (channel.type !== 'whatsapp') {
-    return res.status(400).json({ error: 'Only WhatsApp channels supported' });
+  if (!channelService.supports(channel.type)) {
+    return res.status(400).json({ error: `Channel type ${channel.type} is not supported` });
   }
   
-  // Initialize WhatsApp client
   const io = req.app.get('io');
-  await whatsappService.initializeChannel(channelId, req.organizationId, io);
+  await channelService.connect(channel, io);
   
   res.json({ 
     success: true, 
-    message: 'WhatsApp client initializing. Check for QR code.' 
+    message: channel.type === 'whatsapp' ? 'WhatsApp client initializing. Check for QR code.' : 'Channel connecting.'
   });
 }));
 
@@ -91,11 +112,51 @@ router.post('/:id/disconnect', authenticate, asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Channel not found' });
   }
   
-  await whatsappService.disconnectChannel(channelId);
+  await channelService.disconnect(result.rows[0]);
   
   res.json({ success: true, message: 'Channel disconnected' });
 }));
 
+// Provider webhook verification handshake (no auth; the provider sends the verify token)
+router.get('/:id/webhook', asyncHandler(async (req, res) => {
+  const channel = await channelService.getChannel(parseInt(req.params.id));
+  const adapter = channel && channelService.supports(channel.type) ? channelService.getAdapter(channel.type) : null;
+  
+  if (!adapter?.verifyWebhook) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  const challenge = adapter.verifyWebhook(channel, req.query);
+  if (challenge === null) {
+    return res.status(403).json({ error: 'Webhook verification failed' });
+  }
+  
+  res.type('text/plain').send(challenge);
+}));
+
+// Provider webhook: inbound messages and delivery statuses (no auth; requests are signed)
+router.post('/:id/webhook', asyncHandler(async (req, res) => {
+  const channel = await channelService.getChannel(parseInt(req.params.id));
+  const adapter = channel && channelService.supports(channel.type) ? channelService.getAdapter(channel.type) : null;
+  
+  if (!adapter?.handleWebhook) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  if (!adapter.authenticateWebhook(channel, req)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  // Acknowledge right away; providers retry slow webhooks
+  res.sendStatus(200);
+  
+  try {
+    await adapter.handleWebhook(channel, req.body);
+  } catch (error) {
+    logger.error(`Error handling webhook of channel ${channel.id}:`, error);
+  }
+}));
+
 // Get channel QR code
 router.get('/:id/qr', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
@@ -119,7 +180,10 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
   
   // Disconnect first
   try {
-    await whatsappService.disconnectChannel(channelId);
+    const channel = await channelService.getChannel(channelId);
+    if (channel?.organization_id === req.organizationId) {
+      await channelService.disconnect(channel);
+    }
   } catch (error) {
     // Continue even if disconnect fails
   }
@@ -2,6 +2,7 @@ import express from 'express';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import flowTraceService from '../services/flowTrace.service.js';
 
 const router = express.Router();
 
@@ -10,7 +11,8 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   const { page = 1, limit = 50, search = '' } = req.query;
   const offset = (page - 1) * limit;
   
-  let whereClause = 'WHERE organization_id = $1';
+  // Simulator sandbox contacts are not real customers
+  let whereClause = 'WHERE organization_id = $1 AND channel_type <> \'simulator\'';
   const params = [req.organizationId];
   
   if (search) {
@@ -43,6 +45,34 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
+// Flow runs of a contact (execution traces), newest first
+router.get('/:id/flow-runs', authenticate, asyncHandler(async (req, res) => {
+  const { flowId, status, limit } = req.query;
+  
+  const contact = await query(
+    'SELECT id FROM contacts WHERE id = $1 AND organization_id = $2',
+    [req.params.id, req.organizationId]
+  );
+  
+  if (contact.rows.length === 0) {
+    return res.status(404).json({ error: 'Contact not found' });
+  }
+  
+  const runs = await flowTraceService.getRuns(req.params.id, req.organizationId, { flowId, status, limit });
+  res.json(runs);
+}));
+
+// A flow run with its event timeline
+router.get('/:id/flow-runs/:runId', authenticate, asyncHandler(async (req, res) => {
+  const run = await flowTraceService.getRun(req.params.runId, req.organizationId);
+  
+  if (!run || String(run.contact_id) !== String(req.params.id)) {
+    return res.status(404).json({ error: 'Flow run not found' });
+  }
+  
+  res.json(run);
+}));
+
 // Create contact
 router.post('/', authenticate, asyncHandler(async (req, res) => {
   const { name, phone, email, instagram_username, channel_type, tags, custom_fields } = req.body;
@@ -2,23 +2,52 @@ import express from 'express';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import flowValidatorService from '../services/flowValidator.service.js';
+import flowVersionService from '../services/flowVersion.service.js';
+import flowTraceService from '../services/flowTrace.service.js';
+import triggerService from '../services/trigger.service.js';
 
 const router = express.Router();
 
 // Get all flows
 router.get('/', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT * FROM flows WHERE organization_id = $1 ORDER BY created_at DESC',
+    `SELECT f.*, fv.version_number AS published_version
+     FROM flows f
+     LEFT JOIN flow_versions fv ON fv.id = f.published_version_id
+     WHERE f.organization_id = $1
+     ORDER BY f.created_at DESC`,
     [req.organizationId]
   );
   
   res.json(result.rows);
 }));
 
+// Validate a flow definition without saving it
+router.post('/validate', authenticate, asyncHandler((req, res) => {
+  const errors = flowValidatorService.validate(req.body.flow_definition);
+  res.json({ valid: errors.length === 0, errors });
+}));
+
+// Which flow an inbound message would start (trigger matching without running anything)
+router.post('/triggers/test', authenticate, asyncHandler(async (req, res) => {
+  const match = await triggerService.findFlowForMessage(req.organizationId, req.body.message || '');
+  
+  res.json({
+    flowId: match?.flow.id || null,
+    flowName: match?.flow.name || null,
+    trigger: match?.trigger || null,
+    fallback: !!match?.fallback
+  });
+}));
+
 // Get single flow
 router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT * FROM flows WHERE id = $1 AND organization_id = $2',
+    `SELECT f.*, fv.version_number AS published_version
+     FROM flows f
+     LEFT JOIN flow_versions fv ON fv.id = f.published_version_id
+     WHERE f.id = $1 AND f.organization_id = $2`,
     [req.params.id, req.organizationId]
   );
   
@@ -29,59 +58,230 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   res.json(result.rows[0]);
 }));
 
-// Create flow
+// Create flow (the definition is published as version 1)
 router.post('/', authenticate, asyncHandler(async (req, res) => {
-  const { name, description, keyword_triggers, flow_definition, is_active } = req.body;
+  const {
+    name, description, keyword_triggers, triggers, trigger_priority, is_fallback, flow_definition, is_active
+  } = req.body;
   
   if (!name || !flow_definition) {
     return res.status(400).json({ error: 'Name and flow_definition required' });
   }
   
-  // Validate flow_definition has required structure
-  if (!flow_definition.nodes || !Array.isArray(flow_definition.nodes)) {
-    return res.status(400).json({ error: 'flow_definition must have nodes array' });
-  }
+  // Validate flow_definition structure, node data and graph
+  flowValidatorService.assertValid(flow_definition);
+  
+  // Plain keyword_triggers (e.g. from the AI generator) become exact triggers
+  const preparedTriggers = triggerService.prepareTriggers(triggers, keyword_triggers);
   
   const result = await query(
-    `INSERT INTO flows (organization_id, name, description, keyword_triggers, flow_definition, is_active)
-     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    `INSERT INTO flows (organization_id, name, description, keyword_triggers, triggers, trigger_priority, flow_definition, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
     [
       req.organizationId, 
       name, 
       description, 
-      keyword_triggers || [], 
+      triggerService.toKeywords(preparedTriggers), 
+      JSON.stringify(preparedTriggers),
+      parseInt(trigger_priority) || 0,
       flow_definition, 
       is_active !== false
     ]
   );
   
-  res.status(201).json(result.rows[0]);
+  if (is_fallback) {
+    await triggerService.setFallback(req.organizationId, result.rows[0].id);
+    result.rows[0].is_fallback = true;
+  }
+  
+  const version = await flowVersionService.publishDefinition(result.rows[0].id, flow_definition, {
+    notes: 'Initial version',
+    userId: req.user?.id || null
+  });
+  
+  res.status(201).json({
+    ...result.rows[0],
+    published_version_id: version.id,
+    published_version: version.version_number
+  });
 }));
 
-// Update flow
+// Update flow (a new flow_definition is saved as the draft; publish it to make it live)
+// Triggers, priority and the fallback flag apply immediately; they are not versioned
 router.put('/:id', authenticate, asyncHandler(async (req, res) => {
-  const { name, description, keyword_triggers, flow_definition, is_active } = req.body;
+  const {
+    name, description, keyword_triggers, triggers, trigger_priority, is_fallback, flow_definition, is_active
+  } = req.body;
+  
+  if (flow_definition) {
+    flowValidatorService.assertValid(flow_definition);
+  }
+  
+  const preparedTriggers = triggers !== undefined || keyword_triggers !== undefined
+    ? triggerService.prepareTriggers(triggers, keyword_triggers)
+    : null;
   
   const result = await query(
     `UPDATE flows 
      SET name = COALESCE($1, name),
          description = COALESCE($2, description),
          keyword_triggers = COALESCE($3, keyword_triggers),
-         flow_definition = COALESCE($4, flow_definition),
-         is_active = COALESCE($5, is_active),
+         triggers = COALESCE($4, triggers),
+         trigger_priority = COALESCE($5, trigger_priority),
+         draft_definition = COALESCE($6, draft_definition),
+         is_active = COALESCE($7, is_active),
          updated_at = NOW()
-     WHERE id = $6 AND organization_id = $7
+     WHERE id = $8 AND organization_id = $9
      RETURNING *`,
-    [name, description, keyword_triggers, flow_definition, is_active, req.params.id, req.organizationId]
+    [
+      name,
+      description,
+      preparedTriggers && triggerService.toKeywords(preparedTriggers),
+      preparedTriggers && JSON.stringify(preparedTriggers),
+      trigger_priority !== undefined ? parseInt(trigger_priority) || 0 : null,
+      flow_definition,
+      is_active,
+      req.params.id,
+      req.organizationId
+    ]
   );
   
   if (result.rows.length === 0) {
     return res.status(404).json({ error: 'Flow not found' });
   }
   
+  if (is_fallback === true) {
+    await triggerService.setFallback(req.organizationId, result.rows[0].id);
+    result.rows[0].is_fallback = true;
+  } else if (is_fallback === false) {
+    await query('UPDATE flows SET is_fallback = false WHERE id = $1', [result.rows[0].id]);
+    result.rows[0].is_fallback = false;
+  }
+  
   res.json(result.rows[0]);
 }));
 
+// Publish the draft as a new immutable version
+router.post('/:id/publish', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  
+  if (!flow) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  const version = await flowVersionService.publishDraft(flow.id, {
+    notes: req.body.notes || null,
+    userId: req.user?.id || null
+  });
+  
+  if (!version) {
+    return res.status(400).json({ error: 'Flow has no unpublished changes' });
+  }
+  
+  res.status(201).json(version);
+}));
+
+// Discard the draft
+router.delete('/:id/draft', authenticate, asyncHandler(async (req, res) => {
+  const result = await query(
+    `UPDATE flows SET draft_definition = NULL, updated_at = NOW()
+     WHERE id = $1 AND organization_id = $2
+     RETURNING *`,
+    [req.params.id, req.organizationId]
+  );
+  
+  if (result.rows.length === 0) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  res.json(result.rows[0]);
+}));
+
+// Version history
+router.get('/:id/versions', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  
+  if (!flow) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  res.json(await flowVersionService.listVersions(flow.id));
+}));
+
+// Recent failed runs of the flow (node that broke and why)
+router.get('/:id/failed-runs', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  
+  if (!flow) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  res.json(await flowTraceService.getFailedRuns(flow.id, req.organizationId, req.query.limit));
+}));
+
+// Single version with its definition
+router.get('/:id/versions/:versionId', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  const version = flow && await flowVersionService.getVersion(flow.id, req.params.versionId);
+  
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  
+  res.json(version);
+}));
+
+// Diff a version against ?against=<versionId>|draft (defaults to the previous version)
+router.get('/:id/versions/:versionId/diff', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  const version = flow && await flowVersionService.getVersion(flow.id, req.params.versionId);
+  
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  
+  const { against } = req.query;
+  let from;
+  let to = { label: `v${version.version_number}`, definition: version.flow_definition };
+  
+  if (against === 'draft') {
+    if (!flow.draft_definition) {
+      return res.status(400).json({ error: 'Flow has no draft' });
+    }
+    from = to;
+    to = { label: 'draft', definition: flow.draft_definition };
+  } else {
+    const base = against
+      ? await flowVersionService.getVersion(flow.id, against)
+      : await flowVersionService.getPreviousVersion(version);
+    if (against && !base) {
+      return res.status(404).json({ error: 'Version to compare against not found' });
+    }
+    from = base ? { label: `v${base.version_number}`, definition: base.flow_definition } : { label: 'empty', definition: null };
+  }
+  
+  res.json({
+    from: from.label,
+    to: to.label,
+    ...flowVersionService.diff(from.definition, to.definition)
+  });
+}));
+
+// Roll back by republishing an older version
+router.post('/:id/versions/:versionId/rollback', authenticate, asyncHandler(async (req, res) => {
+  const flow = await findFlow(req.params.id, req.organizationId);
+  const version = flow && await flowVersionService.rollback(flow.id, req.params.versionId, {
+    notes: req.body.notes || null,
+    userId: req.user?.id || null
+  });
+  
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  
+  res.status(201).json(version);
+}));
+
 // Delete flow
 router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
   const result = await query(
@@ -125,21 +325,41 @@ router.post('/:id/duplicate', authenticate, asyncHandler(async (req, res) => {
   }
   
   const flow = originalFlow.rows[0];
+  flowValidatorService.assertValid(flow.flow_definition);
   
   const result = await query(
-    `INSERT INTO flows (organization_id, name, description, keyword_triggers, flow_definition, is_active)
-     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    `INSERT INTO flows (organization_id, name, description, keyword_triggers, triggers, trigger_priority, flow_definition, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
     [
       req.organizationId,
       `${flow.name} (Copy)`,
       flow.description,
       flow.keyword_triggers,
+      JSON.stringify(triggerService.parseTriggers(flow.triggers)),
+      flow.trigger_priority || 0,
       flow.flow_definition,
       false // Duplicates start inactive
     ]
   );
   
-  res.status(201).json(result.rows[0]);
+  const version = await flowVersionService.publishDefinition(result.rows[0].id, flow.flow_definition, {
+    notes: `Copied from ${flow.name}`,
+    userId: req.user?.id || null
+  });
+  
+  res.status(201).json({
+    ...result.rows[0],
+    published_version_id: version.id,
+    published_version: version.version_number
+  });
 }));
 
+async function findFlow(flowId, organizationId) {
+  const result = await query(
+    'SELECT * FROM flows WHERE id = $1 AND organization_id = $2',
+    [flowId, organizationId]
+  );
+  return result.rows[0] || null;
+}
+
 export default router;
\ No newline at end of file
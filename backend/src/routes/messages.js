@@ -2,7 +2,7 @@ import express from 'express';
 import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import whatsappService from '../services/whatsapp.service.js';
+import channelService from '../services/channel.service.js';
 import antiBanService from '../services/antiban.service.js';
 
 const router = express.Router();
@@ -37,22 +37,12 @@ router.post('/send', authenticate, asyncHandler(async (req, res) => {
   }
   
   // Get contact with channel
-  const contactResult = await query(
-    `SELECT c.*, ch.id as channel_id, ch.type as channel_type
-     FROM contacts c
-     LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-       AND ch.type = c.channel_type 
-       AND ch.status = 'connected'
-     WHERE c.id = $1 AND c.organization_id = $2`,
-    [contactId, req.organizationId]
-  );
+  const contact = await channelService.getContactChannel(contactId, req.organizationId);
   
-  if (contactResult.rows.length === 0) {
+  if (!contact) {
     return res.status(404).json({ error: 'Contact not found' });
   }
   
-  const contact = contactResult.rows[0];
-  
   if (!contact.channel_id) {
     return res.status(400).json({ error: 'No connected channel for this contact' });
   }
@@ -110,33 +100,24 @@ router.post('/send-voice', authenticate, asyncHandler(async (req, res) => {
   }
   
   // Get contact
-  const contactResult = await query(
-    `SELECT c.*, ch.id as channel_id 
-     FROM contacts c
-     LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-       AND ch.type = c.channel_type AND ch.status = 'connected'
-     WHERE c.id = $1 AND c.organization_id = $2`,
-    [contactId, req.organizationId]
-  );
+  const contact = await channelService.getContactChannel(contactId, req.organizationId);
   
-  if (contactResult.rows.length === 0) {
+  if (!contact) {
     return res.status(404).json({ error: 'Contact not found' });
   }
   
-  const contact = contactResult.rows[0];
-  
   if (!contact.channel_id) {
     return res.status(400).json({ error: 'No connected channel' });
   }
   
   // Send voice note
-  await whatsappService.sendVoiceNote(contact.channel_id, contact.phone, media.file_path);
+  const sent = await channelService.send(contact.channel_id, contactId, { mediaType: 'voice', mediaUrl: media.file_path });
   
   // Save message
   const msgResult = await query(
-    `INSERT INTO messages (contact_id, channel_id, content, type, media_type, media_url, media_filename)
-     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-    [contactId, contact.channel_id, '[Voice Note]', 'outbound_agent', 'audio', media.file_path, media.file_name]
+    `INSERT INTO messages (contact_id, channel_id, content, type, media_type, media_url, media_filename, message_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [contactId, contact.channel_id, '[Voice Note]', 'outbound_agent', 'audio', media.file_path, media.file_name, sent.externalId]
   );
   
   res.json(msgResult.rows[0]);
@@ -199,22 +180,13 @@ router.post('/bulk-send', authenticate, asyncHandler(async (req, res) => {
   
   for (const contactId of contactIds) {
     try {
-      const contactResult = await query(
-        `SELECT c.*, ch.id as channel_id 
-         FROM contacts c
-         LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-           AND ch.type = c.channel_type AND ch.status = 'connected'
-         WHERE c.id = $1 AND c.organization_id = $2`,
-        [contactId, req.organizationId]
-      );
+      const contact = await channelService.getContactChannel(contactId, req.organizationId);
       
-      if (contactResult.rows.length === 0) {
+      if (!contact) {
         errors.push({ contactId, error: 'Contact not found' });
         continue;
       }
       
-      const contact = contactResult.rows[0];
-      
       if (!contact.channel_id) {
         errors.push({ contactId, error: 'No connected channel' });
         continue;
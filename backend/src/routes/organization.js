@@ -0,0 +1,45 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import secretsService from '../services/secrets.service.js';
+import businessHoursService from '../services/businessHours.service.js';
+
+const router = express.Router();
+
+// Secret names (values are write-only)
+router.get('/secrets', authenticate, asyncHandler(async (req, res) => {
+  res.json(await secretsService.list(req.organizationId));
+}));
+
+// Create or replace a secret
+router.put('/secrets/:name', authenticate, authorize('owner', 'admin'), asyncHandler(async (req, res) => {
+  const secret = await secretsService.set(req.organizationId, req.params.name, req.body.value, req.user.id);
+  res.json(secret);
+}));
+
+router.delete('/secrets/:name', authenticate, authorize('owner', 'admin'), asyncHandler(async (req, res) => {
+  if (!await secretsService.remove(req.organizationId, req.params.name)) {
+    return res.status(404).json({ error: 'Secret not found' });
+  }
+  res.json({ success: true });
+}));
+
+// Business hours (null when the organization is always open)
+router.get('/business-hours', authenticate, asyncHandler(async (req, res) => {
+  res.json(await businessHoursService.getSchedule(req.organizationId));
+}));
+
+router.get('/business-hours/status', authenticate, asyncHandler(async (req, res) => {
+  res.json(await businessHoursService.getStatus(req.organizationId));
+}));
+
+router.put('/business-hours', authenticate, authorize('owner', 'admin'), asyncHandler(async (req, res) => {
+  res.json(await businessHoursService.saveSchedule(req.organizationId, req.body));
+}));
+
+router.delete('/business-hours', authenticate, authorize('owner', 'admin'), asyncHandler(async (req, res) => {
+  await businessHoursService.deleteSchedule(req.organizationId);
+  res.json({ success: true });
+}));
+
+export default router;
@@ -0,0 +1,121 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import simulatorService from '../services/simulator.service.js';
+
+const router = express.Router();
+
+// Start a simulator session (replaces the user's previous one)
+router.post('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const { flowId, useDraft, skipDelays, stepMode, liveIntegrations, variables, customFields } = req.body;
+  
+  if (!flowId) {
+    return res.status(400).json({ error: 'flowId required' });
+  }
+  
+  const session = await simulatorService.createSession(req.organizationId, req.user?.id || null, flowId, {
+    useDraft,
+    skipDelays,
+    stepMode,
+    liveIntegrations,
+    variables,
+    customFields
+  });
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+  
+  await sendSnapshot(res, session.id, req.organizationId, 201);
+}));
+
+// Current transcript and contact state
+router.get('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  res.json(await simulatorService.getSnapshot(session));
+}));
+
+// Reply as the simulated contact
+router.post('/sessions/:id/messages', authenticate, asyncHandler(async (req, res) => {
+  const { text } = req.body;
+  
+  if (!text) {
+    return res.status(400).json({ error: 'text required' });
+  }
+  
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  await simulatorService.sendMessage(session, text);
+  await sendSnapshot(res, session.id, req.organizationId);
+}));
+
+// Step mode: run the node the session is paused on
+router.post('/sessions/:id/step', authenticate, asyncHandler(async (req, res) => {
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  if (!await simulatorService.step(session)) {
+    return res.status(400).json({ error: 'Session is not paused on a node' });
+  }
+  
+  await sendSnapshot(res, session.id, req.organizationId);
+}));
+
+// Continue a waiting delay now
+router.post('/sessions/:id/skip-delay', authenticate, asyncHandler(async (req, res) => {
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  if (!await simulatorService.skipDelay(session)) {
+    return res.status(400).json({ error: 'No delay is waiting' });
+  }
+  
+  await sendSnapshot(res, session.id, req.organizationId);
+}));
+
+// Toggle step mode / delay skipping / live integrations
+router.patch('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  await simulatorService.updateSettings(session, req.body);
+  await sendSnapshot(res, session.id, req.organizationId);
+}));
+
+// End the session and remove its sandbox contact
+router.delete('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
+  const session = await simulatorService.getSession(req.params.id, req.organizationId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Simulator session not found' });
+  }
+  
+  await simulatorService.endSession(session);
+  res.json({ success: true });
+}));
+
+// Re-read the session: runs may have paused it or changed its settings
+async function sendSnapshot(res, sessionId, organizationId, status = 200) {
+  const session = await simulatorService.getSession(sessionId, organizationId);
+  res.status(status).json(await simulatorService.getSnapshot(session));
+}
+
+export default router;
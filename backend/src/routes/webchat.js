@@ -0,0 +1,72 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import mediaService from '../services/media.service.js';
+import webchatService from '../services/webchat.service.js';
+
+const router = express.Router();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WIDGET_PATH = path.join(__dirname, '../../public/webchat-widget.js');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.media.maxFileSize
+  },
+  fileFilter: (req, file, cb) => {
+    try {
+      mediaService.validateFile(file.mimetype, file.size);
+      cb(null, true);
+    } catch (error) {
+      cb(new Error(error.message));
+    }
+  }
+});
+
+// Widgets run on customer websites, so these routes answer any origin; the widget token decides access
+router.use(cors({ origin: true, credentials: false }));
+
+// Widget script for the embed snippet (public)
+router.get('/widget.js', (req, res) => {
+  res.set({
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Cache-Control': 'public, max-age=300'
+  });
+  res.type('application/javascript').sendFile(WIDGET_PATH);
+});
+
+// File upload from a widget visitor (public, authenticated by widget token and visitor id)
+router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
+  const { token, visitorId, caption } = req.body;
+
+  const channel = await webchatService.findChannelByToken(token);
+  if (!channel || !webchatService.isOriginAllowed(channel, req.get('origin'))) {
+    return res.status(403).json({ error: 'Unknown widget' });
+  }
+  if (webchatService.resolveVisitorId(visitorId) !== visitorId) {
+    return res.status(400).json({ error: 'Invalid visitor id' });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  if (!webchatService.consumeMessageQuota({ address: req.ip })) {
+    return res.status(429).json({ error: 'Too many messages, please wait a moment' });
+  }
+
+  const message = await webchatService.receive(channel, visitorId, {
+    text: typeof caption === 'string' ? caption.trim() : '',
+    media: { data: req.file.buffer, mimeType: req.file.mimetype, fileName: req.file.originalname }
+  });
+
+  // Other tabs of the same visitor
+  webchatService.namespace?.to(webchatService.getVisitorRoom(channel.id, visitorId)).emit('message', message);
+
+  res.status(201).json({ message });
+}));
+
+export default router;
@@ -3,6 +3,7 @@ import { query } from '../config/database.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import queueService from '../services/queue.service.js';
+import triggerService from '../services/trigger.service.js';
 import { logger } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -97,7 +98,7 @@ router.post('/external/:organizationId', asyncHandler(async (req, res) => {
     const insertResult = await query(
       `INSERT INTO contacts (organization_id, phone, email, name, channel_type)
        VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [organizationId, phone, email, phone || email, 'whatsapp']
+      [organizationId, phone, email, phone || email, phone ? 'whatsapp' : 'email']
     );
     contact = insertResult.rows[0];
     logger.info(`New contact created via webhook: ${contact.id}`);
@@ -117,18 +118,9 @@ router.post('/external/:organizationId', asyncHandler(async (req, res) => {
       flow = flowResult.rows[0];
     }
   } else {
-    // Find flow by event name in keywords
-    const flowResult = await query(
-      `SELECT * FROM flows 
-       WHERE organization_id = $1 
-       AND is_active = true 
-       AND $2 = ANY(keyword_triggers)
-       LIMIT 1`,
-      [organizationId, eventName]
-    );
-    if (flowResult.rows.length > 0) {
-      flow = flowResult.rows[0];
-    }
+    // Find flow whose triggers match the event name (the fallback flow is for messages only)
+    const match = await triggerService.findFlowForMessage(organizationId, eventName, { includeFallback: false });
+    flow = match?.flow;
   }
   
   // Execute flow if found
@@ -201,6 +193,7 @@ router.get('/stats', authenticate, asyncHandler(async (req, res) => {
   const sessionsResult = await query(
     `SELECT 
        COUNT(*) FILTER (WHERE status = 'pending') as pending_chats,
+       COUNT(*) FILTER (WHERE status = 'scheduled') as scheduled_chats,
        COUNT(*) FILTER (WHERE status = 'active') as active_chats,
        COUNT(*) FILTER (WHERE status = 'resolved') as resolved_chats
      FROM live_chat_sessions lcs
@@ -224,6 +217,7 @@ router.get('/stats', authenticate, asyncHandler(async (req, res) => {
     totalMessages: parseInt(messagesResult.rows[0].count),
     totalConversations: parseInt(conversationsResult.rows[0].count),
     pendingChats: parseInt(sessionsResult.rows[0]?.pending_chats || 0),
+    scheduledChats: parseInt(sessionsResult.rows[0]?.scheduled_chats || 0),
     activeChats: parseInt(sessionsResult.rows[0]?.active_chats || 0),
     resolvedChats: parseInt(sessionsResult.rows[0]?.resolved_chats || 0),
     activeFlows: parseInt(flowsResult.rows[0].count),
@@ -30,6 +30,9 @@ import aiRoutes from './routes/ai.js';
 import marketingRoutes from './routes/marketing.js';
 import analyticsRoutes from './routes/analytics.js';
 import conversationRoutes from './routes/conversations.js';
+import simulatorRoutes from './routes/simulator.js';
+import organizationRoutes from './routes/organization.js';
+import webchatRoutes from './routes/webchat.js';
 
 // Import WebSocket handler
 import initializeWebSocket from './websocket/socketHandler.js';
@@ -38,6 +41,10 @@ import initializeWebSocket from './websocket/socketHandler.js';
 import queueService from './services/queue.service.js';
 import antiBanService from './services/antiban.service.js';
 import analyticsService from './services/analytics.service.js';
+import flowSchedulerService from './services/flowScheduler.service.js';
+import flowTraceService from './services/flowTrace.service.js';
+import businessHoursService from './services/businessHours.service.js';
+import channelService from './services/channel.service.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -72,7 +79,13 @@ app.use(cors({
 }));
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware (development only)
@@ -129,9 +142,15 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/marketing', marketingRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/simulator', simulatorRoutes);
+app.use('/api/organization', organizationRoutes);
+app.use('/api/webchat', webchatRoutes);
 
 // Serve uploaded files (with authentication would be better, but for simplicity)
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Cross-origin, since the web-chat widget shows media on customer websites
+app.use('/uploads', express.static(path.join(__dirname, '../uploads'), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
 
 // API documentation endpoint
 app.get('/api/docs', (req, res) => {
@@ -152,7 +171,9 @@ app.get('/api/docs', (req, res) => {
         'POST /api/contacts': 'Create new contact',
         'PUT /api/contacts/:id': 'Update contact',
         'DELETE /api/contacts/:id': 'Delete contact',
-        'POST /api/contacts/bulk-import': 'Bulk import contacts'
+        'POST /api/contacts/bulk-import': 'Bulk import contacts',
+        'GET /api/contacts/:id/flow-runs': 'Flow execution runs of a contact',
+        'GET /api/contacts/:id/flow-runs/:runId': 'Flow run with its event timeline'
       },
       flows: {
         'GET /api/flows': 'Get all flows',
@@ -160,14 +181,20 @@ app.get('/api/docs', (req, res) => {
         'POST /api/flows': 'Create new flow',
         'PUT /api/flows/:id': 'Update flow',
         'DELETE /api/flows/:id': 'Delete flow',
-        'PATCH /api/flows/:id/toggle': 'Toggle flow active status'
+        'PATCH /api/flows/:id/toggle': 'Toggle flow active status',
+        'POST /api/flows/triggers/test': 'Show which flow a message would trigger',
+        'GET /api/flows/:id/failed-runs': 'Recent failed runs of a flow'
       },
       channels: {
         'GET /api/channels': 'Get all channels',
+        'POST /api/channels': 'Create a channel of any type (whatsapp_cloud, telegram, webchat or email with credentials)',
+        'GET /api/channels/:id': 'Get channel with webhook settings or the web-chat embed snippet',
         'POST /api/channels/whatsapp': 'Create WhatsApp channel',
-        'POST /api/channels/:id/connect': 'Connect channel',
+        'POST /api/channels/:id/connect': 'Connect channel through its adapter',
         'POST /api/channels/:id/disconnect': 'Disconnect channel',
-        'GET /api/channels/:id/qr': 'Get QR code for WhatsApp'
+        'GET /api/channels/:id/qr': 'Get QR code for WhatsApp',
+        'GET /api/channels/:id/webhook': 'Webhook verification handshake (no auth)',
+        'POST /api/channels/:id/webhook': 'Inbound messages and delivery statuses (no auth, signed)'
       },
       messages: {
         'GET /api/messages/contact/:contactId': 'Get messages for contact',
@@ -204,11 +231,34 @@ app.get('/api/docs', (req, res) => {
         'POST /api/conversations/:contactId/archive': 'Archive conversation',
         'POST /api/conversations/:contactId/pin': 'Pin conversation'
       },
+      simulator: {
+        'POST /api/simulator/sessions': 'Start a simulator session for a flow (draft by default)',
+        'GET /api/simulator/sessions/:id': 'Get transcript, variables, tags and score',
+        'POST /api/simulator/sessions/:id/messages': 'Reply as the simulated contact',
+        'POST /api/simulator/sessions/:id/step': 'Run the next node in step mode',
+        'POST /api/simulator/sessions/:id/skip-delay': 'Continue a waiting delay now',
+        'PATCH /api/simulator/sessions/:id': 'Toggle step mode and delay skipping',
+        'DELETE /api/simulator/sessions/:id': 'End the session'
+      },
+      organization: {
+        'GET /api/organization/secrets': 'List secret names (values are never returned)',
+        'PUT /api/organization/secrets/:name': 'Create or replace an encrypted secret (owner/admin)',
+        'DELETE /api/organization/secrets/:name': 'Delete a secret (owner/admin)',
+        'GET /api/organization/business-hours': 'Get the business hours schedule (null when always open)',
+        'PUT /api/organization/business-hours': 'Set weekly hours, holidays and out-of-hours replies (owner/admin)',
+        'DELETE /api/organization/business-hours': 'Remove the schedule; always open (owner/admin)',
+        'GET /api/organization/business-hours/status': 'Whether the organization is open now and when it opens next'
+      },
       webhooks: {
         'POST /api/webhooks/trigger': 'Manually trigger flow',
         'POST /api/webhooks/external/:organizationId': 'External webhook (no auth)',
         'GET /api/webhooks/url': 'Get webhook URL',
         'GET /api/webhooks/stats': 'Get dashboard statistics'
+      },
+      webchat: {
+        'GET /api/webchat/widget.js': 'Embeddable chat widget script (no auth)',
+        'POST /api/webchat/upload': 'File upload from a widget visitor (widget token and visitor id)',
+        'WS /webchat': 'Socket.IO namespace for widget visitors (auth: { token, visitorId })'
       }
     },
     authentication: {
@@ -255,6 +305,20 @@ function setupBackgroundJobs() {
     }
   }, 5000);
 
+  // Resume delayed flows whose wait has elapsed
+  setInterval(async () => {
+    await flowSchedulerService.processDueFlows();
+  }, config.flows.schedulerIntervalMs);
+
+  // Hand deferred live chats to agents once business hours start
+  setInterval(async () => {
+    try {
+      await businessHoursService.releaseDeferredHandoffs();
+    } catch (error) {
+      logger.error('Error releasing deferred handoffs:', error);
+    }
+  }, 60 * 1000);
+
   // Calculate daily analytics at midnight
   const now = new Date();
   const midnight = new Date(
@@ -288,6 +352,15 @@ function setupBackgroundJobs() {
     }
   }, 60 * 60 * 1000);
 
+  // Drop flow execution traces past their retention every hour
+  setInterval(async () => {
+    try {
+      await flowTraceService.cleanup();
+    } catch (error) {
+      logger.error('Error cleaning up flow traces:', error);
+    }
+  }, 60 * 60 * 1000);
+
   logger.info('✅ Background jobs scheduled');
 }
 
@@ -334,6 +407,11 @@ httpServer.listen(PORT, () => {
 
   // Setup background jobs
   setupBackgroundJobs();
+
+  // Restart long polling of channels that were connected when the server last stopped
+  channelService.resumeConnected().catch(error => {
+    logger.error('Error resuming connected channels:', error);
+  });
 });
 
 // Graceful shutdown
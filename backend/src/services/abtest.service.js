@@ -1,5 +1,6 @@
 import { query } from '../config/database.js';
 import { logger } from '../middleware/errorHandler.js';
+import flowVersionService from './flowVersion.service.js';
 
 class ABTestService {
   
@@ -180,7 +181,7 @@ class ABTestService {
     try {
       // Get winning variant definition
       const variantResult = await query(
-        'SELECT flow_definition FROM flow_variants WHERE id = $1',
+        'SELECT variant_name, flow_definition FROM flow_variants WHERE id = $1',
         [winningVariantId]
       );
       
@@ -188,11 +189,12 @@ class ABTestService {
         throw new Error('Variant not found');
       }
       
-      // Update main flow
-      await query(
-        'UPDATE flows SET flow_definition = $1, updated_at = NOW() WHERE id = $2',
-        [variantResult.rows[0].flow_definition, flowId]
-      );
+      // Publish as a new version so the previous one can be rolled back to
+      const variant = variantResult.rows[0];
+      const version = await flowVersionService.publishDefinition(flowId, variant.flow_definition, {
+        source: 'ab_test',
+        notes: `Promoted A/B variant "${variant.variant_name}"`
+      });
       
       // Deactivate all variants
       await query(
@@ -200,7 +202,8 @@ class ABTestService {
         [flowId]
       );
       
-      logger.info(`Promoted variant ${winningVariantId} to main flow ${flowId}`);
+      logger.info(`Promoted variant ${winningVariantId} to main flow ${flowId} as version ${version.version_number}`);
+      return version;
     } catch (error) {
       logger.error('Error promoting winner:', error);
       throw error;
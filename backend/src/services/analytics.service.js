@@ -10,18 +10,21 @@ class AnalyticsService {
   async trackNodeInteraction(contactId, flowId, variantId, nodeId, nodeType, action, userData = {}) {
     try {
       const contactResult = await query(
-        'SELECT organization_id FROM contacts WHERE id = $1',
+        'SELECT organization_id, channel_type FROM contacts WHERE id = $1',
         [contactId]
       );
       
-      if (contactResult.rows.length === 0) return;
+      // Simulator test runs stay out of flow analytics
+      if (contactResult.rows.length === 0 || contactResult.rows[0].channel_type === 'simulator') {
+        return;
+      }
       
       const organizationId = contactResult.rows[0].organization_id;
       
       await query(
         `INSERT INTO node_analytics 
-         (organization_id, flow_id, variant_id, contact_id, node_id, node_type, action, user_response, time_spent_seconds)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+         (organization_id, flow_id, variant_id, contact_id, node_id, node_type, action, user_response, time_spent_seconds, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
         [
           organizationId,
           flowId,
@@ -31,7 +34,8 @@ class AnalyticsService {
           nodeType,
           action,
           userData.response || null,
-          userData.timeSpent || null
+          userData.timeSpent || null,
+          JSON.stringify(userData.metadata || {})
         ]
       );
       
@@ -54,14 +58,15 @@ class AnalyticsService {
   /**
    * Start flow journey
    */
-  async startFlowJourney(contactId, flowId, variantId = null) {
+  async startFlowJourney(contactId, flowId, variantId = null, parentFlowId = null) {
     try {
       await query(
-        `INSERT INTO flow_journeys (contact_id, flow_id, variant_id, status, started_at)
-         VALUES ($1, $2, $3, 'in_progress', NOW())
+        `INSERT INTO flow_journeys (contact_id, flow_id, variant_id, status, started_at, parent_flow_id)
+         VALUES ($1, $2, $3, 'in_progress', NOW(), $4)
          ON CONFLICT (contact_id, flow_id) 
-         DO UPDATE SET started_at = NOW(), status = 'in_progress', variant_id = $3`,
-        [contactId, flowId, variantId]
+         DO UPDATE SET started_at = NOW(), status = 'in_progress', variant_id = $3, parent_flow_id = $4,
+                       completed_at = NULL, total_time_seconds = NULL`,
+        [contactId, flowId, variantId, parentFlowId]
       );
       
       logger.info(`Started journey for contact ${contactId} in flow ${flowId}`);
@@ -52,9 +52,9 @@ class AntiBanService {
   }
 
   /**
-   * Queue message with smart delay
+   * Queue message with smart delay (never before options.notBefore, e.g. the previous item of a sequence)
    */
-  async queueMessage(channelId, contactId, content, metadata = {}) {
+  async queueMessage(channelId, contactId, content, metadata = {}, { notBefore = null } = {}) {
     try {
       // Check if can send
       if (!await this.canSendMessage(channelId)) {
@@ -63,7 +63,7 @@ class AntiBanService {
       
       // Calculate delay
       const delay = this.calculateDelay(content.length);
-      const scheduledAt = new Date(Date.now() + delay);
+      const scheduledAt = new Date(Math.max(Date.now() + delay, notBefore ? new Date(notBefore).getTime() : 0));
       
       // Insert into queue
       const result = await query(
@@ -90,9 +90,8 @@ class AntiBanService {
       
       // Get messages ready to send
       const result = await query(
-        `SELECT mq.*, c.phone, ch.type as channel_type
+        `SELECT mq.*, ch.type as channel_type
          FROM message_queue mq
-         JOIN contacts c ON mq.contact_id = c.id
          JOIN channels ch ON mq.channel_id = ch.id
          WHERE mq.status = 'pending' 
          AND mq.scheduled_at <= $1
@@ -103,19 +102,15 @@ class AntiBanService {
       
       for (const msg of result.rows) {
         try {
-          // Send via WhatsApp
-          const whatsappService = (await import('./whatsapp.service.js')).default;
-          
-          if (msg.metadata?.mediaUrl) {
-            await whatsappService.sendMedia(
-              msg.channel_id, 
-              msg.phone, 
-              msg.metadata.mediaUrl, 
-              msg.content
-            );
-          } else {
-            await whatsappService.sendMessage(msg.channel_id, msg.phone, msg.content);
-          }
+          // Send through the channel's adapter
+          const channelService = (await import('./channel.service.js')).default;
+          const sent = await channelService.send(msg.channel_id, msg.contact_id, {
+            text: msg.content,
+            mediaType: msg.metadata?.mediaType,
+            mediaUrl: msg.metadata?.mediaUrl,
+            mimeType: msg.metadata?.mimeType,
+            interactive: msg.metadata?.interactive
+          });
           
           // Update queue status
           await query(
@@ -127,12 +122,19 @@ class AntiBanService {
           
           // Log message
           await query(
-            `INSERT INTO messages (contact_id, channel_id, content, type, media_type, media_url)
-             VALUES ($1, $2, $3, 'outbound_bot', $4, $5)`,
-            [msg.contact_id, msg.channel_id, msg.content, msg.metadata?.mediaType, msg.metadata?.mediaUrl]
+            `INSERT INTO messages (contact_id, channel_id, content, type, media_type, media_url, message_id)
+             VALUES ($1, $2, $3, 'outbound_bot', $4, $5, $6)`,
+            [
+              msg.contact_id,
+              msg.channel_id,
+              msg.content,
+              msg.metadata?.mediaType,
+              msg.metadata?.mediaUrl,
+              sent?.externalId || null
+            ]
           );
           
-          logger.info(`Sent queued message ${msg.id} to ${msg.phone}`);
+          logger.info(`Sent queued message ${msg.id} to contact ${msg.contact_id} on ${msg.channel_type}`);
           
         } catch (error) {
           logger.error(`Failed to send queued message ${msg.id}:`, error);
@@ -0,0 +1,287 @@
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import flowSchedulerService from './flowScheduler.service.js';
+import templateService from './template.service.js';
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How far ahead the next opening is searched (covers long holiday lists)
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const DEFAULT_AUTO_REPLY = 'Thanks for your message! We are closed right now and will reply {{opens_at}}.';
+const DEFAULT_HANDOFF_MESSAGE = 'Our team is offline right now. An agent will pick up your conversation {{opens_at}}.';
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Organization opening hours: weekly hours, holidays and a timezone.
+ *
+ * Drives the businessHours flow node, the out-of-hours auto-reply and deferred agent handoffs.
+ * Organizations without a schedule are always open.
+ */
+class BusinessHoursService {
+
+  /**
+   * Schedule of an organization, or null when none is configured
+   */
+  async getSchedule(organizationId) {
+    const result = await query('SELECT * FROM business_hours WHERE organization_id = $1', [organizationId]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const parse = (raw, fallback) => (typeof raw === 'string' ? JSON.parse(raw) : raw || fallback);
+    return {
+      timezone: row.timezone,
+      weeklyHours: parse(row.weekly_hours, {}),
+      holidays: parse(row.holidays, []),
+      autoReplyEnabled: !!row.auto_reply_enabled,
+      autoReplyMessage: row.auto_reply_message || DEFAULT_AUTO_REPLY,
+      autoReplyCooldownHours: row.auto_reply_cooldown_hours ?? 12,
+      handoffMessage: row.handoff_message || DEFAULT_HANDOFF_MESSAGE,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Validate and store a schedule; throws a ValidationError listing every problem
+   */
+  async saveSchedule(organizationId, data = {}) {
+    const schedule = this.prepareSchedule(data);
+
+    await query(
+      `INSERT INTO business_hours
+       (organization_id, timezone, weekly_hours, holidays, auto_reply_enabled, auto_reply_message,
+        auto_reply_cooldown_hours, handoff_message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (organization_id)
+       DO UPDATE SET timezone = $2, weekly_hours = $3, holidays = $4, auto_reply_enabled = $5,
+                     auto_reply_message = $6, auto_reply_cooldown_hours = $7, handoff_message = $8`,
+      [
+        organizationId,
+        schedule.timezone,
+        JSON.stringify(schedule.weeklyHours),
+        JSON.stringify(schedule.holidays),
+        schedule.autoReplyEnabled,
+        schedule.autoReplyMessage,
+        schedule.autoReplyCooldownHours,
+        schedule.handoffMessage
+      ]
+    );
+
+    return this.getSchedule(organizationId);
+  }
+
+  async deleteSchedule(organizationId) {
+    await query('DELETE FROM business_hours WHERE organization_id = $1', [organizationId]);
+  }
+
+  prepareSchedule(data) {
+    const errors = [];
+    const timezone = data.timezone || config.flows.defaultTimezone;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      errors.push({ code: 'invalid_timezone', message: `Unknown timezone "${timezone}"` });
+    }
+
+    const weeklyHours = {};
+    for (const day of WEEKDAYS) {
+      const ranges = data.weeklyHours?.[day] || [];
+      if (!Array.isArray(ranges)) {
+        errors.push({ code: 'invalid_day', message: `${day}: hours must be a list of { open, close } ranges`, day });
+        continue;
+      }
+      ranges.forEach((range, index) => {
+        const label = `${day} range ${index + 1}`;
+        if (!TIME_PATTERN.test(range?.open || '') || !TIME_PATTERN.test(range?.close || '')) {
+          errors.push({ code: 'invalid_time', message: `${label}: times must be HH:mm`, day });
+        } else if (toMinutes(range.close) <= toMinutes(range.open)) {
+          errors.push({ code: 'invalid_range', message: `${label}: closing must be after opening (split overnight hours)`, day });
+        }
+      });
+      if (ranges.length > 0) {
+        weeklyHours[day] = ranges.map(range => ({ open: range?.open, close: range?.close }));
+      }
+    }
+
+    const holidayList = data.holidays || [];
+    if (!Array.isArray(holidayList)) {
+      errors.push({ code: 'invalid_holidays', message: 'Holidays must be a list of { date, name, recurring }' });
+    }
+    const holidays = (Array.isArray(holidayList) ? holidayList : []).map((holiday, index) => {
+      // Round-trip the date: Date rolls impossible days like 02-30 over into the next month
+      const parsed = DATE_PATTERN.test(holiday?.date || '') ? new Date(`${holiday.date}T00:00:00Z`) : null;
+      if (!parsed || isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== holiday.date) {
+        errors.push({ code: 'invalid_holiday', message: `Holiday ${index + 1}: date must be YYYY-MM-DD`, index });
+      }
+      return { date: holiday?.date, name: holiday?.name || '', recurring: !!holiday?.recurring };
+    });
+
+    const cooldown = parseInt(data.autoReplyCooldownHours ?? 12);
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > 168) {
+      errors.push({ code: 'invalid_cooldown', message: 'The auto-reply cooldown must be between 0 and 168 hours' });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Business hours are invalid', errors);
+    }
+
+    return {
+      timezone,
+      weeklyHours,
+      holidays,
+      autoReplyEnabled: !!data.autoReplyEnabled,
+      autoReplyMessage: data.autoReplyMessage || null,
+      autoReplyCooldownHours: cooldown,
+      handoffMessage: data.handoffMessage || null
+    };
+  }
+
+  /**
+   * Whether the organization is open at a moment (always open without a schedule)
+   */
+  isOpen(schedule, now = new Date()) {
+    if (!schedule) {
+      return true;
+    }
+
+    const parts = flowSchedulerService.getZonedParts(now, schedule.timezone);
+    if (this.isHoliday(schedule, parts)) {
+      return false;
+    }
+
+    const minutes = parts.hour * 60 + parts.minute;
+    const ranges = schedule.weeklyHours[parts.weekday.toLowerCase()] || [];
+    return ranges.some(range => minutes >= toMinutes(range.open) && minutes < toMinutes(range.close));
+  }
+
+  /**
+   * Next moment the organization opens (now when open, null when it never opens)
+   */
+  nextOpening(schedule, now = new Date()) {
+    if (this.isOpen(schedule, now)) {
+      return now;
+    }
+
+    const today = flowSchedulerService.getZonedParts(now, schedule.timezone);
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      // Noon avoids DST gaps when finding the day's date and weekday
+      const noon = flowSchedulerService.zonedTimeToUtc(
+        { year: today.year, month: today.month, day: today.day + offset, hour: 12 },
+        schedule.timezone
+      );
+      const day = flowSchedulerService.getZonedParts(noon, schedule.timezone);
+      if (this.isHoliday(schedule, day)) {
+        continue;
+      }
+
+      const ranges = [...(schedule.weeklyHours[day.weekday.toLowerCase()] || [])]
+        .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+      for (const range of ranges) {
+        const [hour, minute] = range.open.split(':').map(Number);
+        const opening = flowSchedulerService.zonedTimeToUtc(
+          { year: day.year, month: day.month, day: day.day, hour, minute },
+          schedule.timezone
+        );
+        if (opening > now) {
+          return opening;
+        }
+      }
+    }
+    return null;
+  }
+
+  isHoliday(schedule, parts) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    return schedule.holidays.some(holiday => (
+      holiday.recurring ? holiday.date?.slice(5) === date.slice(5) : holiday.date === date
+    ));
+  }
+
+  /**
+   * Opening time as customers read it, e.g. "on Monday at 09:00"
+   */
+  describeOpening(opening, schedule) {
+    if (!opening) {
+      return 'as soon as possible';
+    }
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone, weekday: 'long' }).format(opening);
+    const time = new Intl.DateTimeFormat('en-US', {
+      timeZone: schedule.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(opening);
+    return `on ${weekday} at ${time}`;
+  }
+
+  /**
+   * Open/closed now and the next opening, for the settings page and flows
+   */
+  async getStatus(organizationId, now = new Date()) {
+    const schedule = await this.getSchedule(organizationId);
+    const open = this.isOpen(schedule, now);
+    const nextOpening = open ? null : this.nextOpening(schedule, now);
+    return {
+      configured: !!schedule,
+      open,
+      timezone: schedule?.timezone || null,
+      nextOpening,
+      opensAt: open ? null : this.describeOpening(nextOpening, schedule)
+    };
+  }
+
+  /**
+   * Out-of-hours auto-reply for a contact, at most once per cooldown; returns the text or null
+   */
+  async claimAutoReply(contactId, organizationId) {
+    const schedule = await this.getSchedule(organizationId);
+    if (!schedule?.autoReplyEnabled || this.isOpen(schedule)) {
+      return null;
+    }
+
+    // The claim is atomic so two quick messages cannot both get the reply
+    const claimed = await query(
+      `UPDATE contacts SET out_of_hours_replied_at = NOW()
+       WHERE id = $1
+       AND (out_of_hours_replied_at IS NULL OR out_of_hours_replied_at <= NOW() - ($2 || ' hours')::INTERVAL)
+       RETURNING id`,
+      [contactId, String(schedule.autoReplyCooldownHours)]
+    );
+    if (claimed.rows.length === 0) {
+      return null;
+    }
+
+    const opening = this.nextOpening(schedule);
+    return templateService.render(schedule.autoReplyMessage, { opens_at: this.describeOpening(opening, schedule) });
+  }
+
+  /**
+   * Scheduled handoffs whose opening time arrived become pending for agents (run this in a worker)
+   */
+  async releaseDeferredHandoffs() {
+    const result = await query(
+      `UPDATE live_chat_sessions
+       SET status = 'pending', deferred_until = NULL, created_at = NOW()
+       WHERE status = 'scheduled' AND deferred_until <= NOW()
+       RETURNING contact_id`
+    );
+
+    if (result.rows.length > 0) {
+      logger.info(`Released ${result.rows.length} deferred handoff(s) to agents`);
+    }
+    return result.rows.length;
+  }
+}
+
+export default new BusinessHoursService();
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import businessHoursService from './businessHours.service.js';
+
+const weekday = [{ open: '09:00', close: '17:00' }];
+
+// Lisbon is on UTC in winter. Friday nights run past midnight, split into Friday and Saturday ranges.
+const schedule = {
+  timezone: 'Europe/Lisbon',
+  weeklyHours: {
+    mon: weekday,
+    tue: weekday,
+    wed: weekday,
+    thu: weekday,
+    fri: [{ open: '22:00', close: '23:59' }, { open: '09:00', close: '17:00' }],
+    sat: [{ open: '00:00', close: '02:00' }]
+  },
+  holidays: [
+    { date: '2025-12-25', name: 'Christmas', recurring: true },
+    { date: '2026-01-05', name: 'Stocktaking', recurring: false }
+  ]
+};
+
+const isOpen = at => businessHoursService.isOpen(schedule, new Date(at));
+const nextOpening = at => businessHoursService.nextOpening(schedule, new Date(at))?.toISOString() ?? null;
+
+test('isOpen follows the ranges of the local weekday, closing time excluded', () => {
+  assert.equal(isOpen('2026-01-02T08:59:00Z'), false);
+  assert.equal(isOpen('2026-01-02T09:00:00Z'), true);
+  assert.equal(isOpen('2026-01-02T16:59:00Z'), true);
+  assert.equal(isOpen('2026-01-02T17:00:00Z'), false);
+  assert.equal(businessHoursService.isOpen(null, new Date('2026-01-04T03:00:00Z')), true);
+});
+
+test('hours split across midnight stay open from Friday night into Saturday', () => {
+  assert.equal(isOpen('2026-01-02T21:59:00Z'), false);
+  assert.equal(isOpen('2026-01-02T23:30:00Z'), true);
+  assert.equal(isOpen('2026-01-03T00:00:00Z'), true);
+  assert.equal(isOpen('2026-01-03T01:59:00Z'), true);
+  assert.equal(isOpen('2026-01-03T02:00:00Z'), false);
+});
+
+test('holidays close the whole day, recurring ones every year', () => {
+  assert.equal(isOpen('2026-01-05T10:00:00Z'), false);
+  assert.equal(isOpen('2027-01-05T10:00:00Z'), true);
+  assert.equal(isOpen('2026-12-25T10:00:00Z'), false);
+  assert.equal(isOpen('2026-12-25T23:00:00Z'), false);
+  assert.equal(isOpen('2026-12-26T01:00:00Z'), true, 'the day after keeps its own hours');
+});
+
+test('nextOpening is now while open and otherwise the next range, skipping holidays', () => {
+  assert.equal(nextOpening('2026-01-02T10:00:00Z'), '2026-01-02T10:00:00.000Z');
+  assert.equal(nextOpening('2026-01-02T07:00:00Z'), '2026-01-02T09:00:00.000Z');
+  assert.equal(nextOpening('2026-01-02T17:30:00Z'), '2026-01-02T22:00:00.000Z');
+  // Saturday night: Sunday has no hours and Monday the 5th is a holiday
+  assert.equal(nextOpening('2026-01-03T02:30:00Z'), '2026-01-06T09:00:00.000Z');
+  // Christmas falls on a Friday: its night hours are skipped, Saturday's still open at midnight
+  assert.equal(nextOpening('2026-12-24T18:00:00Z'), '2026-12-26T00:00:00.000Z');
+});
+
+test('nextOpening uses the local date when it differs from the UTC one', () => {
+  const newYork = { timezone: 'America/New_York', weeklyHours: { mon: weekday, tue: weekday }, holidays: [] };
+
+  // Monday 20:00 in New York is already Tuesday in UTC
+  const opening = businessHoursService.nextOpening(newYork, new Date('2026-10-20T00:00:00Z'));
+  assert.equal(opening.toISOString(), '2026-10-20T13:00:00.000Z');
+  assert.equal(businessHoursService.describeOpening(opening, newYork), 'on Tuesday at 09:00');
+});
+
+test('a schedule without hours never opens', () => {
+  const closed = { timezone: 'Europe/Lisbon', weeklyHours: {}, holidays: [] };
+
+  assert.equal(businessHoursService.nextOpening(closed, new Date('2026-01-02T10:00:00Z')), null);
+  assert.equal(businessHoursService.describeOpening(null, closed), 'as soon as possible');
+});
+
+test('prepareSchedule lists every invalid range, holiday and setting', () => {
+  assert.throws(() => businessHoursService.prepareSchedule({
+    timezone: 'Mars/Olympus',
+    weeklyHours: { mon: [{ open: '9:00', close: '17:00' }], fri: [{ open: '22:00', close: '02:00' }], sat: 'all day' },
+    holidays: [{ date: '2026-02-30' }, { date: '25/12' }],
+    autoReplyCooldownHours: 200
+  }), (error) => {
+    assert.deepEqual(error.details.map(detail => detail.code), [
+      'invalid_timezone',
+      'invalid_time',
+      'invalid_range',
+      'invalid_day',
+      'invalid_holiday',
+      'invalid_holiday',
+      'invalid_cooldown'
+    ]);
+    return true;
+  });
+});
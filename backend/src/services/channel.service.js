@@ -0,0 +1,313 @@
+import { query } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import mediaService from './media.service.js';
+import whatsappService from './whatsapp.service.js';
+import whatsappCloudService from './whatsappCloud.service.js';
+import telegramService from './telegram.service.js';
+import webchatService from './webchat.service.js';
+import emailService from './email.service.js';
+
+export const DELIVERY_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// Contact columns an adapter may use as the recipient address
+const CONTACT_KEYS = ['phone', 'email', 'instagram_username', 'telegram_id', 'webchat_visitor_id'];
+// Addresses compared without case ("Ana@Example.com" is ana@example.com)
+const CASE_INSENSITIVE_KEYS = ['email'];
+
+/**
+ * Messaging channels behind one interface; the queue, flows and live chat only talk to this service.
+ *
+ * An adapter handles one channels.type and provides:
+ * - type, and contactKey: the contacts column holding the recipient address (e.g. "phone")
+ * - connect(channel, { io }), disconnect(channel)
+ * - sendText(channel, to, text), sendMedia(channel, to, { path, mimeType, caption, mediaType }),
+ *   sendVoice(channel, to, { path }); each resolves to { externalId } (the provider message id)
+ * - optionally sendInteractive(channel, to, { text, interactive }) for native buttons and lists,
+ *   prepareCredentials(input) to validate and store credentials of new channels, and for
+ *   webhook channels describeWebhook(channel), verifyWebhook(channel, query) (GET handshake),
+ *   authenticateWebhook(channel, req) and handleWebhook(channel, body), describeWidget(channel)
+ *   for channels embedded in a website, and resume(channel) to restart background work (e.g. long
+ *   polling) of a channel still connected when the server starts
+ *
+ * Adapters pass inbound messages to receive() and delivery receipts to updateDeliveryStatus().
+ */
+class ChannelService {
+  constructor() {
+    this.adapters = new Map();
+    this.io = null;
+
+    this.register(whatsappService);
+    this.register(whatsappCloudService);
+    this.register(telegramService);
+    this.register(webchatService);
+    this.register(emailService);
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.type, adapter);
+  }
+
+  supports(type) {
+    return this.adapters.has(type);
+  }
+
+  getAdapter(type) {
+    const adapter = this.adapters.get(type);
+    if (!adapter) {
+      throw new ValidationError(`Channel type "${type}" is not supported`, [
+        { code: 'unsupported_channel', message: `Supported types: ${[...this.adapters.keys()].join(', ')}` }
+      ]);
+    }
+    return adapter;
+  }
+
+  async getChannel(channelId) {
+    const result = await query('SELECT * FROM channels WHERE id = $1', [channelId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a channel; credentials are validated and stored by the adapter
+   */
+  async create(organizationId, { type, name, phoneNumber = null, credentials = {} }) {
+    const adapter = this.getAdapter(type);
+    const stored = adapter.prepareCredentials ? adapter.prepareCredentials(credentials) : {};
+
+    const result = await query(
+      `INSERT INTO channels (organization_id, type, name, phone_number, status, credentials)
+       VALUES ($1, $2, $3, $4, 'disconnected', $5) RETURNING *`,
+      [organizationId, type, name, phoneNumber, JSON.stringify(stored)]
+    );
+    return this.describe(result.rows[0]);
+  }
+
+  /**
+   * Channel as the API returns it: no credentials, plus webhook settings for webhook channels
+   * and the embed snippet for widget channels
+   */
+  describe(channel) {
+    const { credentials: _credentials, qr_code: _qrCode, ...visible } = channel;
+    const adapter = this.adapters.get(channel.type);
+    return {
+      ...visible,
+      ...(adapter?.describeWebhook && { webhook: adapter.describeWebhook(channel) }),
+      ...(adapter?.describeWidget && { widget: adapter.describeWidget(channel) })
+    };
+  }
+
+  /**
+   * Resume channels left connected by the previous server process; runs once at startup
+   */
+  async resumeConnected() {
+    const types = [...this.adapters.values()].filter(adapter => adapter.resume).map(adapter => adapter.type);
+    const result = await query(
+      `SELECT * FROM channels
+       WHERE status = 'connected' AND type = ANY($1)`,
+      [types]
+    );
+
+    for (const channel of result.rows) {
+      try {
+        await this.getAdapter(channel.type).resume(channel);
+      } catch (error) {
+        logger.error(`Could not resume ${channel.type} channel ${channel.id}:`, error);
+      }
+    }
+  }
+
+  async connect(channel, io) {
+    this.io = io;
+    await this.getAdapter(channel.type).connect(channel, { io });
+  }
+
+  async disconnect(channel) {
+    await this.getAdapter(channel.type).disconnect(channel);
+  }
+
+  /**
+   * Contact with the channel_id and delivery_channel_type replies go out on (null without a connected
+   * channel): the channel the contact last wrote on, otherwise a connected channel of its type
+   */
+  async getContactChannel(contactId, organizationId = null) {
+    const params = [contactId];
+    if (organizationId) {
+      params.push(organizationId);
+    }
+
+    const result = await query(
+      `SELECT c.*, ch.id AS channel_id, ch.type AS delivery_channel_type
+       FROM contacts c
+       LEFT JOIN LATERAL (
+         SELECT id, type FROM channels
+         WHERE organization_id = c.organization_id AND status = 'connected'
+         AND (id = c.last_channel_id OR type = c.channel_type)
+         ORDER BY CASE WHEN id = c.last_channel_id THEN 0 ELSE 1 END, id
+         LIMIT 1
+       ) ch ON true
+       WHERE c.id = $1 ${organizationId ? 'AND c.organization_id = $2' : ''}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Send to a contact through a channel's adapter; message: { text, mediaType, mediaUrl, mimeType, interactive }
+   * (mediaUrl is a local file path). Resolves to { externalId }.
+   */
+  async send(channelId, contactId, message) {
+    const channel = await this.getChannel(channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} not found`);
+    }
+
+    const adapter = this.getAdapter(channel.type);
+    const contact = await query('SELECT * FROM contacts WHERE id = $1', [contactId]);
+    const to = contact.rows[0]?.[adapter.contactKey];
+    if (!to) {
+      throw new Error(`Contact ${contactId} has no ${adapter.contactKey} to reach on ${channel.type}`);
+    }
+
+    if (message.mediaType === 'voice') {
+      return adapter.sendVoice(channel, to, { path: message.mediaUrl });
+    }
+    if (message.mediaUrl) {
+      return adapter.sendMedia(channel, to, {
+        path: message.mediaUrl,
+        mimeType: message.mimeType || null,
+        caption: message.text || '',
+        mediaType: message.mediaType || null
+      });
+    }
+    if (message.interactive && adapter.sendInteractive) {
+      return adapter.sendInteractive(channel, to, { text: message.text, interactive: message.interactive });
+    }
+    return adapter.sendText(channel, to, message.text);
+  }
+
+  /**
+   * Store an inbound message and route it to live chat, a waiting flow or the triggers.
+   * from: { address, name }; media: { data (Buffer), mimeType, type?, fileName? }; metadata is
+   * stored with the message (e.g. email subject and references). Resolves to the routing result
+   * plus the stored message.
+   */
+  async receive({ channel, from, text = '', externalId = null, media = null, metadata = null }) {
+    const adapter = this.getAdapter(channel.type);
+    const contact = await this.findOrCreateContact(channel, adapter.contactKey, from);
+
+    let mediaType = 'text';
+    let saved = null;
+    let inboundMedia = null;
+    if (media) {
+      const baseMimeType = media.mimeType.split(';')[0].trim();
+      mediaType = media.type || mediaService.getFileType(baseMimeType);
+      saved = await mediaService.saveFile(
+        media.data,
+        media.fileName || `received_${Date.now()}${mediaService.getExtensionFromMimetype(baseMimeType) || '.dat'}`,
+        media.mimeType,
+        channel.organization_id,
+        null
+      );
+      inboundMedia = mediaService.toFlowMedia(saved, { type: mediaType, caption: text });
+    }
+
+    const stored = await query(
+      `INSERT INTO messages
+       (contact_id, channel_id, content, type, message_id, media_type, media_url, media_filename, media_mimetype,
+        metadata, created_at)
+       VALUES ($1, $2, $3, 'inbound', $4, $5, $6, $7, $8, $9, NOW())
+       RETURNING *`,
+      [
+        contact.id,
+        channel.id,
+        text,
+        externalId,
+        mediaType,
+        saved?.file_path || null,
+        saved?.file_name || null,
+        media?.mimeType || null,
+        JSON.stringify(metadata || {})
+      ]
+    );
+
+    const message = stored.rows[0];
+    this.io?.to(`org-${channel.organization_id}`).emit('new_message', { message });
+
+    logger.info(`Received ${mediaType} message on ${channel.type} channel ${channel.id} from ${from.address}: ${text || '[media]'}`);
+
+    const { default: inboundRouterService } = await import('./inboundRouter.service.js');
+    const routed = await inboundRouterService.route({
+      contactId: contact.id,
+      message: text || '[media]',
+      organizationId: channel.organization_id,
+      media: inboundMedia
+    });
+    return { ...routed, message };
+  }
+
+  async findOrCreateContact(channel, contactKey, from) {
+    if (!CONTACT_KEYS.includes(contactKey)) {
+      throw new Error(`Unknown contact key "${contactKey}"`);
+    }
+
+    const caseInsensitive = CASE_INSENSITIVE_KEYS.includes(contactKey);
+    const existing = await query(
+      `SELECT * FROM contacts
+       WHERE organization_id = $1 AND ${caseInsensitive ? `LOWER(${contactKey}) = LOWER($2)` : `${contactKey} = $2`}
+       ORDER BY id
+       LIMIT 1`,
+      [channel.organization_id, from.address]
+    );
+
+    if (existing.rows.length > 0) {
+      const contact = existing.rows[0];
+      if (contact.last_channel_id !== channel.id) {
+        await query('UPDATE contacts SET last_channel_id = $1 WHERE id = $2', [channel.id, contact.id]);
+      }
+      return contact;
+    }
+
+    const created = await query(
+      `INSERT INTO contacts (organization_id, ${contactKey}, name, channel_type, last_channel_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [channel.organization_id, from.address, from.name || from.address, channel.type, channel.id]
+    );
+    return created.rows[0];
+  }
+
+  /**
+   * Record a delivery receipt for a sent message (status: sent, delivered, read or failed)
+   */
+  async updateDeliveryStatus(channelId, externalId, status, errorMessage = null) {
+    if (!DELIVERY_STATUSES.includes(status) || status === 'sent' || !externalId) {
+      return null;
+    }
+
+    const result = await query(
+      `UPDATE messages m
+       SET delivered_at = CASE WHEN $3 IN ('delivered', 'read') THEN COALESCE(m.delivered_at, NOW()) ELSE m.delivered_at END,
+           read_at = CASE WHEN $3 = 'read' THEN COALESCE(m.read_at, NOW()) ELSE m.read_at END,
+           failed_at = CASE WHEN $3 = 'failed' THEN NOW() ELSE m.failed_at END,
+           error_message = CASE WHEN $3 = 'failed' THEN $4 ELSE m.error_message END
+       FROM channels ch
+       WHERE m.channel_id = $1 AND m.message_id = $2 AND m.type <> 'inbound' AND ch.id = m.channel_id
+       RETURNING m.id, m.contact_id, ch.organization_id`,
+      [channelId, externalId, status, errorMessage]
+    );
+
+    const message = result.rows[0];
+    if (message && this.io) {
+      this.io.to(`org-${message.organization_id}`).emit('message_status', {
+        messageId: message.id,
+        contactId: message.contact_id,
+        status
+      });
+    }
+    return message || null;
+  }
+}
+
+export default new ChannelService();
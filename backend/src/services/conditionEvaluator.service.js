@@ -0,0 +1,261 @@
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+import flowSchedulerService from './flowScheduler.service.js';
+import safeRegexService from './safeRegex.service.js';
+
+class ConditionEvaluatorService {
+
+  /**
+   * Build the evaluation context for one contact/flow.
+   * Contact data (tags, score, custom fields) is loaded lazily and only once.
+   */
+  createContext({ contactId, flowId, variables = {}, timezone, now = new Date() }) {
+    return { contactId, flowId, variables, timezone, now, cache: {} };
+  }
+
+  /**
+   * Evaluate a list of conditions combined with AND ("all") or OR ("any")
+   */
+  async evaluateGroup(conditions = [], match = 'all', context) {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      return false;
+    }
+
+    for (const condition of conditions) {
+      const result = await this.evaluate(condition, context);
+      if (match === 'any' && result) {
+        return true;
+      }
+      if (match !== 'any' && !result) {
+        return false;
+      }
+    }
+    return match !== 'any';
+  }
+
+  /**
+   * Evaluate a single condition
+   *
+   * Condition shape:
+   * - source: variable|tags|score|field|time|weekday (default variable)
+   * - variable: flow variable name (source variable) or custom field path (source field)
+   * - operator: equals|not-equals|contains|starts-with|greater|less|between|regex|in-list|is-empty|is-not-empty|has-tag
+   * - value / valueTo: operands (valueTo is the upper bound for between)
+   * - timezone: for time and weekday sources
+   */
+  async evaluate(condition = {}, context) {
+    try {
+      const operator = condition.operator || 'equals';
+
+      if (operator === 'has-tag') {
+        const tags = await this.getTags(context);
+        return tags.includes(this.normalize(condition.value));
+      }
+
+      const actual = await this.resolveValue(condition, context);
+      return this.compare(actual, operator, condition);
+    } catch (error) {
+      logger.error('Error evaluating condition:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Value on the left-hand side of a condition
+   */
+  async resolveValue(condition, context) {
+    switch (condition.source || 'variable') {
+      case 'tags':
+        return this.getTags(context);
+
+      case 'score':
+        return this.getScore(context);
+
+      case 'field': {
+        const fields = await this.getCustomFields(context);
+        return this.getPath(fields, condition.variable || condition.field);
+      }
+
+      case 'time': {
+        const parts = flowSchedulerService.getZonedParts(context.now, this.getTimezone(condition, context));
+        return `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+      }
+
+      case 'weekday': {
+        const parts = flowSchedulerService.getZonedParts(context.now, this.getTimezone(condition, context));
+        return parts.weekday.toLowerCase();
+      }
+
+      case 'variable':
+      default:
+        return this.getPath(context.variables, condition.variable);
+    }
+  }
+
+  compare(actual, operator, condition) {
+    const { value, valueTo } = condition;
+    const isTime = condition.source === 'time';
+    // Tags (and array variables) match when any element does
+    const values = Array.isArray(actual) ? actual.map(v => this.normalize(v)) : [this.normalize(actual)];
+    const expected = this.normalize(value);
+
+    switch (operator) {
+      case 'equals':
+        return values.includes(expected);
+
+      case 'not-equals':
+        return !values.includes(expected);
+
+      case 'contains':
+        return Array.isArray(actual)
+          ? values.includes(expected)
+          : expected !== '' && values[0].includes(expected);
+
+      case 'starts-with':
+        return expected !== '' && values.some(v => v.startsWith(expected));
+
+      case 'in-list': {
+        const list = this.parseList(value);
+        return values.some(v => list.includes(v));
+      }
+
+      case 'is-empty':
+        return this.isEmpty(actual);
+
+      case 'is-not-empty':
+        return !this.isEmpty(actual);
+
+      case 'regex':
+        return this.testRegex(actual, value, condition.flags);
+
+      case 'greater':
+      case 'less':
+      case 'between': {
+        const number = this.toNumber(actual, isTime);
+        const low = this.toNumber(value, isTime);
+        if (number === null || low === null) {
+          return false;
+        }
+        if (operator === 'greater') {
+          return number > low;
+        }
+        if (operator === 'less') {
+          return number < low;
+        }
+
+        const high = this.toNumber(valueTo, isTime);
+        if (high === null) {
+          return false;
+        }
+        // Time ranges may wrap midnight ("22:00" to "06:00")
+        return isTime && low > high
+          ? number >= low || number <= high
+          : number >= low && number <= high;
+      }
+
+      default:
+        logger.warn(`Unknown condition operator: ${operator}`);
+        return false;
+    }
+  }
+
+  normalize(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return String(value).trim().toLowerCase();
+  }
+
+  isEmpty(value) {
+    if (Array.isArray(value)) {
+      return value.length === 0;
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).length === 0;
+    }
+    return this.normalize(value) === '';
+  }
+
+  parseList(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return list.map(item => this.normalize(item)).filter(Boolean);
+  }
+
+  /**
+   * Numbers, or minutes since midnight for "HH:mm" when comparing times
+   */
+  toNumber(value, isTime = false) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    if (isTime) {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+      return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    }
+    const number = parseFloat(String(value).trim().replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+  }
+
+  testRegex(actual, pattern, flags = 'i') {
+    if (!pattern) {
+      return false;
+    }
+    const input = Array.isArray(actual) ? actual.join(',') : String(actual ?? '');
+    // Invalid or unsafe patterns (null) never match
+    return safeRegexService.test(pattern, flags, input) === true;
+  }
+
+  /**
+   * Read a dotted path ("address.city") from an object
+   */
+  getPath(source, path) {
+    if (!path) {
+      return undefined;
+    }
+    return String(path).split('.').reduce(
+      (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+      source
+    );
+  }
+
+  getTimezone(condition, context) {
+    return condition.timezone || context.timezone || config.flows.defaultTimezone;
+  }
+
+  async getTags(context) {
+    if (!context.cache.tags) {
+      const result = await query(
+        'SELECT tag_name FROM contact_tags WHERE contact_id = $1',
+        [context.contactId]
+      );
+      context.cache.tags = result.rows.map(row => this.normalize(row.tag_name));
+    }
+    return context.cache.tags;
+  }
+
+  async getScore(context) {
+    if (context.cache.score === undefined) {
+      const result = await query(
+        'SELECT engagement_score FROM flow_states WHERE contact_id = $1 AND flow_id = $2',
+        [context.contactId, context.flowId]
+      );
+      context.cache.score = result.rows[0]?.engagement_score ?? 50;
+    }
+    return context.cache.score;
+  }
+
+  async getCustomFields(context) {
+    if (!context.cache.customFields) {
+      const result = await query(
+        'SELECT custom_fields FROM contacts WHERE id = $1',
+        [context.contactId]
+      );
+      const raw = result.rows[0]?.custom_fields;
+      context.cache.customFields = (typeof raw === 'string' ? JSON.parse(raw) : raw) || {};
+    }
+    return context.cache.customFields;
+  }
+}
+
+export default new ConditionEvaluatorService();
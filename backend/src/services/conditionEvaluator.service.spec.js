@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockQuery } from '../test/harness.js';
+
+const { default: conditionEvaluatorService } = await import('./conditionEvaluator.service.js');
+
+const queries = [];
+await mockQuery((sql) => {
+  queries.push(sql);
+  if (sql.includes('FROM contact_tags')) {
+    return [{ tag_name: 'VIP' }, { tag_name: 'lead' }];
+  }
+  if (sql.includes('engagement_score')) {
+    return [{ engagement_score: 72 }];
+  }
+  if (sql.includes('custom_fields')) {
+    return [{ custom_fields: JSON.stringify({ plan: 'Pro', address: { city: 'Porto' } }) }];
+  }
+  return [];
+});
+
+beforeEach(() => {
+  queries.length = 0;
+});
+
+const context = (options = {}) => conditionEvaluatorService.createContext({ contactId: 1, flowId: 2, ...options });
+
+test('variable conditions compare case-insensitively, by dotted path and by list', async () => {
+  const ctx = context({ variables: { name: ' Ana ', order: { total: '12,5' }, answers: ['Yes', 'later'] } });
+  const check = (condition) => conditionEvaluatorService.evaluate(condition, ctx);
+
+  assert.equal(await check({ variable: 'name', operator: 'equals', value: 'ana' }), true);
+  assert.equal(await check({ variable: 'name', operator: 'starts-with', value: 'an' }), true);
+  assert.equal(await check({ variable: 'name', operator: 'contains', value: '' }), false);
+  assert.equal(await check({ variable: 'order.total', operator: 'between', value: 10, valueTo: 20 }), true);
+  assert.equal(await check({ variable: 'order.total', operator: 'greater', value: 'abc' }), false);
+  assert.equal(await check({ variable: 'answers', operator: 'contains', value: 'YES' }), true);
+  assert.equal(await check({ variable: 'answers', operator: 'in-list', value: 'no, later' }), true);
+  assert.equal(await check({ variable: 'missing', operator: 'is-empty' }), true);
+  assert.equal(await check({ variable: 'order.total', operator: 'regex', value: '^\\d+,\\d$' }), true);
+  assert.equal(await check({ variable: 'name', operator: 'regex', value: '(a+)+$' }), false);
+  assert.equal(await check({ variable: 'name', operator: 'sounds-like', value: 'anna' }), false);
+});
+
+test('tags, score and custom fields are loaded once per context', async () => {
+  const ctx = context();
+  const check = (condition) => conditionEvaluatorService.evaluate(condition, ctx);
+
+  assert.equal(await check({ operator: 'has-tag', value: 'vip' }), true);
+  assert.equal(await check({ source: 'tags', operator: 'in-list', value: 'customer, lead' }), true);
+  assert.equal(await check({ source: 'tags', operator: 'equals', value: 'churned' }), false);
+  assert.equal(await check({ source: 'score', operator: 'greater', value: 70 }), true);
+  assert.equal(await check({ source: 'field', variable: 'address.city', operator: 'equals', value: 'porto' }), true);
+  assert.equal(await check({ source: 'field', variable: 'plan', operator: 'not-equals', value: 'free' }), true);
+
+  assert.equal(queries.length, 3);
+});
+
+test('time and weekday conditions use the local time, and time ranges may wrap midnight', async () => {
+  // Saturday 23:30 in Lisbon, already Sunday in Tokyo
+  const ctx = context({ timezone: 'Europe/Lisbon', now: new Date('2026-01-03T23:30:00Z') });
+  const check = (condition) => conditionEvaluatorService.evaluate(condition, ctx);
+
+  assert.equal(await check({ source: 'time', operator: 'between', value: '22:00', valueTo: '06:00' }), true);
+  assert.equal(await check({ source: 'time', operator: 'between', value: '09:00', valueTo: '17:00' }), false);
+  assert.equal(await check({ source: 'time', operator: 'greater', value: '23:00' }), true);
+  assert.equal(await check({ source: 'weekday', operator: 'in-list', value: 'sat,sun' }), true);
+  assert.equal(await check({ source: 'weekday', operator: 'equals', value: 'sun', timezone: 'Asia/Tokyo' }), true);
+});
+
+test('groups combine conditions with all or any, and an empty group is false', async () => {
+  const ctx = context({ variables: { plan: 'pro', country: 'PT' } });
+  const isPro = { variable: 'plan', operator: 'equals', value: 'pro' };
+  const isBrazil = { variable: 'country', operator: 'equals', value: 'br' };
+
+  assert.equal(await conditionEvaluatorService.evaluateGroup([isPro, isBrazil], 'all', ctx), false);
+  assert.equal(await conditionEvaluatorService.evaluateGroup([isPro, isBrazil], 'any', ctx), true);
+  assert.equal(await conditionEvaluatorService.evaluateGroup([], 'any', ctx), false);
+});
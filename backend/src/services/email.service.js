@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import addressparser from 'nodemailer/lib/addressparser';
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import secretsService from './secrets.service.js';
+import templateService from './template.service.js';
+
+export const INBOUND_MODES = ['imap', 'webhook'];
+
+const DEFAULT_SUBJECT = 'Message from {{from_name | default: "us"}}';
+const MAX_REFERENCES = 10;
+
+// Values are HTML-escaped; content keeps its line breaks through white-space: pre-wrap
+const DEFAULT_HTML_TEMPLATE = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <div style="font-size:15px;line-height:1.5;color:#222222;white-space:pre-wrap;">{{content}}</div>
+    <div style="margin-top:24px;font-size:12px;color:#888888;">{{from_name}}</div>
+  </div>
+</body>
+</html>`;
+
+// Reply headers that start the quoted previous message
+const QUOTE_MARKERS = [/^On .+wrote:\s*$/i, /^-{2,}\s*Original Message\s*-{2,}/i, /^From: .+/];
+
+/**
+ * Email channel adapter (see channel.service.js for the interface).
+ *
+ * Credentials: smtp { host, port, secure, user, password }, fromAddress, fromName, subject and
+ * htmlTemplate (both templates, see template.service.js), and inbound mode "imap" (imap { host,
+ * port, secure, user, password, mailbox }, checked every EMAIL_IMAP_POLL_INTERVAL_SECONDS) or
+ * "webhook" (an inbound-mail service POSTs to /api/channels/:id/webhook with the webhookSecret).
+ * Passwords are stored encrypted. Replies carry In-Reply-To/References of the contact's last
+ * email, and inbound mail referencing a sent email threads into that contact. For local testing
+ * point smtp and imap at a stand-in such as GreenMail or Mailpit with secure: false.
+ */
+class EmailService {
+  constructor() {
+    this.type = 'email';
+    this.contactKey = 'email';
+    // channelId -> nodemailer transport
+    this.transports = new Map();
+    // channelId -> { active, timer } of running IMAP polls
+    this.pollers = new Map();
+  }
+
+  /**
+   * Credentials to store for a new channel; throws a ValidationError when they are unusable
+   */
+  prepareCredentials(input = {}) {
+    const errors = [];
+    const mode = input.mode || 'imap';
+    if (!input.smtp?.host) {
+      errors.push({ code: 'missing_credential', message: 'smtp.host is required', field: 'smtp.host' });
+    }
+    if (!input.fromAddress) {
+      errors.push({ code: 'missing_credential', message: 'fromAddress is required', field: 'fromAddress' });
+    }
+    if (!INBOUND_MODES.includes(mode)) {
+      errors.push({ code: 'invalid_mode', message: `mode must be one of: ${INBOUND_MODES.join(', ')}`, field: 'mode' });
+    }
+    if (mode === 'imap' && !input.imap?.host) {
+      errors.push({ code: 'missing_credential', message: 'imap.host is required in imap mode', field: 'imap.host' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Email channel settings are invalid', errors);
+    }
+
+    return {
+      smtp: this.prepareServer(input.smtp, 587),
+      imap: mode === 'imap' ? { ...this.prepareServer(input.imap, 993), mailbox: input.imap.mailbox || 'INBOX' } : null,
+      mode,
+      fromAddress: input.fromAddress,
+      fromName: input.fromName || '',
+      subject: input.subject || DEFAULT_SUBJECT,
+      htmlTemplate: input.htmlTemplate || null,
+      webhookSecret: crypto.randomBytes(24).toString('hex')
+    };
+  }
+
+  prepareServer(server, defaultPort) {
+    const port = parseInt(server.port) || defaultPort;
+    return {
+      host: server.host,
+      port,
+      secure: server.secure ?? [465, 993].includes(port),
+      user: server.user || null,
+      password: server.password ? secretsService.encrypt(server.password) : null
+    };
+  }
+
+  getCredentials(channel) {
+    const credentials = typeof channel.credentials === 'string' ? JSON.parse(channel.credentials) : channel.credentials || {};
+    const decrypt = server => server && {
+      ...server,
+      password: server.password ? secretsService.decrypt(server.password) : null
+    };
+    return { ...credentials, smtp: decrypt(credentials.smtp), imap: decrypt(credentials.imap) };
+  }
+
+  describeWebhook(channel) {
+    const { mode, webhookSecret } = this.getCredentials(channel);
+    return mode === 'webhook'
+      ? { mode, url: `${config.apiUrl}/api/channels/${channel.id}/webhook`, secretHeader: 'X-Webhook-Secret', secret: webhookSecret }
+      : { mode, url: null };
+  }
+
+  /**
+   * Check the SMTP and IMAP logins, then start checking the mailbox in imap mode
+   */
+  async connect(channel, { io }) {
+    const { mode, fromAddress } = this.getCredentials(channel);
+    try {
+      await this.getTransport(channel).verify();
+      if (mode === 'imap') {
+        await this.withMailbox(channel, () => null);
+        this.startPolling(channel);
+      }
+
+      await query(
+        'UPDATE channels SET status = $1, phone_number = $2, updated_at = NOW() WHERE id = $3',
+        ['connected', fromAddress, channel.id]
+      );
+
+      io?.to(`org-${channel.organization_id}`).emit('channel_connected', { channelId: channel.id, status: 'connected' });
+      logger.info(`Email channel ${channel.id} connected as ${fromAddress} (${mode})`);
+    } catch (error) {
+      this.closeTransport(channel.id);
+      this.stopPolling(channel.id);
+      await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['error', channel.id]);
+      throw error;
+    }
+  }
+
+  async disconnect(channel) {
+    this.stopPolling(channel.id);
+    this.closeTransport(channel.id);
+    await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['disconnected', channel.id]);
+    logger.info(`Email channel ${channel.id} disconnected`);
+  }
+
+  getTransport(channel) {
+    if (!this.transports.has(channel.id)) {
+      const { smtp } = this.getCredentials(channel);
+      this.transports.set(channel.id, nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        ...(smtp.user && { auth: { user: smtp.user, pass: smtp.password } })
+      }));
+    }
+    return this.transports.get(channel.id);
+  }
+
+  closeTransport(channelId) {
+    this.transports.get(channelId)?.close();
+    this.transports.delete(channelId);
+  }
+
+  /**
+   * Restart checking the IMAP mailbox after a server restart (webhook mode needs nothing)
+   */
+  resume(channel) {
+    if (this.getCredentials(channel).mode === 'imap') {
+      this.startPolling(channel);
+      logger.info(`Email mailbox polling resumed for channel ${channel.id}`);
+    }
+  }
+
+  startPolling(channel) {
+    this.stopPolling(channel.id);
+    const poller = { active: true, timer: null };
+    this.pollers.set(channel.id, poller);
+
+    const poll = async () => {
+      try {
+        await this.checkMailbox(channel);
+      } catch (error) {
+        logger.error(`Email mailbox check failed for channel ${channel.id}:`, error);
+      }
+      if (poller.active) {
+        poller.timer = setTimeout(poll, config.email.imapPollIntervalSeconds * 1000);
+      }
+    };
+    poll();
+  }
+
+  stopPolling(channelId) {
+    const poller = this.pollers.get(channelId);
+    if (poller) {
+      poller.active = false;
+      clearTimeout(poller.timer);
+      this.pollers.delete(channelId);
+    }
+  }
+
+  /**
+   * Pass unread mail of the IMAP mailbox to the channel layer and mark it read
+   */
+  checkMailbox(channel) {
+    return this.withMailbox(channel, async (client) => {
+      const unseen = await client.search({ seen: false }, { uid: true });
+      for (const uid of unseen || []) {
+        try {
+          const message = await client.fetchOne(uid, { source: true }, { uid: true });
+          await this.handleMail(channel, await simpleParser(message.source));
+        } catch (error) {
+          logger.error(`Error handling email ${uid} of channel ${channel.id}:`, error);
+        }
+        // Also when handling failed, so one broken email is not retried forever
+        await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+      }
+    });
+  }
+
+  /**
+   * Log in to the IMAP server and run fn(client) with the channel's mailbox open
+   */
+  async withMailbox(channel, fn) {
+    const { imap } = this.getCredentials(channel);
+    const client = new ImapFlow({
+      host: imap.host,
+      port: imap.port,
+      secure: imap.secure,
+      auth: { user: imap.user, pass: imap.password },
+      logger: false
+    });
+
+    await client.connect();
+    try {
+      const lock = await client.getMailboxLock(imap.mailbox);
+      try {
+        return await fn(client);
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout();
+    }
+  }
+
+  /**
+   * Whether an inbound-mail webhook carries the channel's secret in X-Webhook-Secret (a query
+   * string would end up in access logs)
+   */
+  authenticateWebhook(channel, req) {
+    const { webhookSecret } = this.getCredentials(channel);
+    const received = Buffer.from(String(req.get('x-webhook-secret') || ''));
+    const expected = Buffer.from(webhookSecret || '');
+    // Byte lengths: a non-ASCII header of the same string length would make timingSafeEqual throw
+    return !!webhookSecret && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Inbound-mail webhook: { raw } with the MIME source, or parsed fields { from, subject, text,
+   * html, messageId, inReplyTo, references, attachments: [{ filename, contentType, content (base64) }] }
+   */
+  async handleWebhook(channel, body = {}) {
+    const mail = body.raw ? await simpleParser(body.raw) : this.normalizeWebhookMail(body);
+    return this.handleMail(channel, mail);
+  }
+
+  /**
+   * Parsed webhook fields in the shape simpleParser returns
+   */
+  normalizeWebhookMail(body) {
+    const [sender] = addressparser(String(body.from || ''));
+    const references = typeof body.references === 'string' ? body.references.split(/\s+/) : body.references;
+    return {
+      from: sender?.address ? { value: [{ address: sender.address, name: sender.name }] } : null,
+      subject: body.subject || '',
+      text: body.text || this.htmlToText(body.html || ''),
+      messageId: body.messageId || null,
+      inReplyTo: body.inReplyTo || null,
+      references: (references || []).filter(Boolean),
+      headers: new Map(Object.entries(body.headers || {}).map(([name, value]) => [name.toLowerCase(), value])),
+      attachments: (body.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType || 'application/octet-stream',
+        content: Buffer.from(attachment.content || '', 'base64')
+      }))
+    };
+  }
+
+  htmlToText(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Store an inbound email as a message of the sender's contact (or of the contact a referenced
+   * sent email went to). Auto-replies and our own mail are skipped so two mailboxes cannot loop.
+   */
+  async handleMail(channel, mail) {
+    const { fromAddress } = this.getCredentials(channel);
+    const sender = mail.from?.value?.[0];
+    const address = sender?.address?.toLowerCase();
+    const autoSubmitted = mail.headers?.get?.('auto-submitted');
+    const precedence = mail.headers?.get?.('precedence');
+
+    if (!address || address === fromAddress.toLowerCase()) {
+      return null;
+    }
+    if ((autoSubmitted && autoSubmitted !== 'no') || ['bulk', 'junk', 'list'].includes(precedence)) {
+      logger.info(`Skipping auto-submitted email ${mail.messageId} on channel ${channel.id}`);
+      return null;
+    }
+
+    const references = [].concat(mail.references || [], mail.inReplyTo || []).filter(Boolean);
+    const threadAddress = await this.findThreadAddress(channel, references);
+    const attachments = mail.attachments || [];
+    if (attachments.length > 1) {
+      logger.warn(`Email ${mail.messageId} has ${attachments.length} attachments; only the first is kept`);
+    }
+
+    const { default: channelService } = await import('./channel.service.js');
+    return channelService.receive({
+      channel,
+      from: { address: threadAddress || address, name: sender.name || address },
+      text: this.stripQuotedReply(mail.text || ''),
+      externalId: mail.messageId || null,
+      media: attachments[0]
+        ? { data: attachments[0].content, mimeType: attachments[0].contentType, fileName: attachments[0].filename }
+        : null,
+      metadata: { subject: mail.subject || '', references }
+    });
+  }
+
+  /**
+   * Email address of the contact a referenced sent email went to
+   */
+  async findThreadAddress(channel, references) {
+    if (references.length === 0) {
+      return null;
+    }
+    const result = await query(
+      `SELECT c.email FROM messages m
+       JOIN contacts c ON c.id = m.contact_id
+       WHERE m.channel_id = $1 AND m.message_id = ANY($2) AND m.type <> 'inbound' AND c.email IS NOT NULL
+       ORDER BY m.created_at DESC
+       LIMIT 1`,
+      [channel.id, references]
+    );
+    return result.rows[0]?.email || null;
+  }
+
+  /**
+   * New text of a reply, without the quoted previous message (all of it when nothing is left)
+   */
+  stripQuotedReply(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const end = lines.findIndex(line => line.startsWith('>') || QUOTE_MARKERS.some(marker => marker.test(line.trim())));
+    const reply = (end === -1 ? lines : lines.slice(0, end)).join('\n').trim();
+    return reply || text.trim();
+  }
+
+  /**
+   * The contact an email goes to, and the thread of its last inbound email on this channel
+   * ({ messageId, subject, references }, or null when it never wrote)
+   */
+  async findReplyThread(channel, to) {
+    const result = await query(
+      `SELECT c.id, c.name, c.email, t.message_id AS thread_message_id, t.metadata AS thread_metadata
+       FROM contacts c
+       LEFT JOIN LATERAL (
+         SELECT m.message_id, m.metadata FROM messages m
+         WHERE m.contact_id = c.id AND m.channel_id = $1 AND m.type = 'inbound' AND m.message_id IS NOT NULL
+         ORDER BY m.created_at DESC
+         LIMIT 1
+       ) t ON true
+       WHERE c.organization_id = $2 AND LOWER(c.email) = LOWER($3)
+       LIMIT 1`,
+      [channel.id, channel.organization_id, to]
+    );
+    const contact = result.rows[0] || {};
+    if (!contact.thread_message_id) {
+      return { contact, thread: null };
+    }
+
+    const metadata = typeof contact.thread_metadata === 'string' ? JSON.parse(contact.thread_metadata) : contact.thread_metadata;
+    return {
+      contact,
+      thread: { messageId: contact.thread_message_id, subject: metadata?.subject || '', references: metadata?.references || [] }
+    };
+  }
+
+  sendText(channel, to, text) {
+    return this.sendMail(channel, to, { text });
+  }
+
+  sendMedia(channel, to, { path: mediaPath, mimeType = null, caption = '' }) {
+    return this.sendMail(channel, to, {
+      text: caption,
+      attachments: [{ path: mediaPath, filename: path.basename(mediaPath), ...(mimeType && { contentType: mimeType }) }]
+    });
+  }
+
+  sendVoice(channel, to, { path: audioPath }) {
+    return this.sendMail(channel, to, { text: '', attachments: [{ path: audioPath, filename: path.basename(audioPath) }] });
+  }
+
+  /**
+   * Send text (and attachments) as a templated HTML email. Continues the thread of the contact's
+   * last inbound email on this channel; otherwise the channel's subject template is used.
+   */
+  async sendMail(channel, to, { text, attachments = [] }) {
+    const { fromAddress, fromName, subject, htmlTemplate } = this.getCredentials(channel);
+    const { contact, thread } = await this.findReplyThread(channel, to);
+
+    const scope = { content: text, from_name: fromName, contact: { name: contact.name, email: to } };
+    scope.subject = thread?.subject
+      ? `Re: ${thread.subject.replace(/^(re:\s*)+/i, '')}`
+      : templateService.render(subject || DEFAULT_SUBJECT, scope);
+
+    const info = await this.getTransport(channel).sendMail({
+      from: fromName ? { name: fromName, address: fromAddress } : fromAddress,
+      to,
+      subject: scope.subject,
+      text,
+      html: templateService.render(htmlTemplate || DEFAULT_HTML_TEMPLATE, scope, { escape: 'html' }),
+      attachments,
+      ...(thread && {
+        inReplyTo: thread.messageId,
+        references: [...thread.references, thread.messageId].slice(-MAX_REFERENCES)
+      })
+    });
+
+    logger.info(`Email sent to ${to} on channel ${channel.id}`);
+    return { externalId: info.messageId };
+  }
+}
+
+export default new EmailService();
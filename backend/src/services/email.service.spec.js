@@ -0,0 +1,173 @@
+import { test, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { simpleParser } from 'mailparser';
+import { startMockSmtpServer, startChannelsApp, waitFor } from '../test/harness.js';
+
+const smtp = await startMockSmtpServer();
+
+const { default: channelService } = await import('./channel.service.js');
+const { default: emailService } = await import('./email.service.js');
+const app = await startChannelsApp();
+
+const channel = {
+  id: 9,
+  organization_id: 1,
+  type: 'email',
+  status: 'connected',
+  credentials: emailService.prepareCredentials({
+    mode: 'webhook',
+    smtp: { host: '127.0.0.1', port: smtp.port, secure: false },
+    fromAddress: 'support@shop.test',
+    fromName: 'Shop'
+  })
+};
+const { webhookSecret } = channel.credentials;
+
+mock.method(channelService, 'getChannel', id => Promise.resolve(id === channel.id ? channel : null));
+const receive = mock.method(channelService, 'receive', () => Promise.resolve({}));
+// Sent emails by Message-ID, as findThreadAddress would find them in messages
+const sent = { '<out-1@shop.test>': 'ana@example.com' };
+const findThreadAddress = mock.method(emailService, 'findThreadAddress', (_channel, references) => {
+  return Promise.resolve(references.map(reference => sent[reference]).find(Boolean) || null);
+});
+const findReplyThread = mock.method(emailService, 'findReplyThread', () => Promise.resolve({ contact: {}, thread: null }));
+
+beforeEach(() => {
+  receive.mock.resetCalls();
+  findThreadAddress.mock.resetCalls();
+  smtp.messages.length = 0;
+});
+
+after(async () => {
+  emailService.closeTransport(channel.id);
+  await app.close();
+  await smtp.close();
+});
+
+function postWebhook(body, { headers = {}, search = '' } = {}) {
+  return fetch(`${app.url}/api/channels/${channel.id}/webhook${search}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+const inbound = { from: 'Ana <Ana@Example.com>', subject: 'Order 42', text: 'Where is my order?', messageId: '<in-1@example.com>' };
+
+test('inbound mail with the secret in X-Webhook-Secret is accepted', async () => {
+  const response = await postWebhook(inbound, { headers: { 'X-Webhook-Secret': webhookSecret } });
+  assert.equal(response.status, 200);
+
+  await waitFor(() => receive.mock.callCount() === 1);
+  const [received] = receive.mock.calls[0].arguments;
+  assert.deepEqual(received.from, { address: 'ana@example.com', name: 'Ana' });
+  assert.equal(received.text, 'Where is my order?');
+  assert.equal(received.externalId, '<in-1@example.com>');
+  assert.deepEqual(received.metadata, { subject: 'Order 42', references: [] });
+});
+
+test('the secret is not accepted from the query string', async () => {
+  const response = await postWebhook(inbound, { search: `?secret=${webhookSecret}` });
+
+  assert.equal(response.status, 401);
+  assert.equal(receive.mock.callCount(), 0);
+});
+
+test('inbound mail with a wrong secret is rejected', async () => {
+  const response = await postWebhook(inbound, { headers: { 'X-Webhook-Secret': 'guess' } });
+
+  assert.equal(response.status, 401);
+  assert.equal(receive.mock.callCount(), 0);
+});
+
+test('a secret with non-ASCII characters is rejected, not an error', async () => {
+  const response = await postWebhook(inbound, { headers: { 'X-Webhook-Secret': 'é'.repeat(webhookSecret.length) } });
+
+  assert.equal(response.status, 401);
+  assert.equal(receive.mock.callCount(), 0);
+});
+
+test('a reply referencing a sent email threads into the contact it was sent to', async () => {
+  const raw = [
+    'From: Ana at work <ana.work@example.com>',
+    'To: support@shop.test',
+    'Subject: Re: Order 42',
+    'Message-ID: <in-2@example.com>',
+    'In-Reply-To: <out-1@shop.test>',
+    'References: <in-1@example.com> <out-1@shop.test>',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'It arrived, thanks!',
+    '',
+    'On Mon, 19 Oct 2026 at 10:00, Shop <support@shop.test> wrote:',
+    '> Your order is on its way.',
+    ''
+  ].join('\r\n');
+
+  const response = await postWebhook({ raw }, { headers: { 'X-Webhook-Secret': webhookSecret } });
+  assert.equal(response.status, 200);
+
+  await waitFor(() => receive.mock.callCount() === 1);
+  const [, references] = findThreadAddress.mock.calls[0].arguments;
+  assert.deepEqual([...new Set(references)].sort(), ['<in-1@example.com>', '<out-1@shop.test>']);
+
+  const [received] = receive.mock.calls[0].arguments;
+  assert.equal(received.from.address, 'ana@example.com');
+  assert.equal(received.text, 'It arrived, thanks!');
+  assert.equal(received.externalId, '<in-2@example.com>');
+  assert.equal(received.metadata.subject, 'Re: Order 42');
+});
+
+test('a reply continues the thread with In-Reply-To and References', async () => {
+  findReplyThread.mock.mockImplementationOnce(() => Promise.resolve({
+    contact: { name: 'Ana' },
+    thread: { messageId: '<in-2@example.com>', subject: 'Re: Order 42', references: ['<in-1@example.com>', '<out-1@shop.test>'] }
+  }));
+
+  const result = await emailService.sendText(channel, 'ana@example.com', 'Glad it arrived <3');
+  await waitFor(() => smtp.messages.length === 1);
+
+  const [message] = smtp.messages;
+  assert.equal(message.from, 'support@shop.test');
+  assert.deepEqual(message.to, ['ana@example.com']);
+
+  const mail = await simpleParser(message.data);
+  assert.equal(mail.subject, 'Re: Order 42');
+  assert.equal(mail.inReplyTo, '<in-2@example.com>');
+  assert.deepEqual(mail.references, ['<in-1@example.com>', '<out-1@shop.test>', '<in-2@example.com>']);
+  assert.equal(mail.messageId, result.externalId);
+  assert.match(mail.html, /Glad it arrived &lt;3/);
+});
+
+test('a first email uses the subject template and starts a new thread', async () => {
+  await emailService.sendText(channel, 'bruno@example.com', 'Welcome!');
+  await waitFor(() => smtp.messages.length === 1);
+
+  const mail = await simpleParser(smtp.messages[0].data);
+  assert.equal(mail.subject, 'Message from Shop');
+  assert.equal(mail.inReplyTo, undefined);
+  assert.equal(mail.references, undefined);
+  assert.equal(mail.text.trim(), 'Welcome!');
+});
+
+test('an IMAP channel resumed at startup checks its mailbox again', () => {
+  const imapChannel = {
+    ...channel,
+    id: 10,
+    credentials: emailService.prepareCredentials({
+      mode: 'imap',
+      smtp: { host: '127.0.0.1', port: smtp.port, secure: false },
+      imap: { host: '127.0.0.1', port: 993 },
+      fromAddress: 'support@shop.test'
+    })
+  };
+  const checkMailbox = mock.method(emailService, 'checkMailbox', () => Promise.resolve());
+
+  emailService.resume(imapChannel);
+  emailService.resume(channel);
+  emailService.stopPolling(imapChannel.id);
+
+  assert.deepEqual(checkMailbox.mock.calls.map(call => call.arguments[0].id), [imapChannel.id]);
+  assert.equal(emailService.pollers.has(channel.id), false);
+  checkMailbox.mock.restore();
+});
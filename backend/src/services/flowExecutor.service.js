@@ -1,26 +1,83 @@
+import { config } from '../config/index.js';
 import { query } from '../config/database.js';
 import { logger } from '../middleware/errorHandler.js';
-import whatsappService from './whatsapp.service.js';
+import channelService from './channel.service.js';
 import geminiService from './gemini.service.js';
 import antiBanService from './antiban.service.js';
 import analyticsService from './analytics.service.js';
+import flowSchedulerService from './flowScheduler.service.js';
+import inputValidatorService from './inputValidator.service.js';
+import conditionEvaluatorService from './conditionEvaluator.service.js';
+import templateService from './template.service.js';
+import simulatorService from './simulator.service.js';
+import flowTraceService from './flowTrace.service.js';
+import interactiveService, { BRANCH_HANDLES } from './interactive.service.js';
+import mediaService from './media.service.js';
+import integrationService from './integration.service.js';
+import businessHoursService from './businessHours.service.js';
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'voice', 'document'];
+
+// Maximum nesting of callFlow nodes in "return" mode
+const MAX_SUB_FLOW_DEPTH = 5;
 
 class FlowExecutorService {
+  constructor() {
+    // contactId -> state of the current synchronous run (from a trigger, reply or scheduler
+    // tick until the flow waits or ends): steps taken, flows entered through callFlow, the
+    // simulator session when the contact is a simulator contact and its execution trace
+    this.runs = new Map();
+    this.maxStepsPerRun = config.flows.maxStepsPerRun;
+  }
   
   /**
    * Execute a specific node in the flow
    */
   async executeNode(flowDefinition, nodeId, contactId, organizationId, variables = {}, flowId = null) {
+    const ownRun = await this.beginRun(contactId, organizationId, flowId, 'trigger');
+    const run = ownRun || this.runs.get(contactId);
+    let node = null;
+    
     try {
-      const node = flowDefinition.nodes.find(n => n.id === nodeId);
+      if (run.stopped) {
+        return;
+      }
+      
+      node = flowDefinition.nodes.find(n => n.id === nodeId);
       
       if (!node) {
         logger.error(`Node ${nodeId} not found in flow`);
+        await this.recordRunError(contactId, flowId, nodeId, null, new Error(`Node ${nodeId} not found in flow`));
+        return;
+      }
+      
+      if (run.simulation === undefined) {
+        run.simulation = await simulatorService.getSessionByContact(contactId);
+      }
+      if (run.simulation?.step_mode && !run.stepGranted) {
+        await simulatorService.pauseAt(run.simulation, flowId, nodeId, variables);
+        await simulatorService.record(run.simulation.id, 'event', `Paused before ${node.type} (${node.id})`, { flowId, nodeId });
+        this.setRunOutcome(contactId, 'paused');
+        await this.trace(contactId, 'paused', { flowId, nodeId, nodeType: node.type });
+        return;
+      }
+      run.stepGranted = false;
+      
+      run.steps++;
+      if (run.steps > this.maxStepsPerRun) {
+        await this.stopRunawayFlow(run, node, contactId, organizationId, flowId);
         return;
       }
       
       logger.info(`Executing node ${nodeId} (${node.type}) for contact ${contactId}`);
       
+      run.lastNodeId = nodeId;
+      await this.trace(contactId, 'node_entered', { flowId, nodeId, nodeType: node.type, variables });
+      
+      const simulatorEventId = run.simulation
+        ? await simulatorService.record(run.simulation.id, 'event', `${node.type} (${node.id})`, { flowId, nodeId, type: node.type })
+        : null;
+      
       // Track analytics
       if (flowId) {
         await analyticsService.trackNodeInteraction(
@@ -51,6 +108,14 @@ class FlowExecutorService {
           await this.handleCondition(flowDefinition, node, contactId, organizationId, variables, flowId);
           break;
           
+        case 'switch':
+          await this.handleSwitch(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
+        case 'businessHours':
+          await this.handleBusinessHours(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
         case 'delay':
           await this.handleDelay(flowDefinition, node, contactId, organizationId, variables, flowId);
           break;
@@ -75,16 +140,41 @@ class FlowExecutorService {
           await this.handleUpdateScore(flowDefinition, node, contactId, organizationId, variables, flowId);
           break;
           
+        case 'setVariable':
+          await this.handleSetVariable(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
+        case 'callFlow':
+        case 'goToFlow':
+          await this.handleCallFlow(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
         case 'integration':
           await this.handleIntegration(flowDefinition, node, contactId, organizationId, variables, flowId);
           break;
           
+        case 'image':
+        case 'video':
+        case 'audio':
+        case 'voice':
+        case 'document':
+          await this.handleMedia(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
+        case 'sequence':
+          await this.handleSequence(flowDefinition, node, contactId, organizationId, variables, flowId);
+          break;
+          
         default:
           logger.warn(`Unknown node type: ${node.type}`);
       }
       
+      if (simulatorEventId) {
+        await simulatorService.updateEventVariables(simulatorEventId, variables);
+      }
+      
       // Track completion
-      if (flowId) {
+      if (flowId && !run.stopped) {
         await analyticsService.trackNodeInteraction(
           contactId, 
           flowId, 
@@ -98,6 +188,8 @@ class FlowExecutorService {
     } catch (error) {
       logger.error(`Error executing node ${nodeId}:`, error);
       
+      await this.recordRunError(contactId, flowId, nodeId, node?.type || null, error);
+      
       // Track failure
       if (flowId) {
         await analyticsService.trackNodeInteraction(
@@ -106,61 +198,240 @@ class FlowExecutorService {
           null, 
           nodeId, 
           'error', 
-          'dropped_off'
+          'dropped_off',
+          { metadata: { error: error.message } }
         );
       }
+    } finally {
+      if (ownRun) {
+        await this.endRun(contactId, ownRun);
+      }
     }
   }
 
   /**
-   * Handle start node - just move to next
+   * Register a run for the contact unless one is going already (nested calls join it).
+   * Returns the new run, or null when the caller is part of an existing run.
    */
-  async handleStartNode(flowDefinition, node, contactId, organizationId, variables, flowId) {
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
+  async beginRun(contactId, organizationId, flowId, trigger) {
+    if (this.runs.has(contactId)) {
+      return null;
     }
+    
+    // Set before the first await so concurrent nested calls see it
+    const run = { steps: 0, stopped: false, enteredFlows: new Set(), outcome: null, error: null, lastNodeId: null };
+    this.runs.set(contactId, run);
+    run.traceId = await flowTraceService.startRun(contactId, organizationId, flowId, trigger);
+    return run;
+  }
+
+  async endRun(contactId, run) {
+    this.runs.delete(contactId);
+    await flowTraceService.finishRun(run.traceId, run.outcome || 'ended', {
+      steps: run.steps,
+      lastNodeId: run.lastNodeId,
+      error: run.error
+    });
   }
 
   /**
-   * Handle bot response - send message
+   * Execute fn inside a run started by a reply or the scheduler
    */
-  async handleBotResponse(flowDefinition, node, contactId, organizationId, variables, flowId) {
-    let message = node.data.message || '';
-    
-    // Replace variables in message
-    message = this.replaceVariables(message, variables);
-    
-    // Get contact and channel
-    const contactResult = await query(
-      `SELECT c.*, ch.id as channel_id 
-       FROM contacts c
-       LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-         AND ch.type = c.channel_type AND ch.status = 'connected'
-       WHERE c.id = $1`,
-      [contactId]
+  async withRun(contactId, organizationId, flowId, trigger, fn) {
+    const ownRun = await this.beginRun(contactId, organizationId, flowId, trigger);
+    try {
+      await fn(this.runs.get(contactId));
+    } catch (error) {
+      await this.recordRunError(contactId, flowId, null, null, error);
+      throw error;
+    } finally {
+      if (ownRun) {
+        await this.endRun(contactId, ownRun);
+      }
+    }
+  }
+
+  /**
+   * How the current run ended (waiting, completed, ...); a failure is never overridden
+   */
+  setRunOutcome(contactId, outcome) {
+    const run = this.runs.get(contactId);
+    if (run && run.outcome !== 'failed') {
+      run.outcome = outcome;
+    }
+  }
+
+  /**
+   * Add an event to the execution trace of the contact's current run
+   */
+  async trace(contactId, eventType, data = {}) {
+    await flowTraceService.record(this.runs.get(contactId)?.traceId, eventType, data);
+  }
+
+  /**
+   * Whether the contact belongs to a simulator session (test runs stay out of event logs and media usage)
+   */
+  async isSimulatorContact(contactId) {
+    const run = this.runs.get(contactId);
+    if (run && run.simulation !== undefined) {
+      return !!run.simulation;
+    }
+    return !!(await simulatorService.getSessionByContact(contactId));
+  }
+
+  /**
+   * Add a row to event_logs, unless the contact is a simulator contact
+   */
+  async logEvent(organizationId, contactId, eventName, metadata = {}) {
+    if (await this.isSimulatorContact(contactId)) {
+      return;
+    }
+    await query(
+      `INSERT INTO event_logs (organization_id, contact_id, event_name, metadata)
+       VALUES ($1, $2, $3, $4)`,
+      [organizationId, contactId, eventName, JSON.stringify(metadata)]
     );
+  }
+
+  /**
+   * Mark the current run as failed at a node; the first error is the one reported
+   */
+  async recordRunError(contactId, flowId, nodeId, nodeType, error) {
+    const run = this.runs.get(contactId);
+    const failedNodeId = nodeId || run?.lastNodeId || null;
     
-    if (contactResult.rows.length === 0 || !contactResult.rows[0].channel_id) {
-      logger.error(`No channel found for contact ${contactId}`);
-      return;
+    if (run) {
+      run.outcome = 'failed';
+      run.error = run.error || { nodeId: failedNodeId, message: error.message };
     }
+    await this.trace(contactId, 'error', { flowId, nodeId: failedNodeId, nodeType, message: error.message, stack: error.stack });
+  }
+
+  /**
+   * Stop a run that exceeded its step budget (an endless loop without user input)
+   */
+  async stopRunawayFlow(run, node, contactId, organizationId, flowId) {
+    run.stopped = true;
     
-    const contact = contactResult.rows[0];
+    logger.error(`Flow ${flowId} exceeded ${this.maxStepsPerRun} steps at node ${node.id} for contact ${contactId}, stopping it`);
     
-    // Queue message with anti-ban delay
-    await antiBanService.queueMessage(
-      contact.channel_id,
+    this.setRunOutcome(contactId, 'stopped');
+    await this.trace(contactId, 'step_budget_exceeded', { flowId, nodeId: node.id, nodeType: node.type, maxSteps: this.maxStepsPerRun });
+    
+    if (!flowId) {
+      return;
+    }
+    
+    await analyticsService.trackNodeInteraction(
       contactId,
-      message,
-      { flowId, nodeId: node.id }
+      flowId,
+      null,
+      node.id,
+      node.type,
+      'dropped_off',
+      { metadata: { error: 'step_budget_exceeded', steps: run.steps - 1, maxSteps: this.maxStepsPerRun } }
     );
     
+    await this.logEvent(organizationId, contactId, 'flow_step_budget_exceeded', { flowId, nodeId: node.id, maxSteps: this.maxStepsPerRun });
+    
+    // Calling flows are stopped too; resuming them would only re-enter the loop
+    let currentFlowId = flowId;
+    while (currentFlowId) {
+      const parent = await this.getParentFlow(contactId, currentFlowId);
+      await query(
+        `UPDATE flow_states 
+         SET completed = true, awaiting_input = false, parent_flow_id = NULL, return_node_id = NULL, updated_at = NOW()
+         WHERE contact_id = $1 AND flow_id = $2`,
+        [contactId, currentFlowId]
+      );
+      await analyticsService.abandonFlowJourney(contactId, currentFlowId);
+      currentFlowId = parent?.flowId;
+    }
+  }
+
+  /**
+   * Handle start node - just move to next
+   */
+  async handleStartNode(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
+  }
+
+  /**
+   * Handle bot response - send message (with buttons or a list menu when configured)
+   */
+  async handleBotResponse(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const message = await this.renderTemplate(node.data.message || '', contactId, variables);
+    const interactive = interactiveService.getInteractive(node);
+    
+    if (!await this.sendText(contactId, message, { flowId, nodeId: node.id, ...(interactive && { interactive }) })) {
+      return;
+    }
+    
+    // A menu waits for the choice like a userInput node; the option picks the edge
+    if (interactive) {
+      await this.handleUserInput(flowDefinition, node, contactId, organizationId, variables, flowId);
+      return;
+    }
+    
     // Move to next node
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
+  }
+
+  /**
+   * Handle media nodes (image, video, audio, voice, document) - send a file with a caption
+   */
+  async handleMedia(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const caption = await this.renderTemplate(node.data.caption || '', contactId, variables);
+    
+    if (!await this.sendMedia(contactId, organizationId, node.type, node.data, caption, { flowId, nodeId: node.id })) {
+      return;
+    }
+    
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
+  }
+
+  /**
+   * Handle sequence nodes - send a stored message sequence item by item
+   */
+  async handleSequence(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const result = await query(
+      `SELECT * FROM message_sequences
+       WHERE id = $1 AND organization_id = $2 AND is_active = true`,
+      [node.data.sequenceId, organizationId]
+    );
+    const sequence = result.rows[0];
+    if (!sequence) {
+      throw new Error(`Message sequence ${node.data.sequenceId} not found`);
+    }
+    
+    const items = (typeof sequence.items === 'string' ? JSON.parse(sequence.items) : sequence.items) || [];
+    const delayBetweenMs = sequence.delay_between_ms ?? 2000;
+    let previous = null;
+    
+    for (const [index, item] of items.entries()) {
+      const metadata = { flowId, nodeId: node.id, sequenceId: sequence.id, sequenceItem: index };
+      const text = await this.renderTemplate(
+        (item.type === 'text' ? item.content : item.caption) || '',
+        contactId,
+        variables
+      );
+      
+      // Each item is scheduled after the previous one so the queue keeps the order
+      const options = previous?.scheduled_at
+        ? { notBefore: new Date(new Date(previous.scheduled_at).getTime() + delayBetweenMs) }
+        : {};
+      
+      previous = item.type === 'text'
+        ? await this.sendText(contactId, text, metadata, options)
+        : await this.sendMedia(contactId, organizationId, item.type, item, text, metadata, options);
+      if (!previous) {
+        return;
+      }
     }
+    
+    await query('UPDATE message_sequences SET usage_count = usage_count + 1 WHERE id = $1', [sequence.id]);
+    
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
   }
 
   /**
@@ -172,12 +443,22 @@ class FlowExecutorService {
       `UPDATE flow_states 
        SET current_node_id = $1, 
            awaiting_input = true,
+           input_attempts = 0,
            variables = $2,
            updated_at = NOW()
        WHERE contact_id = $3 AND flow_id = $4`,
       [node.id, JSON.stringify(variables), contactId, flowId]
     );
     
+    // Optional "no reply in X" timeout, same options as a delay node
+    const timeoutAt = node.data.timeout
+      ? flowSchedulerService.computeResumeAt(node.data.timeout)
+      : null;
+    await flowSchedulerService.scheduleInputTimeout(contactId, flowId, timeoutAt);
+    
+    this.setRunOutcome(contactId, 'waiting');
+    await this.trace(contactId, 'waiting', { flowId, nodeId: node.id, nodeType: node.type, reason: 'input', timeoutAt });
+    
     logger.info(`Waiting for user input at node ${node.id} for contact ${contactId}`);
   }
 
@@ -185,27 +466,12 @@ class FlowExecutorService {
    * Handle condition - branch logic
    */
   async handleCondition(flowDefinition, node, contactId, organizationId, variables, flowId) {
-    const { variable, operator, value } = node.data;
+    const context = conditionEvaluatorService.createContext({ contactId, flowId, variables });
     
-    const userValue = variables[variable];
-    let conditionMet = false;
-    
-    switch (operator) {
-      case 'equals':
-        conditionMet = userValue?.toString().toLowerCase() === value.toLowerCase();
-        break;
-      case 'contains':
-        conditionMet = userValue?.toString().toLowerCase().includes(value.toLowerCase());
-        break;
-      case 'greater':
-        conditionMet = parseFloat(userValue) > parseFloat(value);
-        break;
-      case 'less':
-        conditionMet = parseFloat(userValue) < parseFloat(value);
-        break;
-      default:
-        conditionMet = false;
-    }
+    // Either a single {source, variable, operator, value} or a {conditions, match} group
+    const conditionMet = node.data.conditions
+      ? await conditionEvaluatorService.evaluateGroup(node.data.conditions, node.data.match, context)
+      : await conditionEvaluatorService.evaluate(node.data, context);
     
     // Find next node based on condition
     const edges = flowDefinition.edges.filter(e => e.source === node.id);
@@ -213,26 +479,90 @@ class FlowExecutorService {
       conditionMet ? e.sourceHandle === 'true' : e.sourceHandle === 'false'
     ) || edges[0]; // Fallback to first edge
     
+    await this.trace(contactId, 'branch_taken', {
+      flowId,
+      nodeId: node.id,
+      nodeType: node.type,
+      result: conditionMet,
+      handle: nextEdge?.sourceHandle || null,
+      target: nextEdge?.target || null
+    });
+    
+    if (nextEdge) {
+      await this.executeNode(flowDefinition, nextEdge.target, contactId, organizationId, variables, flowId);
+    } else if (flowId) {
+      await this.completeFlow(contactId, flowId, variables);
+    }
+  }
+
+  /**
+   * Handle switch - follow the first matching case, otherwise the default handle
+   */
+  async handleSwitch(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const cases = node.data.cases || [];
+    const edges = flowDefinition.edges.filter(e => e.source === node.id);
+    const context = conditionEvaluatorService.createContext({ contactId, flowId, variables });
+    
+    let handle = 'default';
+    for (const [index, switchCase] of cases.entries()) {
+      if (await conditionEvaluatorService.evaluateGroup(switchCase.conditions, switchCase.match, context)) {
+        handle = this.getCaseHandle(switchCase, index);
+        break;
+      }
+    }
+    
+    const nextEdge = edges.find(e => e.sourceHandle === handle)
+      || edges.find(e => e.sourceHandle === 'default');
+    
+    logger.info(`Switch ${node.id} took "${handle}" for contact ${contactId}`);
+    
+    await this.trace(contactId, 'branch_taken', {
+      flowId,
+      nodeId: node.id,
+      nodeType: node.type,
+      handle: nextEdge?.sourceHandle || handle,
+      target: nextEdge?.target || null
+    });
+    
     if (nextEdge) {
       await this.executeNode(flowDefinition, nextEdge.target, contactId, organizationId, variables, flowId);
+    } else if (flowId) {
+      await this.completeFlow(contactId, flowId, variables);
     }
   }
 
   /**
-   * Handle delay - wait before next action
+   * Edge handle of a switch case
+   */
+  getCaseHandle(switchCase, index) {
+    return switchCase.id || `case-${index}`;
+  }
+
+  /**
+   * Handle delay - persist resume time, the scheduler continues the flow
    */
   async handleDelay(flowDefinition, node, contactId, organizationId, variables, flowId) {
-    const seconds = node.data.seconds || 3;
+    const data = { ...node.data };
+    if (data.datetime) {
+      data.datetime = await this.renderTemplate(String(data.datetime), contactId, variables);
+    }
     
-    logger.info(`Delaying ${seconds}s at node ${node.id} for contact ${contactId}`);
+    const resumeAt = flowSchedulerService.computeResumeAt(data);
     
-    // Schedule next node execution
-    setTimeout(async () => {
-      const nextNode = this.getNextNode(flowDefinition, node.id);
-      if (nextNode) {
-        await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
-      }
-    }, seconds * 1000);
+    const simulation = this.runs.get(contactId)?.simulation;
+    if (simulation?.skip_delays) {
+      await simulatorService.recordEvent(contactId, `Delay until ${resumeAt.toISOString()} skipped`, { flowId, nodeId: node.id });
+      await this.trace(contactId, 'delay_skipped', { flowId, nodeId: node.id, nodeType: node.type, resumeAt });
+      await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
+      return;
+    }
+    
+    logger.info(`Delaying until ${resumeAt.toISOString()} at node ${node.id} for contact ${contactId}`);
+    
+    await flowSchedulerService.scheduleResume(contactId, flowId, node.id, variables, resumeAt);
+    
+    this.setRunOutcome(contactId, 'waiting');
+    await this.trace(contactId, 'waiting', { flowId, nodeId: node.id, nodeType: node.type, reason: 'delay', resumeAt });
   }
 
   /**
@@ -240,7 +570,7 @@ class FlowExecutorService {
    */
   async handleAIResponse(flowDefinition, node, contactId, organizationId, variables, flowId) {
     try {
-      const prompt = node.data.prompt || 'Respond helpfully to the customer';
+      const prompt = await this.renderTemplate(node.data.prompt || 'Respond helpfully to the customer', contactId, variables);
       const useContext = node.data.useContext !== false;
       
       // Get conversation history if needed
@@ -263,31 +593,18 @@ class FlowExecutorService {
       const aiResult = await geminiService.generateSupportResponse(
         contactId,
         lastMessage,
-        conversationHistory
+        conversationHistory,
+        prompt
       );
       
       // Send the AI response
-      const contactResult = await query(
-        `SELECT c.*, ch.id as channel_id 
-         FROM contacts c
-         LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-           AND ch.type = c.channel_type AND ch.status = 'connected'
-         WHERE c.id = $1`,
-        [contactId]
-      );
-      
-      if (contactResult.rows.length > 0 && contactResult.rows[0].channel_id) {
-        const contact = contactResult.rows[0];
-        await antiBanService.queueMessage(
-          contact.channel_id,
-          contactId,
-          aiResult.response,
-          { flowId, nodeId: node.id, aiGenerated: true }
-        );
-      }
+      await this.sendText(contactId, aiResult.response, { flowId, nodeId: node.id, aiGenerated: true });
       
-      // If should escalate, assign to agent
-      if (aiResult.shouldEscalate) {
+      // If should escalate, assign to agent (simulator runs only record it)
+      const simulation = this.runs.get(contactId)?.simulation;
+      if (aiResult.shouldEscalate && simulation) {
+        await simulatorService.recordHandoff(simulation, 'pending', 'general', { flowId, nodeId: node.id });
+      } else if (aiResult.shouldEscalate) {
         await query(
           `INSERT INTO live_chat_sessions (contact_id, status)
            VALUES ($1, 'pending')
@@ -297,32 +614,13 @@ class FlowExecutorService {
       }
       
       // Move to next node
-      const nextNode = this.getNextNode(flowDefinition, node.id);
-      if (nextNode) {
-        await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
-      }
+      await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
       
     } catch (error) {
       logger.error('Error handling AI response:', error);
+      await this.trace(contactId, 'error', { flowId, nodeId: node.id, nodeType: node.type, message: error.message, handled: true });
       // Fallback message
-      const contactResult = await query(
-        `SELECT c.*, ch.id as channel_id 
-         FROM contacts c
-         LEFT JOIN channels ch ON ch.organization_id = c.organization_id 
-           AND ch.type = c.channel_type AND ch.status = 'connected'
-         WHERE c.id = $1`,
-        [contactId]
-      );
-      
-      if (contactResult.rows.length > 0 && contactResult.rows[0].channel_id) {
-        const contact = contactResult.rows[0];
-        await antiBanService.queueMessage(
-          contact.channel_id,
-          contactId,
-          "I'm here to help! Let me connect you with our team.",
-          { flowId, nodeId: node.id }
-        );
-      }
+      await this.sendText(contactId, 'I\'m here to help! Let me connect you with our team.', { flowId, nodeId: node.id });
     }
   }
 
@@ -332,23 +630,75 @@ class FlowExecutorService {
   async handleAssignAgent(flowDefinition, node, contactId, organizationId, variables, flowId) {
     const department = node.data.department || 'general';
     
-    await query(
-      `INSERT INTO live_chat_sessions (contact_id, status, metadata)
-       VALUES ($1, 'pending', $2)
-       ON CONFLICT (contact_id) 
-       DO UPDATE SET status = 'pending', metadata = $2, created_at = NOW()`,
-      [contactId, JSON.stringify({ department })]
-    );
+    // Outside business hours the handoff waits as "scheduled" until opening time
+    const schedule = node.data.deferWhenClosed === false
+      ? null
+      : await businessHoursService.getSchedule(organizationId);
+    const deferredUntil = schedule && !businessHoursService.isOpen(schedule)
+      ? businessHoursService.nextOpening(schedule)
+      : null;
+    const status = deferredUntil ? 'scheduled' : 'pending';
     
-    // Update flow state
-    await query(
-      `UPDATE flow_states 
-       SET completed = true, updated_at = NOW()
-       WHERE contact_id = $1 AND flow_id = $2`,
-      [contactId, flowId]
-    );
+    // A simulator contact must not reach the agents' queue or the live chat statistics
+    const simulation = this.runs.get(contactId)?.simulation;
+    if (simulation) {
+      await simulatorService.recordHandoff(simulation, status, department, { flowId, nodeId: node.id, deferredUntil });
+    } else {
+      await query(
+        `INSERT INTO live_chat_sessions (contact_id, status, metadata, deferred_until)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (contact_id) 
+         DO UPDATE SET status = $2, metadata = $3, deferred_until = $4, created_at = NOW()`,
+        [contactId, status, JSON.stringify({ department }), deferredUntil]
+      );
+    }
+    
+    if (deferredUntil) {
+      variables.opens_at = businessHoursService.describeOpening(deferredUntil, schedule);
+      const template = node.data.closedMessage || schedule.handoffMessage;
+      const message = await this.renderTemplate(template, contactId, variables);
+      await this.sendText(contactId, message, { flowId, nodeId: node.id });
+    }
+    
+    // Update flow state - the agent takes over, so calling flows stop as well
+    let currentFlowId = flowId;
+    while (currentFlowId) {
+      const parent = await this.getParentFlow(contactId, currentFlowId);
+      await query(
+        `UPDATE flow_states 
+         SET completed = true, parent_flow_id = NULL, return_node_id = NULL, updated_at = NOW()
+         WHERE contact_id = $1 AND flow_id = $2`,
+        [contactId, currentFlowId]
+      );
+      currentFlowId = parent?.flowId;
+    }
+    
+    this.setRunOutcome(contactId, 'handed_off');
+    await this.trace(contactId, 'handed_off', { flowId, nodeId: node.id, nodeType: node.type, department, deferredUntil });
+    
+    const from = deferredUntil ? ` from ${deferredUntil.toISOString()}` : '';
+    logger.info(`Assigned contact ${contactId} to ${department} department${from}`);
+  }
+
+  /**
+   * Handle business hours - branch on whether the organization is open now
+   */
+  async handleBusinessHours(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const status = await businessHoursService.getStatus(organizationId);
+    variables.business_open = status.open;
+    variables.opens_at = status.opensAt || '';
+    
+    const handle = status.open ? 'open' : 'closed';
+    const edges = flowDefinition.edges.filter(e => e.source === node.id);
+    const edge = edges.find(e => e.sourceHandle === handle) || edges.find(e => !e.sourceHandle);
     
-    logger.info(`Assigned contact ${contactId} to ${department} department`);
+    await this.traceBranch(contactId, flowId, node, handle, edge?.target || null);
+    
+    if (edge) {
+      await this.executeNode(flowDefinition, edge.target, contactId, organizationId, variables, flowId);
+    } else if (flowId) {
+      await this.completeFlow(contactId, flowId, variables);
+    }
   }
 
   /**
@@ -357,19 +707,12 @@ class FlowExecutorService {
   async handleLogEvent(flowDefinition, node, contactId, organizationId, variables, flowId) {
     const eventName = node.data.eventName || 'custom_event';
     
-    await query(
-      `INSERT INTO event_logs (organization_id, contact_id, event_name, metadata)
-       VALUES ($1, $2, $3, $4)`,
-      [organizationId, contactId, eventName, JSON.stringify(variables)]
-    );
+    await this.logEvent(organizationId, contactId, eventName, variables);
     
     logger.info(`Logged event ${eventName} for contact ${contactId}`);
     
     // Move to next node
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
-    }
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
   }
 
   /**
@@ -388,10 +731,7 @@ class FlowExecutorService {
     logger.info(`Added tag ${tag} to contact ${contactId}`);
     
     // Move to next node
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
-    }
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
   }
 
   /**
@@ -410,72 +750,740 @@ class FlowExecutorService {
     logger.info(`Updated engagement score by ${change} for contact ${contactId}`);
     
     // Move to next node
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
-    }
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
   }
 
   /**
-   * Handle integration (webhook call)
+   * Handle set variable - assign, copy, calculate or concatenate flow variables
+   *
+   * Node data is a single assignment or { assignments: [...] } applied in order:
+   * { variable: "total", operation: "set|copy|add|subtract|multiply|divide|concat", value: "{{price}}",
+   *   source: "other_variable" (copy), saveToContact: true, field: "custom_field_name" }
    */
-  async handleIntegration(flowDefinition, node, contactId, organizationId, variables, flowId) {
-    const { method, url, headers, body } = node.data;
+  async handleSetVariable(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const assignments = node.data.assignments || [node.data];
+    const contactFields = {};
+    const before = { ...variables };
     
-    try {
-      const response = await fetch(url, {
-        method: method || 'POST',
-        headers: JSON.parse(headers || '{}'),
-        body: this.replaceVariables(body || '{}', variables)
-      });
+    for (const assignment of assignments) {
+      if (!assignment.variable) {
+        continue;
+      }
       
-      const responseData = await response.json();
-      variables.integration_response = responseData;
+      const result = await this.computeAssignment(assignment, contactId, variables);
+      if (result === undefined) {
+        continue;
+      }
       
-      logger.info(`Integration call successful for contact ${contactId}`);
-    } catch (error) {
-      logger.error('Integration call failed:', error);
+      variables[assignment.variable] = result;
+      if (assignment.saveToContact) {
+        contactFields[assignment.field || assignment.variable] = result;
+      }
+      
+      logger.info(`Set variable ${assignment.variable} (${assignment.operation || 'set'}) for contact ${contactId}`);
     }
     
-    // Move to next node
-    const nextNode = this.getNextNode(flowDefinition, node.id);
-    if (nextNode) {
-      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
+    await this.traceVariables(contactId, flowId, node, before, variables);
+    
+    if (Object.keys(contactFields).length > 0) {
+      await query(
+        `UPDATE contacts 
+         SET custom_fields = COALESCE(custom_fields, '{}'::jsonb) || $1::jsonb, updated_at = NOW()
+         WHERE id = $2`,
+        [JSON.stringify(contactFields), contactId]
+      );
     }
+    
+    // Move to next node
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
   }
 
   /**
-   * Get next node from edges
+   * Value produced by a setVariable assignment (undefined leaves the variable untouched)
    */
-  getNextNode(flowDefinition, currentNodeId) {
-    const edge = flowDefinition.edges.find(e => e.source === currentNodeId);
-    if (edge) {
-      return flowDefinition.nodes.find(n => n.id === edge.target);
+  async computeAssignment({ variable, operation = 'set', value, source }, contactId, variables) {
+    if (operation === 'copy') {
+      return templateService.resolvePath(variables, source || String(value ?? ''));
     }
-    return null;
-  }
-
-  /**
-   * Replace variables in text (e.g., {{contact_name}})
-   */
-  replaceVariables(text, variables) {
-    let result = text;
-    for (const [key, value] of Object.entries(variables)) {
-      result = result.replace(new RegExp(`{{${key}}}`, 'g'), value);
+    
+    const operand = typeof value === 'string'
+      ? await this.renderTemplate(value, contactId, variables)
+      : value;
+    const current = variables[variable];
+    
+    switch (operation) {
+      case 'set':
+        return operand ?? '';
+        
+      case 'concat':
+        return `${current ?? ''}${operand ?? ''}`;
+        
+      case 'add':
+      case 'subtract':
+      case 'multiply':
+      case 'divide': {
+        const left = parseFloat(current ?? 0) || 0;
+        const right = parseFloat(operand);
+        
+        if (!Number.isFinite(right) || (operation === 'divide' && right === 0)) {
+          logger.warn(`Cannot ${operation} ${variable} by "${operand}" for contact ${contactId}`);
+          return undefined;
+        }
+        
+        const results = {
+          add: left + right,
+          subtract: left - right,
+          multiply: left * right,
+          divide: left / right
+        };
+        // Avoid floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+        return Math.round(results[operation] * 1e10) / 1e10;
+      }
+        
+      default:
+        logger.warn(`Unknown setVariable operation: ${operation}`);
+        return undefined;
     }
-    return result;
   }
 
   /**
-   * Resume flow after user input
+   * Handle call flow - run another flow of the organization
+   *
+   * Node data: { flowId, mode: "return|handoff", inputs: ["name"], outputs: ["email"] }
+   * - return: the current flow waits and continues from this node when the sub-flow ends
+   *   (its "failed" edge is followed if the sub-flow is abandoned)
+   * - handoff: the current flow ends and the sub-flow takes its place
+   * inputs/outputs list the variables passed in and copied back (all when omitted).
    */
-  async resumeFlow(contactId, userMessage) {
+  async handleCallFlow(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const targetFlowId = parseInt(node.data.flowId);
+    const mode = node.data.mode || (node.type === 'goToFlow' ? 'handoff' : 'return');
+    
+    const entered = this.runs.get(contactId)?.enteredFlows || new Set();
+    entered.add(flowId);
+    
     try {
-      // Get current flow state
-      const stateResult = await query(
-        `SELECT fs.*, f.flow_definition, f.id as flow_id, c.organization_id
+      const subFlowResult = await query(
+        'SELECT id, name, flow_definition, published_version_id FROM flows WHERE id = $1 AND organization_id = $2',
+        [targetFlowId, organizationId]
+      );
+      
+      if (subFlowResult.rows.length === 0) {
+        throw new Error(`Sub-flow ${node.data.flowId} not found`);
+      }
+      
+      const callChain = await this.getFlowCallChain(contactId, flowId);
+      if (mode === 'return' && callChain.includes(targetFlowId)) {
+        throw new Error(`Recursive call to flow ${targetFlowId} (call stack: ${callChain.join(' > ')})`);
+      }
+      if (mode === 'return' && callChain.length >= MAX_SUB_FLOW_DEPTH) {
+        throw new Error(`Sub-flow nesting deeper than ${MAX_SUB_FLOW_DEPTH}`);
+      }
+      // Handing off back and forth without waiting for the contact would never end
+      if (mode === 'handoff' && entered.has(targetFlowId)) {
+        throw new Error(`Flow ${targetFlowId} was already entered in this run (cycle)`);
+      }
+      
+      const subFlow = subFlowResult.rows[0];
+      const subVariables = this.pickVariables(variables, node.data.inputs);
+      let parent = null;
+      
+      if (mode === 'handoff') {
+        // The sub-flow replaces this flow, including its place in the call stack
+        parent = await this.getParentFlow(contactId, flowId);
+        await query(
+          `UPDATE flow_states 
+           SET completed = true, parent_flow_id = NULL, return_node_id = NULL, updated_at = NOW()
+           WHERE contact_id = $1 AND flow_id = $2`,
+          [contactId, flowId]
+        );
+        await analyticsService.completeFlowJourney(contactId, flowId);
+        entered.add(targetFlowId);
+      } else {
+        // Park this flow on the callFlow node until the sub-flow returns
+        await query(
+          `UPDATE flow_states 
+           SET current_node_id = $1, variables = $2, awaiting_input = false, updated_at = NOW()
+           WHERE contact_id = $3 AND flow_id = $4`,
+          [node.id, JSON.stringify(variables), contactId, flowId]
+        );
+        parent = { flowId, nodeId: node.id };
+      }
+      
+      logger.info(`Flow ${flowId} ${mode === 'handoff' ? 'hands off' : 'calls'} flow ${subFlow.id} for contact ${contactId}`);
+      
+      await this.trace(contactId, 'flow_called', { flowId, nodeId: node.id, nodeType: node.type, targetFlowId: subFlow.id, mode });
+      
+      await this.startSubFlow(subFlow, contactId, organizationId, subVariables, parent);
+    } catch (error) {
+      logger.error(`Call flow failed at node ${node.id}: ${error.message}`);
+      
+      await this.trace(contactId, 'error', { flowId, nodeId: node.id, nodeType: node.type, message: error.message, handled: true });
+      
+      await this.logEvent(organizationId, contactId, 'flow_call_failed', { flowId, nodeId: node.id, targetFlowId, error: error.message });
+      
+      const failedNode = this.getNextNode(flowDefinition, node.id, 'failed');
+      if (failedNode) {
+        await this.traceBranch(contactId, flowId, node, 'failed', failedNode.id);
+        await this.executeNode(flowDefinition, failedNode.id, contactId, organizationId, variables, flowId);
+      } else {
+        await this.abandonFlow(contactId, flowId, variables);
+      }
+    }
+  }
+
+  /**
+   * Create the flow state and journey for a sub-flow and run it from its start node
+   */
+  async startSubFlow(subFlow, contactId, organizationId, variables, parent = null) {
+    const definition = subFlow.flow_definition;
+    const startNode = definition.nodes.find(n => n.type === 'start') || definition.nodes[0];
+    
+    await query(
+      `INSERT INTO flow_states (contact_id, flow_id, current_node_id, variables, parent_flow_id, return_node_id, flow_version_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (contact_id, flow_id) 
+       DO UPDATE SET current_node_id = $3, variables = $4, parent_flow_id = $5, return_node_id = $6,
+                     flow_version_id = $7, completed = false, awaiting_input = false, resume_at = NULL,
+                     claimed_at = NULL, resume_attempts = 0, input_timeout_at = NULL, input_timeout_claimed_at = NULL,
+                     input_timeout_attempts = 0, input_attempts = 0, updated_at = NOW()`,
+      [
+        contactId,
+        subFlow.id,
+        startNode.id,
+        JSON.stringify(variables),
+        parent?.flowId || null,
+        parent?.nodeId || null,
+        subFlow.published_version_id || null
+      ]
+    );
+    
+    await analyticsService.startFlowJourney(contactId, subFlow.id, null, parent?.flowId || null);
+    
+    await this.executeNode(definition, startNode.id, contactId, organizationId, variables, subFlow.id);
+  }
+
+  /**
+   * Continue the calling flow after a sub-flow ended ("completed" or "failed")
+   */
+  async returnToParentFlow(contactId, parent, childVariables, outcome) {
+    const context = await this.loadFlowContext(contactId, parent.flowId);
+    if (!context) {
+      return;
+    }
+    
+    const stateResult = await query(
+      'SELECT variables FROM flow_states WHERE contact_id = $1 AND flow_id = $2 AND completed = false',
+      [contactId, parent.flowId]
+    );
+    
+    if (stateResult.rows.length === 0) {
+      logger.info(`Calling flow ${parent.flowId} already ended for contact ${contactId}`);
+      return;
+    }
+    
+    const { flowDefinition, organizationId } = context;
+    const callNode = flowDefinition.nodes.find(n => n.id === parent.nodeId);
+    const before = this.parseVariables(stateResult.rows[0].variables);
+    const variables = {
+      ...before,
+      ...this.pickVariables(childVariables, callNode?.data.outputs)
+    };
+    
+    await query(
+      'UPDATE flow_states SET variables = $1, updated_at = NOW() WHERE contact_id = $2 AND flow_id = $3',
+      [JSON.stringify(variables), contactId, parent.flowId]
+    );
+    
+    logger.info(`Returning to flow ${parent.flowId} at node ${parent.nodeId} (${outcome}) for contact ${contactId}`);
+    
+    await this.trace(contactId, 'flow_returned', { flowId: parent.flowId, nodeId: parent.nodeId, nodeType: callNode?.type || null, outcome });
+    await this.traceVariables(contactId, parent.flowId, callNode || { id: parent.nodeId }, before, variables);
+    
+    if (outcome === 'completed') {
+      await this.goToNextNode(flowDefinition, parent.nodeId, contactId, organizationId, variables, parent.flowId);
+      return;
+    }
+    
+    const failedNode = this.getNextNode(flowDefinition, parent.nodeId, 'failed');
+    if (failedNode) {
+      await this.traceBranch(contactId, parent.flowId, callNode || { id: parent.nodeId }, 'failed', failedNode.id);
+      await this.executeNode(flowDefinition, failedNode.id, contactId, organizationId, variables, parent.flowId);
+    } else {
+      await this.abandonFlow(contactId, parent.flowId, variables);
+    }
+  }
+
+  /**
+   * Calling flow waiting on an active flow state, if any
+   */
+  async getParentFlow(contactId, flowId) {
+    const result = await query(
+      `SELECT parent_flow_id, return_node_id, variables FROM flow_states 
+       WHERE contact_id = $1 AND flow_id = $2 AND completed = false`,
+      [contactId, flowId]
+    );
+    
+    const state = result.rows[0];
+    if (!state || !state.parent_flow_id) {
+      return null;
+    }
+    return {
+      flowId: state.parent_flow_id,
+      nodeId: state.return_node_id,
+      variables: this.parseVariables(state.variables)
+    };
+  }
+
+  /**
+   * Flow ids from the current flow up through its callers
+   */
+  async getFlowCallChain(contactId, flowId) {
+    const chain = [flowId];
+    let parent = await this.getParentFlow(contactId, flowId);
+    
+    while (parent && !chain.includes(parent.flowId)) {
+      chain.push(parent.flowId);
+      parent = await this.getParentFlow(contactId, parent.flowId);
+    }
+    return chain;
+  }
+
+  /**
+   * Copy the listed variables (all when no list is given)
+   */
+  pickVariables(variables = {}, names) {
+    const list = Array.isArray(names) ? names : String(names || '').split(',');
+    const keys = list.map(name => String(name).trim()).filter(Boolean);
+    
+    if (keys.length === 0) {
+      return { ...variables };
+    }
+    return Object.fromEntries(keys.filter(key => key in variables).map(key => [key, variables[key]]));
+  }
+
+  /**
+   * Handle integration - call an HTTP API and map its response into variables.
+   * Continues on the "success" (or plain) edge, or the "error" edge when the call fails.
+   * Simulator runs only record the request unless the session has live integrations on.
+   */
+  async handleIntegration(flowDefinition, node, contactId, organizationId, variables, flowId) {
+    const before = { ...variables };
+    const traceNode = { flowId, nodeId: node.id, nodeType: node.type };
+    const saveAs = node.data.saveResponseAs || 'integration_response';
+    let result;
+    
+    try {
+      const request = await integrationService.buildRequest(
+        node.data,
+        (text, options) => this.renderTemplate(text, contactId, variables, options)
+      );
+      
+      // Header values often carry credentials, only their names are traced (auth is added after)
+      await this.trace(contactId, 'integration_request', {
+        ...traceNode,
+        method: request.method,
+        url: request.url,
+        headers: Object.keys(request.headers),
+        body: request.body,
+        auth: node.data.auth?.type || 'none'
+      });
+      
+      const simulation = this.runs.get(contactId)?.simulation;
+      if (simulation && !simulation.live_integrations) {
+        await simulatorService.record(simulation.id, 'event', `${request.method} ${request.url} not called (live integrations are off)`, traceNode);
+        result = { ok: true, status: null, body: null, attempts: 0, error: null, simulated: true };
+      } else {
+        result = await integrationService.send(request, node.data, organizationId);
+      }
+    } catch (error) {
+      result = { ok: false, status: null, body: null, attempts: 0, error: error.message };
+    }
+    
+    await this.trace(contactId, 'integration_response', {
+      ...traceNode,
+      ok: result.ok,
+      status: result.status,
+      body: result.body,
+      attempts: result.attempts,
+      error: result.error,
+      simulated: !!result.simulated
+    });
+    
+    variables[saveAs] = result.body;
+    variables[`${saveAs}_status`] = result.status;
+    variables[`${saveAs}_error`] = result.error;
+    if (result.ok) {
+      Object.assign(variables, integrationService.mapResponse(result.body, node.data.responseMapping));
+    }
+    await this.traceVariables(contactId, flowId, node, before, variables);
+    
+    if (!result.ok) {
+      logger.warn(`Integration call failed at node ${node.id} for contact ${contactId}: ${result.error}`);
+      
+      // Without an "error" edge the flow goes on, with <saveAs>_error set for conditions to check
+      const errorNode = this.getNextNode(flowDefinition, node.id, 'error');
+      if (errorNode) {
+        await this.traceBranch(contactId, flowId, node, 'error', errorNode.id);
+        await this.executeNode(flowDefinition, errorNode.id, contactId, organizationId, variables, flowId);
+        return;
+      }
+    }
+    
+    await this.goToNextNode(flowDefinition, node.id, contactId, organizationId, variables, flowId);
+  }
+
+  /**
+   * Get next node from edges.
+   * Without a handle, edges reserved for special branches (e.g. "failed") are skipped.
+   */
+  getNextNode(flowDefinition, currentNodeId, sourceHandle = null) {
+    const edges = flowDefinition.edges.filter(e => e.source === currentNodeId);
+    const edge = sourceHandle
+      ? edges.find(e => e.sourceHandle === sourceHandle)
+      : edges.find(e => !BRANCH_HANDLES.includes(e.sourceHandle));
+    
+    if (edge) {
+      return flowDefinition.nodes.find(n => n.id === edge.target);
+    }
+    return null;
+  }
+
+  /**
+   * Follow the edge of the chosen menu option, or the "default" edge
+   */
+  async goToOptionNode(flowDefinition, node, option, contactId, organizationId, variables, flowId) {
+    const edges = flowDefinition.edges.filter(e => e.source === node.id);
+    const edge = edges.find(e => e.sourceHandle === option.id)
+      || edges.find(e => !e.sourceHandle || e.sourceHandle === 'default');
+    
+    await this.traceBranch(contactId, flowId, node, edge?.sourceHandle || 'default', edge?.target || null);
+    
+    if (edge) {
+      await this.executeNode(flowDefinition, edge.target, contactId, organizationId, variables, flowId);
+    } else if (flowId) {
+      await this.completeFlow(contactId, flowId, variables);
+    }
+  }
+
+  /**
+   * Execute the node after currentNodeId, or complete the flow when there is none
+   */
+  async goToNextNode(flowDefinition, currentNodeId, contactId, organizationId, variables, flowId) {
+    const nextNode = this.getNextNode(flowDefinition, currentNodeId);
+    if (nextNode) {
+      await this.executeNode(flowDefinition, nextNode.id, contactId, organizationId, variables, flowId);
+    } else if (flowId) {
+      await this.completeFlow(contactId, flowId, variables);
+    }
+  }
+
+  /**
+   * Send a media file (a library item or a file path) with the caption as the message text.
+   * Voice notes are sent as push-to-talk audio.
+   */
+  async sendMedia(contactId, organizationId, mediaType, item, caption, metadata = {}, options = {}) {
+    const media = await mediaService.resolveOutgoingMedia(item, organizationId);
+    if (!media) {
+      throw new Error(item.mediaId ? `Media ${item.mediaId} not found` : 'No media selected');
+    }
+    
+    const queued = await this.sendText(contactId, caption, {
+      ...metadata,
+      mediaType: MEDIA_TYPES.includes(mediaType) ? mediaType : media.fileType,
+      mediaId: media.mediaId,
+      mediaUrl: media.mediaUrl,
+      mimeType: media.mimeType,
+      fileName: media.fileName
+    }, options);
+    
+    if (queued && media.mediaId && !await this.isSimulatorContact(contactId)) {
+      await mediaService.recordUsage(media.mediaId, contactId, metadata.flowId);
+    }
+    return queued;
+  }
+
+  /**
+   * Send a text message to a contact through its connected channel.
+   * Returns the queued message (true for the simulator), or false without a channel.
+   */
+  async sendText(contactId, message, metadata = {}, options = {}) {
+    const contact = await channelService.getContactChannel(contactId);
+    const channelType = contact?.delivery_channel_type || contact?.channel_type;
+    
+    // Channels without native buttons and lists get menus as numbered text
+    const content = metadata.interactive && !interactiveService.supportsNative(channelType)
+      ? interactiveService.renderTextMenu(message, metadata.interactive)
+      : message;
+    const traceData = {
+      flowId: metadata.flowId,
+      nodeId: metadata.nodeId,
+      message: content,
+      ...(metadata.mediaType && { mediaType: metadata.mediaType, fileName: metadata.fileName })
+    };
+    
+    // Simulator contacts use a virtual channel that only records the transcript
+    if (channelType === 'simulator') {
+      await simulatorService.recordOutgoing(contactId, content, metadata);
+      await this.trace(contactId, 'message_queued', { ...traceData, channel: 'simulator' });
+      return true;
+    }
+    
+    if (!contact?.channel_id) {
+      logger.error(`No channel found for contact ${contactId}`);
+      await this.recordRunError(contactId, metadata.flowId, metadata.nodeId, null, new Error('No connected channel for the contact'));
+      return false;
+    }
+    
+    // Queue message with anti-ban delay
+    const queued = await antiBanService.queueMessage(
+      contact.channel_id,
+      contactId,
+      content,
+      metadata,
+      options
+    );
+    await this.trace(contactId, 'message_queued', {
+      ...traceData,
+      channel: channelType,
+      queueId: queued?.id || null,
+      scheduledAt: queued?.scheduled_at || null
+    });
+    return queued;
+  }
+
+  /**
+   * Trace the variables a node changed (nothing when none did)
+   */
+  async traceVariables(contactId, flowId, node, before, after) {
+    const changes = flowTraceService.diffVariables(before, after);
+    if (Object.keys(changes).length > 0) {
+      await this.trace(contactId, 'variables_changed', { flowId, nodeId: node.id, nodeType: node.type || null, changes });
+    }
+  }
+
+  async traceBranch(contactId, flowId, node, handle, target) {
+    await this.trace(contactId, 'branch_taken', { flowId, nodeId: node.id, nodeType: node.type || null, handle, target });
+  }
+
+  /**
+   * Render a message template against flow variables (e.g. {{name | default: "there"}}).
+   * The contact is only loaded when the template uses {{contact.*}}.
+   */
+  async renderTemplate(text, contactId, variables, options = {}) {
+    const scope = { ...variables };
+    if (templateService.usesContact(text)) {
+      scope.contact = await this.getTemplateContact(contactId);
+    }
+    return templateService.render(text, scope, options);
+  }
+
+  /**
+   * Contact fields exposed to templates as {{contact.*}}
+   */
+  async getTemplateContact(contactId) {
+    const result = await query(
+      'SELECT id, name, phone, email, channel_type, custom_fields, created_at FROM contacts WHERE id = $1',
+      [contactId]
+    );
+    
+    const contact = result.rows[0];
+    if (!contact) {
+      return {};
+    }
+    return { ...contact, custom_fields: this.parseVariables(contact.custom_fields) };
+  }
+
+  /**
+   * Parse stored flow variables (JSON column or string)
+   */
+  parseVariables(raw) {
+    if (!raw) {
+      return {};
+    }
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+
+  /**
+   * Mark flow state and journey as completed and return to the calling flow, if any
+   */
+  async completeFlow(contactId, flowId, variables = null) {
+    const parent = await this.getParentFlow(contactId, flowId);
+    
+    await query(
+      `UPDATE flow_states 
+       SET completed = true, parent_flow_id = NULL, return_node_id = NULL, updated_at = NOW() 
+       WHERE contact_id = $1 AND flow_id = $2`,
+      [contactId, flowId]
+    );
+    await analyticsService.completeFlowJourney(contactId, flowId);
+    
+    this.setRunOutcome(contactId, 'completed');
+    await this.trace(contactId, 'flow_completed', { flowId });
+    
+    if (parent) {
+      await this.returnToParentFlow(contactId, parent, variables || parent.variables, 'completed');
+    }
+  }
+
+  /**
+   * Stop the flow and mark the journey as abandoned (a calling flow follows its "failed" edge)
+   */
+  async abandonFlow(contactId, flowId, variables = null) {
+    const parent = await this.getParentFlow(contactId, flowId);
+    
+    await query(
+      `UPDATE flow_states 
+       SET completed = true, awaiting_input = false, parent_flow_id = NULL, return_node_id = NULL, updated_at = NOW() 
+       WHERE contact_id = $1 AND flow_id = $2`,
+      [contactId, flowId]
+    );
+    await analyticsService.abandonFlowJourney(contactId, flowId);
+    
+    this.setRunOutcome(contactId, 'abandoned');
+    await this.trace(contactId, 'flow_abandoned', { flowId });
+    
+    if (parent) {
+      await this.returnToParentFlow(contactId, parent, variables || parent.variables, 'failed');
+    }
+  }
+
+  /**
+   * Load the flow definition (of the contact's pinned version) and organization for a stored flow state
+   */
+  async loadFlowContext(contactId, flowId) {
+    const flowResult = await query(
+      `SELECT COALESCE(ss.flow_definition, fv.flow_definition, f.flow_definition) AS flow_definition, c.organization_id
+       FROM flows f
+       JOIN contacts c ON c.id = $1
+       LEFT JOIN flow_states fs ON fs.contact_id = c.id AND fs.flow_id = f.id
+       LEFT JOIN flow_versions fv ON fv.id = fs.flow_version_id
+       LEFT JOIN simulator_sessions ss ON ss.contact_id = c.id AND ss.flow_id = f.id
+       WHERE f.id = $2`,
+      [contactId, flowId]
+    );
+    
+    if (flowResult.rows.length === 0) {
+      logger.warn(`Flow ${flowId} no longer exists, dropping scheduled state for contact ${contactId}`);
+      return null;
+    }
+    
+    return {
+      flowDefinition: flowResult.rows[0].flow_definition,
+      organizationId: flowResult.rows[0].organization_id
+    };
+  }
+
+  /**
+   * Continue a flow whose delay has elapsed (called by the scheduler)
+   */
+  async resumeAfterDelay(state) {
+    const context = await this.loadFlowContext(state.contact_id, state.flow_id);
+    if (!context) {
+      return;
+    }
+    
+    const { flowDefinition, organizationId } = context;
+    const variables = this.parseVariables(state.variables);
+    
+    await this.withRun(state.contact_id, organizationId, state.flow_id, 'delay', async () => {
+      await this.trace(state.contact_id, 'delay_elapsed', { flowId: state.flow_id, nodeId: state.current_node_id });
+      await this.goToNextNode(
+        flowDefinition,
+        state.current_node_id,
+        state.contact_id,
+        organizationId,
+        variables,
+        state.flow_id
+      );
+    });
+  }
+
+  /**
+   * Simulator step mode: execute the node the session is paused on; the run pauses again
+   * before the following node
+   */
+  async runSimulatorStep(session) {
+    const contactId = session.contact_id;
+    const context = await this.loadFlowContext(contactId, session.pending_flow_id);
+    if (!context) {
+      return;
+    }
+    
+    const stateResult = await query(
+      'SELECT variables FROM flow_states WHERE contact_id = $1 AND flow_id = $2',
+      [contactId, session.pending_flow_id]
+    );
+    const variables = this.parseVariables(stateResult.rows[0]?.variables);
+    
+    await this.withRun(contactId, context.organizationId, session.pending_flow_id, 'simulator_step', async (run) => {
+      run.simulation = session;
+      run.stepGranted = true;
+      await this.executeNode(
+        context.flowDefinition,
+        session.pending_node_id,
+        contactId,
+        context.organizationId,
+        variables,
+        session.pending_flow_id
+      );
+    });
+  }
+
+  /**
+   * Contact did not reply in time - follow the "timeout" edge or abandon the journey
+   */
+  async handleInputTimeout(state) {
+    const context = await this.loadFlowContext(state.contact_id, state.flow_id);
+    if (!context) {
+      return;
+    }
+    
+    const { flowDefinition, organizationId } = context;
+    const contactId = state.contact_id;
+    const variables = this.parseVariables(state.variables);
+    const node = flowDefinition.nodes.find(n => n.id === state.current_node_id);
+    const timeoutNode = this.getNextNode(flowDefinition, state.current_node_id, 'timeout');
+    
+    logger.info(`Input timed out at node ${state.current_node_id} for contact ${contactId}`);
+    
+    await analyticsService.trackNodeInteraction(
+      contactId,
+      state.flow_id,
+      null,
+      state.current_node_id,
+      node?.type || 'userInput',
+      timeoutNode ? 'skipped' : 'dropped_off'
+    );
+    
+    await this.logEvent(organizationId, contactId, 'flow_input_timeout', { flowId: state.flow_id, nodeId: state.current_node_id });
+    
+    await this.withRun(contactId, organizationId, state.flow_id, 'input_timeout', async () => {
+      const traceNode = node || { id: state.current_node_id };
+      await this.trace(contactId, 'input_timeout', { flowId: state.flow_id, nodeId: traceNode.id, nodeType: traceNode.type || null });
+      
+      if (timeoutNode) {
+        await this.traceBranch(contactId, state.flow_id, traceNode, 'timeout', timeoutNode.id);
+        await this.executeNode(flowDefinition, timeoutNode.id, contactId, organizationId, variables, state.flow_id);
+      } else {
+        await this.abandonFlow(contactId, state.flow_id, variables);
+      }
+    });
+  }
+
+  /**
+   * Resume flow after user input
+   */
+  async resumeFlow(contactId, userMessage, media = null) {
+    try {
+      // Get current flow state
+      const stateResult = await query(
+        `SELECT fs.*, COALESCE(ss.flow_definition, fv.flow_definition, f.flow_definition) AS flow_definition,
+                f.id as flow_id, c.organization_id
          FROM flow_states fs
          JOIN flows f ON fs.flow_id = f.id
+         LEFT JOIN flow_versions fv ON fv.id = fs.flow_version_id
+         LEFT JOIN simulator_sessions ss ON ss.contact_id = fs.contact_id AND ss.flow_id = f.id
          JOIN contacts c ON fs.contact_id = c.id
          WHERE fs.contact_id = $1 AND fs.awaiting_input = true AND fs.completed = false`,
         [contactId]
@@ -487,60 +1495,182 @@ class FlowExecutorService {
       }
       
       const state = stateResult.rows[0];
-      const currentNode = state.flow_definition.nodes.find(n => n.id === state.current_node_id);
+      await this.withRun(contactId, state.organization_id, state.flow_id, 'reply', () => this.processInput(state, userMessage, media));
       
-      if (!currentNode) {
-        logger.error(`Current node ${state.current_node_id} not found`);
-        return;
-      }
-      
-      // Save user input to variables
-      const variables = JSON.parse(state.variables || '{}');
-      const saveAs = currentNode.data.saveAs || 'user_input';
-      variables[saveAs] = userMessage;
-      variables.last_user_message = userMessage;
-      
-      // Update flow state
+    } catch (error) {
+      logger.error('Error resuming flow:', error);
+    }
+  }
+
+  /**
+   * Save a reply to the node waiting for it and continue the flow
+   */
+  async processInput(state, userMessage, media = null) {
+    const contactId = state.contact_id;
+    const currentNode = state.flow_definition.nodes.find(n => n.id === state.current_node_id);
+    
+    if (!currentNode) {
+      // Only unpinned (pre-versioning) states can lose their node; end them instead of hanging
+      logger.error(`Current node ${state.current_node_id} not found in flow ${state.flow_id}, abandoning journey`);
+      await this.recordRunError(contactId, state.flow_id, state.current_node_id, null, new Error('Waiting node no longer exists in the flow'));
+      await this.abandonFlow(contactId, state.flow_id, this.parseVariables(state.variables));
+      return;
+    }
+    
+    const variables = this.parseVariables(state.variables);
+    const before = { ...variables };
+    variables.last_user_message = userMessage;
+    if (media) {
+      variables.last_user_media = media;
+    }
+    
+    // Validate before saving, re-prompt on invalid input (menus need one of their options)
+    const interactive = interactiveService.getInteractive(currentNode);
+    const selected = interactive ? interactiveService.resolveSelection(userMessage, interactive) : null;
+    const validation = interactive
+      ? { valid: !!selected, value: selected?.id }
+      : inputValidatorService.validate(userMessage, currentNode.data, media);
+    if (!validation.valid) {
+      await this.handleInvalidInput(state, currentNode, variables, userMessage);
+      return;
+    }
+    
+    // Save user input to variables (menus save the option id, and its title as <saveAs>_title)
+    const saveAs = currentNode.data.saveAs || (interactive ? 'selected_option' : 'user_input');
+    variables[saveAs] = validation.value;
+    if (selected) {
+      variables[`${saveAs}_title`] = selected.title;
+    }
+    
+    await this.trace(contactId, 'input_received', {
+      flowId: state.flow_id,
+      nodeId: currentNode.id,
+      nodeType: currentNode.type,
+      input: userMessage,
+      valid: true,
+      saveAs,
+      option: selected?.id,
+      media: media ? { id: media.id, type: media.type } : undefined
+    });
+    await this.traceVariables(contactId, state.flow_id, currentNode, before, variables);
+    
+    // Update flow state
+    await query(
+      `UPDATE flow_states 
+       SET awaiting_input = false, input_attempts = 0, input_timeout_at = NULL, variables = $1, updated_at = NOW()
+       WHERE contact_id = $2 AND flow_id = $3`,
+      [JSON.stringify(variables), contactId, state.flow_id]
+    );
+    
+    // Track response
+    await analyticsService.trackNodeInteraction(
+      contactId,
+      state.flow_id,
+      null,
+      state.current_node_id,
+      currentNode.type,
+      'completed',
+      { response: userMessage }
+    );
+    
+    if (selected) {
+      await this.goToOptionNode(
+        state.flow_definition,
+        currentNode,
+        selected,
+        contactId,
+        state.organization_id,
+        variables,
+        state.flow_id
+      );
+      return;
+    }
+    
+    // Move to next node (completes the flow at its end)
+    await this.goToNextNode(
+      state.flow_definition,
+      state.current_node_id,
+      contactId,
+      state.organization_id,
+      variables,
+      state.flow_id
+    );
+  }
+
+  /**
+   * Re-prompt on invalid input, or follow the "failed" edge once attempts run out
+   */
+  async handleInvalidInput(state, node, variables, userMessage) {
+    const contactId = state.contact_id;
+    const attempts = (parseInt(state.input_attempts) || 0) + 1;
+    const maxAttempts = parseInt(node.data.maxAttempts) || 3;
+    
+    logger.info(`Invalid ${node.data.validation} input at node ${node.id} for contact ${contactId} (attempt ${attempts}/${maxAttempts})`);
+    
+    await this.trace(contactId, 'input_received', {
+      flowId: state.flow_id,
+      nodeId: node.id,
+      nodeType: node.type,
+      input: userMessage,
+      valid: false,
+      validation: node.data.validation,
+      attempt: attempts,
+      maxAttempts
+    });
+    
+    if (attempts < maxAttempts) {
+      this.setRunOutcome(contactId, 'waiting');
       await query(
         `UPDATE flow_states 
-         SET awaiting_input = false, variables = $1, updated_at = NOW()
-         WHERE contact_id = $2 AND flow_id = $3`,
-        [JSON.stringify(variables), contactId, state.flow_id]
+         SET input_attempts = $1, variables = $2, updated_at = NOW()
+         WHERE contact_id = $3 AND flow_id = $4`,
+        [attempts, JSON.stringify(variables), contactId, state.flow_id]
       );
       
-      // Track response
-      await analyticsService.trackNodeInteraction(
+      // Menus are sent again with the retry message
+      const interactive = interactiveService.getInteractive(node);
+      const retryMessage = interactive
+        ? interactiveService.getRetryMessage(node.data)
+        : node.data.retryMessage || inputValidatorService.getDefaultRetryMessage(node.data);
+      await this.sendText(
         contactId,
-        state.flow_id,
-        null,
-        state.current_node_id,
-        currentNode.type,
-        'completed',
-        { response: userMessage }
+        await this.renderTemplate(retryMessage, contactId, variables),
+        { flowId: state.flow_id, nodeId: node.id, retry: attempts, ...(interactive && { interactive }) }
       );
-      
-      // Move to next node
-      const nextNode = this.getNextNode(state.flow_definition, state.current_node_id);
-      if (nextNode) {
-        await this.executeNode(
-          state.flow_definition,
-          nextNode.id,
-          contactId,
-          state.organization_id,
-          variables,
-          state.flow_id
-        );
-      } else {
-        // Flow completed
-        await query(
-          `UPDATE flow_states SET completed = true WHERE contact_id = $1 AND flow_id = $2`,
-          [contactId, state.flow_id]
-        );
-        await analyticsService.completeFlowJourney(contactId, state.flow_id);
-      }
-      
-    } catch (error) {
-      logger.error('Error resuming flow:', error);
+      return;
+    }
+    
+    await query(
+      `UPDATE flow_states 
+       SET awaiting_input = false, input_attempts = 0, input_timeout_at = NULL, variables = $1, updated_at = NOW()
+       WHERE contact_id = $2 AND flow_id = $3`,
+      [JSON.stringify(variables), contactId, state.flow_id]
+    );
+    
+    await analyticsService.trackNodeInteraction(
+      contactId,
+      state.flow_id,
+      null,
+      node.id,
+      node.type,
+      'dropped_off',
+      { response: userMessage }
+    );
+    
+    const failedNode = this.getNextNode(state.flow_definition, node.id, 'failed');
+    if (failedNode) {
+      await this.traceBranch(contactId, state.flow_id, node, 'failed', failedNode.id);
+      await this.executeNode(
+        state.flow_definition,
+        failedNode.id,
+        contactId,
+        state.organization_id,
+        variables,
+        state.flow_id
+      );
+    } else {
+      // No failure branch - stop the flow
+      await this.abandonFlow(contactId, state.flow_id, variables);
     }
   }
 }
@@ -0,0 +1,304 @@
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+
+// Leased scheduler work on flow_states: when it is due, the lease column and the attempt counter
+const CLAIMS = {
+  resume: { label: 'delayed resume', dueAt: 'resume_at', claimedAt: 'claimed_at', attempts: 'resume_attempts' },
+  inputTimeout: {
+    label: 'input timeout',
+    dueAt: 'input_timeout_at',
+    claimedAt: 'input_timeout_claimed_at',
+    attempts: 'input_timeout_attempts'
+  }
+};
+
+const UNIT_SECONDS = {
+  seconds: 1,
+  minutes: 60,
+  hours: 60 * 60,
+  days: 24 * 60 * 60
+};
+
+class FlowSchedulerService {
+  constructor() {
+    this.batchSize = config.flows.schedulerBatchSize;
+    this.resumeLeaseMs = config.flows.resumeLeaseSeconds * 1000;
+    this.maxAttempts = config.flows.resumeMaxAttempts;
+    this.defaultTimezone = config.flows.defaultTimezone;
+    this.processing = false;
+  }
+
+  /**
+   * Calculate when a delay node should continue
+   *
+   * Supported node data:
+   * - { seconds: 30 } (legacy)
+   * - { mode: 'duration', duration: 2, unit: 'minutes|hours|days' }
+   * - { mode: 'datetime', datetime: '2025-01-20T10:00:00Z' }
+   * - { mode: 'timeOfDay', time: '10:00', dayOffset: 1, timezone: 'Europe/Lisbon' }
+   */
+  computeResumeAt(data = {}, now = new Date()) {
+    const mode = data.mode || (data.datetime ? 'datetime' : data.time ? 'timeOfDay' : 'duration');
+
+    switch (mode) {
+      case 'datetime': {
+        const target = new Date(data.datetime);
+        if (isNaN(target.getTime())) {
+          throw new Error(`Invalid delay datetime: ${data.datetime}`);
+        }
+        return target > now ? target : now;
+      }
+
+      case 'timeOfDay':
+        return this.nextTimeOfDay(data.time, data.timezone || this.defaultTimezone, parseInt(data.dayOffset) || 0, now);
+
+      case 'duration':
+      default: {
+        const unit = data.unit || 'seconds';
+        if (!UNIT_SECONDS[unit]) {
+          throw new Error(`Invalid delay unit: ${unit}`);
+        }
+        const amount = parseFloat(data.duration ?? data.seconds ?? 3);
+        const seconds = Math.max(0, (isNaN(amount) ? 3 : amount) * UNIT_SECONDS[unit]);
+        return new Date(now.getTime() + seconds * 1000);
+      }
+    }
+  }
+
+  /**
+   * Next occurrence of a wall-clock time ("HH:mm") in a timezone.
+   * With dayOffset 0 a time that already passed today rolls over to tomorrow.
+   */
+  nextTimeOfDay(time, timeZone, dayOffset = 0, now = new Date()) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw new Error(`Invalid delay time: ${time}`);
+    }
+
+    const today = this.getZonedParts(now, timeZone);
+    const build = (offset) => this.zonedTimeToUtc({
+      year: today.year,
+      month: today.month,
+      day: today.day + offset,
+      hour: parseInt(match[1]),
+      minute: parseInt(match[2])
+    }, timeZone);
+
+    let target = build(dayOffset);
+    if (dayOffset === 0 && target <= now) {
+      target = build(1);
+    }
+    return target;
+  }
+
+  /**
+   * Wall-clock components of a date in a timezone
+   */
+  getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+      parts[type] = type === 'weekday' ? value : parseInt(value);
+    }
+    return parts;
+  }
+
+  /**
+   * Convert wall-clock components in a timezone to a UTC Date (DST aware)
+   */
+  zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (timestamp) => {
+      const p = this.getZonedParts(new Date(timestamp), timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - timestamp;
+    };
+
+    let utc = wallClock - offsetAt(wallClock);
+    // Re-check once in case the first guess crossed a DST transition
+    utc = wallClock - offsetAt(utc);
+    return new Date(utc);
+  }
+
+  /**
+   * Persist a delay so the flow can continue after restarts (a new delay ends any resume lease)
+   */
+  async scheduleResume(contactId, flowId, nodeId, variables, resumeAt) {
+    await query(
+      `UPDATE flow_states
+       SET current_node_id = $1,
+           variables = $2,
+           awaiting_input = false,
+           resume_at = $3,
+           claimed_at = NULL,
+           resume_attempts = 0,
+           updated_at = NOW()
+       WHERE contact_id = $4 AND flow_id = $5`,
+      [nodeId, JSON.stringify(variables), resumeAt, contactId, flowId]
+    );
+
+    logger.info(`Flow ${flowId} for contact ${contactId} scheduled to resume at ${resumeAt.toISOString()}`);
+  }
+
+  /**
+   * Persist an input timeout for a userInput node (null clears it); ends any timeout lease
+   */
+  async scheduleInputTimeout(contactId, flowId, timeoutAt) {
+    await query(
+      `UPDATE flow_states
+       SET input_timeout_at = $1, input_timeout_claimed_at = NULL, input_timeout_attempts = 0
+       WHERE contact_id = $2 AND flow_id = $3`,
+      [timeoutAt, contactId, flowId]
+    );
+
+    if (timeoutAt) {
+      logger.info(`Input for flow ${flowId} / contact ${contactId} times out at ${timeoutAt.toISOString()}`);
+    }
+  }
+
+  /**
+   * Resume delayed flows and expire input timeouts that are due (run this in a worker).
+   * Rows are claimed atomically so several instances can poll safely.
+   */
+  async processDueFlows() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      await this.resumeDelayedFlows();
+      await this.expireInputTimeouts();
+    } catch (error) {
+      logger.error('Error processing scheduled flows:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Continue flows whose delay node has elapsed.
+   * A due row is leased (claimed_at) rather than cleared, and resume_at is only cleared once
+   * the resume went through: if this instance dies mid-resume, another one retries the row
+   * when the lease expires.
+   */
+  async resumeDelayedFlows() {
+    // The lease doubles as the claim token, so it is set from this clock and compared exactly
+    const claimedAt = new Date();
+    const result = await query(
+      `UPDATE flow_states fs
+       SET claimed_at = $1, resume_attempts = COALESCE(fs.resume_attempts, 0) + 1, updated_at = NOW()
+       FROM (
+         SELECT contact_id, flow_id FROM flow_states
+         WHERE resume_at IS NOT NULL AND resume_at <= NOW() AND completed = false
+         AND (claimed_at IS NULL OR claimed_at <= $2)
+         ORDER BY resume_at ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       ) due
+       WHERE fs.contact_id = due.contact_id AND fs.flow_id = due.flow_id
+       RETURNING fs.contact_id, fs.flow_id, fs.current_node_id, fs.variables, fs.resume_attempts AS attempts`,
+      [claimedAt, this.expiredLeaseBefore(claimedAt), this.batchSize]
+    );
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    await this.runClaimed(result.rows, CLAIMS.resume, claimedAt, state => flowExecutor.resumeAfterDelay(state));
+
+    logger.info(`Resumed ${result.rows.length} delayed flow(s)`);
+  }
+
+  /**
+   * Follow the timeout branch of userInput nodes nobody replied to.
+   * Leased like delays: input_timeout_at stays set until the branch went through. The claim
+   * stops waiting for input right away so a late reply cannot run alongside the branch.
+   */
+  async expireInputTimeouts() {
+    const claimedAt = new Date();
+    const result = await query(
+      `UPDATE flow_states fs
+       SET input_timeout_claimed_at = $1, input_timeout_attempts = COALESCE(fs.input_timeout_attempts, 0) + 1,
+           awaiting_input = false, updated_at = NOW()
+       FROM (
+         SELECT contact_id, flow_id FROM flow_states
+         WHERE input_timeout_at IS NOT NULL AND input_timeout_at <= NOW() AND completed = false
+         AND (
+           (awaiting_input = true AND input_timeout_claimed_at IS NULL)
+           OR input_timeout_claimed_at <= $2
+         )
+         ORDER BY input_timeout_at ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       ) due
+       WHERE fs.contact_id = due.contact_id AND fs.flow_id = due.flow_id
+       RETURNING fs.contact_id, fs.flow_id, fs.current_node_id, fs.variables, fs.input_timeout_attempts AS attempts`,
+      [claimedAt, this.expiredLeaseBefore(claimedAt), this.batchSize]
+    );
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    await this.runClaimed(result.rows, CLAIMS.inputTimeout, claimedAt, state => flowExecutor.handleInputTimeout(state));
+
+    logger.info(`Expired ${result.rows.length} input timeout(s)`);
+  }
+
+  expiredLeaseBefore(claimedAt) {
+    return new Date(claimedAt.getTime() - this.resumeLeaseMs);
+  }
+
+  /**
+   * Run each claimed row and release it once it went through. A row that keeps failing is
+   * retried when its lease expires, until maxAttempts; then the journey is ended instead of
+   * re-running the same nodes (and re-sending their messages) forever.
+   */
+  async runClaimed(states, claim, claimedAt, run) {
+    for (const state of states) {
+      try {
+        if (state.attempts > this.maxAttempts) {
+          logger.error(`Giving up on ${claim.label} of flow ${state.flow_id} for contact ${state.contact_id} after ${this.maxAttempts} failed attempt(s)`);
+          await this.releaseClaim(state, claim, claimedAt, { giveUp: true });
+          continue;
+        }
+        await run(state);
+        await this.releaseClaim(state, claim, claimedAt);
+      } catch (error) {
+        logger.error(`Failed ${claim.label} of flow ${state.flow_id} for contact ${state.contact_id} (attempt ${state.attempts} of ${this.maxAttempts}):`, error);
+      }
+    }
+  }
+
+  /**
+   * Clear a finished (or abandoned) claim. Matching the lease leaves rows alone whose run already
+   * scheduled a new delay or input timeout (which ended the lease).
+   */
+  async releaseClaim(state, claim, claimedAt, { giveUp = false } = {}) {
+    const result = await query(
+      `UPDATE flow_states
+       SET ${claim.dueAt} = NULL, ${claim.claimedAt} = NULL, ${claim.attempts} = 0,
+           ${giveUp ? 'completed = true, awaiting_input = false,' : ''} updated_at = NOW()
+       WHERE contact_id = $1 AND flow_id = $2 AND ${claim.claimedAt} = $3
+       RETURNING contact_id`,
+      [state.contact_id, state.flow_id, claimedAt]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+export default new FlowSchedulerService();
@@ -0,0 +1,222 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockQuery } from '../test/harness.js';
+
+const { default: flowSchedulerService } = await import('./flowScheduler.service.js');
+const { default: flowExecutor } = await import('./flowExecutor.service.js');
+
+// A single flow_states row, changed the way the scheduler's statements change it
+let row;
+await mockQuery((sql, params) => {
+  const claim = sql.match(/SET (claimed_at|input_timeout_claimed_at) = \?, (\w+) = COALESCE/);
+  if (claim) {
+    const [, claimedAtColumn, attemptsColumn] = claim;
+    const dueAtColumn = claimedAtColumn === 'claimed_at' ? 'resume_at' : 'input_timeout_at';
+    const [claimedAt, expiredBefore] = params;
+    const unclaimed = claimedAtColumn === 'claimed_at'
+      ? !row.claimed_at
+      : row.awaiting_input && !row.input_timeout_claimed_at;
+    const leaseExpired = row[claimedAtColumn] && row[claimedAtColumn] <= expiredBefore;
+    if (!row[dueAtColumn] || row[dueAtColumn] > new Date() || row.completed || !(unclaimed || leaseExpired)) {
+      return [];
+    }
+    row[claimedAtColumn] = claimedAt;
+    row[attemptsColumn] += 1;
+    if (claimedAtColumn === 'input_timeout_claimed_at') {
+      row.awaiting_input = false;
+    }
+    return [{
+      contact_id: row.contact_id,
+      flow_id: row.flow_id,
+      current_node_id: row.current_node_id,
+      attempts: row[attemptsColumn]
+    }];
+  }
+
+  const release = sql.match(/SET (\w+) = NULL, (\w+) = NULL, (\w+) = 0/);
+  if (release) {
+    const [, dueAtColumn, claimedAtColumn, attemptsColumn] = release;
+    if (row[claimedAtColumn]?.getTime() !== params[2].getTime()) {
+      return [];
+    }
+    Object.assign(row, { [dueAtColumn]: null, [claimedAtColumn]: null, [attemptsColumn]: 0 });
+    if (sql.includes('completed = true')) {
+      Object.assign(row, { completed: true, awaiting_input: false });
+    }
+    return [{ contact_id: row.contact_id }];
+  }
+
+  if (sql.includes('resume_at = ?')) {
+    const [nodeId, , resumeAt] = params;
+    Object.assign(row, {
+      current_node_id: nodeId,
+      awaiting_input: false,
+      resume_at: resumeAt,
+      claimed_at: null,
+      resume_attempts: 0
+    });
+  }
+  return [];
+});
+
+const resumeAfterDelay = mock.method(flowExecutor, 'resumeAfterDelay', () => Promise.resolve());
+const handleInputTimeout = mock.method(flowExecutor, 'handleInputTimeout', () => Promise.resolve());
+const releaseClaim = mock.method(flowSchedulerService, 'releaseClaim');
+
+const { resumeLeaseMs, maxAttempts } = flowSchedulerService;
+const past = () => new Date(Date.now() - 60 * 1000);
+
+beforeEach(() => {
+  row = {
+    contact_id: 1,
+    flow_id: 2,
+    current_node_id: 'delay-1',
+    completed: false,
+    awaiting_input: false,
+    resume_at: null,
+    claimed_at: null,
+    resume_attempts: 0,
+    input_timeout_at: null,
+    input_timeout_claimed_at: null,
+    input_timeout_attempts: 0
+  };
+  Object.assign(flowSchedulerService, { resumeLeaseMs, maxAttempts });
+  for (const method of [resumeAfterDelay, handleInputTimeout, releaseClaim]) {
+    method.mock.resetCalls();
+  }
+  resumeAfterDelay.mock.mockImplementation(() => Promise.resolve());
+  handleInputTimeout.mock.mockImplementation(() => Promise.resolve());
+});
+
+test('duration delays count from now in the given unit', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  assert.equal(flowSchedulerService.computeResumeAt({ mode: 'duration', duration: 2, unit: 'hours' }, now).toISOString(), '2026-10-19T12:00:00.000Z');
+  assert.equal(flowSchedulerService.computeResumeAt({ duration: 1.5, unit: 'days' }, now).toISOString(), '2026-10-20T22:00:00.000Z');
+  assert.equal(flowSchedulerService.computeResumeAt({ seconds: 30 }, now).toISOString(), '2026-10-19T10:00:30.000Z');
+  assert.equal(flowSchedulerService.computeResumeAt({ mode: 'duration', duration: -5, unit: 'minutes' }, now).getTime(), now.getTime());
+  assert.throws(() => flowSchedulerService.computeResumeAt({ duration: 1, unit: 'weeks' }, now), /Invalid delay unit/);
+});
+
+test('datetime delays wait until the date, or continue now when it already passed', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  assert.equal(flowSchedulerService.computeResumeAt({ datetime: '2026-12-24T18:00:00Z' }, now).toISOString(), '2026-12-24T18:00:00.000Z');
+  assert.equal(flowSchedulerService.computeResumeAt({ mode: 'datetime', datetime: '2026-01-01T00:00:00Z' }, now).getTime(), now.getTime());
+  assert.throws(() => flowSchedulerService.computeResumeAt({ mode: 'datetime', datetime: 'tomorrow' }, now), /Invalid delay datetime/);
+});
+
+test('time-of-day delays use the wall clock of the timezone, rolling over once the time passed', () => {
+  const now = new Date('2026-07-01T08:00:00Z'); // 09:00 in Lisbon (WEST, UTC+1)
+  const at = (data) => flowSchedulerService.computeResumeAt({ mode: 'timeOfDay', timezone: 'Europe/Lisbon', ...data }, now).toISOString();
+
+  assert.equal(at({ time: '10:00' }), '2026-07-01T09:00:00.000Z');
+  assert.equal(at({ time: '08:30' }), '2026-07-02T07:30:00.000Z');
+  assert.equal(at({ time: '08:30', dayOffset: 2 }), '2026-07-03T07:30:00.000Z');
+  assert.throws(() => at({ time: '24:00' }), /Invalid delay time/);
+});
+
+test('time-of-day delays across a DST change keep the wall-clock time', () => {
+  const at = (time, timezone, now) => flowSchedulerService.computeResumeAt({ mode: 'timeOfDay', time, timezone }, new Date(now)).toISOString();
+
+  // Lisbon springs forward on 2026-03-29 (WET UTC+0 -> WEST UTC+1) and falls back on 2026-10-25
+  assert.equal(at('10:00', 'Europe/Lisbon', '2026-03-28T12:00:00Z'), '2026-03-29T09:00:00.000Z');
+  assert.equal(at('08:00', 'Europe/Lisbon', '2026-03-28T23:30:00Z'), '2026-03-29T07:00:00.000Z');
+  assert.equal(at('09:00', 'Europe/Lisbon', '2026-10-24T12:00:00Z'), '2026-10-25T09:00:00.000Z');
+  // New York springs forward on 2026-03-08 (EST UTC-5 -> EDT UTC-4)
+  assert.equal(at('09:00', 'America/New_York', '2026-03-07T20:00:00Z'), '2026-03-08T13:00:00.000Z');
+});
+
+test('zonedTimeToUtc converts wall-clock times with the offset in effect on that date', () => {
+  const toUtc = parts => flowSchedulerService.zonedTimeToUtc(parts, 'Europe/Lisbon').toISOString();
+
+  assert.equal(toUtc({ year: 2026, month: 1, day: 15, hour: 12 }), '2026-01-15T12:00:00.000Z');
+  assert.equal(toUtc({ year: 2026, month: 7, day: 15, hour: 12 }), '2026-07-15T11:00:00.000Z');
+  // Day overflow rolls into the next month, as the time-of-day offsets rely on
+  assert.equal(toUtc({ year: 2026, month: 3, day: 32, hour: 9 }), '2026-04-01T08:00:00.000Z');
+});
+
+test('a due delay is leased while it resumes and cleared once the resume went through', async () => {
+  row.resume_at = past();
+  resumeAfterDelay.mock.mockImplementation(() => {
+    assert.ok(row.claimed_at, 'the row is leased during the resume');
+    assert.ok(row.resume_at, 'resume_at is kept during the resume');
+    return Promise.resolve();
+  });
+
+  await flowSchedulerService.resumeDelayedFlows();
+
+  assert.equal(resumeAfterDelay.mock.callCount(), 1);
+  assert.equal(row.resume_at, null);
+  assert.equal(row.claimed_at, null);
+  assert.equal(row.resume_attempts, 0);
+});
+
+test('a delay scheduled by the resumed run replaces the claim, so the release leaves it alone', async () => {
+  row.resume_at = past();
+  const nextResumeAt = new Date(Date.now() + 60 * 60 * 1000);
+  resumeAfterDelay.mock.mockImplementation(state => flowSchedulerService.scheduleResume(state.contact_id, state.flow_id, 'delay-2', {}, nextResumeAt));
+
+  await flowSchedulerService.resumeDelayedFlows();
+
+  assert.equal(await releaseClaim.mock.calls[0].result, false);
+  assert.equal(row.resume_at, nextResumeAt);
+  assert.equal(row.current_node_id, 'delay-2');
+  assert.equal(row.claimed_at, null);
+  assert.equal(row.completed, false);
+});
+
+test('a resume that throws keeps the delay, is retried after the lease and given up after maxAttempts', async () => {
+  row.resume_at = past();
+  resumeAfterDelay.mock.mockImplementation(() => Promise.reject(new Error('database went away')));
+  flowSchedulerService.maxAttempts = 2;
+
+  await flowSchedulerService.resumeDelayedFlows();
+  assert.equal(resumeAfterDelay.mock.callCount(), 1);
+  assert.ok(row.resume_at);
+  assert.ok(row.claimed_at);
+
+  // Still leased: another tick (or instance) does not pick it up
+  await flowSchedulerService.resumeDelayedFlows();
+  assert.equal(resumeAfterDelay.mock.callCount(), 1);
+
+  flowSchedulerService.resumeLeaseMs = 0;
+  await flowSchedulerService.resumeDelayedFlows();
+  assert.equal(resumeAfterDelay.mock.callCount(), 2);
+  assert.equal(row.completed, false);
+
+  await flowSchedulerService.resumeDelayedFlows();
+  assert.equal(resumeAfterDelay.mock.callCount(), 2, 'the third claim gives up without running the nodes again');
+  assert.equal(row.completed, true);
+  assert.equal(row.resume_at, null);
+  assert.equal(row.claimed_at, null);
+});
+
+test('an input timeout stops waiting for input and keeps its timeout until the branch went through', async () => {
+  Object.assign(row, { current_node_id: 'input-1', awaiting_input: true, input_timeout_at: past() });
+  handleInputTimeout.mock.mockImplementationOnce(() => {
+    assert.equal(row.awaiting_input, false, 'a late reply is not taken while the branch runs');
+    return Promise.reject(new Error('crashed mid-branch'));
+  });
+
+  await flowSchedulerService.expireInputTimeouts();
+  assert.equal(handleInputTimeout.mock.callCount(), 1);
+  assert.ok(row.input_timeout_at, 'the timeout is not dropped by a failed branch');
+  assert.ok(row.input_timeout_claimed_at);
+
+  flowSchedulerService.resumeLeaseMs = 0;
+  await flowSchedulerService.expireInputTimeouts();
+  assert.equal(handleInputTimeout.mock.callCount(), 2);
+  assert.equal(row.input_timeout_at, null);
+  assert.equal(row.input_timeout_claimed_at, null);
+  assert.equal(row.input_timeout_attempts, 0);
+  assert.equal(row.completed, false);
+});
+
+test('an input timeout nobody claimed is not expired while the contact is no longer waiting', async () => {
+  Object.assign(row, { current_node_id: 'input-1', awaiting_input: false, input_timeout_at: past() });
+
+  await flowSchedulerService.expireInputTimeouts();
+
+  assert.equal(handleInputTimeout.mock.callCount(), 0);
+});
@@ -0,0 +1,206 @@
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+
+// Longest string kept in a trace value; bigger payloads are truncated
+const MAX_TRACE_STRING = 2000;
+
+/**
+ * Flow execution traces: one flow_runs row per executor run with a timeline of
+ * flow_run_events, so a contact's journey can be debugged node by node.
+ * Tracing never breaks a flow - failures are only logged.
+ */
+class FlowTraceService {
+
+  /**
+   * Open a run; returns its id or null if it could not be stored
+   */
+  async startRun(contactId, organizationId, flowId, triggerType) {
+    try {
+      const result = await query(
+        `INSERT INTO flow_runs (organization_id, contact_id, flow_id, trigger_type)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [organizationId, contactId, flowId, triggerType]
+      );
+      return result.rows[0]?.id || null;
+    } catch (error) {
+      logger.error('Failed to start flow trace:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Append an event to a run's timeline
+   */
+  async record(runId, eventType, { flowId = null, nodeId = null, nodeType = null, ...data } = {}) {
+    if (!runId) {
+      return;
+    }
+
+    try {
+      await query(
+        `INSERT INTO flow_run_events (run_id, flow_id, node_id, node_type, event_type, data)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [runId, flowId, nodeId, nodeType, eventType, JSON.stringify(this.snapshot(data))]
+      );
+    } catch (error) {
+      logger.error(`Failed to record flow trace event ${eventType}:`, error);
+    }
+  }
+
+  /**
+   * Close a run with its outcome (waiting, completed, failed, ...)
+   */
+  async finishRun(runId, status, { steps = 0, lastNodeId = null, error = null } = {}) {
+    if (!runId) {
+      return;
+    }
+
+    try {
+      await query(
+        `UPDATE flow_runs
+         SET status = $1, steps = $2, last_node_id = $3, error_node_id = $4, error_message = $5, ended_at = NOW()
+         WHERE id = $6`,
+        [status, steps, lastNodeId, error?.nodeId || null, error?.message || null, runId]
+      );
+    } catch (err) {
+      logger.error('Failed to finish flow trace:', err);
+    }
+  }
+
+  /**
+   * Runs of a contact, newest first
+   *
+   * Filters: flowId, status, limit (default 50)
+   */
+  async getRuns(contactId, organizationId, filters = {}) {
+    const params = [contactId, organizationId];
+    let sql = `
+      SELECT fr.*, f.name AS flow_name,
+             (SELECT COUNT(*) FROM flow_run_events e WHERE e.run_id = fr.id) AS event_count
+      FROM flow_runs fr
+      LEFT JOIN flows f ON f.id = fr.flow_id
+      WHERE fr.contact_id = $1 AND fr.organization_id = $2
+    `;
+
+    if (filters.flowId) {
+      params.push(filters.flowId);
+      sql += ` AND fr.flow_id = $${params.length}`;
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      sql += ` AND fr.status = $${params.length}`;
+    }
+
+    params.push(Math.min(parseInt(filters.limit) || 50, 200));
+    sql += ` ORDER BY fr.started_at DESC, fr.id DESC LIMIT $${params.length}`;
+
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Recent failed runs of a flow, for spotting the node that breaks
+   */
+  async getFailedRuns(flowId, organizationId, limit = 50) {
+    const result = await query(
+      `SELECT fr.*, c.name AS contact_name, c.phone AS contact_phone
+       FROM flow_runs fr
+       JOIN contacts c ON c.id = fr.contact_id
+       WHERE fr.flow_id = $1 AND fr.organization_id = $2 AND fr.status = 'failed'
+       ORDER BY fr.started_at DESC
+       LIMIT $3`,
+      [flowId, organizationId, Math.min(parseInt(limit) || 50, 200)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * A run with its full event timeline
+   */
+  async getRun(runId, organizationId) {
+    const runResult = await query(
+      `SELECT fr.*, f.name AS flow_name
+       FROM flow_runs fr
+       LEFT JOIN flows f ON f.id = fr.flow_id
+       WHERE fr.id = $1 AND fr.organization_id = $2`,
+      [runId, organizationId]
+    );
+
+    if (runResult.rows.length === 0) {
+      return null;
+    }
+
+    const events = await query(
+      'SELECT * FROM flow_run_events WHERE run_id = $1 ORDER BY id',
+      [runId]
+    );
+
+    return {
+      ...runResult.rows[0],
+      events: events.rows.map(event => ({
+        ...event,
+        data: typeof event.data === 'string' ? JSON.parse(event.data) : event.data || {}
+      }))
+    };
+  }
+
+  /**
+   * Delete runs older than the retention period
+   */
+  async cleanup() {
+    const days = config.flows.traceRetentionDays;
+    const result = await query(
+      `DELETE FROM flow_runs
+       WHERE started_at < NOW() - INTERVAL '${days} days'
+       RETURNING id`
+    );
+
+    logger.info(`Cleaned up ${result.rows.length} flow traces older than ${days} days`);
+    return result.rows.length;
+  }
+
+  /**
+   * JSON-safe copy of trace data with long strings truncated
+   */
+  snapshot(value, depth = 0) {
+    if (value === null || value === undefined) {
+      return value ?? null;
+    }
+    if (typeof value === 'string') {
+      return value.length > MAX_TRACE_STRING ? `${value.slice(0, MAX_TRACE_STRING)}… (truncated)` : value;
+    }
+    if (typeof value !== 'object') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (depth >= 6) {
+      return '[…]';
+    }
+    if (Array.isArray(value)) {
+      return value.slice(0, 100).map(item => this.snapshot(item, depth + 1));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.snapshot(item, depth + 1)])
+    );
+  }
+
+  /**
+   * Keys whose values differ between two variable snapshots
+   */
+  diffVariables(before = {}, after = {}) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = {};
+
+    for (const key of keys) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes[key] = { before: before[key] ?? null, after: after[key] ?? null };
+      }
+    }
+    return changes;
+  }
+}
+
+export default new FlowTraceService();
@@ -0,0 +1,499 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+import flowSchedulerService from './flowScheduler.service.js';
+import inputValidatorService, { MEDIA_INPUT_TYPES } from './inputValidator.service.js';
+import interactiveService from './interactive.service.js';
+import { AUTH_TYPES, HTTP_METHODS, HMAC_ALGORITHMS, LIMITS } from './integration.service.js';
+import safeRegexService from './safeRegex.service.js';
+
+export const NODE_TYPES = [
+  'start', 'botResponse', 'userInput', 'condition', 'switch', 'delay', 'setVariable', 'aiResponse',
+  'assignAgent', 'logEvent', 'addTag', 'updateScore', 'integration', 'callFlow', 'goToFlow',
+  'image', 'video', 'audio', 'voice', 'document', 'sequence', 'businessHours'
+];
+
+// Nodes that end the synchronous run (the flow waits for the contact or the scheduler)
+const PAUSING_NODE_TYPES = ['userInput', 'delay'];
+
+// Nodes that can leave a loop on their own (e.g. a counter checked by a condition)
+const BRANCHING_NODE_TYPES = ['condition', 'switch', 'businessHours'];
+
+const VALIDATION_TYPES = ['text', 'email', 'phone', 'number', 'date', 'regex', 'choice', 'media'];
+const ASSIGNMENT_OPERATIONS = ['set', 'copy', 'add', 'subtract', 'multiply', 'divide', 'concat'];
+
+class FlowValidatorService {
+
+  /**
+   * Validate a flow definition before it is saved
+   *
+   * Returns a list of { code, message, nodeIds, edgeIds } (empty when the flow is valid)
+   * so the builder can point at the offending nodes and edges.
+   */
+  validate(flowDefinition) {
+    if (!flowDefinition || !Array.isArray(flowDefinition.nodes)) {
+      return [this.error('invalid_structure', 'flow_definition must have a nodes array')];
+    }
+    if (flowDefinition.edges !== undefined && !Array.isArray(flowDefinition.edges)) {
+      return [this.error('invalid_structure', 'flow_definition.edges must be an array')];
+    }
+
+    const nodes = flowDefinition.nodes;
+    const edges = flowDefinition.edges || [];
+    const errors = [
+      ...this.checkNodes(nodes),
+      ...this.checkStartNode(nodes),
+      ...this.checkEdges(nodes, edges)
+    ];
+
+    // Graph checks are only meaningful once every node and edge is well formed
+    if (errors.length === 0) {
+      errors.push(
+        ...this.checkReachability(nodes, edges),
+        ...this.checkDeadEnds(nodes, edges),
+        ...this.checkLoops(nodes, edges)
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw a ValidationError carrying the structured errors
+   */
+  assertValid(flowDefinition) {
+    const errors = this.validate(flowDefinition);
+    if (errors.length > 0) {
+      throw new ValidationError('Flow definition is invalid', errors);
+    }
+  }
+
+  checkNodes(nodes) {
+    const errors = [];
+    const seen = new Set();
+
+    for (const node of nodes) {
+      if (!node || node.id === undefined || node.id === null || node.id === '') {
+        errors.push(this.error('missing_node_id', 'Every node needs an id'));
+        continue;
+      }
+      if (seen.has(node.id)) {
+        errors.push(this.error('duplicate_node_id', `Node id ${node.id} is used more than once`, [node.id]));
+      }
+      seen.add(node.id);
+
+      if (!NODE_TYPES.includes(node.type)) {
+        errors.push(this.error('unknown_node_type', `Node ${node.id} has unknown type "${node.type}"`, [node.id]));
+        continue;
+      }
+
+      for (const problem of this.checkNodeData(node.type, node.data || {})) {
+        errors.push(this.error('invalid_node_data', `Node ${node.id} (${node.type}): ${problem}`, [node.id]));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Required data per node type; returns a list of problems
+   */
+  checkNodeData(type, data) {
+    const problems = [];
+    const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+    switch (type) {
+      case 'botResponse':
+        if (isBlank(data.message)) {
+          problems.push('message is required');
+        }
+        problems.push(...interactiveService.checkInteractive(data.interactive));
+        if (data.interactive && data.timeout) {
+          problems.push(...this.checkSchedule(data.timeout, 'timeout'));
+        }
+        break;
+
+      case 'userInput': {
+        const validation = data.validation || 'text';
+        if (!VALIDATION_TYPES.includes(validation)) {
+          problems.push(`unknown validation "${validation}"`);
+        }
+        if (validation === 'choice' && inputValidatorService.parseChoices(data.choices).length === 0) {
+          problems.push('choices are required for choice validation');
+        }
+        if (validation === 'regex') {
+          problems.push(...this.checkPattern(data.pattern, data.flags));
+        }
+        if (validation === 'media' && !MEDIA_INPUT_TYPES.includes(data.mediaType || 'any')) {
+          problems.push(`unknown media type "${data.mediaType}"`);
+        }
+        if (data.timeout) {
+          problems.push(...this.checkSchedule(data.timeout, 'timeout'));
+        }
+        break;
+      }
+
+      case 'condition':
+        problems.push(...this.checkConditions(Array.isArray(data.conditions) ? data.conditions : [data]));
+        break;
+
+      case 'switch':
+        if (!Array.isArray(data.cases) || data.cases.length === 0) {
+          problems.push('at least one case is required');
+          break;
+        }
+        data.cases.forEach((switchCase, index) => {
+          if (!Array.isArray(switchCase.conditions) || switchCase.conditions.length === 0) {
+            problems.push(`case ${switchCase.label || index + 1} needs at least one condition`);
+          } else {
+            problems.push(...this.checkConditions(switchCase.conditions));
+          }
+        });
+        break;
+
+      case 'delay':
+        problems.push(...this.checkSchedule(data, 'delay'));
+        break;
+
+      case 'setVariable':
+        for (const assignment of data.assignments || [data]) {
+          if (isBlank(assignment.variable)) {
+            problems.push('variable is required');
+          }
+          if (!ASSIGNMENT_OPERATIONS.includes(assignment.operation || 'set')) {
+            problems.push(`unknown operation "${assignment.operation}"`);
+          }
+        }
+        break;
+
+      case 'addTag':
+        if (isBlank(data.tag)) {
+          problems.push('tag is required');
+        }
+        break;
+
+      case 'updateScore':
+        if (!Number.isFinite(Number(data.change))) {
+          problems.push('change must be a number');
+        }
+        break;
+
+      case 'integration':
+        problems.push(...this.checkIntegration(data));
+        break;
+
+      case 'image':
+      case 'video':
+      case 'audio':
+      case 'voice':
+      case 'document':
+        if (isBlank(data.mediaId) && isBlank(data.mediaUrl)) {
+          problems.push('a media file is required');
+        }
+        break;
+
+      case 'sequence':
+        if (!Number.isInteger(parseInt(data.sequenceId))) {
+          problems.push('sequenceId is required');
+        }
+        break;
+
+      case 'callFlow':
+      case 'goToFlow':
+        if (!Number.isInteger(parseInt(data.flowId))) {
+          problems.push('flowId is required');
+        }
+        if (data.mode && !['return', 'handoff'].includes(data.mode)) {
+          problems.push(`unknown mode "${data.mode}"`);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    return problems;
+  }
+
+  checkIntegration(data) {
+    const problems = [];
+    if (!data.url || String(data.url).trim() === '') {
+      problems.push('url is required');
+    }
+    if (data.method && !HTTP_METHODS.includes(String(data.method).toUpperCase())) {
+      problems.push(`unknown method "${data.method}"`);
+    }
+
+    for (const [field, { min, max }] of Object.entries(LIMITS)) {
+      const value = data[field];
+      if (value !== undefined && value !== null && value !== '' && !(Number(value) >= min && Number(value) <= max)) {
+        problems.push(`${field} must be between ${min} and ${max}`);
+      }
+    }
+
+    const auth = data.auth || {};
+    const authType = auth.type || 'none';
+    if (!AUTH_TYPES.includes(authType)) {
+      problems.push(`unknown auth type "${authType}"`);
+    } else if (authType !== 'none' && !auth.secret) {
+      problems.push(`${authType} auth needs the name of an organization secret`);
+    }
+    if (authType === 'hmac' && auth.algorithm && !HMAC_ALGORITHMS.includes(auth.algorithm)) {
+      problems.push(`unknown HMAC algorithm "${auth.algorithm}"`);
+    }
+    if (authType === 'apiKey' && auth.in && !['header', 'query'].includes(auth.in)) {
+      problems.push('the API key goes in a "header" or the "query"');
+    }
+
+    const mapping = data.responseMapping;
+    const entries = Array.isArray(mapping)
+      ? mapping
+      : Object.entries(mapping || {}).map(([variable, path]) => ({ variable, path }));
+    if (entries.some(entry => !entry?.variable || !entry?.path)) {
+      problems.push('every response mapping needs a variable and a path');
+    }
+    return problems;
+  }
+
+  checkConditions(conditions) {
+    const problems = [];
+    const sourcesWithoutSubject = ['tags', 'score', 'time', 'weekday'];
+
+    for (const condition of conditions) {
+      const needsSubject = condition.operator !== 'has-tag' && !sourcesWithoutSubject.includes(condition.source);
+      if (needsSubject && !condition.variable && !condition.field) {
+        problems.push('condition variable is required');
+      }
+      if (condition.operator === 'regex') {
+        problems.push(...this.checkPattern(condition.value, condition.flags));
+      }
+    }
+    return problems;
+  }
+
+  checkPattern(pattern, flags = 'i') {
+    const problem = safeRegexService.check(pattern, flags);
+    return problem ? [problem] : [];
+  }
+
+  checkSchedule(data, label) {
+    // Datetimes built from variables can only be checked at runtime
+    if (typeof data.datetime === 'string' && data.datetime.includes('{{')) {
+      return [];
+    }
+    try {
+      flowSchedulerService.computeResumeAt(data);
+      return [];
+    } catch (error) {
+      return [`invalid ${label}: ${error.message}`];
+    }
+  }
+
+  checkStartNode(nodes) {
+    const starts = nodes.filter(node => node?.type === 'start');
+    if (starts.length === 0) {
+      return [this.error('missing_start', 'The flow needs a start node')];
+    }
+    if (starts.length > 1) {
+      return [this.error('multiple_starts', 'The flow must have exactly one start node', starts.map(node => node.id))];
+    }
+    return [];
+  }
+
+  checkEdges(nodes, edges) {
+    const errors = [];
+    const nodesById = new Map(nodes.filter(Boolean).map(node => [node.id, node]));
+
+    for (const edge of edges) {
+      const source = nodesById.get(edge?.source);
+      const target = nodesById.get(edge?.target);
+
+      if (!source || !target) {
+        const missing = !source ? edge?.source : edge?.target;
+        errors.push(this.error(
+          'invalid_edge',
+          `Edge ${edge?.id ?? '?'} points to node ${missing}, which does not exist`,
+          [source?.id, target?.id].filter(id => id !== undefined),
+          [edge?.id]
+        ));
+        continue;
+      }
+
+      if (target.type === 'start') {
+        errors.push(this.error('invalid_edge', `Edge ${edge.id} points back to the start node`, [source.id], [edge.id]));
+      }
+
+      const handles = this.getValidHandles(source);
+      const handle = edge.sourceHandle ?? null;
+      if (handle !== null && !handles.includes(handle)) {
+        const expected = handles.length ? ` (expected ${handles.join(', ')})` : '';
+        errors.push(this.error(
+          'invalid_handle',
+          `Edge ${edge.id} leaves ${source.type} node ${source.id} from unknown handle "${handle}"${expected}`,
+          [source.id],
+          [edge.id]
+        ));
+      }
+    }
+
+    // With more than one edge a condition can only choose between its true/false handles
+    for (const node of nodes.filter(n => n?.type === 'condition')) {
+      const outgoing = edges.filter(edge => edge.source === node.id);
+      if (outgoing.length > 1 && outgoing.some(edge => !['true', 'false'].includes(edge.sourceHandle))) {
+        errors.push(this.error(
+          'invalid_handle',
+          `Condition node ${node.id} has several edges; each must use the "true" or "false" handle`,
+          [node.id],
+          outgoing.map(edge => edge.id)
+        ));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Source handles a node type may use on its outgoing edges
+   */
+  getValidHandles(node) {
+    switch (node.type) {
+      case 'botResponse': {
+        // Menu options branch by their id; "default" catches replies without an option edge
+        const interactive = interactiveService.getInteractive(node);
+        return interactive
+          ? interactive.options.map(option => option.id).concat('default', 'failed', 'timeout')
+          : [];
+      }
+      case 'condition':
+        return ['true', 'false'];
+      case 'switch':
+        return (node.data?.cases || []).map((c, i) => c.id || `case-${i}`).concat('default');
+      case 'userInput':
+        return ['failed', 'timeout'];
+      case 'callFlow':
+      case 'goToFlow':
+        return ['failed'];
+      case 'integration':
+        return ['success', 'error'];
+      case 'businessHours':
+        return ['open', 'closed'];
+      default:
+        return [];
+    }
+  }
+
+  checkReachability(nodes, edges) {
+    const start = nodes.find(node => node.type === 'start');
+    const reached = new Set([start.id]);
+    const queue = [start.id];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of edges.filter(e => e.source === id)) {
+        if (!reached.has(edge.target)) {
+          reached.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+
+    return nodes
+      .filter(node => !reached.has(node.id))
+      .map(node => this.error('unreachable_node', `Node ${node.id} (${node.type}) cannot be reached from the start node`, [node.id]));
+  }
+
+  /**
+   * A userInput node or menu must lead somewhere, otherwise the reply is collected for nothing
+   */
+  checkDeadEnds(nodes, edges) {
+    return nodes
+      .filter(node => node.type === 'userInput' || interactiveService.getInteractive(node))
+      .filter(node => !edges.some(edge => edge.source === node.id && !['failed', 'timeout'].includes(edge.sourceHandle)))
+      .map(node => this.error(
+        'dead_end',
+        `${node.type === 'userInput' ? 'User Input' : 'Menu'} node ${node.id} has no next node for the reply`,
+        [node.id]
+      ));
+  }
+
+  /**
+   * Nodes that end the synchronous run: userInput, delay and botResponse menus
+   */
+  isPausing(node) {
+    return PAUSING_NODE_TYPES.includes(node.type) || !!interactiveService.getInteractive(node);
+  }
+
+  checkLoops(nodes, edges) {
+    const nodeTypes = new Map(nodes.map(node => [node.id, node.type]));
+
+    // Loops through a condition may exit; those are bounded by the executor's step budget instead
+    return this.findLoopsWithoutPause({ nodes, edges })
+      .filter(cycle => !cycle.some(id => BRANCHING_NODE_TYPES.includes(nodeTypes.get(id))))
+      .map(cycle => this.error(
+        'infinite_loop',
+        cycle.length === 1
+          ? `Node ${cycle[0]} links to itself, so the flow would never stop`
+          : `Nodes ${cycle.join(' → ')} form a loop without a User Input or Delay node, so it would never stop`,
+        cycle
+      ));
+  }
+
+  /**
+   * Find edge cycles that do not pass through a pausing node.
+   * Each cycle is returned once as the list of node ids along the loop.
+   */
+  findLoopsWithoutPause(flowDefinition = {}) {
+    const nodes = flowDefinition.nodes || [];
+    const edges = flowDefinition.edges || [];
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const isRunnable = (id) => nodesById.has(id) && !this.isPausing(nodesById.get(id));
+
+    const adjacency = new Map();
+    for (const edge of edges) {
+      if (isRunnable(edge.source) && isRunnable(edge.target)) {
+        if (!adjacency.has(edge.source)) {
+          adjacency.set(edge.source, []);
+        }
+        adjacency.get(edge.source).push(edge.target);
+      }
+    }
+
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+    const stack = [];
+
+    const visit = (id) => {
+      state.set(id, 1);
+      stack.push(id);
+
+      for (const next of adjacency.get(id) || []) {
+        if (state.get(next) === 1) {
+          const cycle = stack.slice(stack.indexOf(next));
+          const key = [...cycle].sort().join(',');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(cycle);
+          }
+        } else if (!state.has(next)) {
+          visit(next);
+        }
+      }
+
+      stack.pop();
+      state.set(id, 2);
+    };
+
+    for (const node of nodes) {
+      if (isRunnable(node.id) && !state.has(node.id)) {
+        visit(node.id);
+      }
+    }
+
+    return cycles;
+  }
+
+  error(code, message, nodeIds = [], edgeIds = []) {
+    return { code, message, nodeIds, edgeIds };
+  }
+}
+
+export default new FlowValidatorService();
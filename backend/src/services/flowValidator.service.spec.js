@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import flowValidatorService from './flowValidator.service.js';
+
+const node = (id, type, data = {}) => ({ id, type, data });
+const edge = (source, target, sourceHandle) => ({ id: `${source}-${target}`, source, target, sourceHandle });
+
+const codes = definition => flowValidatorService.validate(definition).map(error => error.code);
+
+test('a well formed flow has no errors', () => {
+  const errors = flowValidatorService.validate({
+    nodes: [
+      node('start', 'start'),
+      node('ask', 'userInput', { message: 'Your email?', validation: 'email' }),
+      node('thanks', 'botResponse', { message: 'Thanks!' }),
+      node('sorry', 'botResponse', { message: 'That did not look like an email' })
+    ],
+    edges: [edge('start', 'ask'), edge('ask', 'thanks'), edge('ask', 'sorry', 'failed')]
+  });
+
+  assert.deepEqual(errors, []);
+});
+
+test('structure errors are reported before the graph is checked', () => {
+  assert.deepEqual(codes(null), ['invalid_structure']);
+  assert.deepEqual(codes({ nodes: [], edges: {} }), ['invalid_structure']);
+  assert.deepEqual(codes({ nodes: [node('a', 'botResponse', { message: 'Hi' })] }), ['missing_start']);
+  assert.deepEqual(codes({
+    nodes: [node('start', 'start'), node('hi', 'botResponse'), node('hi', 'teleport')],
+    edges: [edge('start', 'nowhere'), edge('hi', 'start'), edge('start', 'hi', 'true')]
+  }), [
+    'invalid_node_data',
+    'duplicate_node_id',
+    'unknown_node_type',
+    'invalid_edge',
+    'invalid_edge',
+    'invalid_handle'
+  ]);
+});
+
+test('nodes that cannot be reached from the start node are reported with their ids', () => {
+  const errors = flowValidatorService.validate({
+    nodes: [
+      node('start', 'start'),
+      node('hello', 'botResponse', { message: 'Hello' }),
+      node('orphan', 'botResponse', { message: 'Nobody gets here' }),
+      node('orphan-tag', 'addTag', { tag: 'lost' })
+    ],
+    edges: [edge('start', 'hello'), edge('orphan', 'orphan-tag')]
+  });
+
+  assert.deepEqual(errors.map(error => [error.code, error.nodeIds]), [
+    ['unreachable_node', ['orphan']],
+    ['unreachable_node', ['orphan-tag']]
+  ]);
+});
+
+test('user inputs and menus need a next node for the reply, not only failed or timeout branches', () => {
+  const menu = { type: 'buttons', options: [{ id: 'yes', title: 'Yes' }, { id: 'no', title: 'No' }] };
+  const errors = flowValidatorService.validate({
+    nodes: [
+      node('start', 'start'),
+      node('ask', 'userInput', { message: 'Name?' }),
+      node('menu', 'botResponse', { message: 'Continue?', interactive: menu }),
+      node('bye', 'botResponse', { message: 'Bye' })
+    ],
+    edges: [edge('start', 'ask'), edge('ask', 'menu', 'failed'), edge('menu', 'bye', 'timeout')]
+  });
+
+  assert.deepEqual(errors.map(error => [error.code, error.nodeIds]), [
+    ['dead_end', ['ask']],
+    ['dead_end', ['menu']]
+  ]);
+
+  assert.deepEqual(codes({
+    nodes: [
+      node('start', 'start'),
+      node('menu', 'botResponse', { message: 'Continue?', interactive: menu }),
+      node('bye', 'botResponse', { message: 'Bye' })
+    ],
+    edges: [edge('start', 'menu'), edge('menu', 'bye', 'no')]
+  }), []);
+});
+
+test('assertValid throws a ValidationError carrying every error', () => {
+  assert.throws(() => flowValidatorService.assertValid({ nodes: [] }), (error) => {
+    assert.equal(error.message, 'Flow definition is invalid');
+    assert.deepEqual(error.details.map(detail => detail.code), ['missing_start']);
+    return true;
+  });
+});
+
+test('loops without a User Input or Delay node are rejected, each reported once', () => {
+  const errors = flowValidatorService.validate({
+    nodes: [
+      node('start', 'start'),
+      node('tag', 'addTag', { tag: 'vip' }),
+      node('score', 'updateScore', { change: 1 }),
+      node('event', 'logEvent')
+    ],
+    edges: [edge('start', 'tag'), edge('tag', 'score'), edge('score', 'tag'), edge('score', 'event'), edge('event', 'event')]
+  });
+
+  assert.deepEqual(errors.map(error => [error.code, error.nodeIds]), [
+    ['infinite_loop', ['tag', 'score']],
+    ['infinite_loop', ['event']]
+  ]);
+  assert.match(errors[0].message, /Nodes tag → score form a loop/);
+  assert.match(errors[1].message, /Node event links to itself/);
+});
+
+test('loops that wait for the contact, a delay or a menu, or that can exit through a condition are allowed', () => {
+  const retry = {
+    nodes: [
+      node('start', 'start'),
+      node('ask', 'userInput', { message: 'Pick a number' }),
+      node('wait', 'delay', { duration: 1, unit: 'hours' }),
+      node('check', 'condition', { variable: 'tries', operator: 'less-than', value: 3 }),
+      node('count', 'setVariable', { variable: 'tries', operation: 'add', value: 1 }),
+      node('menu', 'botResponse', { message: 'Again?', interactive: { options: [{ id: 'again', title: 'Again' }] } })
+    ],
+    edges: [
+      edge('start', 'ask'),
+      edge('ask', 'wait'),
+      edge('wait', 'ask'),
+      edge('ask', 'count', 'failed'),
+      edge('count', 'check'),
+      edge('check', 'count', 'true'),
+      edge('check', 'menu', 'false'),
+      edge('menu', 'start', 'again')
+    ]
+  };
+
+  assert.deepEqual(codes(retry).filter(code => code === 'infinite_loop'), []);
+  // The condition loop is still found, the step budget bounds it at runtime
+  assert.deepEqual(flowValidatorService.findLoopsWithoutPause(retry), [['check', 'count']]);
+});
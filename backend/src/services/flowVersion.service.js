@@ -0,0 +1,156 @@
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+import flowValidatorService from './flowValidator.service.js';
+
+class FlowVersionService {
+
+  /**
+   * Snapshot a definition as the next version of a flow and make it the published one.
+   * Versions are never updated afterwards; contacts already running keep their version.
+   */
+  async publishDefinition(flowId, flowDefinition, { source = 'publish', notes = null, userId = null, restoredFromVersionId = null } = {}) {
+    try {
+      flowValidatorService.assertValid(flowDefinition);
+
+      const versionResult = await query(
+        `INSERT INTO flow_versions (flow_id, version_number, flow_definition, source, restored_from_version_id, notes, created_by)
+         SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4, $5, $6
+         FROM flow_versions WHERE flow_id = $1
+         RETURNING *`,
+        [flowId, JSON.stringify(flowDefinition), source, restoredFromVersionId, notes, userId]
+      );
+      const version = versionResult.rows[0];
+
+      await query(
+        'UPDATE flows SET flow_definition = $1, published_version_id = $2, updated_at = NOW() WHERE id = $3',
+        [JSON.stringify(flowDefinition), version.id, flowId]
+      );
+
+      logger.info(`Published version ${version.version_number} of flow ${flowId} (${source})`);
+      return version;
+    } catch (error) {
+      logger.error('Error publishing flow version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish the flow's draft and clear it. Returns null when there is nothing to publish.
+   */
+  async publishDraft(flowId, options = {}) {
+    const flowResult = await query('SELECT draft_definition FROM flows WHERE id = $1', [flowId]);
+    const draft = flowResult.rows[0]?.draft_definition;
+
+    if (!draft) {
+      return null;
+    }
+
+    const version = await this.publishDefinition(flowId, draft, { ...options, source: 'publish' });
+    await query('UPDATE flows SET draft_definition = NULL WHERE id = $1', [flowId]);
+    return version;
+  }
+
+  /**
+   * Republish an older version as a new version (history stays append-only)
+   */
+  async rollback(flowId, versionId, options = {}) {
+    const version = await this.getVersion(flowId, versionId);
+    if (!version) {
+      return null;
+    }
+
+    return this.publishDefinition(flowId, version.flow_definition, {
+      ...options,
+      source: 'rollback',
+      notes: options.notes || `Rolled back to version ${version.version_number}`,
+      restoredFromVersionId: version.id
+    });
+  }
+
+  async listVersions(flowId) {
+    const result = await query(
+      `SELECT fv.id, fv.version_number, fv.source, fv.restored_from_version_id, fv.notes, fv.created_at,
+              u.name AS created_by_name, (f.published_version_id = fv.id) AS is_published,
+              (SELECT COUNT(*) FROM flow_states fs WHERE fs.flow_version_id = fv.id AND fs.completed = false) AS active_contacts
+       FROM flow_versions fv
+       JOIN flows f ON f.id = fv.flow_id
+       LEFT JOIN users u ON u.id = fv.created_by
+       WHERE fv.flow_id = $1
+       ORDER BY fv.version_number DESC`,
+      [flowId]
+    );
+    return result.rows;
+  }
+
+  async getVersion(flowId, versionId) {
+    const result = await query(
+      'SELECT * FROM flow_versions WHERE id = $1 AND flow_id = $2',
+      [versionId, flowId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getPreviousVersion(version) {
+    const result = await query(
+      `SELECT * FROM flow_versions
+       WHERE flow_id = $1 AND version_number < $2
+       ORDER BY version_number DESC LIMIT 1`,
+      [version.flow_id, version.version_number]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Node and edge level differences between two definitions
+   */
+  diff(fromDefinition, toDefinition) {
+    const fromNodes = new Map((fromDefinition?.nodes || []).map(n => [n.id, n]));
+    const toNodes = new Map((toDefinition?.nodes || []).map(n => [n.id, n]));
+    const nodes = { added: [], removed: [], changed: [] };
+
+    for (const [id, node] of toNodes) {
+      const before = fromNodes.get(id);
+      if (!before) {
+        nodes.added.push({ id, type: node.type });
+        continue;
+      }
+
+      const fields = [];
+      if (before.type !== node.type) {
+        fields.push('type');
+      }
+      const keys = new Set([...Object.keys(before.data || {}), ...Object.keys(node.data || {})]);
+      for (const key of keys) {
+        if (JSON.stringify(before.data?.[key]) !== JSON.stringify(node.data?.[key])) {
+          fields.push(`data.${key}`);
+        }
+      }
+      if (fields.length > 0) {
+        nodes.changed.push({ id, type: node.type, fields });
+      }
+    }
+    for (const [id, node] of fromNodes) {
+      if (!toNodes.has(id)) {
+        nodes.removed.push({ id, type: node.type });
+      }
+    }
+
+    // Edges are compared by what they connect; their ids are often regenerated by editors
+    const edgeKey = (e) => `${e.source}:${e.sourceHandle || ''}->${e.target}`;
+    const fromEdges = new Map((fromDefinition?.edges || []).map(e => [edgeKey(e), e]));
+    const toEdges = new Map((toDefinition?.edges || []).map(e => [edgeKey(e), e]));
+    const describeEdge = (e) => ({ source: e.source, target: e.target, sourceHandle: e.sourceHandle || null });
+
+    const edges = {
+      added: [...toEdges].filter(([key]) => !fromEdges.has(key)).map(([, e]) => describeEdge(e)),
+      removed: [...fromEdges].filter(([key]) => !toEdges.has(key)).map(([, e]) => describeEdge(e))
+    };
+
+    const changeCount = nodes.added.length + nodes.removed.length + nodes.changed.length
+      + edges.added.length + edges.removed.length;
+
+    return { nodes, edges, changeCount };
+  }
+}
+
+export default new FlowVersionService();
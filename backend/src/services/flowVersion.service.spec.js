@@ -0,0 +1,124 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockQuery } from '../test/harness.js';
+
+const { default: flowVersionService } = await import('./flowVersion.service.js');
+
+// flow 1 and its flow_versions rows, changed the way the service's statements change them
+let flow;
+let versions;
+await mockQuery((sql, params) => {
+  if (sql.startsWith('INSERT INTO flow_versions')) {
+    const [flowId, definition, source, restoredFromVersionId, notes] = params;
+    const version = {
+      id: versions.length + 100,
+      flow_id: flowId,
+      version_number: versions.length + 1,
+      flow_definition: JSON.parse(definition),
+      source,
+      restored_from_version_id: restoredFromVersionId,
+      notes
+    };
+    versions.push(version);
+    return [version];
+  }
+  if (sql.startsWith('UPDATE flows SET flow_definition')) {
+    Object.assign(flow, { flow_definition: JSON.parse(params[0]), published_version_id: params[1] });
+  } else if (sql.startsWith('UPDATE flows SET draft_definition = NULL')) {
+    flow.draft_definition = null;
+  } else if (sql.startsWith('SELECT draft_definition')) {
+    return [flow];
+  } else if (sql.startsWith('SELECT * FROM flow_versions WHERE id')) {
+    return versions.filter(version => version.id === params[0] && version.flow_id === params[1]);
+  }
+  return [];
+});
+
+const definition = message => ({
+  nodes: [{ id: 'start', type: 'start' }, { id: 'hello', type: 'botResponse', data: { message } }],
+  edges: [{ id: 'e1', source: 'start', target: 'hello' }]
+});
+
+beforeEach(() => {
+  flow = { id: 1, flow_definition: definition('Hi'), draft_definition: null, published_version_id: null };
+  versions = [];
+});
+
+test('publishing a draft snapshots it as the next version, makes it live and clears the draft', async () => {
+  flow.draft_definition = definition('Hello there');
+
+  const version = await flowVersionService.publishDraft(1, { userId: 7 });
+
+  assert.equal(version.version_number, 1);
+  assert.equal(version.source, 'publish');
+  assert.equal(flow.published_version_id, version.id);
+  assert.deepEqual(flow.flow_definition, definition('Hello there'));
+  assert.equal(flow.draft_definition, null);
+  assert.equal(await flowVersionService.publishDraft(1), null, 'nothing left to publish');
+});
+
+test('an invalid draft is not published and stays a draft', async () => {
+  flow.draft_definition = { nodes: [{ id: 'hello', type: 'botResponse', data: { message: 'Hi' } }], edges: [] };
+
+  await assert.rejects(flowVersionService.publishDraft(1), { message: 'Flow definition is invalid' });
+  assert.equal(versions.length, 0);
+  assert.ok(flow.draft_definition);
+  assert.deepEqual(flow.flow_definition, definition('Hi'));
+});
+
+test('a rollback republishes the old definition as a new version that points at it', async () => {
+  const first = await flowVersionService.publishDefinition(1, definition('Version one'));
+  await flowVersionService.publishDefinition(1, definition('Version two'));
+
+  const rollback = await flowVersionService.rollback(1, first.id, { userId: 7 });
+
+  assert.equal(rollback.version_number, 3);
+  assert.equal(rollback.source, 'rollback');
+  assert.equal(rollback.restored_from_version_id, first.id);
+  assert.equal(rollback.notes, 'Rolled back to version 1');
+  assert.equal(flow.published_version_id, rollback.id);
+  assert.deepEqual(flow.flow_definition, definition('Version one'));
+  assert.equal(versions.length, 3, 'history is append-only');
+
+  assert.equal(await flowVersionService.rollback(1, 999), null);
+});
+
+test('diff lists added, removed and changed nodes and edges by what they connect', () => {
+  const from = {
+    nodes: [
+      { id: 'start', type: 'start' },
+      { id: 'hello', type: 'botResponse', data: { message: 'Hi', delay: 1 } },
+      { id: 'tag', type: 'addTag', data: { tag: 'lead' } }
+    ],
+    edges: [
+      { id: 'e1', source: 'start', target: 'hello' },
+      { id: 'e2', source: 'hello', target: 'tag' }
+    ]
+  };
+  const to = {
+    nodes: [
+      { id: 'start', type: 'start' },
+      { id: 'hello', type: 'botResponse', data: { message: 'Hello', delay: 1 } },
+      { id: 'ask', type: 'userInput', data: { message: 'Name?' } }
+    ],
+    edges: [
+      { id: 'regenerated', source: 'start', target: 'hello' },
+      { id: 'e3', source: 'hello', target: 'ask' }
+    ]
+  };
+
+  assert.deepEqual(flowVersionService.diff(from, to), {
+    nodes: {
+      added: [{ id: 'ask', type: 'userInput' }],
+      removed: [{ id: 'tag', type: 'addTag' }],
+      changed: [{ id: 'hello', type: 'botResponse', fields: ['data.message'] }]
+    },
+    edges: {
+      added: [{ source: 'hello', target: 'ask', sourceHandle: null }],
+      removed: [{ source: 'hello', target: 'tag', sourceHandle: null }]
+    },
+    changeCount: 5
+  });
+  assert.equal(flowVersionService.diff(from, from).changeCount, 0);
+  assert.equal(flowVersionService.diff(null, to).nodes.added.length, 3);
+});
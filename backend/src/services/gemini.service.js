@@ -1,7 +1,8 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from '../config/index.js';
 import { query } from '../config/database.js';
-import { logger } from '../middleware/errorHandler.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import flowValidatorService from './flowValidator.service.js';
 
 class GeminiService {
   constructor() {
@@ -43,20 +44,23 @@ ${JSON.stringify(marketingContext, null, 2)}
 
 Flow Structure Rules:
 1. Every flow must start with a "start" node
-2. Available node types: start, botResponse, userInput, condition, delay, aiResponse, assignAgent, logEvent, addTag, updateScore
+2. Available node types: start, botResponse, userInput, condition, switch, delay, setVariable, aiResponse, assignAgent, logEvent, addTag, updateScore
 3. Nodes must be connected via edges with source and target IDs
 4. Use realistic, human-like message delays (2-5 seconds)
 5. Include conversation paths for different customer responses
 6. Add tags to segment users (e.g., "interested", "qualified", "hot_lead")
 7. Use conditions to branch based on user responses
 8. Include engagement scoring (add/subtract points based on responses)
+9. Never create a loop of edges that does not pass through a userInput or delay node
 
 Node Types:
 - start: Entry point (no data needed)
-- botResponse: Send message (data: {message: "text"})
-- userInput: Wait for user reply (data: {saveAs: "variable_name", validation: "text|email|phone"})
-- condition: Branch logic (data: {variable: "var", operator: "contains|equals|greater", value: "text", trueLabel: "yes", falseLabel: "no"})
-- delay: Wait before next message (data: {seconds: 3})
+- botResponse: Send message (data: {message: "text"}). Messages can use {{variable}}, nested paths like {{integration_response.order.status}}, contact fields {{contact.name}} / {{contact.custom_fields.city}}, and filters: {{name | default: "there" | capitalize}}, upper, lower, {{date_var | date: "DD/MM/YYYY"}}, {{total | currency: "USD"}}
+- userInput: Wait for user reply (data: {saveAs: "variable_name", validation: "text|email|phone|number|date|regex|choice", choices: ["A", "B"], retryMessage: "text", maxAttempts: 3}). After maxAttempts invalid replies the edge with sourceHandle "failed" is followed. Optional timeout: {duration: 2, unit: "hours"} follows the edge with sourceHandle "timeout" when the user does not reply (e.g. a nudge message or assignAgent)
+- condition: Branch logic (data: {source: "variable|tags|score|field|time|weekday", variable: "var", operator: "equals|not-equals|contains|starts-with|greater|less|between|regex|in-list|is-empty|has-tag", value: "text", valueTo: "upper bound for between", trueLabel: "yes", falseLabel: "no"}). source "field" reads contact custom fields (variable: "city"), "score" is the engagement score, "time" is "HH:mm" (e.g. between "09:00" and "18:00"), "weekday" is mon..sun (use in-list "sat,sun"). has-tag checks the contact's tags (value: "tag_name")
+- switch: Multi-way branch, first matching case wins (data: {cases: [{id: "sales", label: "Sales", match: "all|any", conditions: [{variable: "choice", operator: "equals", value: "1"}]}]}). Each case id is the sourceHandle of its outgoing edge; add an edge with sourceHandle "default" for when no case matches. Prefer this over chains of condition nodes for menus
+- delay: Wait before next message (data: {seconds: 3}, or {duration: 2, unit: "minutes|hours|days"} for long waits, or {mode: "timeOfDay", time: "10:00", dayOffset: 1} for "tomorrow at 10am")
+- setVariable: Set or calculate flow variables (data: {assignments: [{variable: "quiz_score", operation: "set|copy|add|subtract|multiply|divide|concat", value: "10", source: "variable_to_copy", saveToContact: false}]}). Use it for counters and totals; saveToContact stores the result in the contact's custom fields
 - aiResponse: Use AI to respond (data: {prompt: "instructions", useContext: true})
 - assignAgent: Transfer to human (data: {department: "sales|support"})
 - addTag: Tag user (data: {tag: "tag_name"})
@@ -80,26 +84,31 @@ Generate a complete flow as JSON with this structure:
   ]
 }`;
 
-      const result = await this.model.generateContent(systemPrompt);
-      const response = result.response.text();
-      
-      // Clean response - remove markdown code blocks if present
-      let cleanedResponse = response.trim();
-      if (cleanedResponse.startsWith('```')) {
-        cleanedResponse = cleanedResponse.replace(/```json?\n?/g, '').replace(/```\n?$/g, '');
-      }
-      
-      const flowData = JSON.parse(cleanedResponse);
+      let flowData = await this.generateFlowJson(systemPrompt);
       
       // Validate flow structure
       if (!flowData.nodes || !flowData.edges || !flowData.name) {
         throw new Error('Invalid flow structure generated');
       }
       
-      // Ensure start node exists
-      const hasStart = flowData.nodes.some(n => n.type === 'start');
-      if (!hasStart) {
-        throw new Error('Flow must have a start node');
+      // Give the model one chance to fix what the validator rejects
+      let errors = flowValidatorService.validate(flowData);
+      if (errors.length > 0) {
+        logger.warn(`Generated flow has ${errors.length} validation error(s), asking for a fix`);
+        
+        flowData = await this.generateFlowJson(`${systemPrompt}
+
+Your previous answer was:
+${JSON.stringify(flowData)}
+
+It has these problems, fix all of them and return the complete corrected flow:
+${errors.map(e => `- ${e.message}`).join('\n')}`);
+        
+        errors = flowValidatorService.validate(flowData);
+      }
+      
+      if (errors.length > 0) {
+        throw new ValidationError('Generated flow is invalid', errors);
       }
       
       logger.info(`Successfully generated flow: ${flowData.name}`);
@@ -107,10 +116,29 @@ Generate a complete flow as JSON with this structure:
       
     } catch (error) {
       logger.error('Error generating flow from prompt:', error);
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to generate flow: ${error.message}`);
     }
   }
 
+  /**
+   * Run a flow generation prompt and parse the JSON answer
+   */
+  async generateFlowJson(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = result.response.text();
+    
+    // Clean response - remove markdown code blocks if present
+    let cleanedResponse = response.trim();
+    if (cleanedResponse.startsWith('```')) {
+      cleanedResponse = cleanedResponse.replace(/```json?\n?/g, '').replace(/```\n?$/g, '');
+    }
+    
+    return JSON.parse(cleanedResponse);
+  }
+
   /**
    * Get marketing context for the organization
    */
@@ -140,7 +168,7 @@ Generate a complete flow as JSON with this structure:
   /**
    * AI-powered customer support response
    */
-  async generateSupportResponse(contactId, message, conversationHistory) {
+  async generateSupportResponse(contactId, message, conversationHistory, instructions = null) {
     this.checkEnabled();
     
     try {
@@ -185,7 +213,7 @@ Instructions:
 5. Keep responses under 280 characters (WhatsApp-friendly)
 6. Don't be pushy, be consultative
 7. If you can't help, say you'll connect them with a human agent
-
+${instructions ? `\nAdditional Instructions:\n${instructions}\n` : ''}
 Generate ONLY the response text, nothing else:`;
 
       const result = await this.model.generateContent(prompt);
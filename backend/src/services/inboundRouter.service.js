@@ -0,0 +1,99 @@
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+import businessHoursService from './businessHours.service.js';
+
+/**
+ * Inbound message routing: decides what handles a message a contact sent.
+ *
+ * 1. A live chat session (scheduled, pending or active) owns the conversation; the bot stays quiet
+ * 2. A flow waiting on a userInput node receives the message as its reply
+ * 3. Otherwise keyword triggers (or the fallback flow) may start a new flow
+ *
+ * Outside business hours, messages that no agent or flow answers get the out-of-hours auto-reply.
+ */
+class InboundRouterService {
+  constructor() {
+    // contactId -> promise of the message being routed; messages of one contact are routed
+    // in order so a quick second reply cannot be taken by the same waiting node twice
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Route an inbound message (media: the saved attachment, see mediaService.toFlowMedia);
+   * returns { handledBy: 'agent'|'flow'|'trigger'|null, flowId }
+   */
+  async route({ contactId, organizationId, message, media = null }) {
+    const previous = this.inFlight.get(contactId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      const result = await this.dispatch(contactId, organizationId, message, media);
+      await this.sendOutOfHoursReply(contactId, organizationId, result);
+      return result;
+    });
+
+    this.inFlight.set(contactId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.inFlight.get(contactId) === current) {
+        this.inFlight.delete(contactId);
+      }
+    }
+  }
+
+  async dispatch(contactId, organizationId, message, media = null) {
+    // Scheduled and pending sessions wait for an agent to claim them, active ones are owned by an agent
+    const liveChat = await query(
+      `SELECT status FROM live_chat_sessions
+       WHERE contact_id = $1 AND status IN ('scheduled', 'pending', 'active')`,
+      [contactId]
+    );
+
+    if (liveChat.rows.length > 0) {
+      logger.info(`Contact ${contactId} is in a ${liveChat.rows[0].status} live chat, flows skipped`);
+      return { handledBy: 'agent', flowId: null, liveChatStatus: liveChat.rows[0].status };
+    }
+
+    const waiting = await query(
+      `SELECT flow_id FROM flow_states
+       WHERE contact_id = $1 AND awaiting_input = true AND completed = false
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+      [contactId]
+    );
+
+    if (waiting.rows.length > 0) {
+      const flowExecutor = (await import('./flowExecutor.service.js')).default;
+      await flowExecutor.resumeFlow(contactId, message, media);
+      return { handledBy: 'flow', flowId: waiting.rows[0].flow_id };
+    }
+
+    const { default: queueService } = await import('./queue.service.js');
+    const match = await queueService.addFlowExecutionJob({ contactId, message, organizationId });
+
+    return match
+      ? { handledBy: 'trigger', flowId: match.flow.id, fallback: match.fallback }
+      : { handledBy: null, flowId: null };
+  }
+
+  /**
+   * Auto-reply when the organization is closed and the message waits for an agent or went unanswered
+   */
+  async sendOutOfHoursReply(contactId, organizationId, result) {
+    const waitsForAgent = result.handledBy === 'agent' && result.liveChatStatus !== 'active';
+    if (result.handledBy !== null && !waitsForAgent) {
+      return;
+    }
+
+    try {
+      const text = await businessHoursService.claimAutoReply(contactId, organizationId);
+      if (text) {
+        const flowExecutor = (await import('./flowExecutor.service.js')).default;
+        await flowExecutor.sendText(contactId, text, { autoReply: 'out_of_hours' });
+      }
+    } catch (error) {
+      logger.error(`Out-of-hours reply failed for contact ${contactId}:`, error);
+    }
+  }
+}
+
+export default new InboundRouterService();
@@ -0,0 +1,201 @@
+import safeRegexService from './safeRegex.service.js';
+
+// Domain labels cannot contain dots, so the pattern can only split an address one way
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[^\s@.]{2,}$/;
+// Longest address SMTP allows
+const MAX_EMAIL_LENGTH = 254;
+
+const DEFAULT_RETRY_MESSAGES = {
+  text: 'Sorry, I didn\'t get that. Could you type your answer again?',
+  email: 'That doesn\'t look like a valid email address. Please try again (e.g. name@example.com).',
+  phone: 'That doesn\'t look like a valid phone number. Please include the country code (e.g. +5511999999999).',
+  number: 'Please reply with a number.',
+  date: 'Please reply with a valid date (e.g. 25/12/2025).',
+  regex: 'Sorry, that answer isn\'t in the expected format. Please try again.',
+  choice: 'Please choose one of the available options.'
+};
+
+export const MEDIA_INPUT_TYPES = ['any', 'image', 'video', 'audio', 'voice', 'document'];
+
+// Media types a requested type accepts: voice notes and audio files stand in for each other
+const ACCEPTED_MEDIA = {
+  image: ['image'],
+  video: ['video'],
+  audio: ['audio', 'voice'],
+  voice: ['voice', 'audio'],
+  document: ['document']
+};
+
+const MEDIA_RETRY_MESSAGES = {
+  any: 'Please send a photo, video, audio or document.',
+  image: 'Please send a photo.',
+  video: 'Please send a video.',
+  audio: 'Please send an audio file or a voice note.',
+  voice: 'Please send a voice note.',
+  document: 'Please send a document (e.g. a PDF).'
+};
+
+class InputValidatorService {
+
+  /**
+   * Validate and normalize a user reply against userInput node data
+   *
+   * Node data:
+   * - validation: text|email|phone|number|date|regex|choice (default text)
+   * - minLength / maxLength (text), min / max (number)
+   * - dateFormat: DD/MM/YYYY|MM/DD/YYYY (ISO dates are always accepted)
+   * - pattern / flags (regex)
+   * - choices: ["Sales", "Support"] or "Sales, Support" (choice)
+   * - mediaType: any|image|video|audio|voice|document (media; the reply must carry a file)
+   *
+   * Returns { valid, value } where value is the normalized input (the media for media input).
+   * A reply carrying media is validated by its caption, so a media-only reply (routed as
+   * "[media]") counts as empty text.
+   */
+  validate(input, data = {}, media = null) {
+    const raw = ((media ? media.caption : input) ?? '').toString().trim();
+    const type = data.validation || 'text';
+
+    switch (type) {
+      case 'email':
+        return this.validateEmail(raw);
+      case 'phone':
+        return this.validatePhone(raw);
+      case 'number':
+        return this.validateNumber(raw, data);
+      case 'date':
+        return this.validateDate(raw, data);
+      case 'regex':
+        return this.validateRegex(raw, data);
+      case 'choice':
+        return this.validateChoice(raw, data);
+      case 'media':
+        return this.validateMedia(media, data);
+      case 'text':
+      default:
+        return this.validateText(raw, data);
+    }
+  }
+
+  validateText(raw, { minLength, maxLength } = {}) {
+    // minLength 0 makes the answer optional
+    const parsedMin = parseInt(minLength);
+    const min = Number.isInteger(parsedMin) ? parsedMin : 1;
+    const max = parseInt(maxLength) || Infinity;
+    return { valid: raw.length >= min && raw.length <= max, value: raw };
+  }
+
+  validateEmail(raw) {
+    const value = raw.toLowerCase();
+    return { valid: value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value), value };
+  }
+
+  validatePhone(raw) {
+    const hasPlus = raw.startsWith('+') || raw.startsWith('00');
+    const digits = raw.replace(/^00/, '').replace(/[\s\-().+]/g, '');
+
+    if (!/^\d{8,15}$/.test(digits)) {
+      return { valid: false, value: raw };
+    }
+    return { valid: true, value: hasPlus ? `+${digits}` : digits };
+  }
+
+  validateNumber(raw, { min, max } = {}) {
+    let normalized = raw.replace(/\s/g, '');
+    // "1.234,5" and "12,5" use a decimal comma
+    if (/,\d{1,2}$/.test(normalized)) {
+      normalized = normalized.replace(/\./g, '').replace(',', '.');
+    } else {
+      normalized = normalized.replace(/,/g, '');
+    }
+
+    const value = Number(normalized);
+    if (normalized === '' || !Number.isFinite(value)) {
+      return { valid: false, value: raw };
+    }
+    if (min !== undefined && min !== '' && value < Number(min)) {
+      return { valid: false, value };
+    }
+    if (max !== undefined && max !== '' && value > Number(max)) {
+      return { valid: false, value };
+    }
+    return { valid: true, value };
+  }
+
+  validateDate(raw, { dateFormat = 'DD/MM/YYYY' } = {}) {
+    let year;
+    let month;
+    let day;
+
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(raw);
+    const local = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(raw);
+
+    if (iso) {
+      [year, month, day] = iso.slice(1).map(Number);
+    } else if (local) {
+      const [first, second, fullYear] = local.slice(1).map(Number);
+      year = fullYear;
+      [day, month] = dateFormat === 'MM/DD/YYYY' ? [second, first] : [first, second];
+    } else {
+      return { valid: false, value: raw };
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return { valid: false, value: raw };
+    }
+    return { valid: true, value: date.toISOString().split('T')[0] };
+  }
+
+  validateRegex(raw, { pattern, flags = 'i' } = {}) {
+    if (!pattern) {
+      return { valid: true, value: raw };
+    }
+
+    // Invalid or unsafe patterns (null) reject every answer, so the failed branch can take over
+    return { valid: safeRegexService.test(pattern, flags, raw) === true, value: raw };
+  }
+
+  validateChoice(raw, { choices = [] } = {}) {
+    const options = this.parseChoices(choices);
+    const answer = raw.toLowerCase();
+
+    // Accept the option number ("2") as well as the label
+    const index = /^\d+$/.test(answer) ? parseInt(answer) - 1 : -1;
+    const match = options[index] ?? options.find(option => option.toLowerCase() === answer);
+
+    return match !== undefined ? { valid: true, value: match } : { valid: false, value: raw };
+  }
+
+  validateMedia(media, { mediaType = 'any' } = {}) {
+    if (!media) {
+      return { valid: false, value: null };
+    }
+    const accepted = ACCEPTED_MEDIA[mediaType];
+    return { valid: !accepted || accepted.includes(media.type), value: media };
+  }
+
+  parseChoices(choices) {
+    const list = Array.isArray(choices) ? choices : String(choices || '').split(',');
+    return list.map(choice => String(choice).trim()).filter(Boolean);
+  }
+
+  /**
+   * Default re-prompt text when a node does not configure retryMessage
+   */
+  getDefaultRetryMessage(data = {}) {
+    const type = data.validation || 'text';
+
+    if (type === 'choice') {
+      const options = this.parseChoices(data.choices);
+      const list = options.map((option, i) => `${i + 1}) ${option}`).join('\n');
+      return `${DEFAULT_RETRY_MESSAGES.choice}\n${list}`;
+    }
+    if (type === 'media') {
+      return MEDIA_RETRY_MESSAGES[data.mediaType] || MEDIA_RETRY_MESSAGES.any;
+    }
+    return DEFAULT_RETRY_MESSAGES[type] || DEFAULT_RETRY_MESSAGES.text;
+  }
+}
+
+export default new InputValidatorService();
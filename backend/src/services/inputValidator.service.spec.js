@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import inputValidatorService from './inputValidator.service.js';
+
+const validate = (input, data, media) => inputValidatorService.validate(input, data, media);
+
+test('emails are trimmed and lowercased, and need a dotted domain', () => {
+  assert.deepEqual(validate('  Ana@Example.COM ', { validation: 'email' }), { valid: true, value: 'ana@example.com' });
+  assert.equal(validate('ana@mail.example.co.uk', { validation: 'email' }).valid, true);
+  assert.equal(validate('ana@example', { validation: 'email' }).valid, false);
+  assert.equal(validate('ana@example.c', { validation: 'email' }).valid, false);
+  assert.equal(validate('ana@@example.com', { validation: 'email' }).valid, false);
+  assert.equal(validate('ana @example.com', { validation: 'email' }).valid, false);
+  assert.equal(validate(`${'a'.repeat(250)}@example.com`, { validation: 'email' }).valid, false);
+});
+
+test('a long address without a valid domain is rejected in linear time', () => {
+  const started = process.hrtime.bigint();
+
+  assert.equal(validate(`a@${'a.'.repeat(120)}`, { validation: 'email' }).valid, false);
+  assert.equal(validate(`a@${'a'.repeat(240)}!`, { validation: 'email' }).valid, false);
+  assert.ok(process.hrtime.bigint() - started < 50_000_000n, 'took more than 50ms');
+});
+
+test('phones keep the international prefix and drop formatting', () => {
+  assert.deepEqual(validate('+55 (11) 99999-9999', { validation: 'phone' }), { valid: true, value: '+5511999999999' });
+  assert.deepEqual(validate('0044 20 7946 0958', { validation: 'phone' }), { valid: true, value: '+442079460958' });
+  assert.deepEqual(validate('11 9999-9999', { validation: 'phone' }), { valid: true, value: '1199999999' });
+  assert.equal(validate('12345', { validation: 'phone' }).valid, false);
+  assert.equal(validate('call me', { validation: 'phone' }).valid, false);
+});
+
+test('numbers accept decimal commas and thousands separators within min and max', () => {
+  assert.deepEqual(validate('1.234,5', { validation: 'number' }), { valid: true, value: 1234.5 });
+  assert.deepEqual(validate('1,234', { validation: 'number' }), { valid: true, value: 1234 });
+  assert.deepEqual(validate('12,5', { validation: 'number' }), { valid: true, value: 12.5 });
+  assert.equal(validate('7', { validation: 'number', min: 1, max: 5 }).valid, false);
+  assert.equal(validate('0', { validation: 'number', min: 1 }).valid, false);
+  assert.equal(validate('5', { validation: 'number', min: '', max: 5 }).valid, true);
+  assert.equal(validate('five', { validation: 'number' }).valid, false);
+});
+
+test('dates follow the node format, accept ISO and refuse impossible days', () => {
+  assert.deepEqual(validate('25/12/2026', { validation: 'date' }), { valid: true, value: '2026-12-25' });
+  assert.deepEqual(validate('12/25/2026', { validation: 'date', dateFormat: 'MM/DD/YYYY' }), { valid: true, value: '2026-12-25' });
+  assert.deepEqual(validate('2026-2-3', { validation: 'date' }), { valid: true, value: '2026-02-03' });
+  assert.equal(validate('30/02/2026', { validation: 'date' }).valid, false);
+  assert.equal(validate('12/25/2026', { validation: 'date' }).valid, false);
+  assert.equal(validate('tomorrow', { validation: 'date' }).valid, false);
+});
+
+test('choices match the option number or label, and regex answers fail closed on unsafe patterns', () => {
+  const choice = { validation: 'choice', choices: 'Sales, Support' };
+
+  assert.deepEqual(validate('2', choice), { valid: true, value: 'Support' });
+  assert.deepEqual(validate('SALES', choice), { valid: true, value: 'Sales' });
+  assert.equal(validate('3', choice).valid, false);
+
+  assert.equal(validate('AB-1234', { validation: 'regex', pattern: '^[a-z]{2}-\\d{4}$' }).valid, true);
+  assert.equal(validate('AB-1234', { validation: 'regex', pattern: '^[a-z]{2}-\\d{4}$', flags: '' }).valid, false);
+  assert.equal(validate('aaaa', { validation: 'regex', pattern: '(a+)+$' }).valid, false);
+  assert.equal(validate('anything', { validation: 'regex' }).valid, true);
+});
+
+test('text length limits apply, and minLength 0 makes the answer optional', () => {
+  assert.equal(validate('', {}).valid, false);
+  assert.equal(validate('   ', { minLength: 0 }).valid, true);
+  assert.equal(validate('hi', { minLength: 3 }).valid, false);
+  assert.equal(validate('hello', { maxLength: 4 }).valid, false);
+});
+
+test('media replies are checked by type, and by their caption for text validations', () => {
+  const voice = { type: 'voice', caption: 'ana@example.com' };
+  const photo = { type: 'image' };
+
+  assert.deepEqual(validate('[media]', { validation: 'media', mediaType: 'audio' }, voice), { valid: true, value: voice });
+  assert.equal(validate('[media]', { validation: 'media', mediaType: 'document' }, photo).valid, false);
+  assert.equal(validate('a file', { validation: 'media' }).valid, false);
+  assert.deepEqual(validate('[media]', { validation: 'email' }, voice), { valid: true, value: 'ana@example.com' });
+  assert.equal(validate('[media]', {}, photo).valid, false, 'a media-only reply is empty text');
+});
+
+test('default re-prompts list the choices and name the expected media', () => {
+  assert.equal(
+    inputValidatorService.getDefaultRetryMessage({ validation: 'choice', choices: ['Sales', 'Support'] }),
+    'Please choose one of the available options.\n1) Sales\n2) Support'
+  );
+  assert.equal(inputValidatorService.getDefaultRetryMessage({ validation: 'media', mediaType: 'voice' }), 'Please send a voice note.');
+  assert.equal(inputValidatorService.getDefaultRetryMessage({ validation: 'number' }), 'Please reply with a number.');
+});
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import secretsService from './secrets.service.js';
+
+export const AUTH_TYPES = ['none', 'bearer', 'basic', 'apiKey', 'hmac'];
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+export const HMAC_ALGORITHMS = ['sha256', 'sha1', 'sha512'];
+
+export const LIMITS = {
+  timeoutMs: { min: 1000, max: 60000 },
+  retries: { min: 0, max: 5 },
+  retryBackoffMs: { min: 100, max: 30000 }
+};
+
+// Statuses worth retrying; other 4xx responses will not change on a second try
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Response paths never reach into the prototype chain
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const clamp = (value, { min, max }, fallback) => {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+/**
+ * HTTP requests of integration nodes.
+ *
+ * Node data:
+ * - method, url, query ({ name: value } or [{ key, value }]), headers (JSON object or string), body
+ * - timeoutMs, retries, retryBackoffMs (doubled after every attempt)
+ * - auth: { type: none|bearer|basic|apiKey|hmac, secret: "SECRET_NAME", ... } where secret names an
+ *   organization secret; basic also takes username, apiKey takes in (header|query) and name, hmac
+ *   takes algorithm, header, prefix and includeTimestamp
+ * - responseMapping: [{ variable, path }] with paths like "data.items[0].id"
+ */
+class IntegrationService {
+
+  /**
+   * Build the request from node data; render(text, options) fills in flow variables
+   */
+  async buildRequest(data, render) {
+    const method = String(data.method || 'POST').toUpperCase();
+    const url = new URL(await render(data.url || ''));
+
+    for (const { key, value } of this.toPairs(data.query)) {
+      url.searchParams.append(key, await render(String(value ?? '')));
+    }
+
+    const headers = {};
+    if (typeof data.headers === 'string') {
+      const parsed = JSON.parse(await render(data.headers || '{}', { escape: 'json' }));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('headers must be a JSON object');
+      }
+      Object.assign(headers, parsed);
+    } else {
+      for (const { key, value } of this.toPairs(data.headers)) {
+        headers[key] = await render(String(value ?? ''));
+      }
+    }
+
+    let body;
+    if (!['GET', 'DELETE'].includes(method)) {
+      body = await render(data.body || '{}', { escape: 'json' });
+      const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+      if (!hasContentType) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    return { method, url: url.toString(), headers, body };
+  }
+
+  /**
+   * Send the request with authentication, timeout and retries.
+   * Returns { ok, status, body, attempts, error }; never throws for HTTP or network errors.
+   */
+  async send(request, data, organizationId) {
+    const signed = await this.applyAuth(request, data.auth, organizationId);
+    const timeoutMs = clamp(data.timeoutMs, LIMITS.timeoutMs, config.flows.integrationTimeoutMs);
+    const retries = clamp(data.retries, LIMITS.retries, 0);
+    const backoffMs = clamp(data.retryBackoffMs, LIMITS.retryBackoffMs, 1000);
+    let result = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      let retryAfterMs = 0;
+      try {
+        const response = await fetch(signed.url, {
+          method: signed.method,
+          headers: signed.headers,
+          body: signed.body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        const body = await this.readBody(response);
+
+        if (response.ok) {
+          return { ok: true, status: response.status, body, attempts: attempt + 1, error: null };
+        }
+        result = { ok: false, status: response.status, body, error: `HTTP ${response.status}` };
+        if (!RETRY_STATUSES.includes(response.status)) {
+          return { ...result, attempts: attempt + 1 };
+        }
+        retryAfterMs = (parseInt(response.headers.get('retry-after')) || 0) * 1000;
+      } catch (error) {
+        const message = error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : error.message;
+        result = { ok: false, status: null, body: null, error: message };
+      }
+
+      if (attempt < retries) {
+        const wait = Math.max(backoffMs * 2 ** attempt, retryAfterMs);
+        await new Promise(resolve => setTimeout(resolve, Math.min(wait, LIMITS.retryBackoffMs.max)));
+      }
+    }
+
+    return { ...result, attempts: retries + 1 };
+  }
+
+  /**
+   * Add credentials from the organization's secrets (after tracing, so they never reach the trace)
+   */
+  async applyAuth(request, auth, organizationId) {
+    const type = auth?.type || 'none';
+    if (type === 'none') {
+      return request;
+    }
+
+    const secret = await secretsService.getValue(organizationId, auth.secret);
+    const headers = { ...request.headers };
+    let url = request.url;
+
+    switch (type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${secret}`;
+        break;
+
+      case 'basic':
+        headers.Authorization = `Basic ${Buffer.from(`${auth.username || ''}:${secret}`).toString('base64')}`;
+        break;
+
+      case 'apiKey':
+        if (auth.in === 'query') {
+          const withKey = new URL(url);
+          withKey.searchParams.set(auth.name || 'api_key', secret);
+          url = withKey.toString();
+        } else {
+          headers[auth.name || 'X-API-Key'] = secret;
+        }
+        break;
+
+      case 'hmac': {
+        // Signs the raw body, or "<timestamp>.<body>" with includeTimestamp
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const payload = auth.includeTimestamp ? `${timestamp}.${request.body || ''}` : request.body || '';
+        const signature = crypto.createHmac(auth.algorithm || 'sha256', secret).update(payload).digest('hex');
+        headers[auth.header || 'X-Signature'] = `${auth.prefix || ''}${signature}`;
+        if (auth.includeTimestamp) {
+          headers[`${auth.header || 'X-Signature'}-Timestamp`] = timestamp;
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown auth type "${type}"`);
+    }
+
+    return { ...request, url, headers };
+  }
+
+  async readBody(response) {
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Variables taken from the response body: { variable: value } (null when the path is missing)
+   */
+  mapResponse(body, mapping) {
+    const values = {};
+    for (const { key, value } of this.toPairs(mapping, 'variable', 'path')) {
+      values[key] = this.getPath(body, value) ?? null;
+    }
+    return values;
+  }
+
+  /**
+   * Value at a path like "$.data.items[0].id" (the leading "$." is optional)
+   */
+  getPath(value, path) {
+    const keys = String(path ?? '').replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+    return keys.reduce((current, key) => {
+      if (current === null || current === undefined || BLOCKED_KEYS.includes(key)) {
+        return undefined;
+      }
+      return Object.prototype.hasOwnProperty.call(Object(current), key) ? current[key] : undefined;
+    }, value);
+  }
+
+  /**
+   * { name: value } or [{ key, value }] as a list of { key, value } pairs
+   */
+  toPairs(source, keyField = 'key', valueField = 'value') {
+    if (!source) {
+      return [];
+    }
+    const pairs = Array.isArray(source)
+      ? source.map(item => ({ key: item?.[keyField], value: item?.[valueField] }))
+      : Object.entries(source).map(([key, value]) => ({ key, value }));
+    return pairs.filter(pair => pair.key);
+  }
+}
+
+export default new IntegrationService();
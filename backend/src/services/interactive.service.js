@@ -0,0 +1,135 @@
+// Channels that render buttons and lists natively. whatsapp-web.js cannot: WhatsApp dropped
+// buttons and lists outside the Business API, so those contacts get a numbered text menu.
+const NATIVE_CHANNELS = ['simulator', 'whatsapp_cloud', 'telegram', 'webchat'];
+
+export const INTERACTIVE_TYPES = ['buttons', 'list'];
+
+// Edge handles that are only followed when their branch is taken explicitly
+export const BRANCH_HANDLES = ['failed', 'timeout', 'error'];
+
+// Option ids become edge handles, so they may not collide with the special ones
+const RESERVED_OPTION_IDS = ['default', ...BRANCH_HANDLES];
+
+// A typed "2" or "2)" picks the second option of the numbered menu
+const OPTION_NUMBER = /^(\d+)[.)]?$/;
+
+// WhatsApp Business limits, applied everywhere so a flow works on every channel
+const LIMITS = {
+  buttons: { options: 3, title: 20 },
+  list: { options: 10, title: 24 }
+};
+
+const DEFAULT_RETRY_MESSAGE = 'Please choose one of the options below.';
+
+/**
+ * Interactive replies (buttons and list menus) of botResponse nodes.
+ *
+ * Node data: { message, interactive: { type: "buttons|list", buttonText, options: [{ id, title, description }] } }
+ * Each option id is an edge handle: choosing it follows the edge with that sourceHandle,
+ * anything else the "default" edge. While the menu is open the node waits like a userInput
+ * node (saveAs, maxAttempts, retryMessage and timeout work the same way).
+ */
+class InteractiveService {
+
+  /**
+   * Interactive settings of a node, or null for plain text nodes
+   */
+  getInteractive(node) {
+    const interactive = node?.type === 'botResponse' ? node.data?.interactive : null;
+    return interactive && Array.isArray(interactive.options) && interactive.options.length > 0
+      ? interactive
+      : null;
+  }
+
+  supportsNative(channelType) {
+    return NATIVE_CHANNELS.includes(channelType);
+  }
+
+  /**
+   * Numbered text version of a menu: the message followed by "1) Title - description" lines
+   */
+  renderTextMenu(message, interactive) {
+    const lines = interactive.options.map((option, index) => (
+      `${index + 1}) ${option.title}${option.description ? ` - ${option.description}` : ''}`
+    ));
+    return `${message}\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Option picked by a reply: its id (native button replies), number or title.
+   * The id wins, which is unambiguous because checkInteractive refuses ids that read as a number.
+   */
+  resolveSelection(reply, interactive) {
+    const answer = String(reply ?? '').trim();
+    const options = interactive.options;
+    if (!answer) {
+      return null;
+    }
+
+    const byId = options.find(option => String(option.id) === answer);
+    if (byId) {
+      return byId;
+    }
+
+    const number = OPTION_NUMBER.exec(answer);
+    if (number) {
+      return options[parseInt(number[1]) - 1] || null;
+    }
+
+    const normalize = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return options.find(option => normalize(option.title) === normalize(answer)) || null;
+  }
+
+  getRetryMessage(data = {}) {
+    return data.retryMessage || DEFAULT_RETRY_MESSAGE;
+  }
+
+  /**
+   * Problems with a node's interactive settings (used by the flow validator)
+   */
+  checkInteractive(interactive) {
+    if (!interactive) {
+      return [];
+    }
+
+    const problems = [];
+    const type = interactive.type || 'buttons';
+    if (!INTERACTIVE_TYPES.includes(type)) {
+      return [`unknown interactive type "${type}"`];
+    }
+
+    const options = Array.isArray(interactive.options) ? interactive.options : [];
+    const limits = LIMITS[type];
+    if (options.length === 0) {
+      problems.push('at least one option is required');
+    }
+    if (options.length > limits.options) {
+      problems.push(`${type} allow at most ${limits.options} options`);
+    }
+
+    const ids = new Set();
+    options.forEach((option, index) => {
+      const label = `option ${index + 1}`;
+      if (!option?.id) {
+        problems.push(`${label} needs an id`);
+      } else if (ids.has(option.id)) {
+        problems.push(`option id "${option.id}" is used more than once`);
+      } else if (RESERVED_OPTION_IDS.includes(option.id)) {
+        problems.push(`option id "${option.id}" is reserved`);
+      } else if (OPTION_NUMBER.test(String(option.id).trim())) {
+        problems.push(`option id "${option.id}" looks like an option number`);
+      }
+      ids.add(option?.id);
+
+      if (!option?.title || !String(option.title).trim()) {
+        problems.push(`${label} needs a title`);
+      } else if (String(option.title).length > limits.title) {
+        problems.push(`${label} title is longer than ${limits.title} characters`);
+      }
+    });
+
+    return problems;
+  }
+}
+
+export default new InteractiveService();
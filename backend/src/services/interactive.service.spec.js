@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import interactiveService from './interactive.service.js';
+
+const menu = {
+  type: 'buttons',
+  options: [
+    { id: 'sales', title: 'Talk to sales' },
+    { id: 'support', title: 'Support', description: 'Open a ticket' },
+    { id: 'option-3', title: '3 months' }
+  ]
+};
+
+test('a reply picks the option by id, then by number, then by title', () => {
+  const pick = reply => interactiveService.resolveSelection(reply, menu)?.id ?? null;
+
+  assert.equal(pick('support'), 'support');
+  assert.equal(pick('1'), 'sales');
+  assert.equal(pick(' 2) '), 'support');
+  assert.equal(pick('3.'), 'option-3');
+  assert.equal(pick('  talk   TO sales '), 'sales');
+  assert.equal(pick('4'), null);
+  assert.equal(pick('something else'), null);
+  assert.equal(pick(''), null);
+  assert.equal(pick(undefined), null);
+});
+
+test('option ids that read as an option number are refused, so a typed number always means the position', () => {
+  const problems = interactiveService.checkInteractive({
+    type: 'buttons',
+    options: [
+      { id: '2', title: 'Second' },
+      { id: '1)', title: 'First' },
+      { id: 'plan-2', title: 'Plan 2' }
+    ]
+  });
+
+  assert.deepEqual(problems, [
+    'option id "2" looks like an option number',
+    'option id "1)" looks like an option number'
+  ]);
+});
+
+test('checkInteractive lists missing, duplicate, reserved and overlong options and the channel limits', () => {
+  assert.deepEqual(interactiveService.checkInteractive(null), []);
+  assert.deepEqual(interactiveService.checkInteractive(menu), []);
+  assert.deepEqual(interactiveService.checkInteractive({ type: 'carousel', options: [] }), ['unknown interactive type "carousel"']);
+  assert.deepEqual(interactiveService.checkInteractive({ type: 'list', options: [] }), ['at least one option is required']);
+
+  assert.deepEqual(interactiveService.checkInteractive({
+    options: [
+      { id: 'a', title: 'A' },
+      { id: 'a', title: 'Again' },
+      { id: 'timeout', title: 'Later' },
+      { title: 'A title that is far too long for a button' }
+    ]
+  }), [
+    'buttons allow at most 3 options',
+    'option id "a" is used more than once',
+    'option id "timeout" is reserved',
+    'option 4 needs an id',
+    'option 4 title is longer than 20 characters'
+  ]);
+});
+
+test('channels without native menus get a numbered text menu', () => {
+  assert.equal(interactiveService.supportsNative('telegram'), true);
+  assert.equal(interactiveService.supportsNative('whatsapp'), false);
+  assert.equal(
+    interactiveService.renderTextMenu('How can we help?', menu),
+    'How can we help?\n\n1) Talk to sales\n2) Support - Open a ticket\n3) 3 months'
+  );
+});
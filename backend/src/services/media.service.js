@@ -171,6 +171,67 @@ class MediaService {
     }
   }
 
+  /**
+   * Media a flow node or sequence item sends: a library item (mediaId) or a file path.
+   * Returns null when there is none (or the library item is gone).
+   */
+  async resolveOutgoingMedia(item, organizationId) {
+    if (item.mediaId) {
+      const result = await query(
+        'SELECT * FROM media_library WHERE id = $1 AND organization_id = $2',
+        [item.mediaId, organizationId]
+      );
+      const media = result.rows[0];
+      return media
+        ? {
+          mediaId: media.id,
+          mediaUrl: media.file_path,
+          mimeType: media.mime_type,
+          fileName: media.file_name,
+          fileType: media.file_type
+        }
+        : null;
+    }
+    
+    const mediaUrl = item.mediaUrl || item.mediaPath;
+    return mediaUrl
+      ? { mediaId: null, mediaUrl, mimeType: item.mimetype || null, fileName: path.basename(mediaUrl), fileType: 'document' }
+      : null;
+  }
+
+  /**
+   * Public URL of a file under the upload directory (served at /uploads)
+   */
+  getPublicUrl(filePath) {
+    const relative = path.relative(this.uploadPath, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    return `${config.apiUrl}/uploads/${relative.split(path.sep).join('/')}`;
+  }
+
+  /**
+   * Inbound media as flows see it (the value a media userInput saves)
+   */
+  toFlowMedia(record, { type, caption = '' } = {}) {
+    return {
+      id: record.id,
+      type: type || record.file_type,
+      url: this.getPublicUrl(record.file_path),
+      path: record.file_path,
+      mimeType: record.mime_type,
+      fileName: record.file_name,
+      caption
+    };
+  }
+
+  async recordUsage(mediaId, contactId, flowId = null) {
+    await query(
+      'INSERT INTO media_usage (media_id, contact_id, flow_id) VALUES ($1, $2, $3)',
+      [mediaId, contactId, flowId || null]
+    );
+  }
+
   /**
    * Create message sequence
    */
@@ -205,6 +266,30 @@ class MediaService {
     }
   }
 
+  /**
+   * Get mimetype from a file extension
+   */
+  getMimeTypeFromPath(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const mimeTypes = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.mp4': 'video/mp4',
+      '.3gpp': 'video/3gpp',
+      '.mp3': 'audio/mpeg',
+      '.wav': 'audio/wav',
+      '.ogg': 'audio/ogg',
+      '.opus': 'audio/opus',
+      '.pdf': 'application/pdf',
+      '.doc': 'application/msword',
+      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    };
+    return mimeTypes[ext] || 'application/octet-stream';
+  }
+
   /**
    * Get file extension from mimetype
    */
@@ -2,6 +2,7 @@ import Bull from 'bull';
 import { config } from '../config/index.js';
 import { query } from '../config/database.js';
 import { logger } from '../middleware/errorHandler.js';
+import triggerService from './trigger.service.js';
 
 class QueueService {
   constructor() {
@@ -19,15 +20,18 @@ class QueueService {
   setupProcessors() {
     // Process flow execution jobs
     this.flowQueue.process(async (job) => {
-      const { contactId, flowId, organizationId, variables } = job.data;
+      const { contactId, flowId, flowVersionId, organizationId, variables } = job.data;
       
       try {
         logger.info(`Processing flow execution: Flow ${flowId} for contact ${contactId}`);
         
-        // Get flow definition
+        // Get the definition of the version the contact was started on
         const flowResult = await query(
-          'SELECT * FROM flows WHERE id = $1 AND organization_id = $2',
-          [flowId, organizationId]
+          `SELECT f.id, COALESCE(fv.flow_definition, f.flow_definition) AS flow_definition
+           FROM flows f
+           LEFT JOIN flow_versions fv ON fv.id = $3 AND fv.flow_id = f.id
+           WHERE f.id = $1 AND f.organization_id = $2`,
+          [flowId, organizationId, flowVersionId || null]
         );
         
         if (flowResult.rows.length === 0) {
@@ -40,7 +44,7 @@ class QueueService {
         const flowExecutor = (await import('./flowExecutor.service.js')).default;
         await flowExecutor.executeNode(
           flow.flow_definition,
-          flow.flow_definition.nodes[0].id, // Start node
+          this.getStartNodeId(flow.flow_definition),
           contactId,
           organizationId,
           variables || {},
@@ -64,7 +68,7 @@ class QueueService {
     });
   }
 
-  async executeFlow(flow, contactId, organizationId) {
+  async executeFlow(flow, contactId, organizationId, variables = {}) {
     try {
       // Check if flow is already running for this contact
       const existingState = await query(
@@ -77,21 +81,28 @@ class QueueService {
         return;
       }
       
-      // Create flow state
+      // Create flow state, pinned to the published version for the whole journey
       await query(
-        `INSERT INTO flow_states (contact_id, flow_id, current_node_id, variables)
-         VALUES ($1, $2, $3, $4)
+        `INSERT INTO flow_states (contact_id, flow_id, current_node_id, variables, flow_version_id)
+         VALUES ($1, $2, $3, $4, $5)
          ON CONFLICT (contact_id, flow_id) 
-         DO UPDATE SET current_node_id = $3, variables = $4, completed = false, updated_at = NOW()`,
-        [contactId, flow.id, flow.flow_definition.nodes[0].id, JSON.stringify({})]
+         DO UPDATE SET current_node_id = $3, variables = $4, flow_version_id = $5, completed = false, updated_at = NOW()`,
+        [
+          contactId,
+          flow.id,
+          this.getStartNodeId(flow.flow_definition),
+          JSON.stringify(variables),
+          flow.published_version_id || null
+        ]
       );
       
       // Add to queue
       await this.flowQueue.add({
         contactId,
         flowId: flow.id,
+        flowVersionId: flow.published_version_id || null,
         organizationId,
-        variables: {}
+        variables
       });
       
       logger.info(`Flow ${flow.id} queued for contact ${contactId}`);
@@ -101,27 +112,49 @@ class QueueService {
     }
   }
 
+  /**
+   * Id of the flow's start node (older flows without one start at their first node)
+   */
+  getStartNodeId(flowDefinition) {
+    const startNode = flowDefinition.nodes.find(n => n.type === 'start') || flowDefinition.nodes[0];
+    return startNode.id;
+  }
+
+  /**
+   * Start the flow an inbound message triggers (best match, or the fallback flow)
+   */
   async addFlowExecutionJob(data) {
     const { contactId, message, organizationId } = data;
     
     try {
-      // Find flows triggered by this message
-      const flows = await query(
-        `SELECT * FROM flows 
-         WHERE organization_id = $1 
-         AND is_active = true
-         AND (
-           $2 = ANY(keyword_triggers)
-           OR array_length(keyword_triggers, 1) IS NULL
-         )`,
-        [organizationId, message.toLowerCase()]
+      // A reply to a waiting userInput belongs to that flow and must not start another one
+      const waiting = await query(
+        'SELECT flow_id FROM flow_states WHERE contact_id = $1 AND awaiting_input = true AND completed = false LIMIT 1',
+        [contactId]
       );
       
-      for (const flow of flows.rows) {
-        await this.executeFlow(flow, contactId, organizationId);
+      if (waiting.rows.length > 0) {
+        logger.info(`Contact ${contactId} is answering flow ${waiting.rows[0].flow_id}, triggers skipped`);
+        return null;
+      }
+      
+      const match = await triggerService.findFlowForMessage(organizationId, message);
+      if (!match) {
+        return null;
       }
+      
+      logger.info(match.fallback
+        ? `No trigger matched for contact ${contactId}, starting fallback flow ${match.flow.id}`
+        : `Trigger "${match.trigger.keyword}" (${match.trigger.match}) matched flow ${match.flow.id} for contact ${contactId}`);
+      
+      await this.executeFlow(match.flow, contactId, organizationId, {
+        last_user_message: message,
+        trigger_keyword: match.trigger?.keyword || null
+      });
+      return match;
     } catch (error) {
       logger.error('Error adding flow execution job:', error);
+      return null;
     }
   }
 
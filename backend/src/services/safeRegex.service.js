@@ -0,0 +1,234 @@
+import { logger } from '../middleware/errorHandler.js';
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_INPUT_LENGTH = 1000;
+const MAX_DOT_REPEATS = 2;
+// (\d{1,3}\.){3} is fine: both repeats are bounded and small
+const MAX_NESTED_REPEATS = 5;
+const MAX_CACHED_PATTERNS = 500;
+
+const BOUNDED_QUANTIFIER = /^\{(\d+)(,(\d*))?\}/;
+const GROUP_PREFIX = /^(?:\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/;
+
+/**
+ * Guard for regular expressions written by organizations (trigger keywords, userInput
+ * validation, condition operators). They run on every inbound message on the shared event loop,
+ * so patterns that can backtrack catastrophically are rejected when saved and never run:
+ * - a repeated group that itself contains a quantifier or an alternation: (a+)+, (a|a)*, (\w?){2,};
+ *   bounded repeats of bounded quantifiers like (\d{1,3}\.){3} are allowed
+ * - the same atom repeated twice in a row: \d+\d*, a*a+
+ * - more than two repeated dots: .*.*.*x
+ * - backreferences: (a*)\1
+ * Inputs longer than 1000 characters are not tested.
+ */
+class SafeRegexService {
+  constructor() {
+    // pattern + flags -> RegExp, or null when the pattern is unsafe or invalid
+    this.cache = new Map();
+  }
+
+  /**
+   * Why a pattern may not be used, or null when it is fine
+   */
+  check(pattern, flags = '') {
+    if (typeof pattern !== 'string' || !pattern) {
+      return 'pattern is required';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      new RegExp(pattern, flags);
+    } catch (error) {
+      return `invalid pattern: ${error.message}`;
+    }
+    return this.findBacktrackingRisk(pattern);
+  }
+
+  /**
+   * Test input against a pattern; resolves to null (not false) when the pattern may not run,
+   * so callers can fail closed
+   */
+  test(pattern, flags, input) {
+    const regex = this.compile(pattern, flags);
+    if (!regex) {
+      return null;
+    }
+    const text = String(input ?? '');
+    return text.length <= MAX_INPUT_LENGTH && regex.test(text);
+  }
+
+  compile(pattern, flags = '') {
+    const key = `${flags}/${pattern}`;
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const problem = this.check(pattern, flags);
+    if (problem) {
+      logger.warn(`Refusing to run pattern ${pattern}: ${problem}`);
+    }
+    // Flags g and y make test() stateful across calls
+    const regex = problem ? null : new RegExp(pattern, flags.replace(/[gy]/g, ''));
+
+    if (this.cache.size >= MAX_CACHED_PATTERNS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, regex);
+    return regex;
+  }
+
+  /**
+   * Walk the pattern tracking, per open group, whether it contains a quantifier or an
+   * alternation; a quantifier applied to such a group is a nested (ambiguous) repetition
+   */
+  findBacktrackingRisk(pattern) {
+    const groups = [{ quantified: false, unbounded: false, alternation: false }];
+    // last: atom a following quantifier would apply to; previous: the quantified atom right before it
+    let previous = null;
+    let last = null;
+    let dotRepeats = 0;
+    let i = 0;
+
+    const setAtom = (atom) => {
+      // An unquantified atom in between breaks the adjacency of two quantified ones
+      if (last) {
+        previous = null;
+      }
+      last = atom;
+    };
+
+    while (i < pattern.length) {
+      const char = pattern[i];
+      const group = groups[groups.length - 1];
+
+      const quantifier = this.readQuantifier(pattern, i);
+      if (quantifier) {
+        i += quantifier.length;
+        // Lazy quantifiers (a+?) backtrack just the same
+        if (pattern[i] === '?') {
+          i += 1;
+        }
+        if (!last) {
+          continue;
+        }
+        if (quantifier.repeats && last.alternation) {
+          return `repeated alternation "${last.source}" can backtrack catastrophically`;
+        }
+        const nestedRepeats = quantifier.unbounded || last.unbounded || quantifier.max > MAX_NESTED_REPEATS;
+        if (quantifier.repeats && last.quantified && nestedRepeats) {
+          return `nested quantifier in "${last.source}" can backtrack catastrophically`;
+        }
+        if (quantifier.unbounded && previous?.unbounded && previous.source === last.source) {
+          return `"${last.source}" is repeated twice in a row, which makes matching ambiguous`;
+        }
+        if (quantifier.unbounded && last.source === '.' && ++dotRepeats > MAX_DOT_REPEATS) {
+          return `more than ${MAX_DOT_REPEATS} repeated dots (.* or .+) make matching too slow`;
+        }
+        group.quantified = true;
+        group.unbounded = group.unbounded || quantifier.unbounded;
+        previous = { source: last.source, unbounded: quantifier.unbounded };
+        last = null;
+        continue;
+      }
+
+      if (char === '\\') {
+        const next = pattern[i + 1];
+        if (/[1-9]/.test(next) || (next === 'k' && pattern[i + 2] === '<')) {
+          return 'backreferences are not allowed';
+        }
+        setAtom({ source: pattern.slice(i, i + 2) });
+        i += 2;
+        continue;
+      }
+
+      if (char === '[') {
+        const end = this.findClassEnd(pattern, i);
+        setAtom({ source: pattern.slice(i, end + 1) });
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '(') {
+        const prefix = pattern.slice(i + 1).match(GROUP_PREFIX)[0];
+        groups.push({ quantified: false, unbounded: false, alternation: false, start: i });
+        previous = null;
+        last = null;
+        i += 1 + prefix.length;
+        continue;
+      }
+
+      if (char === ')') {
+        const closed = groups.pop();
+        const parent = groups[groups.length - 1];
+        parent.quantified = parent.quantified || closed.quantified;
+        parent.unbounded = parent.unbounded || closed.unbounded;
+        previous = null;
+        last = {
+          source: pattern.slice(closed.start, i + 1),
+          quantified: closed.quantified,
+          unbounded: closed.unbounded,
+          alternation: closed.alternation
+        };
+        i += 1;
+        continue;
+      }
+
+      if (char === '|') {
+        group.alternation = true;
+        previous = null;
+        last = null;
+        i += 1;
+        continue;
+      }
+
+      // Anchors are not atoms a quantifier could apply to
+      if (char === '^' || char === '$') {
+        previous = null;
+        last = null;
+      } else {
+        setAtom({ source: char });
+      }
+      i += 1;
+    }
+    return null;
+  }
+
+  /**
+   * Quantifier starting at index i: { length, max, repeats, unbounded }; repeats is false for ? and {0,1}
+   */
+  readQuantifier(pattern, i) {
+    const char = pattern[i];
+    if (char === '*' || char === '+') {
+      return { length: 1, max: Infinity, repeats: true, unbounded: true };
+    }
+    if (char === '?') {
+      return { length: 1, max: 1, repeats: false, unbounded: false };
+    }
+    if (char === '{') {
+      const match = pattern.slice(i).match(BOUNDED_QUANTIFIER);
+      if (match) {
+        const max = match[2] ? (match[3] ? parseInt(match[3]) : Infinity) : parseInt(match[1]);
+        return { length: match[0].length, max, repeats: max > 1, unbounded: max === Infinity };
+      }
+    }
+    return null;
+  }
+
+  findClassEnd(pattern, start) {
+    let i = start + 1;
+    // A ] right after [ or [^ is a literal
+    if (pattern[i] === '^') {
+      i += 1;
+    }
+    if (pattern[i] === ']') {
+      i += 1;
+    }
+    while (i < pattern.length && pattern[i] !== ']') {
+      i += pattern[i] === '\\' ? 2 : 1;
+    }
+    return i;
+  }
+}
+
+export default new SafeRegexService();
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import safeRegexService from './safeRegex.service.js';
+
+test('patterns that can backtrack catastrophically are refused with the reason', () => {
+  const cases = [
+    ['(a+)+$', /nested quantifier/],
+    ['^(\\w+\\s?)*$', /nested quantifier/],
+    ['(\\d*){2,}', /nested quantifier/],
+    ['(a|a)*', /repeated alternation/],
+    ['(foo|bar)+', /repeated alternation/],
+    ['\\d+\\d*', /repeated twice in a row/],
+    ['a*a+', /repeated twice in a row/],
+    ['.*.*x', /repeated twice in a row/],
+    ['.*a.*b.*c', /repeated dots/],
+    ['(a*)\\1', /backreferences/],
+    ['(?<word>a+)\\k<word>', /backreferences/]
+  ];
+
+  for (const [pattern, reason] of cases) {
+    assert.match(safeRegexService.check(pattern) || '', reason, pattern);
+  }
+});
+
+test('everyday patterns are allowed', () => {
+  const patterns = [
+    '^\\d+-\\d+$',
+    '^(\\d{1,3}\\.){3}\\d{1,3}$',
+    '^[^\\s@]+@[^\\s@]+\\.[a-z]{2,}$',
+    '^(yes|no)$',
+    'order\\s*#?\\d{4,}',
+    '.*refund.*',
+    '(?:hi|hello) there',
+    '[a+]+'
+  ];
+
+  for (const pattern of patterns) {
+    assert.equal(safeRegexService.check(pattern), null, pattern);
+  }
+});
+
+test('missing, overlong and invalid patterns are refused', () => {
+  assert.equal(safeRegexService.check(''), 'pattern is required');
+  assert.equal(safeRegexService.check(null), 'pattern is required');
+  assert.match(safeRegexService.check('a'.repeat(501)), /longer than 500/);
+  assert.match(safeRegexService.check('(unclosed'), /invalid pattern/);
+  assert.match(safeRegexService.check('a', 'z'), /invalid pattern/);
+});
+
+test('test() fails closed: null for refused patterns, false for inputs over the cap', () => {
+  assert.equal(safeRegexService.test('(a+)+$', '', 'aaaa'), null);
+  assert.equal(safeRegexService.test('(', '', 'a'), null);
+
+  assert.equal(safeRegexService.test('^order \\d+$', 'i', 'ORDER 42'), true);
+  assert.equal(safeRegexService.test('^order \\d+$', '', 'ORDER 42'), false);
+  assert.equal(safeRegexService.test('a', '', 'a'.repeat(1000)), true);
+  assert.equal(safeRegexService.test('a', '', 'a'.repeat(1001)), false);
+});
+
+test('global and sticky flags do not make repeated tests alternate', () => {
+  const results = [1, 2, 3].map(() => safeRegexService.test('\\d', 'g', 'a1'));
+
+  assert.deepEqual(results, [true, true, true]);
+});
+
+test('an allowed pattern runs in linear time on adversarial input', () => {
+  const input = `${'a'.repeat(999)}!`;
+  const started = process.hrtime.bigint();
+
+  assert.equal(safeRegexService.test('^[a-z]+$', '', input), false);
+  assert.ok(process.hrtime.bigint() - started < 50_000_000n, 'took more than 50ms');
+});
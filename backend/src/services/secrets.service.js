@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const MAX_VALUE_LENGTH = 8192;
+
+/**
+ * Encrypted organization secrets (API tokens, passwords, signing keys).
+ *
+ * Integration nodes reference secrets by name; values never leave the server
+ * and are never returned by the API.
+ */
+class SecretsService {
+  constructor() {
+    this.key = crypto.createHash('sha256').update(config.secrets.encryptionKey).digest();
+  }
+
+  /**
+   * Secret names of an organization (values are never listed)
+   */
+  async list(organizationId) {
+    const result = await query(
+      `SELECT name, created_at, updated_at FROM organization_secrets
+       WHERE organization_id = $1
+       ORDER BY name ASC`,
+      [organizationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create or replace a secret
+   */
+  async set(organizationId, name, value, userId = null) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new ValidationError('Invalid secret name', [{
+        code: 'invalid_name',
+        message: 'Use letters, digits and underscores, starting with a letter (max 64 characters)'
+      }]);
+    }
+    if (typeof value !== 'string' || value === '' || value.length > MAX_VALUE_LENGTH) {
+      throw new ValidationError('Invalid secret value', [{
+        code: 'invalid_value',
+        message: `The value must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters`
+      }]);
+    }
+
+    const result = await query(
+      `INSERT INTO organization_secrets (organization_id, name, encrypted_value, created_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (organization_id, name)
+       DO UPDATE SET encrypted_value = $3, updated_at = NOW()
+       RETURNING name, created_at, updated_at`,
+      [organizationId, name, this.encrypt(value), userId]
+    );
+    return result.rows[0];
+  }
+
+  async remove(organizationId, name) {
+    const result = await query(
+      'DELETE FROM organization_secrets WHERE organization_id = $1 AND name = $2 RETURNING name',
+      [organizationId, name]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Decrypted value of a secret; throws when it does not exist
+   */
+  async getValue(organizationId, name) {
+    const result = await query(
+      'SELECT encrypted_value FROM organization_secrets WHERE organization_id = $1 AND name = $2',
+      [organizationId, name]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`Secret ${name} is not defined`);
+    }
+    return this.decrypt(result.rows[0].encrypted_value);
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => (
+      Buffer.isBuffer(part) ? part.toString('base64') : part
+    )).join(':');
+  }
+
+  decrypt(stored) {
+    const [version, iv, tag, encrypted] = String(stored).split(':');
+    if (version !== 'v1') {
+      throw new Error('Unsupported secret format');
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+export default new SecretsService();
@@ -0,0 +1,310 @@
+import { query } from '../config/database.js';
+import { logger } from '../middleware/errorHandler.js';
+
+/**
+ * Flow simulator: runs flows for a throwaway "simulator" contact whose channel is virtual.
+ * Outgoing messages are recorded in simulator_messages instead of going through the
+ * anti-ban queue, so a flow (usually its draft) can be tested without a phone.
+ * Agent handoffs are recorded on the session rather than opening a live chat, and
+ * integration nodes only make real HTTP calls when the session has liveIntegrations on.
+ */
+class SimulatorService {
+
+  /**
+   * Start a simulator session for a flow and run it until it waits or ends
+   *
+   * Options: useDraft (default true), skipDelays (default true), stepMode, liveIntegrations, variables
+   */
+  async createSession(organizationId, userId, flowId, options = {}) {
+    const flowResult = await query(
+      'SELECT * FROM flows WHERE id = $1 AND organization_id = $2',
+      [flowId, organizationId]
+    );
+
+    if (flowResult.rows.length === 0) {
+      return null;
+    }
+
+    const flow = flowResult.rows[0];
+    const useDraft = options.useDraft !== false && !!flow.draft_definition;
+    const definition = useDraft ? flow.draft_definition : flow.flow_definition;
+
+    // One session per user: starting over removes the previous sandbox contact
+    await this.endUserSessions(userId);
+
+    const contactResult = await query(
+      `INSERT INTO contacts (organization_id, name, phone, channel_type, custom_fields)
+       VALUES ($1, $2, $3, 'simulator', $4) RETURNING id`,
+      [organizationId, 'Simulator', `sim-${userId}-${Date.now()}`, JSON.stringify(options.customFields || {})]
+    );
+
+    const sessionResult = await query(
+      `INSERT INTO simulator_sessions (organization_id, user_id, flow_id, contact_id, flow_definition, skip_delays, step_mode, live_integrations)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        organizationId,
+        userId,
+        flow.id,
+        contactResult.rows[0].id,
+        JSON.stringify(definition),
+        options.skipDelays !== false,
+        !!options.stepMode,
+        !!options.liveIntegrations
+      ]
+    );
+    const session = sessionResult.rows[0];
+
+    await this.recordEvent(session.contact_id, `Started "${flow.name}" (${useDraft ? 'draft' : 'published version'})`, { flowId: flow.id });
+
+    const startNode = definition.nodes.find(n => n.type === 'start') || definition.nodes[0];
+    const variables = options.variables || {};
+
+    await query(
+      `INSERT INTO flow_states (contact_id, flow_id, current_node_id, variables)
+       VALUES ($1, $2, $3, $4)`,
+      [session.contact_id, flow.id, startNode.id, JSON.stringify(variables)]
+    );
+
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    await flowExecutor.executeNode(definition, startNode.id, session.contact_id, organizationId, variables, flow.id);
+
+    logger.info(`Simulator session ${session.id} started for flow ${flow.id} by user ${userId}`);
+    return session;
+  }
+
+  async getSession(sessionId, organizationId) {
+    const result = await query(
+      'SELECT * FROM simulator_sessions WHERE id = $1 AND organization_id = $2',
+      [sessionId, organizationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Session of a simulator contact, or null for real contacts
+   */
+  async getSessionByContact(contactId) {
+    const result = await query(
+      'SELECT * FROM simulator_sessions WHERE contact_id = $1',
+      [contactId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deliver a reply typed in the simulator to the flow waiting for input
+   */
+  async sendMessage(session, text) {
+    await this.record(session.id, 'inbound', text);
+
+    const waiting = await query(
+      'SELECT flow_id FROM flow_states WHERE contact_id = $1 AND awaiting_input = true AND completed = false',
+      [session.contact_id]
+    );
+
+    if (waiting.rows.length === 0) {
+      await this.recordEvent(session.contact_id, 'No node is waiting for input; message ignored');
+      return;
+    }
+
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    await flowExecutor.resumeFlow(session.contact_id, text);
+  }
+
+  /**
+   * Step mode: run the node the session is paused on (the run pauses again before the next one)
+   */
+  async step(session) {
+    if (!session.pending_node_id) {
+      return false;
+    }
+
+    await this.clearPending(session.id);
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    await flowExecutor.runSimulatorStep(session);
+    return true;
+  }
+
+  /**
+   * Continue a delayed flow now instead of waiting for the scheduler
+   */
+  async skipDelay(session) {
+    const result = await query(
+      `UPDATE flow_states
+       SET resume_at = NULL, claimed_at = NULL, resume_attempts = 0, updated_at = NOW()
+       WHERE contact_id = $1 AND resume_at IS NOT NULL AND completed = false
+       RETURNING contact_id, flow_id, current_node_id, variables`,
+      [session.contact_id]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const flowExecutor = (await import('./flowExecutor.service.js')).default;
+    for (const state of result.rows) {
+      await this.recordEvent(session.contact_id, 'Delay skipped', { flowId: state.flow_id, nodeId: state.current_node_id });
+      await flowExecutor.resumeAfterDelay(state);
+    }
+    return true;
+  }
+
+  /**
+   * Toggle step mode / delay skipping / live integrations. Leaving step mode continues a paused run.
+   */
+  async updateSettings(session, { stepMode, skipDelays, liveIntegrations }) {
+    const result = await query(
+      `UPDATE simulator_sessions
+       SET step_mode = COALESCE($1, step_mode),
+           skip_delays = COALESCE($2, skip_delays),
+           live_integrations = COALESCE($3, live_integrations),
+           updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [stepMode ?? null, skipDelays ?? null, liveIntegrations ?? null, session.id]
+    );
+    const updated = result.rows[0];
+
+    if (!updated.step_mode && updated.pending_node_id) {
+      await this.step(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Remove a session together with its sandbox contact and everything attached to it
+   */
+  async endSession(session) {
+    await query('DELETE FROM contacts WHERE id = $1', [session.contact_id]);
+    logger.info(`Simulator session ${session.id} ended`);
+  }
+
+  async endUserSessions(userId) {
+    await query(
+      `DELETE FROM contacts
+       WHERE id IN (SELECT contact_id FROM simulator_sessions WHERE user_id = $1)`,
+      [userId]
+    );
+  }
+
+  /**
+   * Called by the executor before a node runs in step mode
+   */
+  async pauseAt(session, flowId, nodeId, variables) {
+    await query(
+      'UPDATE flow_states SET current_node_id = $1, variables = $2, updated_at = NOW() WHERE contact_id = $3 AND flow_id = $4',
+      [nodeId, JSON.stringify(variables), session.contact_id, flowId]
+    );
+    await query(
+      'UPDATE simulator_sessions SET pending_flow_id = $1, pending_node_id = $2, updated_at = NOW() WHERE id = $3',
+      [flowId, nodeId, session.id]
+    );
+  }
+
+  async clearPending(sessionId) {
+    await query(
+      'UPDATE simulator_sessions SET pending_flow_id = NULL, pending_node_id = NULL, updated_at = NOW() WHERE id = $1',
+      [sessionId]
+    );
+  }
+
+  /**
+   * Virtual channel: an outgoing message for a simulator contact
+   */
+  async recordOutgoing(contactId, content, metadata = {}) {
+    const session = await this.getSessionByContact(contactId);
+    if (session) {
+      await this.record(session.id, 'outbound', content, metadata);
+    }
+  }
+
+  /**
+   * A handoff to an agent: kept on the session so no real live chat reaches the agents' queue
+   */
+  async recordHandoff(session, status, department, metadata = {}) {
+    await query(
+      'UPDATE simulator_sessions SET handoff_status = $1, updated_at = NOW() WHERE id = $2',
+      [status, session.id]
+    );
+    await this.record(session.id, 'event', `Handed to the ${department} department (${status})`, { ...metadata, department, status });
+  }
+
+  async recordEvent(contactId, content, metadata = {}) {
+    const session = await this.getSessionByContact(contactId);
+    if (session) {
+      await this.record(session.id, 'event', content, metadata);
+    }
+  }
+
+  async record(sessionId, direction, content, metadata = {}) {
+    const result = await query(
+      `INSERT INTO simulator_messages (session_id, direction, content, flow_id, node_id, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [sessionId, direction, content, metadata.flowId || null, metadata.nodeId || null, JSON.stringify(metadata)]
+    );
+    return result.rows[0]?.id;
+  }
+
+  /**
+   * Node events keep the variables as they were once the node finished
+   */
+  async updateEventVariables(messageId, variables) {
+    await query(
+      `UPDATE simulator_messages
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || $1::jsonb
+       WHERE id = $2`,
+      [JSON.stringify({ variables }), messageId]
+    );
+  }
+
+  /**
+   * Everything the simulator panel shows: transcript, flow states, variables, tags and score
+   */
+  async getSnapshot(session) {
+    const [messages, states, tags, contact] = await Promise.all([
+      query('SELECT * FROM simulator_messages WHERE session_id = $1 ORDER BY id', [session.id]),
+      query(
+        `SELECT fs.flow_id, f.name AS flow_name, fs.current_node_id, fs.variables, fs.completed,
+                fs.awaiting_input, fs.resume_at, fs.input_timeout_at, fs.engagement_score, fs.parent_flow_id
+         FROM flow_states fs
+         JOIN flows f ON f.id = fs.flow_id
+         WHERE fs.contact_id = $1
+         ORDER BY fs.updated_at DESC`,
+        [session.contact_id]
+      ),
+      query('SELECT tag_name FROM contact_tags WHERE contact_id = $1 ORDER BY tag_name', [session.contact_id]),
+      query('SELECT custom_fields FROM contacts WHERE id = $1', [session.contact_id])
+    ]);
+
+    const parse = (raw) => (typeof raw === 'string' ? JSON.parse(raw) : raw || {});
+    const transcript = messages.rows.map(m => ({ ...m, metadata: parse(m.metadata) }));
+    const flowStates = states.rows.map(s => ({ ...s, variables: parse(s.variables) }));
+
+    // Variables only live in memory while a run is going; nodes record them as they execute
+    const lastSnapshot = [...transcript].reverse().find(m => m.metadata.variables);
+    const rootState = flowStates.find(s => s.flow_id === session.flow_id);
+
+    return {
+      session: {
+        id: session.id,
+        flowId: session.flow_id,
+        stepMode: session.step_mode,
+        skipDelays: session.skip_delays,
+        liveIntegrations: session.live_integrations,
+        pendingFlowId: session.pending_flow_id,
+        pendingNodeId: session.pending_node_id
+      },
+      messages: transcript,
+      states: flowStates,
+      variables: lastSnapshot?.metadata.variables || rootState?.variables || {},
+      tags: tags.rows.map(row => row.tag_name),
+      score: rootState?.engagement_score ?? 50,
+      customFields: parse(contact.rows[0]?.custom_fields),
+      liveChatStatus: session.handoff_status || null,
+      waitingForInput: flowStates.some(s => s.awaiting_input && !s.completed),
+      delayedUntil: flowStates.find(s => s.resume_at && !s.completed)?.resume_at || null
+    };
+  }
+}
+
+export default new SimulatorService();
@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import mediaService from './media.service.js';
+import secretsService from './secrets.service.js';
+
+export const UPDATE_MODES = ['webhook', 'polling'];
+
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+// Inbound message fields carrying a file, and our media type for each (null: from the mimetype)
+const INBOUND_MEDIA = [
+  ['photo', 'image'],
+  ['voice', 'voice'],
+  ['audio', 'audio'],
+  ['video', 'video'],
+  ['video_note', 'video'],
+  ['document', null]
+];
+
+// Bot API send method and file field for each outbound media type
+const SEND_METHODS = {
+  image: ['sendPhoto', 'photo'],
+  video: ['sendVideo', 'video'],
+  audio: ['sendAudio', 'audio'],
+  document: ['sendDocument', 'document']
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+const POLL_RETRY_MS = 5000;
+
+/**
+ * Telegram bot channel adapter (see channel.service.js for the interface).
+ *
+ * Credentials: botToken (stored encrypted) and mode. In webhook mode connecting registers
+ * /api/channels/:id/webhook with Telegram (API_URL must be public HTTPS); in polling mode the
+ * server long-polls getUpdates while the channel is connected. Inline keyboard presses arrive
+ * as the option id. Telegram has no delivery receipts, so sent messages never become delivered.
+ */
+class TelegramService {
+  constructor() {
+    this.type = 'telegram';
+    this.contactKey = 'telegram_id';
+    // channelId -> { active } of running long polls
+    this.pollers = new Map();
+  }
+
+  /**
+   * Credentials to store for a new channel; throws a ValidationError when they are unusable
+   */
+  prepareCredentials(input = {}) {
+    const errors = [];
+    if (!input.botToken) {
+      errors.push({ code: 'missing_credential', message: 'botToken is required', field: 'botToken' });
+    }
+    const mode = input.mode || 'webhook';
+    if (!UPDATE_MODES.includes(mode)) {
+      errors.push({ code: 'invalid_mode', message: `mode must be one of: ${UPDATE_MODES.join(', ')}`, field: 'mode' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Telegram credentials are invalid', errors);
+    }
+
+    return {
+      botToken: secretsService.encrypt(input.botToken),
+      mode,
+      secretToken: crypto.randomBytes(24).toString('hex')
+    };
+  }
+
+  getCredentials(channel) {
+    const credentials = typeof channel.credentials === 'string' ? JSON.parse(channel.credentials) : channel.credentials || {};
+    return {
+      ...credentials,
+      botToken: credentials.botToken ? secretsService.decrypt(credentials.botToken) : null
+    };
+  }
+
+  describeWebhook(channel) {
+    const { mode } = this.getCredentials(channel);
+    return {
+      mode,
+      url: mode === 'webhook' ? `${config.apiUrl}/api/channels/${channel.id}/webhook` : null
+    };
+  }
+
+  /**
+   * Check the bot token, then register the webhook or start long polling
+   */
+  async connect(channel, { io }) {
+    const { mode, secretToken } = this.getCredentials(channel);
+    try {
+      const bot = await this.call(channel, 'getMe');
+
+      if (mode === 'polling') {
+        await this.call(channel, 'deleteWebhook');
+        this.startPolling(channel);
+      } else {
+        await this.call(channel, 'setWebhook', {
+          url: this.describeWebhook(channel).url,
+          secret_token: secretToken,
+          allowed_updates: ALLOWED_UPDATES
+        });
+      }
+
+      await query(
+        'UPDATE channels SET status = $1, phone_number = $2, updated_at = NOW() WHERE id = $3',
+        ['connected', `@${bot.username}`, channel.id]
+      );
+
+      io?.to(`org-${channel.organization_id}`).emit('channel_connected', { channelId: channel.id, status: 'connected' });
+      logger.info(`Telegram bot @${bot.username} connected for channel ${channel.id} (${mode})`);
+    } catch (error) {
+      this.stopPolling(channel.id);
+      await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['error', channel.id]);
+      throw error;
+    }
+  }
+
+  async disconnect(channel) {
+    this.stopPolling(channel.id);
+    if (this.getCredentials(channel).mode === 'webhook') {
+      await this.call(channel, 'deleteWebhook').catch(error => {
+        logger.warn(`Could not remove the Telegram webhook of channel ${channel.id}: ${error.message}`);
+      });
+    }
+
+    await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['disconnected', channel.id]);
+    logger.info(`Telegram channel ${channel.id} disconnected`);
+  }
+
+  /**
+   * Restart long polling after a server restart (webhooks keep being delivered on their own)
+   */
+  resume(channel) {
+    if (this.getCredentials(channel).mode === 'polling') {
+      this.startPolling(channel);
+      logger.info(`Telegram polling resumed for channel ${channel.id}`);
+    }
+  }
+
+  startPolling(channel) {
+    this.stopPolling(channel.id);
+    const poller = { active: true };
+    this.pollers.set(channel.id, poller);
+
+    const poll = async () => {
+      let offset = 0;
+      while (poller.active) {
+        try {
+          const updates = await this.call(
+            channel,
+            'getUpdates',
+            { offset, timeout: config.telegram.pollTimeoutSeconds, allowed_updates: ALLOWED_UPDATES },
+            (config.telegram.pollTimeoutSeconds + 10) * 1000
+          );
+          for (const update of updates) {
+            offset = update.update_id + 1;
+            await this.handleUpdate(channel, update);
+          }
+        } catch (error) {
+          logger.error(`Telegram polling failed for channel ${channel.id}:`, error);
+          await new Promise(resolve => setTimeout(resolve, POLL_RETRY_MS));
+        }
+      }
+    };
+    poll();
+  }
+
+  stopPolling(channelId) {
+    const poller = this.pollers.get(channelId);
+    if (poller) {
+      poller.active = false;
+      this.pollers.delete(channelId);
+    }
+  }
+
+  /**
+   * Whether a webhook POST carries the secret token the webhook was registered with
+   */
+  authenticateWebhook(channel, req) {
+    const { secretToken } = this.getCredentials(channel);
+    const received = Buffer.from(req.get('x-telegram-bot-api-secret-token') || '');
+    const expected = Buffer.from(secretToken || '');
+    // Byte lengths: a non-ASCII header of the same string length would make timingSafeEqual throw
+    return !!secretToken && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  handleWebhook(channel, update) {
+    return this.handleUpdate(channel, update);
+  }
+
+  /**
+   * Pass a message or inline keyboard press to the channel layer
+   */
+  async handleUpdate(channel, update) {
+    try {
+      const { default: channelService } = await import('./channel.service.js');
+
+      if (update.callback_query) {
+        const callback = update.callback_query;
+        // Stops the button's loading spinner
+        await this.call(channel, 'answerCallbackQuery', { callback_query_id: callback.id });
+        if (callback.message) {
+          await channelService.receive({
+            channel,
+            from: this.getSender(callback.message.chat, callback.from),
+            text: callback.data || '',
+            externalId: String(callback.id)
+          });
+        }
+        return;
+      }
+
+      const message = update.message;
+      if (!message) {
+        return;
+      }
+
+      await channelService.receive({
+        channel,
+        from: this.getSender(message.chat, message.from),
+        text: message.text || message.caption || '',
+        externalId: String(message.message_id),
+        media: await this.downloadInboundMedia(channel, message)
+      });
+    } catch (error) {
+      logger.error(`Error handling Telegram update ${update.update_id}:`, error);
+    }
+  }
+
+  getSender(chat, user = {}) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || chat.title;
+    return { address: String(chat.id), name };
+  }
+
+  async downloadInboundMedia(channel, message) {
+    const [field, type] = INBOUND_MEDIA.find(([key]) => message[key]) || [];
+    if (!field) {
+      return null;
+    }
+    // Photos come in several sizes, the last one is the largest
+    const file = field === 'photo' ? message.photo[message.photo.length - 1] : message[field];
+
+    const info = await this.call(channel, 'getFile', { file_id: file.file_id });
+    const response = await fetch(
+      `${config.telegram.apiUrl}/file/bot${this.getCredentials(channel).botToken}/${info.file_path}`,
+      { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }
+    );
+    if (!response.ok) {
+      throw new Error(`Telegram file download failed: HTTP ${response.status}`);
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: file.mime_type || mediaService.getMimeTypeFromPath(info.file_path),
+      type,
+      fileName: file.file_name
+    };
+  }
+
+  async sendText(channel, chatId, text) {
+    const sent = await this.call(channel, 'sendMessage', { chat_id: chatId, text });
+    return { externalId: String(sent.message_id) };
+  }
+
+  /**
+   * Menus as an inline keyboard, one button per row (list descriptions go into the text)
+   */
+  async sendInteractive(channel, chatId, { text, interactive }) {
+    const described = interactive.options.filter(option => option.description);
+    const body = interactive.type === 'list' && described.length > 0
+      ? `${text}\n\n${described.map(option => `${option.title} - ${option.description}`).join('\n')}`
+      : text;
+
+    const sent = await this.call(channel, 'sendMessage', {
+      chat_id: chatId,
+      text: body,
+      reply_markup: {
+        inline_keyboard: interactive.options.map(option => [{ text: option.title, callback_data: String(option.id) }])
+      }
+    });
+    return { externalId: String(sent.message_id) };
+  }
+
+  async sendMedia(channel, chatId, { path: mediaPath, mimeType = null, caption = '', mediaType = null }) {
+    const type = SEND_METHODS[mediaType]
+      ? mediaType
+      : mediaService.getFileType(mimeType || mediaService.getMimeTypeFromPath(mediaPath));
+    // Anything without its own send method (stickers, unknown types) goes as a document
+    const [method, field] = SEND_METHODS[type] || SEND_METHODS.document;
+
+    const form = this.buildUpload(chatId, field, mediaPath, mimeType);
+    if (caption) {
+      form.append('caption', caption);
+    }
+
+    const sent = await this.call(channel, method, form);
+    return { externalId: String(sent.message_id) };
+  }
+
+  async sendVoice(channel, chatId, { path: audioPath }) {
+    const sent = await this.call(channel, 'sendVoice', this.buildUpload(chatId, 'voice', audioPath, 'audio/ogg'));
+    return { externalId: String(sent.message_id) };
+  }
+
+  buildUpload(chatId, field, filePath, mimeType = null) {
+    const type = mimeType || mediaService.getMimeTypeFromPath(filePath);
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append(field, new Blob([fs.readFileSync(filePath)], { type }), path.basename(filePath));
+    return form;
+  }
+
+  /**
+   * Call a Bot API method (params as JSON, or FormData for uploads); returns its result
+   */
+  async call(channel, method, params = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const isForm = params instanceof FormData;
+    const response = await fetch(`${config.telegram.apiUrl}/bot${this.getCredentials(channel).botToken}/${method}`, {
+      method: 'POST',
+      headers: isForm ? {} : { 'Content-Type': 'application/json' },
+      body: isForm ? params : JSON.stringify(params),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!data.ok) {
+      throw new Error(`Telegram ${method} failed: ${data.description || `HTTP ${response.status}`}`);
+    }
+    return data.result;
+  }
+}
+
+export default new TelegramService();
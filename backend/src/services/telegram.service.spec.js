@@ -0,0 +1,106 @@
+import { test, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockServer, sendJson, waitFor } from '../test/harness.js';
+
+const BOT_TOKEN = '123:ABC';
+
+let pendingUpdates = [];
+const botApi = await startMockServer((req, res) => {
+  const method = req.url.replace(`/bot${BOT_TOKEN}/`, '');
+  if (method === 'getUpdates') {
+    const result = pendingUpdates;
+    pendingUpdates = [];
+    // A short wait stands in for Telegram holding the long poll open
+    return setTimeout(() => sendJson(res, 200, { ok: true, result }), 20);
+  }
+  sendJson(res, 200, { ok: true, result: { message_id: 77 } });
+});
+process.env.TELEGRAM_API_URL = botApi.url;
+
+const { default: channelService } = await import('./channel.service.js');
+const { default: telegramService } = await import('./telegram.service.js');
+
+function botChannel(id, mode) {
+  return {
+    id,
+    organization_id: 1,
+    type: 'telegram',
+    status: 'connected',
+    credentials: telegramService.prepareCredentials({ botToken: BOT_TOKEN, mode })
+  };
+}
+
+const receive = mock.method(channelService, 'receive', () => Promise.resolve({}));
+
+beforeEach(() => {
+  receive.mock.resetCalls();
+  botApi.requests.length = 0;
+});
+
+after(async () => {
+  for (const channelId of [...telegramService.pollers.keys()]) {
+    telegramService.stopPolling(channelId);
+  }
+  await botApi.close();
+});
+
+test('a polling bot resumed at startup long-polls getUpdates again', async () => {
+  const channel = botChannel(11, 'polling');
+  pendingUpdates = [{ update_id: 500, message: { message_id: 5, chat: { id: 42 }, from: { first_name: 'Ana' }, text: 'hi' } }];
+
+  telegramService.resume(channel);
+  await waitFor(() => receive.mock.callCount() === 1);
+  telegramService.stopPolling(channel.id);
+
+  const [received] = receive.mock.calls[0].arguments;
+  assert.deepEqual(received.from, { address: '42', name: 'Ana' });
+  assert.equal(received.text, 'hi');
+  assert.equal(botApi.requests[0].url, `/bot${BOT_TOKEN}/getUpdates`);
+});
+
+test('a webhook bot is not polled when resumed', () => {
+  const channel = botChannel(12, 'webhook');
+
+  telegramService.resume(channel);
+
+  assert.equal(telegramService.pollers.has(channel.id), false);
+  assert.equal(botApi.requests.length, 0);
+});
+
+test('media types without their own send method go out as documents', async (t) => {
+  const channel = botChannel(13, 'webhook');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-spec-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const sticker = path.join(dir, 'sticker.tgs');
+  fs.writeFileSync(sticker, 'animated sticker');
+  const voice = path.join(dir, 'note.ogg');
+  fs.writeFileSync(voice, 'voice note');
+
+  const results = [
+    await telegramService.sendMedia(channel, 42, { path: sticker, mediaType: 'sticker' }),
+    await telegramService.sendMedia(channel, 42, { path: voice, mediaType: 'voice', caption: 'Listen' })
+  ];
+
+  assert.deepEqual(results, [{ externalId: '77' }, { externalId: '77' }]);
+  // The stopped poller's last long poll may still land here
+  const sends = botApi.requests.filter(request => !request.url.endsWith('/getUpdates'));
+  assert.deepEqual(sends.map(request => request.url), [
+    `/bot${BOT_TOKEN}/sendDocument`,
+    `/bot${BOT_TOKEN}/sendAudio`
+  ]);
+  assert.match(sends[0].body.toString(), /name="document"; filename="sticker.tgs"/);
+});
+
+test('a webhook secret token with non-ASCII characters is rejected, not an error', () => {
+  const channel = botChannel(14, 'webhook');
+  const { secretToken } = channel.credentials;
+  const request = header => ({ get: name => (name === 'x-telegram-bot-api-secret-token' ? header : undefined) });
+
+  assert.equal(telegramService.authenticateWebhook(channel, request(secretToken)), true);
+  assert.equal(telegramService.authenticateWebhook(channel, request('é'.repeat(secretToken.length))), false);
+  assert.equal(telegramService.authenticateWebhook(channel, request(undefined)), false);
+});
@@ -0,0 +1,181 @@
+import { config } from '../config/index.js';
+import { logger } from '../middleware/errorHandler.js';
+import flowSchedulerService from './flowScheduler.service.js';
+
+const PLACEHOLDER = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const CONTACT_PLACEHOLDER = /\{\{\s*contact[.\s|}]/;
+const PATH_PATTERN = /^[A-Za-z_][\w-]*(\.[\w-]+)*$/;
+const FILTER_PATTERN = /^([A-Za-z_]\w*)\s*(?::\s*([\s\S]*))?$/;
+const ARG_PATTERN = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]+?)\s*(?:,|$)/g;
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Filters take the current value followed by the filter arguments.
+ * Values can be anything, so every filter must cope with null/undefined.
+ */
+const FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => String(value ?? '').toLowerCase().replace(/(^|\s)\S/g, char => char.toUpperCase()),
+  trim: (value) => String(value ?? '').trim(),
+  date: (value, format = 'DD/MM/YYYY', timezone) => formatDate(value, format, timezone),
+  currency: (value, currency = 'USD', locale = 'en-US') => {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount)) {
+      return value ?? '';
+    }
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  },
+  url: (value) => encodeURIComponent(String(value ?? '')),
+  json: (value) => JSON.stringify(value ?? null)
+};
+
+function formatDate(value, format, timezone) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  const date = value === 'now' ? new Date() : new Date(value);
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+
+  const parts = flowSchedulerService.getZonedParts(date, timezone || config.flows.defaultTimezone);
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(parts.year),
+    MM: pad(parts.month),
+    DD: pad(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second)
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+class TemplateService {
+
+  /**
+   * Render {{ expressions }} against a scope object
+   *
+   * - Dotted paths: {{integration_response.order.status}}, {{contact.custom_fields.city}}
+   * - Filters: {{name | default: "there" | capitalize}}, {{total | currency: "BRL", "pt-BR"}},
+   *   {{created_at | date: "DD/MM/YYYY HH:mm"}}
+   * - Options: escape 'json' for values placed inside JSON string literals, 'html' for HTML
+   *
+   * Expressions are never evaluated as code; unknown paths render as an empty string.
+   */
+  render(template, scope = {}, options = {}) {
+    if (template === undefined || template === null) {
+      return '';
+    }
+
+    return String(template).replace(PLACEHOLDER, (placeholder, expression) => {
+      try {
+        return this.escape(this.stringify(this.evaluate(expression, scope)), options.escape);
+      } catch (error) {
+        logger.warn(`Could not render template expression "${expression}": ${error.message}`);
+        return placeholder;
+      }
+    });
+  }
+
+  /**
+   * Whether a template reads contact fields, so callers only load the contact when needed
+   */
+  usesContact(template) {
+    return CONTACT_PLACEHOLDER.test(String(template ?? ''));
+  }
+
+  evaluate(expression, scope) {
+    const [path, ...filters] = this.splitPipes(expression).map(part => part.trim());
+
+    if (!PATH_PATTERN.test(path)) {
+      throw new Error(`Invalid path "${path}"`);
+    }
+
+    let value = this.resolvePath(scope, path);
+    for (const filter of filters) {
+      const match = FILTER_PATTERN.exec(filter);
+      if (!match || !Object.prototype.hasOwnProperty.call(FILTERS, match[1])) {
+        throw new Error(`Unknown filter "${filter}"`);
+      }
+      value = FILTERS[match[1]](value, ...this.parseArgs(match[2]));
+    }
+    return value;
+  }
+
+  /**
+   * Split "a | default: "x|y" | upper" on pipes outside quotes
+   */
+  splitPipes(expression) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of expression) {
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '|') {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  parseArgs(raw) {
+    if (!raw) {
+      return [];
+    }
+
+    const args = [];
+    for (const [, token] of raw.matchAll(ARG_PATTERN)) {
+      if (/^(["']).*\1$/s.test(token)) {
+        args.push(token.slice(1, -1).replace(/\\(.)/g, '$1'));
+      } else if (token !== '') {
+        args.push(token);
+      }
+    }
+    return args;
+  }
+
+  resolvePath(scope, path) {
+    return path.split('.').reduce((value, key) => {
+      if (value === null || value === undefined || BLOCKED_KEYS.includes(key)) {
+        return undefined;
+      }
+      return Object.prototype.hasOwnProperty.call(Object(value), key) ? value[key] : undefined;
+    }, scope);
+  }
+
+  stringify(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  escape(text, mode) {
+    if (mode === 'json') {
+      return JSON.stringify(text).slice(1, -1);
+    }
+    if (mode === 'html') {
+      return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+    }
+    return text;
+  }
+}
+
+export default new TemplateService();
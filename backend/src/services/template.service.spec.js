@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import templateService from './template.service.js';
+
+const scope = {
+  name: 'ana maria',
+  total: 1234.5,
+  contact: { custom_fields: { city: 'Porto' } },
+  integration_response: { order: { status: 'shipped', items: [{ sku: 'A1' }] } }
+};
+
+test('dotted paths render their value, and unknown paths render empty', () => {
+  assert.equal(
+    templateService.render('Hi {{ name }} from {{contact.custom_fields.city}}!', scope),
+    'Hi ana maria from Porto!'
+  );
+  assert.equal(templateService.render('Order {{integration_response.order.status}}', scope), 'Order shipped');
+  assert.equal(templateService.render('{{integration_response.order.items}}', scope), '[{"sku":"A1"}]');
+  assert.equal(templateService.render('[{{ missing.path }}]', scope), '[]');
+  assert.equal(templateService.render(null, scope), '');
+});
+
+test('filters chain, take quoted arguments and may contain pipes inside quotes', () => {
+  assert.equal(templateService.render('{{ name | capitalize }}', scope), 'Ana Maria');
+  assert.equal(templateService.render('{{ nickname | default: "there" | upper }}', scope), 'THERE');
+  assert.equal(templateService.render('{{ nickname | default: "a|b, c" }}', scope), 'a|b, c');
+  assert.equal(templateService.render('{{ total | currency: "EUR", "pt-PT" }}', scope), '1234,50 €');
+  assert.equal(templateService.render('{{ when | date: "DD/MM/YYYY HH:mm", "Europe/Lisbon" }}', {
+    when: '2026-07-01T08:05:00Z'
+  }), '01/07/2026 09:05');
+  assert.equal(templateService.render('{{ name | url }}', scope), 'ana%20maria');
+});
+
+test('expressions are never run as code and cannot reach prototypes', () => {
+  assert.equal(templateService.render('{{ constructor.constructor }}', scope), '');
+  assert.equal(templateService.render('{{ name.__proto__ }}', scope), '');
+  assert.equal(templateService.render('{{ process.exit() }}', scope), '{{ process.exit() }}');
+  assert.equal(templateService.render('{{ name | eval }}', scope), '{{ name | eval }}');
+  assert.equal(templateService.render('{{ name | toString }}', scope), '{{ name | toString }}');
+});
+
+test('values are escaped for JSON bodies and HTML', () => {
+  const quoted = { text: 'He said "hi" <b>\n' };
+
+  assert.equal(templateService.render('{"message": "{{ text }}"}', quoted, { escape: 'json' }), '{"message": "He said \\"hi\\" <b>\\n"}');
+  assert.equal(templateService.render('<p>{{ text }}</p>', quoted, { escape: 'html' }), '<p>He said &quot;hi&quot; &lt;b&gt;\n</p>');
+});
+
+test('usesContact spots contact placeholders only', () => {
+  assert.equal(templateService.usesContact('Hi {{ contact.name }}'), true);
+  assert.equal(templateService.usesContact('Hi {{contact | json}}'), true);
+  assert.equal(templateService.usesContact('Hi {{ contacts_count }}'), false);
+  assert.equal(templateService.usesContact(undefined), false);
+});
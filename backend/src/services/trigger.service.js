@@ -0,0 +1,271 @@
+import { query } from '../config/database.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import safeRegexService from './safeRegex.service.js';
+
+export const MATCH_TYPES = ['exact', 'contains', 'starts_with', 'regex', 'fuzzy'];
+
+// Tie-break between flows of the same priority: stricter matches win
+const MATCH_STRENGTH = { exact: 5, starts_with: 4, regex: 3, contains: 2, fuzzy: 1 };
+
+// Longer messages are not matched (keeps regex and fuzzy matching cheap)
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Keyword trigger engine: picks the single flow an inbound message starts.
+ *
+ * Every flow has a list of triggers ({ keyword, match, caseSensitive, maxDistance }).
+ * Among the matching flows the highest trigger_priority wins, then the strictest match,
+ * then the longest keyword. When nothing matches, the organization's fallback flow runs.
+ */
+class TriggerService {
+
+  /**
+   * Best flow for a message: { flow, trigger, fallback } or null
+   */
+  async findFlowForMessage(organizationId, message, { includeFallback = true } = {}) {
+    const result = await query(
+      `SELECT * FROM flows
+       WHERE organization_id = $1 AND is_active = true
+       ORDER BY trigger_priority DESC, created_at ASC`,
+      [organizationId]
+    );
+
+    const best = this.pickBestMatch(result.rows, message);
+    if (best) {
+      return best;
+    }
+
+    const fallback = includeFallback && result.rows.find(flow => flow.is_fallback);
+    return fallback ? { flow: fallback, trigger: null, fallback: true } : null;
+  }
+
+  /**
+   * Highest ranked { flow, trigger } among flows whose triggers match the message
+   */
+  pickBestMatch(flows, message) {
+    let best = null;
+
+    for (const flow of flows) {
+      for (const trigger of this.parseTriggers(flow.triggers)) {
+        const match = this.match(trigger, message);
+        if (!match) {
+          continue;
+        }
+
+        const rank = [
+          flow.trigger_priority || 0,
+          MATCH_STRENGTH[trigger.match],
+          -match.distance,
+          trigger.keyword.length
+        ];
+        if (!best || this.compareRanks(rank, best.rank) > 0) {
+          best = { flow, trigger, rank };
+        }
+      }
+    }
+
+    return best ? { flow: best.flow, trigger: best.trigger, fallback: false } : null;
+  }
+
+  compareRanks(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) {
+        return a[i] - b[i];
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Match one trigger against a message; returns { distance } or null
+   *
+   * Text modes ignore case (unless caseSensitive), accents and punctuation, and match
+   * whole words: "contains: price" matches "what is the price?" but not "priceless".
+   */
+  match(trigger, message) {
+    const raw = String(message ?? '').trim();
+    if (!raw || raw.length > MAX_MESSAGE_LENGTH) {
+      return null;
+    }
+
+    if (trigger.match === 'regex') {
+      // Patterns saved before the backtracking check are refused here (test() gives null)
+      return safeRegexService.test(trigger.keyword, trigger.caseSensitive ? '' : 'i', raw) ? { distance: 0 } : null;
+    }
+
+    const text = this.normalize(raw, trigger.caseSensitive);
+    const keyword = this.normalize(trigger.keyword, trigger.caseSensitive);
+    if (!keyword) {
+      return null;
+    }
+
+    switch (trigger.match) {
+      case 'exact':
+        return text === keyword ? { distance: 0 } : null;
+
+      case 'starts_with':
+        return text === keyword || text.startsWith(`${keyword} `) ? { distance: 0 } : null;
+
+      case 'contains':
+        return ` ${text} `.includes(` ${keyword} `) ? { distance: 0 } : null;
+
+      case 'fuzzy': {
+        const distance = this.closestDistance(text, keyword);
+        const maxDistance = trigger.maxDistance ?? this.defaultMaxDistance(keyword);
+        return distance <= maxDistance ? { distance } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Smallest edit distance between the keyword and any run of as many words in the text
+   */
+  closestDistance(text, keyword) {
+    const words = text.split(' ');
+    const size = keyword.split(' ').length;
+    let closest = this.levenshtein(text, keyword);
+
+    for (let i = 0; i + size <= words.length && closest > 0; i++) {
+      closest = Math.min(closest, this.levenshtein(words.slice(i, i + size).join(' '), keyword));
+    }
+    return closest;
+  }
+
+  /**
+   * Typos tolerated by default: none for very short keywords, up to 2 for long ones
+   */
+  defaultMaxDistance(keyword) {
+    if (keyword.length <= 3) {
+      return 0;
+    }
+    return keyword.length <= 6 ? 1 : 2;
+  }
+
+  levenshtein(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Lowercase (unless case sensitive), strip accents and punctuation, collapse spaces
+   */
+  normalize(value, caseSensitive = false) {
+    const text = String(value ?? '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return caseSensitive ? text : text.toLowerCase();
+  }
+
+  /**
+   * Stored triggers (JSON column or string)
+   */
+  parseTriggers(raw) {
+    if (!raw) {
+      return [];
+    }
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+
+  /**
+   * Clean up triggers sent by the builder, or build exact triggers from plain keywords.
+   * Throws a ValidationError listing every invalid trigger.
+   */
+  prepareTriggers(triggers, keywords = []) {
+    const list = Array.isArray(triggers)
+      ? triggers
+      : (keywords || []).map(keyword => ({ keyword, match: 'exact' }));
+    const errors = [];
+    const prepared = [];
+
+    list.forEach((item, index) => {
+      const trigger = typeof item === 'string' ? { keyword: item, match: 'exact' } : item || {};
+      const keyword = String(trigger.keyword ?? '').trim();
+      const match = trigger.match || 'exact';
+      const label = `Trigger ${index + 1}${keyword ? ` ("${keyword}")` : ''}`;
+
+      if (!keyword) {
+        errors.push({ code: 'missing_keyword', message: `${label}: keyword is required`, index });
+        return;
+      }
+      if (!MATCH_TYPES.includes(match)) {
+        errors.push({ code: 'invalid_match', message: `${label}: unknown match mode "${match}"`, index });
+        return;
+      }
+      if (match === 'regex') {
+        const problem = this.checkPattern(keyword);
+        if (problem) {
+          errors.push({ code: 'invalid_pattern', message: `${label}: ${problem}`, index });
+          return;
+        }
+      }
+      if (trigger.maxDistance !== undefined && trigger.maxDistance !== null && trigger.maxDistance !== '') {
+        const maxDistance = parseInt(trigger.maxDistance);
+        if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > 5) {
+          errors.push({ code: 'invalid_distance', message: `${label}: maxDistance must be between 0 and 5`, index });
+          return;
+        }
+        prepared.push({ keyword, match, caseSensitive: !!trigger.caseSensitive, maxDistance });
+        return;
+      }
+
+      prepared.push({ keyword, match, caseSensitive: !!trigger.caseSensitive });
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Triggers are invalid', errors);
+    }
+    return prepared;
+  }
+
+  checkPattern(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+    return safeRegexService.check(pattern);
+  }
+
+  /**
+   * keyword_triggers mirrors the keywords for older readers (badges, webhooks)
+   */
+  toKeywords(triggers) {
+    return triggers.map(trigger => trigger.match === 'regex' ? trigger.keyword : trigger.keyword.toLowerCase());
+  }
+
+  /**
+   * Make a flow the organization's only fallback
+   */
+  async setFallback(organizationId, flowId) {
+    await query(
+      'UPDATE flows SET is_fallback = false WHERE organization_id = $1 AND is_fallback = true AND id <> $2',
+      [organizationId, flowId]
+    );
+    await query(
+      'UPDATE flows SET is_fallback = true, updated_at = NOW() WHERE id = $1 AND organization_id = $2',
+      [flowId, organizationId]
+    );
+  }
+}
+
+export default new TriggerService();
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockQuery } from '../test/harness.js';
+
+const { default: triggerService } = await import('./trigger.service.js');
+
+let flows = [];
+await mockQuery(sql => (sql.includes('FROM flows') ? flows : []));
+
+const flow = (id, triggers, extra = {}) => ({
+  id,
+  triggers: JSON.stringify(triggers),
+  trigger_priority: 0,
+  is_fallback: false,
+  ...extra
+});
+
+test('text modes ignore case, accents and punctuation and match whole words', () => {
+  const match = (trigger, message) => !!triggerService.match({ match: 'contains', ...trigger }, message);
+
+  assert.equal(match({ keyword: 'price' }, 'What is the PRICE?'), true);
+  assert.equal(match({ keyword: 'price' }, 'priceless'), false);
+  assert.equal(match({ keyword: 'promoção' }, 'tem PROMOCAO hoje?'), true);
+  assert.equal(match({ keyword: 'Price', caseSensitive: true }, 'what is the price'), false);
+  assert.equal(match({ keyword: 'hi', match: 'exact' }, ' Hi! '), true);
+  assert.equal(match({ keyword: 'hi', match: 'exact' }, 'hi there'), false);
+  assert.equal(match({ keyword: 'order', match: 'starts_with' }, 'Order 42 please'), true);
+  assert.equal(match({ keyword: 'order', match: 'starts_with' }, 'ordered 42'), false);
+  assert.equal(match({ keyword: 'x' }, 'x'.repeat(1001)), false);
+});
+
+test('fuzzy triggers tolerate typos by keyword length, or by maxDistance', () => {
+  const fuzzy = (keyword, message, maxDistance) => triggerService.match({ keyword, match: 'fuzzy', maxDistance }, message);
+
+  assert.deepEqual(fuzzy('support', 'I need suport now'), { distance: 1 });
+  assert.deepEqual(fuzzy('support', 'I need spuport now'), { distance: 2 });
+  assert.equal(fuzzy('support', 'I need spurpot now'), null);
+  assert.equal(fuzzy('hey', 'hay'), null);
+  assert.deepEqual(fuzzy('hey', 'hay', 1), { distance: 1 });
+  assert.deepEqual(fuzzy('track order', 'pls trak order 7'), { distance: 1 });
+});
+
+test('regex triggers run through the backtracking guard', () => {
+  assert.deepEqual(triggerService.match({ keyword: '^order \\d+$', match: 'regex' }, 'ORDER 42'), { distance: 0 });
+  assert.equal(triggerService.match({ keyword: '^order \\d+$', match: 'regex', caseSensitive: true }, 'ORDER 42'), null);
+  // Saved before the guard existed: never run
+  assert.equal(triggerService.match({ keyword: '(a+)+$', match: 'regex' }, 'aaaaaaaaaaaaaaaaaaaaaaaaaaaa!'), null);
+});
+
+test('the highest priority wins, then the strictest match, then the closest and the longest keyword', () => {
+  const pick = candidates => triggerService.pickBestMatch(candidates, 'price of the premium plan')?.flow.id;
+
+  assert.equal(pick([
+    flow(1, [{ keyword: 'price of the premium plan', match: 'exact' }]),
+    flow(2, [{ keyword: 'premium', match: 'contains' }], { trigger_priority: 5 })
+  ]), 2);
+  assert.equal(pick([
+    flow(1, [{ keyword: 'premium', match: 'contains' }]),
+    flow(2, [{ keyword: 'price', match: 'starts_with' }]),
+    flow(3, [{ keyword: 'premium plan', match: 'fuzzy' }])
+  ]), 2);
+  assert.equal(pick([
+    flow(1, [{ keyword: 'plan', match: 'contains' }]),
+    flow(2, [{ keyword: 'premium plan', match: 'contains' }])
+  ]), 2);
+  assert.equal(pick([
+    flow(1, [{ keyword: 'premiun', match: 'fuzzy' }]),
+    flow(2, [{ keyword: 'premium', match: 'fuzzy' }])
+  ]), 2);
+  assert.equal(pick([flow(1, [{ keyword: 'refund', match: 'contains' }])]), undefined);
+});
+
+test('the fallback flow runs when no trigger matches, unless it is excluded', async () => {
+  flows = [
+    flow(1, [{ keyword: 'menu', match: 'exact' }]),
+    flow(2, [], { is_fallback: true })
+  ];
+
+  const matched = await triggerService.findFlowForMessage(1, 'Menu');
+  assert.equal(matched.flow.id, 1);
+  assert.equal(matched.fallback, false);
+  assert.deepEqual(matched.trigger, { keyword: 'menu', match: 'exact' });
+
+  const fallback = await triggerService.findFlowForMessage(1, 'something else');
+  assert.equal(fallback.flow.id, 2);
+  assert.equal(fallback.fallback, true);
+  assert.equal(fallback.trigger, null);
+
+  assert.equal(await triggerService.findFlowForMessage(1, 'something else', { includeFallback: false }), null);
+});
+
+test('prepareTriggers normalizes triggers and lists every invalid one', () => {
+  assert.deepEqual(triggerService.prepareTriggers(undefined, ['Hi', 'Menu']), [
+    { keyword: 'Hi', match: 'exact', caseSensitive: false },
+    { keyword: 'Menu', match: 'exact', caseSensitive: false }
+  ]);
+  assert.deepEqual(triggerService.prepareTriggers([{ keyword: ' help ', match: 'fuzzy', maxDistance: '2' }]), [
+    { keyword: 'help', match: 'fuzzy', caseSensitive: false, maxDistance: 2 }
+  ]);
+
+  assert.throws(() => triggerService.prepareTriggers([
+    { keyword: '' },
+    { keyword: 'x', match: 'sounds_like' },
+    { keyword: '(a+)+', match: 'regex' },
+    { keyword: 'help', match: 'fuzzy', maxDistance: 9 }
+  ]), (error) => {
+    assert.deepEqual(error.details.map(detail => detail.code), ['missing_keyword', 'invalid_match', 'invalid_pattern', 'invalid_distance']);
+    return true;
+  });
+});
@@ -0,0 +1,499 @@
+import crypto from 'crypto';
+import path from 'path';
+import { config } from '../config/index.js';
+import { query, transaction } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import inputValidatorService from './inputValidator.service.js';
+import mediaService from './media.service.js';
+
+export const WEBCHAT_NAMESPACE = '/webchat';
+
+const VISITOR_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const HISTORY_LIMIT = 50;
+const VISITOR_NAME = 'Website visitor';
+const QUOTA_WINDOW_MS = 60 * 1000;
+const VERIFICATION_TTL_MINUTES = 10;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+
+/**
+ * Website chat widget channel adapter (see channel.service.js for the interface).
+ *
+ * Credentials: a public widgetToken embedded in the site's script tag, allowedOrigins (empty
+ * allows any site), title, greeting and color. Visitors talk over the /webchat Socket.IO
+ * namespace (see socketHandler.js) and are contacts keyed by the visitor id their browser keeps;
+ * identify() attaches a phone number or email, and verify() merges the visitor into the contact
+ * that already has them once the visitor proves it owns them.
+ */
+class WebChatService {
+  constructor() {
+    this.type = 'webchat';
+    this.contactKey = 'webchat_visitor_id';
+    // The /webchat namespace, set once the socket server starts
+    this.namespace = null;
+    // Per-minute message counters by widget socket and client address: key -> { count, resetAt }
+    this.quotas = new Map();
+    this.nextQuotaSweepAt = 0;
+  }
+
+  attach(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Widget settings to store for a new channel; throws a ValidationError when they are unusable
+   */
+  prepareCredentials(input = {}) {
+    const errors = [];
+    const allowedOrigins = [];
+    for (const origin of Array.isArray(input.allowedOrigins) ? input.allowedOrigins : []) {
+      try {
+        const url = new URL(origin);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('not http');
+        }
+        allowedOrigins.push(url.origin);
+      } catch {
+        errors.push({ code: 'invalid_origin', message: `"${origin}" is not an http(s) origin`, field: 'allowedOrigins' });
+      }
+    }
+    if (input.color && !COLOR_PATTERN.test(input.color)) {
+      errors.push({ code: 'invalid_color', message: 'color must be a hex color like #667eea', field: 'color' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Web chat settings are invalid', errors);
+    }
+
+    return {
+      widgetToken: crypto.randomBytes(24).toString('hex'),
+      allowedOrigins,
+      title: input.title || 'Chat with us',
+      greeting: input.greeting || '',
+      color: input.color || '#667eea'
+    };
+  }
+
+  getSettings(channel) {
+    return typeof channel.credentials === 'string' ? JSON.parse(channel.credentials) : channel.credentials || {};
+  }
+
+  /**
+   * Script tag to paste into the website
+   */
+  describeWidget(channel) {
+    const { widgetToken, allowedOrigins } = this.getSettings(channel);
+    const scriptUrl = `${config.apiUrl}/api/webchat/widget.js`;
+    return {
+      token: widgetToken,
+      allowedOrigins,
+      scriptUrl,
+      snippet: `<script src="${scriptUrl}" data-token="${widgetToken}" async></script>`
+    };
+  }
+
+  async connect(channel, { io }) {
+    await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['connected', channel.id]);
+    io?.to(`org-${channel.organization_id}`).emit('channel_connected', { channelId: channel.id, status: 'connected' });
+    logger.info(`Web chat channel ${channel.id} connected`);
+  }
+
+  async disconnect(channel) {
+    await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['disconnected', channel.id]);
+    this.namespace?.in(this.getChannelRoom(channel.id)).disconnectSockets(true);
+    logger.info(`Web chat channel ${channel.id} disconnected`);
+  }
+
+  /**
+   * Connected web chat channel a widget token belongs to
+   */
+  async findChannelByToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+    const result = await query(
+      `SELECT * FROM channels
+       WHERE type = 'webchat' AND status = 'connected' AND credentials->>'widgetToken' = $1`,
+      [token]
+    );
+    return result.rows[0] || null;
+  }
+
+  isOriginAllowed(channel, origin) {
+    const { allowedOrigins = [] } = this.getSettings(channel);
+    return allowedOrigins.length === 0 || allowedOrigins.includes(origin);
+  }
+
+  /**
+   * The visitor id a widget sent if well-formed, otherwise a new one
+   */
+  resolveVisitorId(visitorId) {
+    return typeof visitorId === 'string' && VISITOR_ID_PATTERN.test(visitorId) ? visitorId : crypto.randomUUID();
+  }
+
+  /**
+   * Client address of a widget connection, read like Express does with 'trust proxy' set to 1
+   */
+  getClientAddress(handshake) {
+    const forwarded = handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',').pop().trim() : handshake.address;
+  }
+
+  /**
+   * Count a visitor message against the per-minute quotas of its widget and its client address.
+   * Visitor ids are free to mint, so the address quota is what bounds new contacts.
+   * Returns false once either quota is used up.
+   */
+  consumeMessageQuota({ socketId = null, address }) {
+    const now = Date.now();
+    if (now >= this.nextQuotaSweepAt) {
+      for (const [key, quota] of this.quotas) {
+        if (quota.resetAt <= now) {
+          this.quotas.delete(key);
+        }
+      }
+      this.nextQuotaSweepAt = now + QUOTA_WINDOW_MS;
+    }
+
+    const limits = [[`address:${address}`, config.webchat.messagesPerMinutePerAddress]];
+    if (socketId) {
+      limits.push([`socket:${socketId}`, config.webchat.messagesPerMinute]);
+    }
+
+    let allowed = true;
+    for (const [key, limit] of limits) {
+      let quota = this.quotas.get(key);
+      if (!quota || quota.resetAt <= now) {
+        quota = { count: 0, resetAt: now + QUOTA_WINDOW_MS };
+        this.quotas.set(key, quota);
+      }
+      quota.count += 1;
+      allowed = allowed && quota.count <= limit;
+    }
+    return allowed;
+  }
+
+  releaseSocketQuota(socketId) {
+    this.quotas.delete(`socket:${socketId}`);
+  }
+
+  getChannelRoom(channelId) {
+    return `webchat-${channelId}`;
+  }
+
+  getVisitorRoom(channelId, visitorId) {
+    return `visitor-${channelId}-${visitorId}`;
+  }
+
+  /**
+   * Pass a visitor message to the channel layer; resolves to the message as the widget shows it
+   */
+  async receive(channel, visitorId, { text = '', media = null }) {
+    const { default: channelService } = await import('./channel.service.js');
+    const { message } = await channelService.receive({
+      channel,
+      from: { address: visitorId, name: VISITOR_NAME },
+      text,
+      externalId: crypto.randomUUID(),
+      media
+    });
+    return this.toWidgetMessage(message);
+  }
+
+  /**
+   * Latest messages of the visitor's conversation on this channel, oldest first
+   */
+  async getHistory(channel, visitorId) {
+    const result = await query(
+      `SELECT m.* FROM messages m
+       JOIN contacts c ON c.id = m.contact_id
+       WHERE c.organization_id = $1 AND c.webchat_visitor_id = $2 AND m.channel_id = $3
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $4`,
+      [channel.organization_id, visitorId, channel.id, HISTORY_LIMIT]
+    );
+    return result.rows.reverse().map(message => this.toWidgetMessage(message));
+  }
+
+  toWidgetMessage(message) {
+    const mediaUrl = message.media_url ? mediaService.getPublicUrl(message.media_url) : null;
+    return {
+      id: message.message_id || String(message.id),
+      direction: message.type === 'inbound' ? 'visitor' : 'agent',
+      text: message.content || '',
+      media: mediaUrl ? { url: mediaUrl, type: message.media_type, fileName: message.media_filename } : null,
+      createdAt: message.created_at
+    };
+  }
+
+  /**
+   * Store the name, phone and email a visitor gave. When another contact of the organization has
+   * that phone number (or email) the details are unverified, so the visitor is only linked to it
+   * and a code is sent to that contact over a channel reaching the matched phone or email (see
+   * verify()). Resolves to { contact, verificationRequired }.
+   */
+  async identify(channel, visitorId, input = {}) {
+    const name = String(input.name || '').trim().slice(0, 255) || null;
+    const phone = input.phone ? String(input.phone).replace(/\D/g, '') : null;
+    const email = input.email ? String(input.email).trim().toLowerCase() : null;
+
+    const errors = [];
+    if (!phone && !email) {
+      errors.push({ code: 'missing_contact_details', message: 'A phone number or email is required' });
+    }
+    if (phone && (phone.length < 6 || phone.length > 15)) {
+      errors.push({ code: 'invalid_phone', message: 'Phone number must have 6 to 15 digits', field: 'phone' });
+    }
+    if (email && !inputValidatorService.validateEmail(email).valid) {
+      errors.push({ code: 'invalid_email', message: 'Email address is invalid', field: 'email' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Contact details are invalid', errors);
+    }
+
+    const { default: channelService } = await import('./channel.service.js');
+    const visitor = await channelService.findOrCreateContact(channel, this.contactKey, {
+      address: visitorId,
+      name: VISITOR_NAME
+    });
+
+    const match = await query(
+      `SELECT * FROM contacts
+       WHERE organization_id = $1 AND id <> $2 AND (phone = $3 OR LOWER(email) = $4)
+       ORDER BY CASE WHEN phone = $3 THEN 0 ELSE 1 END, id
+       LIMIT 1`,
+      [channel.organization_id, visitor.id, phone, email]
+    );
+
+    if (match.rows.length === 0) {
+      const updated = await query(
+        `UPDATE contacts SET name = COALESCE($2, name), phone = COALESCE($3, phone), email = COALESCE($4, email), updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [visitor.id, name, phone, email]
+      );
+      return { contact: updated.rows[0], verificationRequired: false };
+    }
+
+    // The phone and email stay off the visitor, or inbound messages from them could land on it
+    const target = match.rows[0];
+    const linked = await query(
+      `UPDATE contacts SET name = COALESCE($2, name), linked_contact_id = $3, updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [visitor.id, name, target.id]
+    );
+    const field = phone && target.phone === phone ? 'phone' : 'email';
+    const verificationRequired = await this.sendVerificationCode(channel, visitorId, target, field);
+    return { contact: linked.rows[0], verificationRequired };
+  }
+
+  /**
+   * Send a one-time code to the contact a visitor claims to be, over a connected channel that
+   * addresses it by the matched field. Resolves to false when no such channel exists.
+   */
+  async sendVerificationCode(channel, visitorId, target, field) {
+    const { default: channelService } = await import('./channel.service.js');
+    const types = [...channelService.adapters.values()]
+      .filter(adapter => adapter.contactKey === field)
+      .map(adapter => adapter.type);
+
+    const delivery = await query(
+      `SELECT id FROM channels
+       WHERE organization_id = $1 AND status = 'connected' AND type = ANY($2)
+       ORDER BY CASE WHEN id = $3 THEN 0 ELSE 1 END, id
+       LIMIT 1`,
+      [channel.organization_id, types, target.last_channel_id]
+    );
+    if (delivery.rows.length === 0) {
+      return false;
+    }
+
+    const recent = await query(
+      `SELECT 1 FROM webchat_verifications
+       WHERE contact_id = $1 AND created_at > NOW() - INTERVAL '1 minute'`,
+      [target.id]
+    );
+    if (recent.rows.length > 0) {
+      throw new ValidationError('A code was sent to these details a moment ago', [
+        { code: 'verification_throttled', message: 'Please wait a minute before requesting another code' }
+      ]);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await query(
+      `INSERT INTO webchat_verifications (channel_id, visitor_id, contact_id, code_hash, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '${VERIFICATION_TTL_MINUTES} minutes')
+       ON CONFLICT (channel_id, visitor_id) DO UPDATE
+       SET contact_id = EXCLUDED.contact_id, code_hash = EXCLUDED.code_hash, attempts = 0,
+           expires_at = EXCLUDED.expires_at, created_at = NOW()`,
+      [channel.id, visitorId, target.id, this.hashCode(visitorId, code)]
+    );
+
+    const { title } = this.getSettings(channel);
+    await channelService.send(delivery.rows[0].id, target.id, {
+      text: `${code} is your code to continue the "${title}" chat on our website. It expires in ${VERIFICATION_TTL_MINUTES} minutes.`
+    });
+    logger.info(`Web chat visitor ${visitorId} asked to verify as contact ${target.id} by ${field}`);
+    return true;
+  }
+
+  hashCode(visitorId, code) {
+    return crypto.createHash('sha256').update(`${visitorId}:${code}`).digest('hex');
+  }
+
+  /**
+   * Check the code a visitor received and merge the visitor into the contact it was sent to.
+   * Resolves to the merged contact; a wrong, expired or exhausted code throws a ValidationError.
+   */
+  async verify(channel, visitorId, code) {
+    const pending = await query(
+      `SELECT * FROM webchat_verifications
+       WHERE channel_id = $1 AND visitor_id = $2 AND expires_at > NOW() AND attempts < $3`,
+      [channel.id, visitorId, VERIFICATION_MAX_ATTEMPTS]
+    );
+    const verification = pending.rows[0];
+    if (!verification) {
+      throw new ValidationError('No code is waiting for confirmation', [
+        { code: 'verification_expired', message: 'The code expired, please enter your details again' }
+      ]);
+    }
+
+    const expected = Buffer.from(verification.code_hash);
+    const actual = Buffer.from(this.hashCode(visitorId, String(code ?? '').trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await query('UPDATE webchat_verifications SET attempts = attempts + 1 WHERE id = $1', [verification.id]);
+      throw new ValidationError('The code is not correct', [
+        { code: 'invalid_code', message: 'The code is not correct', field: 'code' }
+      ]);
+    }
+
+    const merged = await transaction(async (tx) => {
+      // Claiming the code inside the transaction keeps a second, concurrent verify from merging again
+      const claimed = await tx('DELETE FROM webchat_verifications WHERE id = $1 RETURNING id', [verification.id]);
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+      const source = await tx(
+        'SELECT * FROM contacts WHERE organization_id = $1 AND webchat_visitor_id = $2',
+        [channel.organization_id, visitorId]
+      );
+      const target = await tx('SELECT * FROM contacts WHERE id = $1', [verification.contact_id]);
+      if (!source.rows[0] || !target.rows[0]) {
+        return null;
+      }
+      return this.mergeContacts(tx, channel, source.rows[0], target.rows[0]);
+    });
+
+    if (!merged) {
+      throw new ValidationError('No code is waiting for confirmation', [
+        { code: 'verification_expired', message: 'The code expired, please enter your details again' }
+      ]);
+    }
+
+    const { default: channelService } = await import('./channel.service.js');
+    channelService.io?.to(`org-${channel.organization_id}`).emit('contact_merged', {
+      fromContactId: merged.fromContactId,
+      toContactId: merged.contact.id
+    });
+    logger.info(`Web chat visitor contact ${merged.fromContactId} merged into contact ${merged.contact.id}`);
+    return merged.contact;
+  }
+
+  /**
+   * Move the verified visitor's conversation onto an existing contact and delete the visitor
+   * contact, using the transaction's tx query. Flow states and a live chat session only move when
+   * the target has none of its own. Resolves to { contact, fromContactId }.
+   */
+  async mergeContacts(tx, channel, source, target) {
+    await tx('UPDATE messages SET contact_id = $1 WHERE contact_id = $2', [target.id, source.id]);
+    await tx(
+      `UPDATE message_queue SET contact_id = $1
+       WHERE contact_id = $2 AND status = 'pending'`,
+      [target.id, source.id]
+    );
+    await tx(
+      `UPDATE flow_states fs SET contact_id = $1
+       WHERE fs.contact_id = $2
+       AND NOT EXISTS (SELECT 1 FROM flow_states t WHERE t.contact_id = $1 AND t.flow_id = fs.flow_id)`,
+      [target.id, source.id]
+    );
+    await tx(
+      `UPDATE live_chat_sessions SET contact_id = $1
+       WHERE contact_id = $2 AND NOT EXISTS (SELECT 1 FROM live_chat_sessions WHERE contact_id = $1)`,
+      [target.id, source.id]
+    );
+    await tx('DELETE FROM contacts WHERE id = $1', [source.id]);
+
+    const name = source.name !== VISITOR_NAME ? source.name : null;
+    const merged = await tx(
+      `UPDATE contacts
+       SET webchat_visitor_id = $2, last_channel_id = $3, name = COALESCE(NULLIF(name, ''), $4),
+           tags = ARRAY(SELECT DISTINCT unnest(COALESCE(tags, ARRAY[]::TEXT[]) || $5::TEXT[])),
+           custom_fields = $6::JSONB || COALESCE(custom_fields, '{}'::JSONB),
+           last_message_at = GREATEST(last_message_at, $7), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [
+        target.id,
+        source.webchat_visitor_id,
+        channel.id,
+        name,
+        source.tags || [],
+        JSON.stringify(source.custom_fields || {}),
+        source.last_message_at
+      ]
+    );
+    return { contact: merged.rows[0], fromContactId: source.id };
+  }
+
+  sendText(channel, visitorId, text) {
+    return this.emit(channel, visitorId, { text });
+  }
+
+  /**
+   * Buttons and lists render as option buttons in the widget
+   */
+  sendInteractive(channel, visitorId, { text, interactive }) {
+    return this.emit(channel, visitorId, {
+      text,
+      interactive: {
+        type: interactive.type,
+        options: interactive.options.map(({ id, title, description }) => ({ id: String(id), title, description }))
+      }
+    });
+  }
+
+  sendMedia(channel, visitorId, { path: mediaPath, mimeType = null, caption = '', mediaType = null }) {
+    const type = mediaType || mediaService.getFileType(mimeType || mediaService.getMimeTypeFromPath(mediaPath));
+    return this.emit(channel, visitorId, { text: caption, media: this.toPublicMedia(mediaPath, type) });
+  }
+
+  sendVoice(channel, visitorId, { path: audioPath }) {
+    return this.emit(channel, visitorId, { text: '', media: this.toPublicMedia(audioPath, 'voice') });
+  }
+
+  toPublicMedia(filePath, type) {
+    const url = mediaService.getPublicUrl(filePath);
+    if (!url) {
+      throw new Error(`Media ${filePath} is outside the upload directory and cannot be shown in web chat`);
+    }
+    return { url, type, fileName: path.basename(filePath) };
+  }
+
+  /**
+   * Deliver a message to every open widget of the visitor
+   */
+  emit(channel, visitorId, payload) {
+    if (!this.namespace) {
+      throw new Error('Web chat is not available before the socket server starts');
+    }
+    const message = {
+      id: crypto.randomUUID(),
+      direction: 'agent',
+      media: null,
+      createdAt: new Date().toISOString(),
+      ...payload
+    };
+    this.namespace.to(this.getVisitorRoom(channel.id, visitorId)).emit('message', message);
+    return Promise.resolve({ externalId: message.id });
+  }
+}
+
+export default new WebChatService();
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../config/index.js';
+import { mockQuery } from '../test/harness.js';
+
+await mockQuery(() => []);
+const { default: webchatService } = await import('./webchat.service.js');
+
+test('message quotas count per widget socket and per client address, and reset after a minute', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T10:00:00Z') });
+  Object.assign(config.webchat, { messagesPerMinute: 2, messagesPerMinutePerAddress: 3 });
+  t.after(() => Object.assign(config.webchat, { messagesPerMinute: 20, messagesPerMinutePerAddress: 60 }));
+  webchatService.quotas.clear();
+
+  const send = socketId => webchatService.consumeMessageQuota({ socketId, address: '203.0.113.7' });
+
+  assert.deepEqual([send('a'), send('a'), send('a')], [true, true, false]);
+  // A new socket, or a new visitor id, does not get around the address quota
+  assert.equal(send('b'), false);
+  assert.equal(webchatService.consumeMessageQuota({ address: '198.51.100.1' }), true);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(send('a'), true);
+  webchatService.releaseSocketQuota('a');
+  assert.equal(webchatService.quotas.has('socket:a'), false);
+});
+
+test('the client address is the last forwarded hop, as with trust proxy 1', () => {
+  assert.equal(webchatService.getClientAddress({
+    headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' },
+    address: '10.0.0.2'
+  }), '203.0.113.7');
+  assert.equal(webchatService.getClientAddress({ headers: {}, address: '10.0.0.2' }), '10.0.0.2');
+});
+
+test('visitor ids must be UUIDs and origins must be allowed', () => {
+  const visitorId = '2b1f7c9e-3c4d-4e5f-8a9b-0c1d2e3f4a5b';
+  assert.equal(webchatService.resolveVisitorId(visitorId), visitorId);
+  assert.notEqual(webchatService.resolveVisitorId('../../etc/passwd'), '../../etc/passwd');
+  assert.match(webchatService.resolveVisitorId(undefined), /^[0-9a-f-]{36}$/);
+
+  const channel = { credentials: JSON.stringify({ allowedOrigins: ['https://shop.example.com'] }) };
+  assert.equal(webchatService.isOriginAllowed(channel, 'https://shop.example.com'), true);
+  assert.equal(webchatService.isOriginAllowed(channel, 'https://evil.example.com'), false);
+  assert.equal(webchatService.isOriginAllowed({ credentials: {} }, 'https://any.example.com'), true);
+});
+
+test('widget settings keep only http(s) origins and hex colors', () => {
+  const settings = webchatService.prepareCredentials({ allowedOrigins: ['https://shop.example.com/path'], title: 'Help' });
+  assert.deepEqual(settings.allowedOrigins, ['https://shop.example.com']);
+  assert.match(settings.widgetToken, /^[0-9a-f]{48}$/);
+  assert.equal(settings.color, '#667eea');
+
+  assert.throws(() => webchatService.prepareCredentials({ allowedOrigins: ['javascript:alert(1)'], color: 'red' }), (error) => {
+    assert.deepEqual(error.details.map(detail => detail.code), ['invalid_origin', 'invalid_color']);
+    return true;
+  });
+});
+
+test('identify refuses missing or malformed details before touching any contact', async () => {
+  const channel = { id: 1, organization_id: 1 };
+  const codes = input => webchatService.identify(channel, 'visitor', input).then(
+    () => assert.fail('identify accepted invalid details'),
+    error => error.details.map(detail => detail.code)
+  );
+
+  assert.deepEqual(await codes({ name: 'Ana' }), ['missing_contact_details']);
+  assert.deepEqual(await codes({ phone: '12-34', email: 'ana@example' }), ['invalid_phone', 'invalid_email']);
+
+  const started = process.hrtime.bigint();
+  assert.deepEqual(await codes({ email: `a@${'.'.repeat(20000)}@` }), ['invalid_email']);
+  assert.ok(process.hrtime.bigint() - started < 50_000_000n, 'took more than 50ms');
+});
@@ -7,8 +7,16 @@ import mediaService from './media.service.js';
 import fs from 'fs';
 import path from 'path';
 
+// whatsapp-web.js acknowledgement levels as delivery statuses
+const ACK_STATUSES = { '-1': 'failed', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'read' };
+
+/**
+ * whatsapp-web.js channel adapter (see channel.service.js for the interface); one browser session per channel
+ */
 class WhatsAppService {
   constructor() {
+    this.type = 'whatsapp';
+    this.contactKey = 'phone';
     this.clients = new Map();
     this.sessionPath = './whatsapp-sessions';
     
@@ -17,7 +25,8 @@ class WhatsAppService {
     }
   }
 
-  async initializeChannel(channelId, organizationId, io) {
+  async connect(channel, { io }) {
+    const { id: channelId, organization_id: organizationId } = channel;
     try {
       if (this.clients.has(channelId)) {
         logger.info(`Channel ${channelId} already initialized`);
@@ -100,7 +109,17 @@ class WhatsAppService {
 
       // Message received
       client.on('message', async (message) => {
-        await this.handleIncomingMessage(message, channelId, organizationId);
+        await this.handleIncomingMessage(message, channel);
+      });
+
+      // Delivery and read receipts of sent messages
+      client.on('message_ack', async (message, ack) => {
+        try {
+          const { default: channelService } = await import('./channel.service.js');
+          await channelService.updateDeliveryStatus(channelId, message.id._serialized, ACK_STATUSES[ack]);
+        } catch (error) {
+          logger.error(`Error recording delivery status for channel ${channelId}:`, error);
+        }
       });
 
       this.clients.set(channelId, client);
@@ -113,70 +132,30 @@ class WhatsAppService {
     }
   }
 
-  async handleIncomingMessage(message, channelId, organizationId) {
+  /**
+   * Hand an inbound message to the channel layer in its normalized shape
+   */
+  async handleIncomingMessage(message, channel) {
     try {
-      const phoneNumber = message.from.replace('@c.us', '');
-      
-      // Find or create contact
-      let contactResult = await query(
-        'SELECT * FROM contacts WHERE organization_id = $1 AND phone = $2',
-        [organizationId, phoneNumber]
-      );
-      
-      let contact;
-      if (contactResult.rows.length === 0) {
-        const insertResult = await query(
-          `INSERT INTO contacts (organization_id, phone, name, channel_type) 
-           VALUES ($1, $2, $3, $4) RETURNING *`,
-          [organizationId, phoneNumber, message.notifyName || phoneNumber, 'whatsapp']
-        );
-        contact = insertResult.rows[0];
-      } else {
-        contact = contactResult.rows[0];
-      }
-      
-      // Determine message type and save
-      let mediaType = 'text';
-      let mediaUrl = null;
-      let mediaFilename = null;
-      let mediaMimetype = null;
-      
+      let media = null;
       if (message.hasMedia) {
-        const media = await message.downloadMedia();
-        mediaType = this.getMediaType(media.mimetype);
-        
-        // Save media file
-        const buffer = Buffer.from(media.data, 'base64');
-        const savedMedia = await mediaService.saveFile(
-          buffer,
-          `received_${Date.now()}.${this.getExtension(media.mimetype)}`,
-          media.mimetype,
-          organizationId,
-          null
-        );
-        
-        mediaUrl = savedMedia.file_path;
-        mediaFilename = savedMedia.file_name;
-        mediaMimetype = media.mimetype;
+        const downloaded = await message.downloadMedia();
+        media = {
+          data: Buffer.from(downloaded.data, 'base64'),
+          mimeType: downloaded.mimetype,
+          // Recorded voice notes arrive as "ptt" audio
+          type: message.type === 'ptt' ? 'voice' : null
+        };
       }
-      
-      // Save message
-      await query(
-        `INSERT INTO messages (contact_id, channel_id, content, type, message_id, media_type, media_url, media_filename, media_mimetype, created_at) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
-        [contact.id, channelId, message.body || '', 'inbound', message.id._serialized, mediaType, mediaUrl, mediaFilename, mediaMimetype]
-      );
-      
-      logger.info(`Received ${mediaType} message from ${phoneNumber}: ${message.body || '[media]'}`);
-      
-      // Trigger flow execution
-      const { default: queueService } = await import('./queue.service.js');
-      await queueService.addFlowExecutionJob({
-        contactId: contact.id,
-        message: message.body || '[media]',
-        organizationId
+
+      const { default: channelService } = await import('./channel.service.js');
+      await channelService.receive({
+        channel,
+        from: { address: message.from.replace('@c.us', ''), name: message.notifyName },
+        text: message.body || '',
+        externalId: message.id._serialized,
+        media
       });
-      
     } catch (error) {
       logger.error('Error handling incoming message:', error);
     }
@@ -185,190 +164,79 @@ class WhatsAppService {
   /**
    * Send text message
    */
-  async sendMessage(channelId, phoneNumber, content) {
-    try {
-      const client = this.clients.get(channelId);
-      
-      if (!client) {
-        throw new Error(`WhatsApp client not initialized for channel ${channelId}`);
-      }
-      
-      const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-      await client.sendMessage(chatId, content);
-      
-      logger.info(`Message sent to ${phoneNumber}: ${content}`);
-      return true;
-    } catch (error) {
-      logger.error('Error sending message:', error);
-      throw error;
-    }
+  async sendText(channel, phoneNumber, content) {
+    const sent = await this.getConnectedClient(channel.id).sendMessage(this.toChatId(phoneNumber), content);
+
+    logger.info(`Message sent to ${phoneNumber}: ${content}`);
+    return { externalId: sent?.id?._serialized || null };
   }
 
   /**
    * Send media (image, video, audio, document)
    */
-  async sendMedia(channelId, phoneNumber, mediaPath, caption = '', mimetype = null) {
-    try {
-      const client = this.clients.get(channelId);
-      
-      if (!client) {
-        throw new Error(`WhatsApp client not initialized for channel ${channelId}`);
-      }
-      
-      const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-      
-      // Read file and create MessageMedia
-      const mediaBuffer = fs.readFileSync(mediaPath);
-      const base64Data = mediaBuffer.toString('base64');
-      
-      const media = new MessageMedia(
-        mimetype || this.getMimeType(mediaPath),
-        base64Data,
-        path.basename(mediaPath)
-      );
-      
-      await client.sendMessage(chatId, media, { caption });
-      
-      logger.info(`Media sent to ${phoneNumber}: ${path.basename(mediaPath)}`);
-      return true;
-    } catch (error) {
-      logger.error('Error sending media:', error);
-      throw error;
-    }
+  async sendMedia(channel, phoneNumber, { path: mediaPath, mimeType = null, caption = '' }) {
+    const client = this.getConnectedClient(channel.id);
+    const media = new MessageMedia(
+      mimeType || mediaService.getMimeTypeFromPath(mediaPath),
+      fs.readFileSync(mediaPath).toString('base64'),
+      path.basename(mediaPath)
+    );
+
+    const sent = await client.sendMessage(this.toChatId(phoneNumber), media, { caption });
+
+    logger.info(`Media sent to ${phoneNumber}: ${path.basename(mediaPath)}`);
+    return { externalId: sent?.id?._serialized || null };
   }
 
   /**
    * Send voice note (audio with PTT flag)
    */
-  async sendVoiceNote(channelId, phoneNumber, audioPath) {
-    try {
-      const client = this.clients.get(channelId);
-      
-      if (!client) {
-        throw new Error(`WhatsApp client not initialized for channel ${channelId}`);
-      }
-      
-      const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
-      
-      // Read audio file
-      const audioBuffer = fs.readFileSync(audioPath);
-      const base64Data = audioBuffer.toString('base64');
-      
-      const media = new MessageMedia(
-        'audio/ogg; codecs=opus',
-        base64Data,
-        path.basename(audioPath)
-      );
-      
-      // Send with PTT (Push To Talk) flag for voice note
-      await client.sendMessage(chatId, media, { sendAudioAsVoice: true });
-      
-      logger.info(`Voice note sent to ${phoneNumber}`);
-      return true;
-    } catch (error) {
-      logger.error('Error sending voice note:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Send multiple media in sequence
-   */
-  async sendMediaSequence(channelId, phoneNumber, mediaItems, delayBetweenMs = 2000) {
-    try {
-      for (let i = 0; i < mediaItems.length; i++) {
-        const item = mediaItems[i];
-        
-        if (item.type === 'text') {
-          await this.sendMessage(channelId, phoneNumber, item.content);
-        } else if (item.type === 'voice') {
-          await this.sendVoiceNote(channelId, phoneNumber, item.mediaPath);
-        } else {
-          await this.sendMedia(channelId, phoneNumber, item.mediaPath, item.caption, item.mimetype);
-        }
-        
-        // Wait between messages (except for last one)
-        if (i < mediaItems.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, delayBetweenMs));
-        }
-      }
-      
-      logger.info(`Sequence of ${mediaItems.length} items sent to ${phoneNumber}`);
-      return true;
-    } catch (error) {
-      logger.error('Error sending media sequence:', error);
-      throw error;
-    }
+  async sendVoice(channel, phoneNumber, { path: audioPath }) {
+    const client = this.getConnectedClient(channel.id);
+    const media = new MessageMedia(
+      'audio/ogg; codecs=opus',
+      fs.readFileSync(audioPath).toString('base64'),
+      path.basename(audioPath)
+    );
+
+    // Send with PTT (Push To Talk) flag for voice note
+    const sent = await client.sendMessage(this.toChatId(phoneNumber), media, { sendAudioAsVoice: true });
+
+    logger.info(`Voice note sent to ${phoneNumber}`);
+    return { externalId: sent?.id?._serialized || null };
   }
 
-  async disconnectChannel(channelId) {
+  async disconnect(channel) {
     try {
-      const client = this.clients.get(channelId);
+      const client = this.clients.get(channel.id);
       
       if (client) {
         await client.destroy();
-        this.clients.delete(channelId);
+        this.clients.delete(channel.id);
         
         await query(
           'UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2',
-          ['disconnected', channelId]
+          ['disconnected', channel.id]
         );
         
-        logger.info(`WhatsApp channel ${channelId} disconnected`);
+        logger.info(`WhatsApp channel ${channel.id} disconnected`);
       }
     } catch (error) {
-      logger.error(`Error disconnecting channel ${channelId}:`, error);
+      logger.error(`Error disconnecting channel ${channel.id}:`, error);
       throw error;
     }
   }
 
-  getClient(channelId) {
-    return this.clients.get(channelId);
-  }
-
-  getMediaType(mimetype) {
-    if (mimetype.startsWith('image/')) return 'image';
-    if (mimetype.startsWith('video/')) return 'video';
-    if (mimetype.startsWith('audio/')) return 'audio';
-    return 'document';
-  }
-
-  getMimeType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-      '.mp4': 'video/mp4',
-      '.3gpp': 'video/3gpp',
-      '.mp3': 'audio/mpeg',
-      '.wav': 'audio/wav',
-      '.ogg': 'audio/ogg',
-      '.opus': 'audio/opus',
-      '.pdf': 'application/pdf',
-      '.doc': 'application/msword',
-      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    };
-    return mimeTypes[ext] || 'application/octet-stream';
+  getConnectedClient(channelId) {
+    const client = this.clients.get(channelId);
+    if (!client) {
+      throw new Error(`WhatsApp client not initialized for channel ${channelId}`);
+    }
+    return client;
   }
 
-  getExtension(mimetype) {
-    const extensions = {
-      'image/jpeg': 'jpg',
-      'image/png': 'png',
-      'image/gif': 'gif',
-      'image/webp': 'webp',
-      'video/mp4': 'mp4',
-      'video/3gpp': '3gp',
-      'audio/mpeg': 'mp3',
-      'audio/wav': 'wav',
-      'audio/ogg': 'ogg',
-      'audio/opus': 'opus',
-      'application/pdf': 'pdf'
-    };
-    return extensions[mimetype] || 'dat';
+  toChatId(phoneNumber) {
+    return phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
   }
 }
 
@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+import { query } from '../config/database.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import mediaService from './media.service.js';
+import secretsService from './secrets.service.js';
+
+// Inbound Cloud API message types that carry media, as our media types
+const INBOUND_MEDIA = { image: 'image', video: 'video', audio: 'audio', document: 'document', sticker: 'image' };
+const OUTBOUND_MEDIA = ['image', 'video', 'audio', 'document'];
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * WhatsApp Cloud API channel adapter (see channel.service.js for the interface).
+ *
+ * Credentials: phoneNumberId, accessToken and appSecret (both stored encrypted) and verifyToken.
+ * Meta verifies the webhook once with GET /api/channels/:id/webhook, then POSTs messages and
+ * delivery statuses there, signed with the app secret. WHATSAPP_CLOUD_API_URL points the adapter
+ * at a mock server for local testing.
+ */
+class WhatsAppCloudService {
+  constructor() {
+    this.type = 'whatsapp_cloud';
+    this.contactKey = 'phone';
+  }
+
+  /**
+   * Credentials to store for a new channel; throws a ValidationError listing what is missing
+   */
+  prepareCredentials(input = {}) {
+    const missing = ['phoneNumberId', 'accessToken', 'appSecret'].filter(field => !input[field]);
+    if (missing.length > 0) {
+      throw new ValidationError('WhatsApp Cloud API credentials are incomplete', missing.map(field => ({
+        code: 'missing_credential',
+        message: `${field} is required`,
+        field
+      })));
+    }
+
+    return {
+      phoneNumberId: String(input.phoneNumberId),
+      businessAccountId: input.businessAccountId ? String(input.businessAccountId) : null,
+      accessToken: secretsService.encrypt(input.accessToken),
+      appSecret: secretsService.encrypt(input.appSecret),
+      verifyToken: input.verifyToken || crypto.randomBytes(16).toString('hex')
+    };
+  }
+
+  getCredentials(channel) {
+    const credentials = typeof channel.credentials === 'string' ? JSON.parse(channel.credentials) : channel.credentials || {};
+    return {
+      ...credentials,
+      accessToken: credentials.accessToken ? secretsService.decrypt(credentials.accessToken) : null,
+      appSecret: credentials.appSecret ? secretsService.decrypt(credentials.appSecret) : null
+    };
+  }
+
+  /**
+   * Webhook settings to enter in the Meta app dashboard
+   */
+  describeWebhook(channel) {
+    return {
+      url: `${config.apiUrl}/api/channels/${channel.id}/webhook`,
+      verifyToken: this.getCredentials(channel).verifyToken
+    };
+  }
+
+  /**
+   * Check the credentials by reading the phone number, then mark the channel connected
+   */
+  async connect(channel, { io }) {
+    const { phoneNumberId } = this.getCredentials(channel);
+    try {
+      const number = await this.request(channel, 'GET', `/${phoneNumberId}?fields=display_phone_number,verified_name`);
+
+      await query(
+        'UPDATE channels SET status = $1, phone_number = COALESCE($2, phone_number), updated_at = NOW() WHERE id = $3',
+        ['connected', number.display_phone_number || null, channel.id]
+      );
+
+      io?.to(`org-${channel.organization_id}`).emit('channel_connected', { channelId: channel.id, status: 'connected' });
+      logger.info(`WhatsApp Cloud API channel ${channel.id} connected`);
+    } catch (error) {
+      await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['error', channel.id]);
+      throw error;
+    }
+  }
+
+  async disconnect(channel) {
+    await query('UPDATE channels SET status = $1, updated_at = NOW() WHERE id = $2', ['disconnected', channel.id]);
+    logger.info(`WhatsApp Cloud API channel ${channel.id} disconnected`);
+  }
+
+  /**
+   * Verification handshake: the challenge to echo back, or null when the token does not match
+   */
+  verifyWebhook(channel, params) {
+    const { verifyToken } = this.getCredentials(channel);
+    return params['hub.mode'] === 'subscribe' && verifyToken && params['hub.verify_token'] === verifyToken
+      ? String(params['hub.challenge'] ?? '')
+      : null;
+  }
+
+  /**
+   * Whether a webhook POST is signed with the channel's app secret (X-Hub-Signature-256)
+   */
+  authenticateWebhook(channel, req) {
+    const { appSecret } = this.getCredentials(channel);
+    const signature = req.get('x-hub-signature-256') || '';
+    if (!appSecret || !req.rawBody) {
+      return false;
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex')}`);
+    const received = Buffer.from(signature);
+    // Byte lengths: a non-ASCII header of the same string length would make timingSafeEqual throw
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Pass inbound messages and delivery statuses of a webhook payload to the channel layer
+   */
+  async handleWebhook(channel, payload) {
+    const { default: channelService } = await import('./channel.service.js');
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const names = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]));
+
+        for (const message of value.messages || []) {
+          try {
+            await channelService.receive({
+              channel,
+              from: { address: message.from, name: names.get(message.from) },
+              text: this.getText(message),
+              externalId: message.id,
+              media: await this.downloadInboundMedia(channel, message)
+            });
+          } catch (error) {
+            logger.error(`Error handling Cloud API message ${message.id}:`, error);
+          }
+        }
+
+        for (const status of value.statuses || []) {
+          const error = status.errors?.[0]?.title || null;
+          await channelService.updateDeliveryStatus(channel.id, status.id, status.status, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Text of an inbound message; button and list replies give the chosen option id
+   */
+  getText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || '';
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+        return reply?.id || reply?.title || '';
+      }
+      case 'button':
+        return message.button?.payload || message.button?.text || '';
+      default:
+        return message[message.type]?.caption || '';
+    }
+  }
+
+  async downloadInboundMedia(channel, message) {
+    const media = message[message.type];
+    if (!INBOUND_MEDIA[message.type] || !media?.id) {
+      return null;
+    }
+
+    const info = await this.request(channel, 'GET', `/${media.id}`);
+    const response = await fetch(info.url, {
+      headers: { Authorization: `Bearer ${this.getCredentials(channel).accessToken}` },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Media download failed: HTTP ${response.status}`);
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: media.mime_type || info.mime_type,
+      // Recorded voice notes arrive as audio flagged "voice"
+      type: message.type === 'audio' && media.voice ? 'voice' : INBOUND_MEDIA[message.type],
+      fileName: media.filename
+    };
+  }
+
+  sendText(channel, to, text) {
+    return this.sendMessage(channel, to, { type: 'text', text: { body: text, preview_url: false } });
+  }
+
+  /**
+   * Native reply buttons or list menu (see interactive.service.js for the option format)
+   */
+  sendInteractive(channel, to, { text, interactive }) {
+    const action = interactive.type === 'list'
+      ? {
+        button: interactive.buttonText || 'Options',
+        sections: [{
+          rows: interactive.options.map(option => ({
+            id: String(option.id),
+            title: option.title,
+            ...(option.description && { description: option.description })
+          }))
+        }]
+      }
+      : {
+        buttons: interactive.options.map(option => ({ type: 'reply', reply: { id: String(option.id), title: option.title } }))
+      };
+
+    return this.sendMessage(channel, to, {
+      type: 'interactive',
+      interactive: { type: interactive.type === 'list' ? 'list' : 'button', body: { text }, action }
+    });
+  }
+
+  async sendMedia(channel, to, { path: mediaPath, mimeType = null, caption = '', mediaType = null }) {
+    const type = OUTBOUND_MEDIA.includes(mediaType)
+      ? mediaType
+      : mediaService.getFileType(mimeType || mediaService.getMimeTypeFromPath(mediaPath));
+    const id = await this.uploadMedia(channel, mediaPath, mimeType);
+
+    return this.sendMessage(channel, to, {
+      type,
+      [type]: {
+        id,
+        ...(caption && type !== 'audio' && { caption }),
+        ...(type === 'document' && { filename: path.basename(mediaPath) })
+      }
+    });
+  }
+
+  async sendVoice(channel, to, { path: audioPath }) {
+    const id = await this.uploadMedia(channel, audioPath, 'audio/ogg');
+    return this.sendMessage(channel, to, { type: 'audio', audio: { id } });
+  }
+
+  async sendMessage(channel, to, message) {
+    const { phoneNumberId } = this.getCredentials(channel);
+    const result = await this.request(channel, 'POST', `/${phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: String(to).replace(/^\+/, ''),
+      ...message
+    });
+
+    logger.info(`Cloud API ${message.type} message sent to ${to}`);
+    return { externalId: result.messages?.[0]?.id || null };
+  }
+
+  /**
+   * Upload a local file; returns the Cloud API media id
+   */
+  async uploadMedia(channel, filePath, mimeType = null) {
+    const { phoneNumberId } = this.getCredentials(channel);
+    const type = mimeType || mediaService.getMimeTypeFromPath(filePath);
+
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', type);
+    form.append('file', new Blob([fs.readFileSync(filePath)], { type }), path.basename(filePath));
+
+    const result = await this.request(channel, 'POST', `/${phoneNumberId}/media`, form);
+    return result.id;
+  }
+
+  async request(channel, method, endpoint, body = null) {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${config.whatsapp.cloudApiUrl}${endpoint}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${this.getCredentials(channel).accessToken}`,
+        ...(body && !isForm && { 'Content-Type': 'application/json' })
+      },
+      body: body && (isForm ? body : JSON.stringify(body)),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`WhatsApp Cloud API ${method} ${endpoint.split('?')[0]} failed: ${data.error?.message || `HTTP ${response.status}`}`);
+    }
+    return data;
+  }
+}
+
+export default new WhatsAppCloudService();
@@ -0,0 +1,171 @@
+import { test, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startMockServer, startChannelsApp, sendJson, waitFor } from '../test/harness.js';
+
+const APP_SECRET = 'app-secret';
+const IMAGE = Buffer.from('fake jpeg bytes');
+
+const graph = await startMockServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/media-1') {
+    return sendJson(res, 200, { url: `${graph.url}/files/media-1`, mime_type: 'image/jpeg' });
+  }
+  if (req.method === 'GET' && req.url === '/files/media-1') {
+    res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+    return res.end(IMAGE);
+  }
+  if (req.method === 'POST' && req.url === '/1001/messages') {
+    return sendJson(res, 200, { messages: [{ id: 'wamid.out' }] });
+  }
+  sendJson(res, 404, { error: { message: 'Unknown endpoint' } });
+});
+process.env.WHATSAPP_CLOUD_API_URL = graph.url;
+
+const { default: channelService } = await import('./channel.service.js');
+const { default: whatsappCloudService } = await import('./whatsappCloud.service.js');
+const { default: secretsService } = await import('./secrets.service.js');
+const app = await startChannelsApp();
+
+const channel = {
+  id: 7,
+  organization_id: 1,
+  type: 'whatsapp_cloud',
+  status: 'connected',
+  credentials: {
+    phoneNumberId: '1001',
+    accessToken: secretsService.encrypt('access-token'),
+    appSecret: secretsService.encrypt(APP_SECRET),
+    verifyToken: 'verify-me'
+  }
+};
+
+mock.method(channelService, 'getChannel', id => Promise.resolve(id === channel.id ? channel : null));
+const receive = mock.method(channelService, 'receive', () => Promise.resolve({}));
+const updateDeliveryStatus = mock.method(channelService, 'updateDeliveryStatus', () => Promise.resolve(null));
+
+beforeEach(() => {
+  receive.mock.resetCalls();
+  updateDeliveryStatus.mock.resetCalls();
+  graph.requests.length = 0;
+});
+
+after(async () => {
+  await app.close();
+  await graph.close();
+});
+
+function postWebhook(payload, signature) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  const signed = signature === undefined
+    ? `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`
+    : signature;
+  if (signed) {
+    headers['X-Hub-Signature-256'] = signed;
+  }
+  return fetch(`${app.url}/api/channels/${channel.id}/webhook`, { method: 'POST', headers, body });
+}
+
+function webhookPayload(value) {
+  return { object: 'whatsapp_business_account', entry: [{ id: 'waba', changes: [{ field: 'messages', value }] }] };
+}
+
+const statusPayload = webhookPayload({
+  statuses: [
+    { id: 'wamid.1', status: 'delivered', recipient_id: '5511999999999' },
+    { id: 'wamid.2', status: 'failed', recipient_id: '5511999999999', errors: [{ code: 131026, title: 'Message undeliverable' }] }
+  ]
+});
+
+test('the verification handshake echoes the challenge for the right verify token', async () => {
+  const params = new URLSearchParams({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '1158201444' });
+  const response = await fetch(`${app.url}/api/channels/${channel.id}/webhook?${params}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), '1158201444');
+});
+
+test('the verification handshake is refused for a wrong verify token', async () => {
+  const params = new URLSearchParams({ 'hub.mode': 'subscribe', 'hub.verify_token': 'guess', 'hub.challenge': '1158201444' });
+  const response = await fetch(`${app.url}/api/channels/${channel.id}/webhook?${params}`);
+
+  assert.equal(response.status, 403);
+});
+
+test('a payload signed with the app secret is accepted and its status receipts are recorded', async () => {
+  const response = await postWebhook(statusPayload);
+  assert.equal(response.status, 200);
+
+  await waitFor(() => updateDeliveryStatus.mock.callCount() === 2);
+  assert.deepEqual(updateDeliveryStatus.mock.calls.map(call => call.arguments), [
+    [channel.id, 'wamid.1', 'delivered', null],
+    [channel.id, 'wamid.2', 'failed', 'Message undeliverable']
+  ]);
+});
+
+test('a payload with a wrong signature is rejected', async () => {
+  const response = await postWebhook(statusPayload, `sha256=${'0'.repeat(64)}`);
+
+  assert.equal(response.status, 401);
+  assert.equal(updateDeliveryStatus.mock.callCount(), 0);
+});
+
+test('a payload signed with another secret is rejected', async () => {
+  const body = JSON.stringify(statusPayload);
+  const signature = `sha256=${crypto.createHmac('sha256', 'other-secret').update(body).digest('hex')}`;
+  const response = await postWebhook(statusPayload, signature);
+
+  assert.equal(response.status, 401);
+  assert.equal(updateDeliveryStatus.mock.callCount(), 0);
+});
+
+test('a signature with non-ASCII characters is rejected, not an error', async () => {
+  const response = await postWebhook(statusPayload, `sha256=${'é'.repeat(64)}`);
+
+  assert.equal(response.status, 401);
+  assert.equal(updateDeliveryStatus.mock.callCount(), 0);
+});
+
+test('an unsigned payload is rejected', async () => {
+  const response = await postWebhook(statusPayload, null);
+
+  assert.equal(response.status, 401);
+  assert.equal(updateDeliveryStatus.mock.callCount(), 0);
+});
+
+test('an inbound image is downloaded from the Graph API and passed to the channel layer', async () => {
+  const response = await postWebhook(webhookPayload({
+    contacts: [{ wa_id: '5511999999999', profile: { name: 'Ana' } }],
+    messages: [{
+      id: 'wamid.in',
+      from: '5511999999999',
+      type: 'image',
+      image: { id: 'media-1', mime_type: 'image/jpeg', caption: 'My receipt' }
+    }]
+  }));
+  assert.equal(response.status, 200);
+
+  await waitFor(() => receive.mock.callCount() === 1);
+  const [received] = receive.mock.calls[0].arguments;
+  assert.deepEqual(received.from, { address: '5511999999999', name: 'Ana' });
+  assert.equal(received.text, 'My receipt');
+  assert.equal(received.externalId, 'wamid.in');
+  assert.equal(received.media.type, 'image');
+  assert.deepEqual(received.media.data, IMAGE);
+  assert.equal(graph.requests[0].headers.authorization, 'Bearer access-token');
+});
+
+test('text is sent through the Graph API and resolves to the provider message id', async () => {
+  const result = await whatsappCloudService.sendText(channel, '+5511999999999', 'Hello!');
+
+  assert.deepEqual(result, { externalId: 'wamid.out' });
+  const [request] = graph.requests;
+  assert.equal(request.headers.authorization, 'Bearer access-token');
+  assert.deepEqual(JSON.parse(request.body), {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: '5511999999999',
+    type: 'text',
+    text: { body: 'Hello!', preview_url: false }
+  });
+});
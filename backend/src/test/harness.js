@@ -0,0 +1,145 @@
+import http from 'http';
+import net from 'net';
+import { mock } from 'node:test';
+import express from 'express';
+
+/**
+ * Local HTTP servers for specs: provider mocks and the app's webhook routes
+ */
+
+/**
+ * Start a mock provider API; handler(req, res, body) answers each request (body is a Buffer).
+ * Resolves to { url, requests, close } where requests lists { method, url, headers, body }.
+ */
+export function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  return listen(server, requests);
+}
+
+/**
+ * Start a mock SMTP server that accepts every message (no TLS, no auth).
+ * Resolves to { port, messages, close } where messages lists { from, to, data }.
+ */
+export function startMockSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffer = '';
+
+    socket.write('220 localhost mock SMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<(.*)>/)?.[1];
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<(.*)>/)?.[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return listen(server, messages).then(({ port, close }) => ({ port, messages, close }));
+}
+
+/**
+ * Serve /api/channels with the body parsing server.js uses (signed webhooks need the raw body)
+ */
+export async function startChannelsApp() {
+  const { default: channelRoutes } = await import('../routes/channels.js');
+  const { errorHandler } = await import('../middleware/errorHandler.js');
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/channels', channelRoutes);
+  app.use(errorHandler);
+  return listen(http.createServer(app));
+}
+
+/**
+ * Answer query() from handler(sql, params) instead of the database: sql has its $n turned
+ * into ? like the pool sees it, and the handler returns the rows (nothing for no rows).
+ * Resolves to the mock; restore() puts the pool back.
+ */
+export async function mockQuery(handler) {
+  const { pool } = await import('../config/database.js');
+  return mock.method(pool, 'query', (sql, params = []) => {
+    // The connection check database.js runs on import
+    if (/^SELECT NOW\(\)/.test(sql)) {
+      return Promise.resolve([[{ now: new Date() }]]);
+    }
+    return Promise.resolve([handler(sql, params) || []]);
+  });
+}
+
+export function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Resolve once check() is truthy; webhooks are handled after the 200 is sent
+ */
+export async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function listen(server, requests = []) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        port: server.address().port,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
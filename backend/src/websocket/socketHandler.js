@@ -2,7 +2,9 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 import { query } from '../config/database.js';
-import { logger } from '../middleware/errorHandler.js';
+import { logger, ValidationError } from '../middleware/errorHandler.js';
+import channelService from '../services/channel.service.js';
+import webchatService, { WEBCHAT_NAMESPACE } from '../services/webchat.service.js';
 
 export function initializeWebSocket(server) {
   const io = new Server(server, {
@@ -16,6 +18,9 @@ export function initializeWebSocket(server) {
     pingInterval: 25000
   });
 
+  channelService.setSocketServer(io);
+  initializeWebChat(io);
+
   // Authentication middleware
   io.use(async (socket, next) => {
     try {
@@ -251,18 +256,13 @@ export function initializeWebSocket(server) {
       
       try {
         // Verify contact belongs to organization
-        const contactCheck = await query(
-          'SELECT c.*, ch.id as channel_id FROM contacts c LEFT JOIN channels ch ON ch.organization_id = c.organization_id AND ch.type = c.channel_type AND ch.status = \'connected\' WHERE c.id = $1 AND c.organization_id = $2',
-          [contactId, socket.organizationId]
-        );
+        const contact = await channelService.getContactChannel(contactId, socket.organizationId);
         
-        if (contactCheck.rows.length === 0) {
+        if (!contact) {
           socket.emit('error', { message: 'Contact not found or access denied' });
           return;
         }
         
-        const contact = contactCheck.rows[0];
-        
         // Save message to database
         const result = await query(
           `INSERT INTO messages (contact_id, channel_id, content, type, media_type, media_url, created_at)
@@ -280,15 +280,10 @@ export function initializeWebSocket(server) {
           sentByName: socket.user.name
         });
         
-        // Send via WhatsApp if channel is available
+        // Send through the contact's channel if one is connected
         if (contact.channel_id) {
-          const whatsappService = (await import('../services/whatsapp.service.js')).default;
-          
-          if (mediaUrl) {
-            await whatsappService.sendMedia(contact.channel_id, contact.phone, mediaUrl, content);
-          } else {
-            await whatsappService.sendMessage(contact.channel_id, contact.phone, content);
-          }
+          const sent = await channelService.send(contact.channel_id, contactId, { text: content, mediaType, mediaUrl });
+          await query('UPDATE messages SET message_id = $1 WHERE id = $2', [sent?.externalId || null, message.id]);
         }
         
         logger.info(`Message sent by user ${socket.user.id} to contact ${contactId}`);
@@ -545,4 +540,142 @@ export function initializeWebSocket(server) {
   return io;
 }
 
+/**
+ * Public namespace for website chat widgets. Visitors authenticate with the widget token of a
+ * connected webchat channel (and the site's origin when the channel restricts origins); the
+ * visitor id the widget keeps in localStorage resumes the conversation.
+ */
+function initializeWebChat(io) {
+  const webchat = io.of(WEBCHAT_NAMESPACE);
+  webchatService.attach(webchat);
+
+  webchat.use(async (socket, next) => {
+    try {
+      const { token, visitorId } = socket.handshake.auth;
+      const channel = await webchatService.findChannelByToken(token);
+
+      if (!channel) {
+        return next(new Error('Unknown widget'));
+      }
+      if (!webchatService.isOriginAllowed(channel, socket.handshake.headers.origin)) {
+        return next(new Error('Origin not allowed'));
+      }
+
+      socket.channel = channel;
+      socket.visitorId = webchatService.resolveVisitorId(visitorId);
+      next();
+    } catch (error) {
+      logger.error('Web chat auth error:', error);
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  webchat.on('connection', (socket) => {
+    const { channel, visitorId } = socket;
+    const visitorRoom = webchatService.getVisitorRoom(channel.id, visitorId);
+    const address = webchatService.getClientAddress(socket.handshake);
+
+    socket.join([webchatService.getChannelRoom(channel.id), visitorRoom]);
+
+    const { title, greeting, color } = webchatService.getSettings(channel);
+    socket.emit('session', { visitorId, title, greeting, color });
+
+    socket.on('history', async (callback) => {
+      try {
+        reply(callback, { messages: await webchatService.getHistory(channel, visitorId) });
+      } catch (error) {
+        logger.error('Error loading web chat history:', error);
+        reply(callback, { error: 'Failed to load messages' });
+      }
+    });
+
+    socket.on('message', async (data, callback) => {
+      const text = typeof data?.text === 'string' ? data.text.trim() : '';
+
+      if (!text) {
+        reply(callback, { error: 'text required' });
+        return;
+      }
+      if (!webchatService.consumeMessageQuota({ socketId: socket.id, address })) {
+        reply(callback, { error: 'Too many messages, please wait a moment' });
+        return;
+      }
+
+      try {
+        const message = await webchatService.receive(channel, visitorId, { text });
+
+        // Other tabs of the same visitor
+        socket.to(visitorRoom).emit('message', message);
+        reply(callback, { message });
+      } catch (error) {
+        logger.error('Error receiving web chat message:', error);
+        reply(callback, { error: 'Failed to send message' });
+      }
+    });
+
+    socket.on('identify', async (data, callback) => {
+      if (!webchatService.consumeMessageQuota({ socketId: socket.id, address })) {
+        reply(callback, { error: 'Too many messages, please wait a moment' });
+        return;
+      }
+
+      try {
+        const { contact, verificationRequired } = await webchatService.identify(channel, visitorId, data);
+        reply(callback, { success: true, name: contact.name, verificationRequired });
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          reply(callback, { error: error.message, details: error.details });
+          return;
+        }
+        logger.error('Error identifying web chat visitor:', error);
+        reply(callback, { error: 'Failed to save your details' });
+      }
+    });
+
+    // Code sent to the contact whose phone number or email the visitor gave
+    socket.on('verify', async (data, callback) => {
+      try {
+        const contact = await webchatService.verify(channel, visitorId, data?.code);
+        reply(callback, { success: true, name: contact.name });
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          reply(callback, { error: error.message, details: error.details });
+          return;
+        }
+        logger.error('Error verifying web chat visitor:', error);
+        reply(callback, { error: 'Failed to check the code' });
+      }
+    });
+
+    // The widget acknowledges agent messages as delivered and read
+    socket.on('message_ack', async (data) => {
+      const { id, status } = data || {};
+
+      if (!['delivered', 'read'].includes(status)) {
+        return;
+      }
+
+      try {
+        await channelService.updateDeliveryStatus(channel.id, id, status);
+      } catch (error) {
+        logger.error('Error recording web chat receipt:', error);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      webchatService.releaseSocketQuota(socket.id);
+    });
+  });
+}
+
+/**
+ * Answer a web chat acknowledgement. Widgets are untrusted and may send anything in the
+ * callback position, and a throw inside an async listener would reject unhandled.
+ */
+function reply(callback, payload) {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+}
+
 export default initializeWebSocket;
\ No newline at end of file
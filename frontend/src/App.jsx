@@ -11,6 +11,7 @@ import MediaLibrary from './components/MediaLibrary';
 import FlowAnalytics from './components/FlowAnalytics';
 import ABTestManager from './components/ABTestManager';
 import MultiChatInterface from './components/MultiChatInterface';
+import Settings from './components/Settings';
 import { getToken, clearAuth, connectWebSocket, disconnectWebSocket } from './store';
 
 function App() {
@@ -71,7 +72,8 @@ function App() {
     { id: 'media', icon: '📚', label: 'Media Library' },
     { id: 'analytics', icon: '📈', label: 'Analytics' },
     { id: 'abtest', icon: '🧪', label: 'A/B Testing' },
-    { id: 'trigger', icon: '⚡', label: 'Trigger Test' }
+    { id: 'trigger', icon: '⚡', label: 'Trigger Test' },
+    { id: 'settings', icon: '⚙️', label: 'Settings' }
   ];
 
   return (
@@ -287,6 +289,7 @@ function App() {
           {currentPage === 'analytics' && <FlowAnalytics />}
           {currentPage === 'abtest' && <ABTestManager />}
           {currentPage === 'trigger' && <TriggerTest />}
+          {currentPage === 'settings' && <Settings />}
         </div>
 
         {/* Footer */}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { apiCall } from '../store';
+import { describeDelay, describeApiError } from './FlowBuilder';
 
 function AIFlowGenerator({ onFlowGenerated }) {
   const [prompt, setPrompt] = useState('');
@@ -33,7 +34,7 @@ function AIFlowGenerator({ onFlowGenerated }) {
 
       setGeneratedFlow(response);
     } catch (err) {
-      setError(err.message || 'Failed to generate flow');
+      setError(describeApiError(err) || 'Failed to generate flow');
     } finally {
       setLoading(false);
     }
@@ -59,7 +60,7 @@ function AIFlowGenerator({ onFlowGenerated }) {
       setPrompt('');
       if (onFlowGenerated) onFlowGenerated();
     } catch (error) {
-      alert('Failed to save flow: ' + error.message);
+      alert('Failed to save flow: ' + describeApiError(error));
     }
   };
 
@@ -219,9 +220,9 @@ function AIFlowGenerator({ onFlowGenerated }) {
                       "{node.data.message.substring(0, 80)}{node.data.message.length > 80 ? '...' : ''}"
                     </div>
                   )}
-                  {node.data.seconds && (
+                  {node.type === 'delay' && (
                     <div style={{ color: '#666', fontSize: '13px' }}>
-                      Wait: {node.data.seconds} seconds
+                      {describeDelay(node.data)}
                     </div>
                   )}
                   {node.data.tag && (
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { apiCall } from '../store';
+import { describeApiError } from './FlowBuilder';
+
+const WEEKDAYS = [
+  { id: 'mon', label: 'Monday' },
+  { id: 'tue', label: 'Tuesday' },
+  { id: 'wed', label: 'Wednesday' },
+  { id: 'thu', label: 'Thursday' },
+  { id: 'fri', label: 'Friday' },
+  { id: 'sat', label: 'Saturday' },
+  { id: 'sun', label: 'Sunday' }
+];
+
+const DEFAULT_SCHEDULE = {
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+  weeklyHours: Object.fromEntries(['mon', 'tue', 'wed', 'thu', 'fri'].map(day => [day, [{ open: '09:00', close: '17:00' }]])),
+  holidays: [],
+  autoReplyEnabled: true,
+  autoReplyMessage: '',
+  autoReplyCooldownHours: 12,
+  handoffMessage: ''
+};
+
+function BusinessHoursSettings() {
+  const [schedule, setSchedule] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSchedule();
+  }, []);
+
+  const loadSchedule = async () => {
+    try {
+      const [saved, current] = await Promise.all([
+        apiCall('/organization/business-hours'),
+        apiCall('/organization/business-hours/status')
+      ]);
+      setSchedule(saved);
+      setStatus(current);
+    } catch (error) {
+      console.error('Failed to load business hours:', error);
+    }
+  };
+
+  const update = (changes) => setSchedule({ ...schedule, ...changes });
+
+  const updateRanges = (day, ranges) => {
+    const weeklyHours = { ...schedule.weeklyHours, [day]: ranges };
+    if (ranges.length === 0) delete weeklyHours[day];
+    update({ weeklyHours });
+  };
+
+  const updateHoliday = (index, changes) => {
+    update({ holidays: schedule.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday)) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setSchedule(await apiCall('/organization/business-hours', {
+        method: 'PUT',
+        body: JSON.stringify(schedule)
+      }));
+      setStatus(await apiCall('/organization/business-hours/status'));
+    } catch (error) {
+      alert('Failed to save business hours: ' + describeApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!confirm('Remove business hours? The team will be treated as always open.')) return;
+
+    try {
+      await apiCall('/organization/business-hours', { method: 'DELETE' });
+      loadSchedule();
+    } catch (error) {
+      alert('Failed to remove business hours: ' + error.message);
+    }
+  };
+
+  const inputStyle = { padding: '6px 8px', borderRadius: '6px', border: '1px solid #ddd', fontSize: '13px' };
+
+  return (
+    <div style={{ background: 'white', padding: '25px', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', marginBottom: '20px' }}>
+      <h3 style={{ marginBottom: '5px', fontSize: '18px' }}>🕘 Business Hours</h3>
+      <div style={{ fontSize: '13px', color: '#666', marginBottom: '15px' }}>
+        Used by Business Hours nodes, the out-of-hours auto-reply and agent handoffs, which wait until opening time
+        when the team is closed.
+        {status?.configured && (
+          <strong style={{ marginLeft: '6px', color: status.open ? '#28a745' : '#dc3545' }}>
+            {status.open ? 'Open now' : `Closed, opens ${status.opensAt}`}
+          </strong>
+        )}
+      </div>
+
+      {!schedule ? (
+        <div style={{ fontSize: '13px', color: '#999' }}>
+          No schedule yet; the team is treated as always open.{' '}
+          <button onClick={() => setSchedule(DEFAULT_SCHEDULE)} className="success" style={{ padding: '4px 10px', fontSize: '12px' }}>
+            Set business hours
+          </button>
+        </div>
+      ) : (
+        <>
+          <label style={{ display: 'block', fontSize: '13px', marginBottom: '15px' }}>
+            Timezone{' '}
+            <input
+              type="text"
+              value={schedule.timezone}
+              onChange={(e) => update({ timezone: e.target.value })}
+              placeholder="Europe/Berlin"
+              style={{ ...inputStyle, width: '200px' }}
+            />
+          </label>
+
+          <div style={{ marginBottom: '15px' }}>
+            {WEEKDAYS.map(({ id, label }) => {
+              const ranges = schedule.weeklyHours[id] || [];
+              return (
+                <div key={id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '5px 0', flexWrap: 'wrap' }}>
+                  <span style={{ width: '90px', fontSize: '13px', fontWeight: 'bold' }}>{label}</span>
+                  {ranges.length === 0 && <span style={{ fontSize: '13px', color: '#999' }}>Closed</span>}
+                  {ranges.map((range, index) => (
+                    <span key={index} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                      <input
+                        type="time"
+                        value={range.open}
+                        onChange={(e) => updateRanges(id, ranges.map((r, i) => (i === index ? { ...r, open: e.target.value } : r)))}
+                        style={inputStyle}
+                      />
+                      –
+                      <input
+                        type="time"
+                        value={range.close}
+                        onChange={(e) => updateRanges(id, ranges.map((r, i) => (i === index ? { ...r, close: e.target.value } : r)))}
+                        style={inputStyle}
+                      />
+                      <button
+                        onClick={() => updateRanges(id, ranges.filter((_, i) => i !== index))}
+                        style={{ padding: '2px 8px', fontSize: '12px' }}
+                      >
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                  <button
+                    onClick={() => updateRanges(id, [...ranges, { open: '09:00', close: '17:00' }])}
+                    style={{ padding: '2px 8px', fontSize: '12px' }}
+                  >
+                    + Hours
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ marginBottom: '15px' }}>
+            <div style={{ fontSize: '13px', fontWeight: 'bold', marginBottom: '5px' }}>Holidays</div>
+            {schedule.holidays.map((holiday, index) => (
+              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0' }}>
+                <input
+                  type="date"
+                  value={holiday.date || ''}
+                  onChange={(e) => updateHoliday(index, { date: e.target.value })}
+                  style={inputStyle}
+                />
+                <input
+                  type="text"
+                  value={holiday.name || ''}
+                  onChange={(e) => updateHoliday(index, { name: e.target.value })}
+                  placeholder="New Year's Day"
+                  style={{ ...inputStyle, width: '200px' }}
+                />
+                <label style={{ fontSize: '13px' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!holiday.recurring}
+                    onChange={(e) => updateHoliday(index, { recurring: e.target.checked })}
+                  />
+                  {' '}Every year
+                </label>
+                <button
+                  onClick={() => update({ holidays: schedule.holidays.filter((_, i) => i !== index) })}
+                  style={{ padding: '2px 8px', fontSize: '12px' }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => update({ holidays: [...schedule.holidays, { date: '', name: '', recurring: false }] })}
+              style={{ padding: '4px 10px', fontSize: '12px' }}
+            >
+              + Holiday
+            </button>
+          </div>
+
+          <div style={{ marginBottom: '15px', fontSize: '13px' }}>
+            <label style={{ display: 'block', marginBottom: '8px' }}>
+              <input
+                type="checkbox"
+                checked={schedule.autoReplyEnabled}
+                onChange={(e) => update({ autoReplyEnabled: e.target.checked })}
+              />
+              {' '}Auto-reply to messages outside business hours, at most once every{' '}
+              <input
+                type="number"
+                min="0"
+                max="168"
+                value={schedule.autoReplyCooldownHours}
+                onChange={(e) => update({ autoReplyCooldownHours: e.target.value })}
+                style={{ ...inputStyle, width: '60px' }}
+              />
+              {' '}hours per contact
+            </label>
+            <textarea
+              value={schedule.autoReplyMessage}
+              onChange={(e) => update({ autoReplyMessage: e.target.value })}
+              placeholder="Auto-reply, e.g. We are closed right now and will reply {{opens_at}}."
+              rows={2}
+              style={{ ...inputStyle, width: '100%', marginBottom: '8px' }}
+            />
+            <textarea
+              value={schedule.handoffMessage}
+              onChange={(e) => update({ handoffMessage: e.target.value })}
+              placeholder="Handoff message, e.g. An agent will pick up your conversation {{opens_at}}."
+              rows={2}
+              style={{ ...inputStyle, width: '100%' }}
+            />
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={handleSave} className="success" disabled={saving} style={{ padding: '8px 16px' }}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            {status?.configured && (
+              <button onClick={handleRemove} className="danger" style={{ padding: '8px 16px' }}>
+                Remove
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BusinessHoursSettings;
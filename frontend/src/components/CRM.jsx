@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { apiCall } from '../store';
 import ContactTags from './ContactTags';
+import FlowRunTimeline from './FlowRunTimeline';
 
 function CRM() {
   const [contacts, setContacts] = useState([]);
@@ -233,6 +234,8 @@ function CRM() {
             </div>
 
             <ContactTags contactId={selectedContact.id} />
+
+            <FlowRunTimeline contactId={selectedContact.id} />
           </div>
         )}
       </div>
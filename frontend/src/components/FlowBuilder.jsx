@@ -1,10 +1,48 @@
 import React, { useState, useEffect } from 'react';
 import { apiCall } from '../store';
+import SwitchNode, { getCaseHandle, describeCondition } from './SwitchNode';
+import InteractiveNode, { getMenuHandles } from './InteractiveNode';
+import FlowVersionHistory from './FlowVersionHistory';
+import FlowSimulator from './FlowSimulator';
+import FlowTriggerEditor, { MATCH_LABELS } from './FlowTriggerEditor';
+
+export const describeDelay = (data = {}) => {
+  if (data.mode === 'datetime' || (!data.mode && data.datetime)) {
+    return `Until ${data.datetime}`;
+  }
+  if (data.mode === 'timeOfDay' || (!data.mode && data.time)) {
+    const day = parseInt(data.dayOffset) > 0 ? `in ${data.dayOffset} day(s)` : 'next';
+    return `Until ${day} ${data.time}${data.timezone ? ` (${data.timezone})` : ''}`;
+  }
+  return `Wait: ${data.duration ?? data.seconds ?? 3} ${data.unit || 'seconds'}`;
+};
+
+const MEDIA_NODE_TYPES = ['image', 'video', 'audio', 'voice', 'document'];
+
+const ASSIGNMENT_SYMBOLS = { add: '+=', subtract: '-=', multiply: '*=', divide: '/=', concat: '.=' };
+
+export const describeAssignment = (assignment = {}) => {
+  const operation = assignment.operation || 'set';
+  const target = `${assignment.variable}${assignment.saveToContact ? ` → contact.${assignment.field || assignment.variable}` : ''}`;
+  if (operation === 'copy') {
+    return `${target} = ${assignment.source || assignment.value}`;
+  }
+  return `${target} ${ASSIGNMENT_SYMBOLS[operation] || '='} "${assignment.value ?? ''}"`;
+};
+
+export const describeApiError = (error) => (
+  Array.isArray(error.details)
+    ? error.details.map(detail => detail.message).join('\n')
+    : error.message
+);
 
 function FlowBuilder() {
   const [flows, setFlows] = useState([]);
   const [selectedFlow, setSelectedFlow] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSimulator, setShowSimulator] = useState(false);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newFlow, setNewFlow] = useState({
     name: '',
@@ -16,6 +54,9 @@ function FlowBuilder() {
     loadFlows();
   }, []);
 
+  // Edits go to the draft; the published definition is what contacts run
+  const editableDefinition = selectedFlow?.draft_definition || selectedFlow?.flow_definition;
+
   const loadFlows = async () => {
     setLoading(true);
     try {
@@ -71,7 +112,7 @@ function FlowBuilder() {
       setNewFlow({ name: '', description: '', keyword_triggers: '' });
       loadFlows();
     } catch (error) {
-      alert('Failed to create flow: ' + error.message);
+      alert('Failed to create flow: ' + describeApiError(error));
     }
   };
 
@@ -107,23 +148,152 @@ function FlowBuilder() {
       });
       loadFlows();
     } catch (error) {
-      alert('Failed to duplicate flow: ' + error.message);
+      alert('Failed to duplicate flow: ' + describeApiError(error));
+    }
+  };
+
+  // The node's outgoing edges are rebuilt from the editor: one per handle that has a target
+  // (a null handle is a plain edge)
+  const saveNodeRoutes = async (nodeId, data, routes, label) => {
+    const definition = editableDefinition;
+    const edges = definition.edges
+      .filter(e => e.source !== nodeId)
+      .concat(routes
+        .filter(route => route.target)
+        .map(({ handle, target }) => (handle
+          ? { id: `e${nodeId}-${handle}`, source: nodeId, target, sourceHandle: handle }
+          : { id: `e${nodeId}-next`, source: nodeId, target })));
+
+    const flowDefinition = {
+      ...definition,
+      nodes: definition.nodes.map(n => (n.id === nodeId ? { ...n, data } : n)),
+      edges
+    };
+
+    try {
+      const updated = await apiCall(`/flows/${selectedFlow.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ flow_definition: flowDefinition })
+      });
+      setSelectedFlow(updated);
+      setFlows(flows.map(f => (f.id === updated.id ? updated : f)));
+      setValidationErrors([]);
+    } catch (error) {
+      setValidationErrors(Array.isArray(error.details) ? error.details : []);
+      alert(`Failed to save ${label}: ` + describeApiError(error));
+    }
+  };
+
+  const handleSaveSwitch = (nodeId, data, targets) => {
+    const handles = (data.cases || []).map(getCaseHandle).concat('default');
+    return saveNodeRoutes(nodeId, data, handles.map(handle => ({ handle, target: targets[handle] })), 'switch');
+  };
+
+  // Without options the menu's "other replies" target stays as the plain next step
+  const handleSaveMenu = (nodeId, data, targets) => {
+    const routes = data.interactive
+      ? getMenuHandles(data.interactive).map(handle => ({ handle, target: targets[handle] }))
+      : [{ handle: null, target: targets.default }];
+    return saveNodeRoutes(nodeId, data, routes, 'menu');
+  };
+
+  const handleValidateFlow = async () => {
+    try {
+      const result = await apiCall('/flows/validate', {
+        method: 'POST',
+        body: JSON.stringify({ flow_definition: editableDefinition })
+      });
+      setValidationErrors(result.errors);
+      if (result.valid) {
+        alert('✅ No problems found in this flow');
+      }
+    } catch (error) {
+      alert('Failed to validate flow: ' + error.message);
+    }
+  };
+
+  const handleSelectFlow = (flow) => {
+    setSelectedFlow(flow);
+    setValidationErrors([]);
+  };
+
+  const refreshSelectedFlow = async () => {
+    const updated = await apiCall(`/flows/${selectedFlow.id}`);
+    setSelectedFlow(updated);
+    setFlows(flows.map(f => (f.id === updated.id ? updated : f)));
+  };
+
+  // Saving a fallback can move the flag away from another flow, so the list is reloaded too
+  const handleTriggersSaved = async () => {
+    setSelectedFlow(await apiCall(`/flows/${selectedFlow.id}`));
+    loadFlows();
+  };
+
+  const handlePublish = async () => {
+    const notes = prompt('Describe this version (optional):');
+    if (notes === null) return;
+
+    try {
+      const version = await apiCall(`/flows/${selectedFlow.id}/publish`, {
+        method: 'POST',
+        body: JSON.stringify({ notes })
+      });
+      await refreshSelectedFlow();
+      setValidationErrors([]);
+      alert(`🚀 Published version ${version.version_number}. Contacts already in the flow finish on their current version.`);
+    } catch (error) {
+      setValidationErrors(Array.isArray(error.details) ? error.details : []);
+      alert('Failed to publish flow: ' + describeApiError(error));
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    if (!confirm('Discard unpublished changes?')) return;
+
+    try {
+      await apiCall(`/flows/${selectedFlow.id}/draft`, { method: 'DELETE' });
+      await refreshSelectedFlow();
+      setValidationErrors([]);
+    } catch (error) {
+      alert('Failed to discard draft: ' + error.message);
     }
   };
 
+  const getNodeErrors = (nodeId) => validationErrors.filter(e => e.nodeIds?.includes(nodeId));
+
+  // A plain edge counts as the default target
+  const getSwitchTargets = (nodeId) => {
+    const targets = {};
+    editableDefinition.edges
+      .filter(e => e.source === nodeId)
+      .forEach(e => { targets[e.sourceHandle || 'default'] = e.target; });
+    return targets;
+  };
+
   const renderNodeType = (type) => {
     const icons = {
       start: '▶️',
       botResponse: '💬',
       userInput: '⌨️',
       condition: '❓',
+      switch: '🔀',
+      businessHours: '🕘',
       delay: '⏱️',
+      setVariable: '🧮',
       aiResponse: '🤖',
       assignAgent: '👤',
       logEvent: '📊',
       addTag: '🏷️',
       updateScore: '⭐',
-      integration: '🔗'
+      integration: '🔗',
+      callFlow: '↪️',
+      goToFlow: '↪️',
+      image: '🖼️',
+      video: '🎥',
+      audio: '🎵',
+      voice: '🎤',
+      document: '📄',
+      sequence: '🎞️'
     };
     return icons[type] || '📦';
   };
@@ -175,7 +345,8 @@ function FlowBuilder() {
                   style={{ width: '100%', padding: '10px' }}
                 />
                 <small style={{ color: '#666', display: 'block', marginTop: '5px' }}>
-                  Flow will trigger when user sends any of these keywords
+                  Flow will trigger when user sends exactly one of these keywords. Match modes, priority and
+                  the fallback flow can be set from the flow details.
                 </small>
               </div>
 
@@ -221,7 +392,7 @@ function FlowBuilder() {
               {flows.map(flow => (
                 <div
                   key={flow.id}
-                  onClick={() => setSelectedFlow(flow)}
+                  onClick={() => handleSelectFlow(flow)}
                   style={{
                     background: 'white',
                     padding: '20px',
@@ -265,13 +436,18 @@ function FlowBuilder() {
                     </div>
                   </div>
 
-                  {flow.keyword_triggers && flow.keyword_triggers.length > 0 && (
+                  {(flow.triggers?.length > 0 || flow.is_fallback) && (
                     <div style={{ marginBottom: '10px' }}>
                       <div style={{ fontSize: '12px', color: '#666', marginBottom: '5px' }}>
-                        Triggers:
+                        Triggers{flow.trigger_priority ? ` (priority ${flow.trigger_priority})` : ''}:
                       </div>
                       <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap' }}>
-                        {flow.keyword_triggers.map((keyword, idx) => (
+                        {flow.is_fallback && (
+                          <span style={{ padding: '2px 8px', background: '#fff3cd', color: '#b7791f', borderRadius: '10px', fontSize: '11px' }}>
+                            ⤵️ fallback
+                          </span>
+                        )}
+                        {(flow.triggers || []).map((trigger, idx) => (
                           <span key={idx} style={{
                             padding: '2px 8px',
                             background: '#e7f3ff',
@@ -279,7 +455,7 @@ function FlowBuilder() {
                             borderRadius: '10px',
                             fontSize: '11px'
                           }}>
-                            {keyword}
+                            {trigger.match !== 'exact' && `${MATCH_LABELS[trigger.match]}: `}{trigger.keyword}
                           </span>
                         ))}
                       </div>
@@ -288,6 +464,7 @@ function FlowBuilder() {
 
                   <div style={{ fontSize: '12px', color: '#999' }}>
                     {flow.flow_definition?.nodes?.length || 0} nodes • 
+                    {flow.published_version ? ` v${flow.published_version}${flow.draft_definition ? ' + draft' : ''} • ` : ' '}
                     Created {new Date(flow.created_at).toLocaleDateString()}
                   </div>
                 </div>
@@ -300,7 +477,15 @@ function FlowBuilder() {
         {selectedFlow && (
           <div style={{ background: 'white', padding: '25px', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '20px' }}>
-              <h3 style={{ margin: 0 }}>Flow Details</h3>
+              <h3 style={{ margin: 0 }}>
+                Flow Details
+                {selectedFlow.published_version && (
+                  <span style={{ fontSize: '13px', color: '#666', fontWeight: 'normal' }}> • v{selectedFlow.published_version} live</span>
+                )}
+                {selectedFlow.draft_definition && (
+                  <span style={{ fontSize: '13px', color: '#b7791f', fontWeight: 'normal' }}> • ✏️ unpublished draft</span>
+                )}
+              </h3>
               <button onClick={() => setSelectedFlow(null)} style={{ padding: '5px 10px', fontSize: '12px' }} className="secondary">
                 ✖️
               </button>
@@ -328,24 +513,70 @@ function FlowBuilder() {
               <button onClick={() => handleDuplicateFlow(selectedFlow.id)}>
                 📋 Duplicate
               </button>
+              <button onClick={handleValidateFlow} className="secondary">
+                ✅ Validate
+              </button>
+              {selectedFlow.draft_definition && (
+                <>
+                  <button onClick={handlePublish} className="success">
+                    🚀 Publish
+                  </button>
+                  <button onClick={handleDiscardDraft} className="secondary">
+                    ↩️ Discard Draft
+                  </button>
+                </>
+              )}
+              <button onClick={() => setShowSimulator(!showSimulator)} className="secondary">
+                🧪 {showSimulator ? 'Hide Simulator' : 'Simulate'}
+              </button>
+              <button onClick={() => setShowHistory(!showHistory)} className="secondary">
+                🕘 {showHistory ? 'Hide History' : 'History'}
+              </button>
               <button onClick={() => handleDeleteFlow(selectedFlow.id)} className="danger">
                 🗑️ Delete
               </button>
             </div>
 
+            <FlowTriggerEditor key={selectedFlow.id} flow={selectedFlow} onSaved={handleTriggersSaved} />
+
+            {showSimulator && (
+              <div style={{ marginBottom: '20px' }}>
+                <FlowSimulator key={selectedFlow.id} flows={flows} initialFlowId={selectedFlow.id} />
+              </div>
+            )}
+
+            {showHistory && (
+              <FlowVersionHistory
+                key={`${selectedFlow.id}-${selectedFlow.published_version_id}`}
+                flowId={selectedFlow.id}
+                hasDraft={!!selectedFlow.draft_definition}
+                onRollback={refreshSelectedFlow}
+              />
+            )}
+
             {/* Flow Nodes */}
             <div style={{ marginBottom: '20px' }}>
-              <h4 style={{ marginBottom: '15px' }}>Flow Nodes ({selectedFlow.flow_definition?.nodes?.length || 0})</h4>
+              <h4 style={{ marginBottom: '15px' }}>Flow Nodes ({editableDefinition?.nodes?.length || 0})</h4>
+              {validationErrors.length > 0 && (
+                <div style={{ padding: '12px', marginBottom: '15px', background: '#fdecea', borderRadius: '8px', color: '#c0392b', fontSize: '13px' }}>
+                  <strong>⚠️ {validationErrors.length} problem(s) found</strong>
+                  <ul style={{ paddingLeft: '20px', marginTop: '5px' }}>
+                    {validationErrors.map((error, idx) => (
+                      <li key={idx}>{error.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
-                {selectedFlow.flow_definition?.nodes?.map((node, index) => (
+                {editableDefinition?.nodes?.map((node, index) => (
                   <div
                     key={node.id}
                     style={{
                       padding: '12px',
                       marginBottom: '10px',
-                      background: '#f8f9fa',
+                      background: getNodeErrors(node.id).length ? '#fdecea' : '#f8f9fa',
                       borderRadius: '8px',
-                      borderLeft: '3px solid #667eea'
+                      borderLeft: getNodeErrors(node.id).length ? '3px solid #e74c3c' : '3px solid #667eea'
                     }}
                   >
                     <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '5px' }}>
@@ -361,9 +592,48 @@ function FlowBuilder() {
                         "{node.data.message.substring(0, 100)}{node.data.message.length > 100 ? '...' : ''}"
                       </div>
                     )}
-                    {node.data.seconds && (
+                    {getNodeErrors(node.id).map((error, idx) => (
+                      <div key={idx} style={{ fontSize: '12px', color: '#c0392b', marginTop: '5px' }}>
+                        ⚠️ {error.message}
+                      </div>
+                    ))}
+                    {node.type === 'delay' && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        ⏱️ {describeDelay(node.data)}
+                      </div>
+                    )}
+                    {MEDIA_NODE_TYPES.includes(node.type) && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        📎 {node.data.mediaName || (node.data.mediaId ? `media #${node.data.mediaId}` : node.data.mediaUrl || 'no file selected')}
+                        {node.data.caption && ` • "${node.data.caption.substring(0, 60)}"`}
+                      </div>
+                    )}
+                    {node.type === 'integration' && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        🔗 {(node.data.method || 'POST').toUpperCase()} {node.data.url}
+                        {node.data.auth?.type && node.data.auth.type !== 'none' && ` • 🔐 ${node.data.auth.type} (${node.data.auth.secret})`}
+                        {node.data.retries > 0 && ` • ${node.data.retries} retries`}
+                        {node.data.responseMapping && ` • maps: ${(Array.isArray(node.data.responseMapping)
+                          ? node.data.responseMapping.map(m => m.variable)
+                          : Object.keys(node.data.responseMapping)).join(', ')}`}
+                      </div>
+                    )}
+                    {node.type === 'businessHours' && (
                       <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-                        ⏱️ Wait: {node.data.seconds} seconds
+                        🕘 {['open', 'closed'].map(handle => {
+                          const targets = getSwitchTargets(node.id);
+                          return `${handle === 'open' ? 'Open' : 'Closed'} → ${targets[handle] || targets.default || 'end'}`;
+                        }).join(' • ')}
+                      </div>
+                    )}
+                    {node.type === 'assignAgent' && node.data.deferWhenClosed !== false && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        🕘 Waits for business hours when closed
+                      </div>
+                    )}
+                    {node.type === 'sequence' && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        🎞️ Sequence #{node.data.sequenceId}
                       </div>
                     )}
                     {node.data.tag && (
@@ -376,6 +646,63 @@ function FlowBuilder() {
                         💾 Save as: {node.data.saveAs}
                       </div>
                     )}
+                    {node.data.validation && node.data.validation !== 'text' && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        ✅ Validate: {node.data.validation}
+                        {node.data.validation === 'choice' && node.data.choices && ` (${[].concat(node.data.choices).join(', ')})`}
+                        {node.data.validation === 'media' && ` (${node.data.mediaType || 'any file'})`}
+                        {' '}• {node.data.maxAttempts || 3} attempts
+                      </div>
+                    )}
+                    {node.type === 'condition' && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        ❓ If {node.data.conditions
+                          ? node.data.conditions.map(describeCondition).join(node.data.match === 'any' ? ' OR ' : ' AND ')
+                          : describeCondition(node.data)}
+                      </div>
+                    )}
+                    {node.type === 'setVariable' && (node.data.assignments || [node.data]).map((assignment, idx) => (
+                      <div key={idx} style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        🧮 {describeAssignment(assignment)}
+                      </div>
+                    ))}
+                    {(node.type === 'callFlow' || node.type === 'goToFlow') && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        ↪️ {(node.data.mode || (node.type === 'goToFlow' ? 'handoff' : 'return')) === 'handoff' ? 'Hand off to' : 'Call'}
+                        {' '}{flows.find(f => String(f.id) === String(node.data.flowId))?.name || `flow #${node.data.flowId}`}
+                        {node.data.inputs && ` • in: ${[].concat(node.data.inputs).join(', ')}`}
+                        {node.data.outputs && ` • out: ${[].concat(node.data.outputs).join(', ')}`}
+                      </div>
+                    )}
+                    {node.type === 'switch' && (
+                      <SwitchNode
+                        key={`${selectedFlow.id}-${node.id}`}
+                        nodeData={node.data}
+                        nodes={editableDefinition.nodes.filter(n => n.id !== node.id && n.type !== 'start')}
+                        targets={getSwitchTargets(node.id)}
+                        onSave={(data, targets) => handleSaveSwitch(node.id, data, targets)}
+                      />
+                    )}
+                    {node.type === 'botResponse' && node.data.interactive?.options?.length > 0 && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        {node.data.interactive.type === 'list' ? '📋 List' : '🔘 Buttons'}:{' '}
+                        {node.data.interactive.options.map(option => option.title).join(' • ')}
+                      </div>
+                    )}
+                    {node.type === 'botResponse' && (
+                      <InteractiveNode
+                        key={`${selectedFlow.id}-${node.id}`}
+                        nodeData={node.data}
+                        nodes={editableDefinition.nodes.filter(n => n.id !== node.id && n.type !== 'start')}
+                        targets={getSwitchTargets(node.id)}
+                        onSave={(data, targets) => handleSaveMenu(node.id, data, targets)}
+                      />
+                    )}
+                    {(node.type === 'userInput' || node.data.interactive) && node.data.timeout && (
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+                        ⌛ Timeout: {describeDelay(node.data.timeout).replace(/^Wait: /, '')}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -405,16 +732,26 @@ function FlowBuilder() {
             <p><strong>Available Node Types:</strong></p>
             <ul style={{ paddingLeft: '20px', marginTop: '10px', marginBottom: '15px' }}>
               <li><strong>▶️ Start:</strong> Entry point of the flow</li>
-              <li><strong>💬 Bot Response:</strong> Send a message to the user</li>
+              <li><strong>💬 Bot Response:</strong> Send a message to the user, optionally with buttons or a list menu</li>
               <li><strong>⌨️ User Input:</strong> Wait for user to respond</li>
               <li><strong>❓ Condition:</strong> Branch based on user response</li>
-              <li><strong>⏱️ Delay:</strong> Wait before next action</li>
+              <li><strong>🔀 Switch:</strong> Route to the first matching case, with a default path</li>
+              <li><strong>🕘 Business Hours:</strong> Branch on whether the team is open (set hours under Settings)</li>
+              <li><strong>🖼️ Media:</strong> Send an image, video, audio, voice note or document from the media library</li>
+              <li><strong>🎞️ Sequence:</strong> Send a saved message sequence in order</li>
+              <li><strong>⏱️ Delay:</strong> Wait seconds to days, or until a date or time of day</li>
+              <li><strong>🧮 Set Variable:</strong> Assign, copy or calculate variables (counters, totals)</li>
               <li><strong>🤖 AI Response:</strong> Use AI to generate response</li>
-              <li><strong>👤 Assign Agent:</strong> Transfer to human agent</li>
+              <li><strong>👤 Assign Agent:</strong> Transfer to human agent; outside business hours the chat waits until opening</li>
+              <li><strong>↪️ Call Flow:</strong> Run another flow and return, or hand off to it</li>
               <li><strong>🏷️ Add Tag:</strong> Tag the contact</li>
               <li><strong>⭐ Update Score:</strong> Change engagement score</li>
               <li><strong>📊 Log Event:</strong> Track analytics</li>
             </ul>
+            <p style={{ marginBottom: '10px' }}>
+              <strong>Variables:</strong> Messages can include <code>{'{{name | default: "there"}}'}</code>, <code>{'{{contact.custom_fields.city}}'}</code> or
+              {' '}<code>{'{{integration_response.order.status | upper}}'}</code>. Filters: default, upper, lower, capitalize, date, currency.
+            </p>
             <p><strong>Tip:</strong> Use the AI Flow Generator to create complete flows from natural language descriptions!</p>
           </div>
         </div>
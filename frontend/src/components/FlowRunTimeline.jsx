@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { apiCall } from '../store';
+
+const STATUS_STYLES = {
+  running: { label: '▶️ Running', color: '#667eea' },
+  waiting: { label: '⌨️ Waiting', color: '#667eea' },
+  paused: { label: '⏸️ Paused', color: '#999' },
+  completed: { label: '🏁 Completed', color: '#28a745' },
+  abandoned: { label: '🚪 Abandoned', color: '#b7791f' },
+  handed_off: { label: '👤 Handed off', color: '#17a2b8' },
+  stopped: { label: '🛑 Stopped (loop)', color: '#e74c3c' },
+  failed: { label: '❌ Failed', color: '#e74c3c' },
+  ended: { label: '⏹️ Ended', color: '#999' }
+};
+
+const TRIGGER_LABELS = {
+  trigger: 'Trigger',
+  reply: 'Reply',
+  delay: 'Delay elapsed',
+  input_timeout: 'No reply (timeout)',
+  simulator_step: 'Simulator step'
+};
+
+export const describeEvent = (event) => {
+  const data = event.data;
+  switch (event.event_type) {
+    case 'node_entered':
+      return `Entered ${event.node_type} (${event.node_id})`;
+    case 'input_received':
+      return data.valid
+        ? `Received ${data.media ? `a ${data.media.type}` : `"${data.input}"`} → saved as ${data.saveAs}`
+        : `Invalid input "${data.input}" (attempt ${data.attempt}/${data.maxAttempts})`;
+    case 'variables_changed':
+      return `Variables changed: ${Object.keys(data.changes).join(', ')}`;
+    case 'branch_taken':
+      return `Took "${data.handle ?? 'default'}" → ${data.target || 'end'}${data.result !== undefined ? ` (condition ${data.result})` : ''}`;
+    case 'message_queued':
+      return `Message queued on ${data.channel}${data.queueId ? ` (#${data.queueId})` : ''}: ${data.message}`;
+    case 'integration_request':
+      return `${data.method} ${data.url}`;
+    case 'integration_response':
+      return data.ok === false
+        ? `Request failed: ${data.error}${data.attempts > 1 ? ` after ${data.attempts} attempts` : ''}`
+        : `Response ${data.status}${data.attempts > 1 ? ` (attempt ${data.attempts})` : ''}`;
+    case 'waiting':
+      return data.reason === 'delay'
+        ? `Waiting until ${new Date(data.resumeAt).toLocaleString()}`
+        : `Waiting for a reply${data.timeoutAt ? ` (timeout ${new Date(data.timeoutAt).toLocaleString()})` : ''}`;
+    case 'flow_called':
+      return `${data.mode === 'handoff' ? 'Handed off to' : 'Called'} flow ${data.targetFlowId}`;
+    case 'flow_returned':
+      return `Returned to the calling flow (${data.outcome})`;
+    case 'handed_off':
+      return `Assigned to ${data.department}`;
+    case 'error':
+      return `${data.handled ? 'Handled error' : 'Error'}: ${data.message}`;
+    default:
+      return event.event_type.replace(/_/g, ' ');
+  }
+};
+
+function FlowRunTimeline({ contactId }) {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [failedOnly, setFailedOnly] = useState(false);
+  const [openRun, setOpenRun] = useState(null);
+  const [openEvent, setOpenEvent] = useState(null);
+
+  useEffect(() => {
+    setOpenRun(null);
+    loadRuns();
+  }, [contactId, failedOnly]);
+
+  const loadRuns = async () => {
+    setLoading(true);
+    try {
+      const query = failedOnly ? '?status=failed' : '';
+      setRuns(await apiCall(`/contacts/${contactId}/flow-runs${query}`));
+    } catch (error) {
+      console.error('Failed to load flow runs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenRun = async (run) => {
+    if (openRun?.id === run.id) {
+      setOpenRun(null);
+      return;
+    }
+    try {
+      setOpenEvent(null);
+      setOpenRun(await apiCall(`/contacts/${contactId}/flow-runs/${run.id}`));
+    } catch (error) {
+      alert('Failed to load run: ' + error.message);
+    }
+  };
+
+  const renderEvent = (event) => {
+    const isError = event.event_type === 'error' && !event.data.handled;
+    const expandable = ['node_entered', 'variables_changed', 'integration_request', 'integration_response', 'error'].includes(event.event_type);
+    return (
+      <div key={event.id} style={{ borderLeft: `2px solid ${isError ? '#e74c3c' : '#ddd'}`, padding: '3px 0 3px 10px' }}>
+        <div
+          onClick={() => expandable && setOpenEvent(openEvent === event.id ? null : event.id)}
+          style={{ cursor: expandable ? 'pointer' : 'default', color: isError ? '#e74c3c' : '#333' }}
+        >
+          <span style={{ color: '#999', marginRight: '6px' }}>{new Date(event.created_at).toLocaleTimeString()}</span>
+          {describeEvent(event)}
+        </div>
+        {openEvent === event.id && (
+          <pre style={{ background: '#f8f9fa', padding: '6px', borderRadius: '4px', fontSize: '11px', maxHeight: '160px', overflow: 'auto', margin: '4px 0' }}>
+            {JSON.stringify(event.event_type === 'node_entered' ? event.data.variables : event.data, null, 2)}
+          </pre>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h4>🔍 Flow Runs</h4>
+        <label style={{ fontSize: '12px', display: 'flex', gap: '4px', alignItems: 'center' }}>
+          <input type="checkbox" checked={failedOnly} onChange={() => setFailedOnly(!failedOnly)} />
+          Failed only
+        </label>
+      </div>
+
+      {loading ? (
+        <div style={{ fontSize: '13px', color: '#666' }}>Loading runs...</div>
+      ) : runs.length === 0 ? (
+        <div style={{ fontSize: '13px', color: '#999' }}>No flow runs recorded</div>
+      ) : (
+        <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+          {runs.map(run => {
+            const status = STATUS_STYLES[run.status] || STATUS_STYLES.ended;
+            return (
+              <div
+                key={run.id}
+                style={{
+                  marginBottom: '8px',
+                  padding: '10px',
+                  background: run.status === 'failed' ? '#fdecea' : '#f8f9fa',
+                  borderRadius: '8px',
+                  borderLeft: `3px solid ${status.color}`,
+                  fontSize: '13px'
+                }}
+              >
+                <div onClick={() => handleOpenRun(run)} style={{ cursor: 'pointer' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <strong>{run.flow_name || `Flow ${run.flow_id ?? '(deleted)'}`}</strong>
+                    <span style={{ color: status.color }}>{status.label}</span>
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#999', marginTop: '3px' }}>
+                    {new Date(run.started_at).toLocaleString()} • {TRIGGER_LABELS[run.trigger_type] || run.trigger_type} • {run.steps} step(s)
+                    {run.last_node_id && ` • last node ${run.last_node_id}`}
+                  </div>
+                  {run.status === 'failed' && (
+                    <div style={{ fontSize: '12px', color: '#e74c3c', marginTop: '4px' }}>
+                      Broke at {run.error_node_id || 'unknown node'}: {run.error_message}
+                    </div>
+                  )}
+                </div>
+
+                {openRun?.id === run.id && (
+                  <div style={{ marginTop: '10px', fontSize: '12px' }}>
+                    {openRun.events.map(renderEvent)}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlowRunTimeline;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiCall } from '../store';
+
+const POLL_INTERVAL_MS = 3000;
+
+function FlowSimulator({ flows = [], initialFlowId = '' }) {
+  const [flowId, setFlowId] = useState(initialFlowId ? String(initialFlowId) : '');
+  const [options, setOptions] = useState({ useDraft: true, skipDelays: true, stepMode: false, liveIntegrations: false });
+  const [snapshot, setSnapshot] = useState(null);
+  const [reply, setReply] = useState('');
+  const [busy, setBusy] = useState(false);
+  const transcriptRef = useRef(null);
+
+  const sessionId = snapshot?.session.id;
+
+  // Delays and input timeouts can be resumed by the scheduler in the background
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        setSnapshot(await apiCall(`/simulator/sessions/${sessionId}`));
+      } catch (error) {
+        console.error('Failed to refresh simulator:', error);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollTop = transcriptRef.current.scrollHeight;
+    }
+  }, [snapshot?.messages.length]);
+
+  const run = async (request) => {
+    setBusy(true);
+    try {
+      setSnapshot(await request());
+    } catch (error) {
+      alert('Simulator error: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () => run(() => apiCall('/simulator/sessions', {
+    method: 'POST',
+    body: JSON.stringify({ flowId: parseInt(flowId), ...options })
+  }));
+
+  const sendText = (text) => run(() => apiCall(`/simulator/sessions/${sessionId}/messages`, {
+    method: 'POST',
+    body: JSON.stringify({ text })
+  }));
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    const text = reply;
+    setReply('');
+    sendText(text);
+  };
+
+  const handleStep = () => run(() => apiCall(`/simulator/sessions/${sessionId}/step`, { method: 'POST' }));
+
+  const handleSkipDelay = () => run(() => apiCall(`/simulator/sessions/${sessionId}/skip-delay`, { method: 'POST' }));
+
+  const handleToggle = (key) => {
+    const value = !options[key];
+    setOptions({ ...options, [key]: value });
+    if (sessionId && key !== 'useDraft') {
+      run(() => apiCall(`/simulator/sessions/${sessionId}`, { method: 'PATCH', body: JSON.stringify({ [key]: value }) }));
+    }
+  };
+
+  const handleEnd = async () => {
+    try {
+      await apiCall(`/simulator/sessions/${sessionId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Failed to end simulator session:', error);
+    }
+    setSnapshot(null);
+  };
+
+  const renderMessage = (message) => {
+    if (message.direction === 'event') {
+      return (
+        <div key={message.id} style={{ textAlign: 'center', fontSize: '11px', color: '#999', margin: '4px 0' }}>
+          ⚙️ {message.content}
+        </div>
+      );
+    }
+
+    const inbound = message.direction === 'inbound';
+    return (
+      <div key={message.id} style={{ display: 'flex', justifyContent: inbound ? 'flex-end' : 'flex-start', margin: '6px 0' }}>
+        <div style={{
+          maxWidth: '75%',
+          padding: '8px 12px',
+          borderRadius: '10px',
+          background: inbound ? '#dcf8c6' : 'white',
+          boxShadow: '0 1px 2px rgba(0,0,0,0.1)',
+          fontSize: '14px',
+          whiteSpace: 'pre-wrap'
+        }}>
+          {message.metadata?.mediaType && (
+            <div style={{ fontSize: '12px', color: '#666', marginBottom: message.content ? '4px' : 0 }}>
+              📎 {message.metadata.mediaType}: {message.metadata.fileName}
+            </div>
+          )}
+          {message.content}
+          {message.metadata?.aiGenerated && <div style={{ fontSize: '10px', color: '#999', marginTop: '3px' }}>🤖 AI</div>}
+          {message.metadata?.interactive?.options && (
+            <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              {message.metadata.interactive.type === 'list' && (
+                <div style={{ fontSize: '11px', color: '#999' }}>📋 {message.metadata.interactive.buttonText || 'Options'}</div>
+              )}
+              {message.metadata.interactive.options.map(option => (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => sendText(option.title)}
+                  disabled={busy || !snapshot?.waitingForInput}
+                  className="secondary"
+                  style={{ padding: '5px 10px', fontSize: '13px', textAlign: 'left' }}
+                  title={option.description || ''}
+                >
+                  {option.title}
+                  {option.description && <span style={{ fontSize: '11px', color: '#999' }}> • {option.description}</span>}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ background: 'white', padding: '25px', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
+      <h3 style={{ marginBottom: '5px', fontSize: '18px' }}>🧪 Flow Simulator</h3>
+      <p style={{ color: '#666', fontSize: '13px', marginBottom: '15px' }}>
+        Runs the flow against a sandbox contact. Nothing is sent to WhatsApp.
+      </p>
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '15px' }}>
+        <select
+          value={flowId}
+          onChange={(e) => setFlowId(e.target.value)}
+          style={{ padding: '8px', borderRadius: '8px', border: '1px solid #ddd' }}
+        >
+          <option value="">Choose a flow...</option>
+          {flows.map(flow => (
+            <option key={flow.id} value={flow.id}>
+              {flow.name}{flow.draft_definition ? ' (has draft)' : ''}
+            </option>
+          ))}
+        </select>
+        {[['useDraft', 'Use draft'], ['skipDelays', 'Skip delays'], ['stepMode', 'Step mode'], ['liveIntegrations', 'Live integrations']].map(([key, label]) => (
+          <label key={key} style={{ fontSize: '13px', display: 'flex', gap: '4px', alignItems: 'center' }}>
+            <input type="checkbox" checked={options[key]} onChange={() => handleToggle(key)} />
+            {label}
+          </label>
+        ))}
+        <button onClick={handleStart} disabled={!flowId || busy} className="success">
+          {sessionId ? '🔄 Restart' : '▶️ Start'}
+        </button>
+        {sessionId && (
+          <button onClick={handleEnd} className="secondary">⏹️ End</button>
+        )}
+      </div>
+
+      {snapshot && (
+        <div style={{ display: 'grid', gridTemplateColumns: '3fr 2fr', gap: '15px' }}>
+          {/* Chat */}
+          <div>
+            <div
+              ref={transcriptRef}
+              style={{ height: '380px', overflowY: 'auto', padding: '10px', background: '#ece5dd', borderRadius: '8px' }}
+            >
+              {snapshot.messages.map(renderMessage)}
+            </div>
+            <div style={{ display: 'flex', gap: '8px', margin: '8px 0' }}>
+              {snapshot.session.pendingNodeId && (
+                <button onClick={handleStep} disabled={busy} style={{ flex: 1 }}>
+                  ⏭️ Step ({snapshot.session.pendingNodeId})
+                </button>
+              )}
+              {snapshot.delayedUntil && (
+                <button onClick={handleSkipDelay} disabled={busy} className="secondary" style={{ flex: 1 }}>
+                  ⏩ Skip delay (until {new Date(snapshot.delayedUntil).toLocaleTimeString()})
+                </button>
+              )}
+            </div>
+            <form onSubmit={handleSend} style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                placeholder={snapshot.waitingForInput ? 'Type a reply...' : 'The flow is not waiting for a reply'}
+                style={{ flex: 1, padding: '10px', borderRadius: '8px', border: '1px solid #ddd' }}
+              />
+              <button type="submit" disabled={busy || !reply.trim()}>Send</button>
+            </form>
+          </div>
+
+          {/* Live state */}
+          <div style={{ fontSize: '13px' }}>
+            <div style={{ marginBottom: '12px' }}>
+              <strong>Status: </strong>
+              {snapshot.session.pendingNodeId
+                ? `⏸️ paused before ${snapshot.session.pendingNodeId}`
+                : snapshot.waitingForInput
+                  ? '⌨️ waiting for a reply'
+                  : snapshot.delayedUntil
+                    ? '⏱️ waiting on a delay'
+                    : snapshot.states.every(s => s.completed) ? '🏁 finished' : '…'}
+              {snapshot.liveChatStatus && <div>👤 Handed to agent ({snapshot.liveChatStatus})</div>}
+            </div>
+
+            <div style={{ marginBottom: '12px' }}>
+              <strong>⭐ Score:</strong> {snapshot.score}
+              <div style={{ height: '6px', background: '#eee', borderRadius: '3px', marginTop: '4px' }}>
+                <div style={{ width: `${snapshot.score}%`, height: '100%', background: '#667eea', borderRadius: '3px' }} />
+              </div>
+            </div>
+
+            <div style={{ marginBottom: '12px' }}>
+              <strong>🏷️ Tags:</strong>{' '}
+              {snapshot.tags.length === 0 ? <span style={{ color: '#999' }}>none</span> : snapshot.tags.map(tag => (
+                <span key={tag} style={{ padding: '2px 8px', background: '#e7f3ff', color: '#667eea', borderRadius: '10px', fontSize: '11px', marginRight: '4px' }}>
+                  {tag}
+                </span>
+              ))}
+            </div>
+
+            <div style={{ marginBottom: '12px' }}>
+              <strong>🧮 Variables</strong>
+              <pre style={{ background: '#f8f9fa', padding: '8px', borderRadius: '6px', fontSize: '12px', maxHeight: '150px', overflow: 'auto' }}>
+                {JSON.stringify(snapshot.variables, null, 2)}
+              </pre>
+            </div>
+
+            {Object.keys(snapshot.customFields).length > 0 && (
+              <div style={{ marginBottom: '12px' }}>
+                <strong>📇 Contact fields</strong>
+                <pre style={{ background: '#f8f9fa', padding: '8px', borderRadius: '6px', fontSize: '12px', maxHeight: '100px', overflow: 'auto' }}>
+                  {JSON.stringify(snapshot.customFields, null, 2)}
+                </pre>
+              </div>
+            )}
+
+            <div>
+              <strong>↪️ Flows</strong>
+              {snapshot.states.map(state => (
+                <div key={state.flow_id} style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                  {state.flow_name} • {state.completed ? 'ended' : `at ${state.current_node_id}`}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlowSimulator;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { apiCall } from '../store';
+import { describeApiError } from './FlowBuilder';
+
+export const MATCH_LABELS = {
+  exact: 'Exact',
+  contains: 'Contains',
+  starts_with: 'Starts with',
+  regex: 'Regex',
+  fuzzy: 'Fuzzy (typos)'
+};
+
+const parseTriggers = (raw) => (typeof raw === 'string' ? JSON.parse(raw) : raw || []);
+
+function FlowTriggerEditor({ flow, onSaved }) {
+  const [triggers, setTriggers] = useState(parseTriggers(flow.triggers));
+  const [priority, setPriority] = useState(flow.trigger_priority || 0);
+  const [isFallback, setIsFallback] = useState(!!flow.is_fallback);
+  const [errors, setErrors] = useState([]);
+  const [testMessage, setTestMessage] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const updateTrigger = (index, changes) => {
+    setTriggers(triggers.map((trigger, idx) => (idx === index ? { ...trigger, ...changes } : trigger)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = await apiCall(`/flows/${flow.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ triggers, trigger_priority: priority, is_fallback: isFallback })
+      });
+      setErrors([]);
+      onSaved(updated);
+    } catch (error) {
+      setErrors(Array.isArray(error.details) ? error.details : []);
+      alert('Failed to save triggers: ' + describeApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async (e) => {
+    e.preventDefault();
+    try {
+      setTestResult(await apiCall('/flows/triggers/test', {
+        method: 'POST',
+        body: JSON.stringify({ message: testMessage })
+      }));
+    } catch (error) {
+      alert('Failed to test message: ' + error.message);
+    }
+  };
+
+  const inputStyle = { padding: '6px', borderRadius: '6px', border: '1px solid #ddd', fontSize: '13px' };
+
+  return (
+    <div style={{ marginBottom: '20px', padding: '15px', background: '#f8f9fa', borderRadius: '8px' }}>
+      <h4 style={{ marginBottom: '10px' }}>🎯 Triggers</h4>
+
+      {triggers.length === 0 && (
+        <div style={{ fontSize: '13px', color: '#999', marginBottom: '8px' }}>
+          No triggers: this flow only starts as the fallback, from another flow or manually.
+        </div>
+      )}
+
+      {triggers.map((trigger, index) => {
+        const error = errors.find(e => e.index === index);
+        return (
+          <div key={index} style={{ marginBottom: '8px' }}>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select value={trigger.match} onChange={(e) => updateTrigger(index, { match: e.target.value })} style={inputStyle}>
+                {Object.entries(MATCH_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={trigger.keyword}
+                onChange={(e) => updateTrigger(index, { keyword: e.target.value })}
+                placeholder={trigger.match === 'regex' ? '^order #?\\d+' : 'pricing'}
+                style={{ ...inputStyle, flex: 1, minWidth: '120px', borderColor: error ? '#e74c3c' : '#ddd' }}
+              />
+              {trigger.match === 'fuzzy' && (
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  value={trigger.maxDistance ?? ''}
+                  onChange={(e) => updateTrigger(index, { maxDistance: e.target.value === '' ? undefined : parseInt(e.target.value) })}
+                  placeholder="typos"
+                  title="Typos tolerated (empty = automatic)"
+                  style={{ ...inputStyle, width: '70px' }}
+                />
+              )}
+              <label style={{ fontSize: '12px', display: 'flex', gap: '3px', alignItems: 'center' }}>
+                <input
+                  type="checkbox"
+                  checked={!!trigger.caseSensitive}
+                  onChange={() => updateTrigger(index, { caseSensitive: !trigger.caseSensitive })}
+                />
+                Aa
+              </label>
+              <button
+                onClick={() => setTriggers(triggers.filter((_, idx) => idx !== index))}
+                className="secondary"
+                style={{ padding: '4px 8px', fontSize: '12px' }}
+              >
+                ✖️
+              </button>
+            </div>
+            {error && <div style={{ fontSize: '12px', color: '#c0392b', marginTop: '3px' }}>⚠️ {error.message}</div>}
+          </div>
+        );
+      })}
+
+      <button
+        onClick={() => setTriggers([...triggers, { keyword: '', match: 'exact' }])}
+        className="secondary"
+        style={{ padding: '4px 10px', fontSize: '12px', marginBottom: '12px' }}
+      >
+        ➕ Add trigger
+      </button>
+
+      <div style={{ display: 'flex', gap: '15px', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px', marginBottom: '12px' }}>
+        <label style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          Priority
+          <input
+            type="number"
+            value={priority}
+            onChange={(e) => setPriority(parseInt(e.target.value) || 0)}
+            style={{ ...inputStyle, width: '70px' }}
+          />
+        </label>
+        <label style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+          <input type="checkbox" checked={isFallback} onChange={() => setIsFallback(!isFallback)} />
+          Fallback flow (runs when nothing else matches)
+        </label>
+        <button onClick={handleSave} disabled={saving} className="success" style={{ padding: '6px 14px' }}>
+          💾 Save Triggers
+        </button>
+      </div>
+      <small style={{ color: '#666', display: 'block', marginBottom: '12px' }}>
+        Only one flow starts per message: the highest priority wins, then the strictest match.
+        Replies to a question a flow is waiting on never start new flows.
+      </small>
+
+      <form onSubmit={handleTest} style={{ display: 'flex', gap: '6px' }}>
+        <input
+          type="text"
+          value={testMessage}
+          onChange={(e) => setTestMessage(e.target.value)}
+          placeholder="Test a message..."
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button type="submit" className="secondary" disabled={!testMessage.trim()} style={{ padding: '6px 12px' }}>
+          Test
+        </button>
+      </form>
+      {testResult && (
+        <div style={{ fontSize: '13px', marginTop: '6px', color: '#666' }}>
+          {testResult.flowId
+            ? <>Starts <strong>{testResult.flowName}</strong>{testResult.fallback
+              ? ' (fallback)'
+              : ` via ${MATCH_LABELS[testResult.trigger.match]} "${testResult.trigger.keyword}"`}</>
+            : 'No flow would start'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlowTriggerEditor;
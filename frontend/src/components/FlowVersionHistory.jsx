@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { apiCall } from '../store';
+
+const SOURCE_LABELS = {
+  publish: '🚀 Published',
+  rollback: '⏪ Rollback',
+  ab_test: '🧪 A/B winner',
+  migration: '📦 Initial'
+};
+
+export const describeDiff = (diff) => {
+  const parts = [];
+  if (diff.nodes.added.length) parts.push(`+${diff.nodes.added.length} node(s)`);
+  if (diff.nodes.removed.length) parts.push(`-${diff.nodes.removed.length} node(s)`);
+  if (diff.nodes.changed.length) parts.push(`~${diff.nodes.changed.length} changed`);
+  if (diff.edges.added.length) parts.push(`+${diff.edges.added.length} edge(s)`);
+  if (diff.edges.removed.length) parts.push(`-${diff.edges.removed.length} edge(s)`);
+  return parts.length ? parts.join(' • ') : 'No changes';
+};
+
+function FlowVersionHistory({ flowId, hasDraft, onRollback }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    loadVersions();
+  }, [flowId]);
+
+  const loadVersions = async () => {
+    setLoading(true);
+    try {
+      setVersions(await apiCall(`/flows/${flowId}/versions`));
+    } catch (error) {
+      console.error('Failed to load versions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDiff = async (version, against) => {
+    try {
+      const query = against ? `?against=${against}` : '';
+      setDiff(await apiCall(`/flows/${flowId}/versions/${version.id}/diff${query}`));
+    } catch (error) {
+      alert('Failed to load diff: ' + error.message);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!confirm(`Publish version ${version.version_number} again? Contacts already in the flow keep their current version.`)) return;
+
+    try {
+      await apiCall(`/flows/${flowId}/versions/${version.id}/rollback`, { method: 'POST', body: JSON.stringify({}) });
+      onRollback();
+    } catch (error) {
+      alert('Failed to roll back: ' + error.message);
+    }
+  };
+
+  if (loading) {
+    return <div style={{ fontSize: '13px', color: '#666' }}>Loading versions...</div>;
+  }
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <h4 style={{ marginBottom: '10px' }}>Version History ({versions.length})</h4>
+      <div style={{ maxHeight: '250px', overflowY: 'auto' }}>
+        {versions.map(version => (
+          <div
+            key={version.id}
+            style={{
+              padding: '10px',
+              marginBottom: '8px',
+              background: '#f8f9fa',
+              borderRadius: '8px',
+              borderLeft: version.is_published ? '3px solid #28a745' : '3px solid #ddd',
+              fontSize: '13px'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div>
+                <strong>v{version.version_number}</strong>
+                {version.is_published ? ' • Live' : ''}
+                <span style={{ color: '#666' }}> • {SOURCE_LABELS[version.source] || version.source}</span>
+              </div>
+              <div style={{ display: 'flex', gap: '5px' }}>
+                <button onClick={() => handleDiff(version)} className="secondary" style={{ padding: '4px 8px', fontSize: '12px' }}>
+                  Diff
+                </button>
+                {version.is_published && hasDraft && (
+                  <button onClick={() => handleDiff(version, 'draft')} className="secondary" style={{ padding: '4px 8px', fontSize: '12px' }}>
+                    vs Draft
+                  </button>
+                )}
+                {!version.is_published && (
+                  <button onClick={() => handleRollback(version)} style={{ padding: '4px 8px', fontSize: '12px' }}>
+                    ⏪ Rollback
+                  </button>
+                )}
+              </div>
+            </div>
+            <div style={{ fontSize: '12px', color: '#999', marginTop: '4px' }}>
+              {new Date(version.created_at).toLocaleString()}
+              {version.created_by_name && ` • ${version.created_by_name}`}
+              {Number(version.active_contacts) > 0 && ` • ${version.active_contacts} contact(s) running`}
+            </div>
+            {version.notes && (
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '4px', fontStyle: 'italic' }}>
+                {version.notes}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {diff && (
+        <div style={{ marginTop: '10px', padding: '12px', background: '#fffbea', borderRadius: '8px', fontSize: '12px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+            <strong>{diff.from} → {diff.to}: {describeDiff(diff)}</strong>
+            <button onClick={() => setDiff(null)} className="secondary" style={{ padding: '2px 6px', fontSize: '11px' }}>✖️</button>
+          </div>
+          {diff.nodes.added.map(node => (
+            <div key={`a-${node.id}`} style={{ color: '#28a745' }}>+ {node.id} ({node.type})</div>
+          ))}
+          {diff.nodes.removed.map(node => (
+            <div key={`r-${node.id}`} style={{ color: '#e74c3c' }}>- {node.id} ({node.type})</div>
+          ))}
+          {diff.nodes.changed.map(node => (
+            <div key={`c-${node.id}`} style={{ color: '#b7791f' }}>~ {node.id} ({node.type}): {node.fields.join(', ')}</div>
+          ))}
+          {diff.edges.added.map((edge, idx) => (
+            <div key={`ea-${idx}`} style={{ color: '#28a745' }}>+ {edge.source}{edge.sourceHandle ? ` [${edge.sourceHandle}]` : ''} → {edge.target}</div>
+          ))}
+          {diff.edges.removed.map((edge, idx) => (
+            <div key={`er-${idx}`} style={{ color: '#e74c3c' }}>- {edge.source}{edge.sourceHandle ? ` [${edge.sourceHandle}]` : ''} → {edge.target}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlowVersionHistory;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+
+export const INTERACTIVE_LIMITS = {
+  buttons: { options: 3, title: 20 },
+  list: { options: 10, title: 24 }
+};
+
+// Handles every menu has besides its options
+const MENU_HANDLES = [
+  { handle: 'default', label: 'Other replies' },
+  { handle: 'failed', label: 'No valid choice' },
+  { handle: 'timeout', label: 'On timeout' }
+];
+
+export const getMenuHandles = (interactive) => (interactive?.options?.length
+  ? interactive.options.map(option => option.id).concat(MENU_HANDLES.map(h => h.handle))
+  : []);
+
+function InteractiveNode({ nodeData, nodes = [], targets = {}, onSave }) {
+  const [type, setType] = useState(nodeData?.interactive?.type || 'buttons');
+  const [buttonText, setButtonText] = useState(nodeData?.interactive?.buttonText || '');
+  const [options, setOptions] = useState(nodeData?.interactive?.options || []);
+  const [optionTargets, setOptionTargets] = useState(targets);
+  const [saving, setSaving] = useState(false);
+
+  const limits = INTERACTIVE_LIMITS[type];
+
+  const updateOption = (index, changes) => {
+    setOptions(options.map((option, i) => (i === index ? { ...option, ...changes } : option)));
+  };
+
+  const removeOption = (index) => {
+    const { [options[index].id]: removed, ...rest } = optionTargets;
+    setOptionTargets(rest);
+    setOptions(options.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const { interactive, ...rest } = nodeData || {};
+      const data = options.length
+        ? { ...rest, interactive: { type, ...(type === 'list' && { buttonText }), options } }
+        : rest;
+      await onSave(data, optionTargets);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderTargetSelect = (handle) => (
+    <select
+      value={optionTargets[handle] || ''}
+      onChange={(e) => setOptionTargets({ ...optionTargets, [handle]: e.target.value })}
+      style={{ padding: '6px', fontSize: '12px' }}
+    >
+      <option value="">— no target —</option>
+      {nodes.map(node => (
+        <option key={node.id} value={node.id}>
+          {node.id} • {node.type}
+        </option>
+      ))}
+    </select>
+  );
+
+  if (options.length === 0) {
+    return (
+      <div style={{ marginTop: '8px', display: 'flex', gap: '6px' }}>
+        <button
+          type="button"
+          onClick={() => setOptions([{ id: `option-${Date.now()}`, title: '' }])}
+          className="secondary"
+          style={{ padding: '4px 10px', fontSize: '12px' }}
+        >
+          ➕ Add buttons or list
+        </button>
+        {nodeData?.interactive && (
+          <button type="button" onClick={handleSave} disabled={saving} className="success" style={{ padding: '4px 10px', fontSize: '12px' }}>
+            💾 Save without menu
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: '10px', padding: '12px', background: 'white', borderRadius: '8px', border: '1px solid #e0e0e0' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '10px' }}>
+        <select value={type} onChange={(e) => setType(e.target.value)} style={{ padding: '6px', fontSize: '12px' }}>
+          <option value="buttons">Buttons (up to 3)</option>
+          <option value="list">List (up to 10)</option>
+        </select>
+        {type === 'list' && (
+          <input
+            type="text"
+            value={buttonText}
+            onChange={(e) => setButtonText(e.target.value)}
+            placeholder="List button text (e.g. View options)"
+            style={{ flex: 1, padding: '6px', fontSize: '12px' }}
+          />
+        )}
+      </div>
+
+      {options.map((option, index) => (
+        <div key={option.id} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px', flexWrap: 'wrap' }}>
+          <span style={{ fontSize: '12px', color: '#666', width: '18px' }}>{index + 1})</span>
+          <input
+            type="text"
+            value={option.title || ''}
+            onChange={(e) => updateOption(index, { title: e.target.value })}
+            placeholder="Title"
+            maxLength={limits.title}
+            style={{ flex: 1, minWidth: '100px', padding: '6px', fontSize: '12px' }}
+          />
+          {type === 'list' && (
+            <input
+              type="text"
+              value={option.description || ''}
+              onChange={(e) => updateOption(index, { description: e.target.value })}
+              placeholder="Description (optional)"
+              style={{ flex: 1, minWidth: '100px', padding: '6px', fontSize: '12px' }}
+            />
+          )}
+          {renderTargetSelect(option.id)}
+          <button type="button" onClick={() => removeOption(index)} className="danger" style={{ padding: '4px 8px', fontSize: '12px' }}>✖️</button>
+        </div>
+      ))}
+
+      {options.length < limits.options && (
+        <button
+          type="button"
+          onClick={() => setOptions([...options, { id: `option-${Date.now()}`, title: '' }])}
+          className="secondary"
+          style={{ padding: '4px 10px', fontSize: '12px', marginBottom: '10px' }}
+        >
+          ➕ Add option
+        </button>
+      )}
+
+      {MENU_HANDLES.map(({ handle, label }) => (
+        <div key={handle} style={{ fontSize: '12px', color: '#666', marginBottom: '6px' }}>
+          {label}: {renderTargetSelect(handle)}
+        </div>
+      ))}
+      <small style={{ color: '#666', display: 'block', marginBottom: '10px' }}>
+        WhatsApp contacts get the options as a numbered list and can reply with the number or the title.
+      </small>
+
+      <button type="button" onClick={handleSave} disabled={saving} className="success" style={{ width: '100%' }}>
+        {saving ? 'Saving...' : '💾 Save Menu'}
+      </button>
+    </div>
+  );
+}
+
+export default InteractiveNode;
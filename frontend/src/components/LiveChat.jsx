@@ -1,6 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { apiCall, socket, connectWebSocket } from '../store';
 
+const CHANNEL_LABELS = {
+  whatsapp: '📱 WhatsApp',
+  whatsapp_cloud: '📱 WhatsApp Cloud',
+  telegram: '✈️ Telegram',
+  instagram: '📷 Instagram',
+  webchat: '🌐 Web chat',
+  email: '✉️ Email'
+};
+
+// Web-chat visitors have no phone number until they leave one
+const contactLabel = (session) => session.name || session.phone || session.email || 'Unknown contact';
+
 function LiveChat() {
   const [sessions, setSessions] = useState([]);
   const [selectedSession, setSelectedSession] = useState(null);
@@ -22,11 +34,13 @@ function LiveChat() {
       socket.on('chat_claimed', handleChatClaimed);
       socket.on('chat_resolved', handleChatResolved);
       socket.on('new_message', handleNewMessage);
+      socket.on('contact_merged', handleContactMerged);
       
       return () => {
         socket.off('chat_claimed', handleChatClaimed);
         socket.off('chat_resolved', handleChatResolved);
         socket.off('new_message', handleNewMessage);
+        socket.off('contact_merged', handleContactMerged);
       };
     }
   }, [filter]);
@@ -102,6 +116,14 @@ function LiveChat() {
     loadSessions();
   };
 
+  // A web-chat visitor left contact details matching an existing contact
+  const handleContactMerged = (data) => {
+    if (selectedSession?.contact_id === data.fromContactId) {
+      setSelectedSession(null);
+    }
+    loadSessions();
+  };
+
   const handleSelectSession = (session) => {
     setSelectedSession(session);
     loadMessages(session.contact_id);
@@ -184,7 +206,7 @@ function LiveChat() {
                 }}
               >
                 <div style={{ fontWeight: 'bold', marginBottom: '5px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                  <span>{session.name || session.phone}</span>
+                  <span>{contactLabel(session)}</span>
                   {session.unread_count > 0 && (
                     <span style={{
                       background: '#28a745',
@@ -201,6 +223,7 @@ function LiveChat() {
                   {session.last_message_preview?.substring(0, 50) || 'No messages'}
                 </div>
                 <div style={{ fontSize: '11px', color: '#999', marginTop: '5px' }}>
+                  {CHANNEL_LABELS[session.channel_type] || session.channel_type} •{' '}
                   {session.last_message_at 
                     ? new Date(session.last_message_at).toLocaleString()
                     : 'No activity'}
@@ -229,10 +252,13 @@ function LiveChat() {
             }}>
               <div>
                 <div style={{ fontWeight: 'bold', fontSize: '16px' }}>
-                  {selectedSession.name || selectedSession.phone}
+                  {contactLabel(selectedSession)}
                 </div>
                 <div style={{ fontSize: '12px', color: '#666' }}>
-                  {selectedSession.phone} • {selectedSession.channel_type}
+                  {[
+                    selectedSession.phone || selectedSession.email,
+                    CHANNEL_LABELS[selectedSession.channel_type] || selectedSession.channel_type
+                  ].filter(Boolean).join(' • ')}
                 </div>
               </div>
               <div style={{ display: 'flex', gap: '10px' }}>
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { apiCall } from '../store';
+import { describeApiError } from './FlowBuilder';
+
+function OrganizationSecrets() {
+  const [secrets, setSecrets] = useState([]);
+  const [name, setName] = useState('');
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSecrets();
+  }, []);
+
+  const loadSecrets = async () => {
+    try {
+      setSecrets(await apiCall('/organization/secrets'));
+    } catch (error) {
+      console.error('Failed to load secrets:', error);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await apiCall(`/organization/secrets/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ value })
+      });
+      setName('');
+      setValue('');
+      loadSecrets();
+    } catch (error) {
+      alert('Failed to save secret: ' + describeApiError(error));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (secretName) => {
+    if (!confirm(`Delete secret ${secretName}? Integrations using it will fail.`)) return;
+
+    try {
+      await apiCall(`/organization/secrets/${encodeURIComponent(secretName)}`, { method: 'DELETE' });
+      loadSecrets();
+    } catch (error) {
+      alert('Failed to delete secret: ' + error.message);
+    }
+  };
+
+  const inputStyle = { padding: '8px', borderRadius: '6px', border: '1px solid #ddd', fontSize: '13px' };
+
+  return (
+    <div style={{ background: 'white', padding: '25px', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', marginBottom: '20px' }}>
+      <h3 style={{ marginBottom: '5px', fontSize: '18px' }}>🔐 Secrets</h3>
+      <div style={{ fontSize: '13px', color: '#666', marginBottom: '15px' }}>
+        API tokens, passwords and signing keys for integration nodes. Values are stored encrypted and cannot be read back;
+        nodes refer to them by name.
+      </div>
+
+      {secrets.length === 0 ? (
+        <div style={{ fontSize: '13px', color: '#999', marginBottom: '15px' }}>No secrets yet.</div>
+      ) : (
+        <div style={{ marginBottom: '15px' }}>
+          {secrets.map(secret => (
+            <div
+              key={secret.name}
+              style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 0', borderBottom: '1px solid #eee' }}
+            >
+              <div>
+                <code style={{ fontWeight: 'bold' }}>{secret.name}</code>
+                <span style={{ fontSize: '12px', color: '#999', marginLeft: '10px' }}>
+                  updated {new Date(secret.updated_at).toLocaleString()}
+                </span>
+              </div>
+              <button onClick={() => handleDelete(secret.name)} className="danger" style={{ padding: '4px 10px', fontSize: '12px' }}>
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSave} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="CRM_API_TOKEN"
+          style={{ ...inputStyle, width: '200px' }}
+        />
+        <input
+          type="password"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder="Value"
+          autoComplete="new-password"
+          style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+        />
+        <button type="submit" className="success" disabled={saving || !name || !value} style={{ padding: '8px 16px' }}>
+          {secrets.some(secret => secret.name === name) ? 'Replace' : 'Add'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default OrganizationSecrets;
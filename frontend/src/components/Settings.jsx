@@ -0,0 +1,15 @@
+import React from 'react';
+import OrganizationSecrets from './OrganizationSecrets';
+import BusinessHoursSettings from './BusinessHoursSettings';
+
+function Settings() {
+  return (
+    <div>
+      <h2 style={{ marginBottom: '20px' }}>⚙️ Settings</h2>
+      <BusinessHoursSettings />
+      <OrganizationSecrets />
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+
+export const CONDITION_SOURCES = [
+  { value: 'variable', label: 'Variable' },
+  { value: 'field', label: 'Contact field' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'score', label: 'Engagement score' },
+  { value: 'time', label: 'Time of day' },
+  { value: 'weekday', label: 'Weekday' }
+];
+
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not-equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'starts-with', label: 'starts with' },
+  { value: 'greater', label: 'greater than' },
+  { value: 'less', label: 'less than' },
+  { value: 'between', label: 'between' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'in-list', label: 'is one of' },
+  { value: 'is-empty', label: 'is empty' },
+  { value: 'is-not-empty', label: 'is not empty' },
+  { value: 'has-tag', label: 'has tag' }
+];
+
+const NO_VALUE_OPERATORS = ['is-empty', 'is-not-empty'];
+const NO_SUBJECT_SOURCES = ['tags', 'score', 'time', 'weekday'];
+
+export const describeCondition = (condition = {}) => {
+  const source = condition.source || 'variable';
+  const operator = CONDITION_OPERATORS.find(op => op.value === (condition.operator || 'equals'))?.label || condition.operator;
+  const subject = condition.operator === 'has-tag'
+    ? 'contact'
+    : NO_SUBJECT_SOURCES.includes(source) ? source : condition.variable || '?';
+  const value = NO_VALUE_OPERATORS.includes(condition.operator)
+    ? ''
+    : ` "${condition.value ?? ''}"${condition.operator === 'between' ? ` and "${condition.valueTo ?? ''}"` : ''}`;
+  return `${subject} ${operator}${value}`;
+};
+
+export const getCaseHandle = (switchCase, index) => switchCase.id || `case-${index}`;
+
+const newCondition = () => ({ source: 'variable', variable: '', operator: 'equals', value: '' });
+
+function SwitchNode({ nodeData, nodes = [], targets = {}, onSave }) {
+  const [cases, setCases] = useState(nodeData?.cases || []);
+  const [caseTargets, setCaseTargets] = useState(targets);
+  const [saving, setSaving] = useState(false);
+
+  const updateCase = (index, changes) => {
+    setCases(cases.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  const updateCondition = (caseIndex, conditionIndex, changes) => {
+    const conditions = cases[caseIndex].conditions.map((condition, i) =>
+      i === conditionIndex ? { ...condition, ...changes } : condition
+    );
+    updateCase(caseIndex, { conditions });
+  };
+
+  const addCase = () => {
+    setCases([...cases, { id: `case-${Date.now()}`, label: `Case ${cases.length + 1}`, match: 'all', conditions: [newCondition()] }]);
+  };
+
+  const removeCase = (index) => {
+    const handle = getCaseHandle(cases[index], index);
+    const { [handle]: removed, ...rest } = caseTargets;
+    setCaseTargets(rest);
+    setCases(cases.filter((_, i) => i !== index));
+  };
+
+  const moveCase = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= cases.length) return;
+    const reordered = [...cases];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setCases(reordered);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ ...nodeData, cases }, caseTargets);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderTargetSelect = (handle) => (
+    <select
+      value={caseTargets[handle] || ''}
+      onChange={(e) => setCaseTargets({ ...caseTargets, [handle]: e.target.value })}
+      style={{ padding: '6px', fontSize: '12px' }}
+    >
+      <option value="">— no target —</option>
+      {nodes.map(node => (
+        <option key={node.id} value={node.id}>
+          {node.id} • {node.type}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ marginTop: '10px', padding: '12px', background: 'white', borderRadius: '8px', border: '1px solid #e0e0e0' }}>
+      <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+        Cases are checked from top to bottom; the first match wins.
+      </div>
+
+      {cases.map((switchCase, caseIndex) => {
+        const handle = getCaseHandle(switchCase, caseIndex);
+        return (
+          <div key={handle} style={{ padding: '10px', marginBottom: '10px', background: '#f8f9fa', borderRadius: '6px' }}>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+              <input
+                type="text"
+                value={switchCase.label || ''}
+                onChange={(e) => updateCase(caseIndex, { label: e.target.value })}
+                placeholder="Case label"
+                style={{ flex: 1, padding: '6px', fontSize: '12px' }}
+              />
+              <select
+                value={switchCase.match || 'all'}
+                onChange={(e) => updateCase(caseIndex, { match: e.target.value })}
+                style={{ padding: '6px', fontSize: '12px' }}
+              >
+                <option value="all">Match ALL</option>
+                <option value="any">Match ANY</option>
+              </select>
+              <button type="button" onClick={() => moveCase(caseIndex, -1)} className="secondary" style={{ padding: '4px 8px', fontSize: '12px' }}>↑</button>
+              <button type="button" onClick={() => moveCase(caseIndex, 1)} className="secondary" style={{ padding: '4px 8px', fontSize: '12px' }}>↓</button>
+              <button type="button" onClick={() => removeCase(caseIndex)} className="danger" style={{ padding: '4px 8px', fontSize: '12px' }}>✖️</button>
+            </div>
+
+            {(switchCase.conditions || []).map((condition, conditionIndex) => (
+              <div key={conditionIndex} style={{ display: 'flex', gap: '6px', marginBottom: '6px', flexWrap: 'wrap' }}>
+                <select
+                  value={condition.source || 'variable'}
+                  onChange={(e) => updateCondition(caseIndex, conditionIndex, { source: e.target.value })}
+                  style={{ padding: '6px', fontSize: '12px' }}
+                >
+                  {CONDITION_SOURCES.map(source => (
+                    <option key={source.value} value={source.value}>{source.label}</option>
+                  ))}
+                </select>
+                {!NO_SUBJECT_SOURCES.includes(condition.source) && condition.operator !== 'has-tag' && (
+                  <input
+                    type="text"
+                    value={condition.variable || ''}
+                    onChange={(e) => updateCondition(caseIndex, conditionIndex, { variable: e.target.value })}
+                    placeholder={condition.source === 'field' ? 'custom field' : 'variable'}
+                    style={{ flex: 1, padding: '6px', fontSize: '12px' }}
+                  />
+                )}
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(caseIndex, conditionIndex, { operator: e.target.value })}
+                  style={{ padding: '6px', fontSize: '12px' }}
+                >
+                  {CONDITION_OPERATORS.map(op => (
+                    <option key={op.value} value={op.value}>{op.label}</option>
+                  ))}
+                </select>
+                {!NO_VALUE_OPERATORS.includes(condition.operator) && (
+                  <input
+                    type="text"
+                    value={condition.value ?? ''}
+                    onChange={(e) => updateCondition(caseIndex, conditionIndex, { value: e.target.value })}
+                    placeholder={condition.source === 'time' ? 'HH:mm' : condition.operator === 'in-list' ? 'a, b, c' : 'value'}
+                    style={{ flex: 1, padding: '6px', fontSize: '12px' }}
+                  />
+                )}
+                {condition.operator === 'between' && (
+                  <input
+                    type="text"
+                    value={condition.valueTo ?? ''}
+                    onChange={(e) => updateCondition(caseIndex, conditionIndex, { valueTo: e.target.value })}
+                    placeholder={condition.source === 'time' ? 'HH:mm' : 'to'}
+                    style={{ flex: 1, padding: '6px', fontSize: '12px' }}
+                  />
+                )}
+                <button
+                  type="button"
+                  onClick={() => updateCase(caseIndex, { conditions: switchCase.conditions.filter((_, i) => i !== conditionIndex) })}
+                  className="secondary"
+                  style={{ padding: '4px 8px', fontSize: '12px' }}
+                >
+                  ➖
+                </button>
+              </div>
+            ))}
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' }}>
+              <button
+                type="button"
+                onClick={() => updateCase(caseIndex, { conditions: [...(switchCase.conditions || []), newCondition()] })}
+                className="secondary"
+                style={{ padding: '4px 8px', fontSize: '12px' }}
+              >
+                ➕ Condition
+              </button>
+              <div style={{ fontSize: '12px', color: '#666' }}>
+                Go to: {renderTargetSelect(handle)}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <button type="button" onClick={addCase} className="secondary" style={{ padding: '6px 10px', fontSize: '12px' }}>
+          ➕ Add Case
+        </button>
+        <div style={{ fontSize: '12px', color: '#666' }}>
+          Default: {renderTargetSelect('default')}
+        </div>
+      </div>
+
+      <button type="button" onClick={handleSave} disabled={saving} className="success" style={{ width: '100%' }}>
+        {saving ? 'Saving...' : '💾 Save Switch'}
+      </button>
+    </div>
+  );
+}
+
+export default SwitchNode;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { apiCall } from '../store';
+import FlowSimulator from './FlowSimulator';
 
 function TriggerTest() {
   const [contacts, setContacts] = useState([]);
@@ -235,6 +236,11 @@ function TriggerTest() {
         </div>
       </div>
 
+      {/* Simulator - test without a real contact */}
+      <div style={{ marginBottom: '30px' }}>
+        <FlowSimulator flows={flows} />
+      </div>
+
       {/* Recent Triggers */}
       <div style={{ background: 'white', padding: '25px', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
         <h3 style={{ marginBottom: '15px', fontSize: '18px' }}>📋 Common Use Cases</h3>
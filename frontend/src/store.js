@@ -65,7 +65,10 @@ export const apiCall = async (endpoint, options = {}) => {
     }
 
     if (!response.ok) {
-      throw new Error(data.error || data.message || `HTTP ${response.status}`);
+      const error = new Error(data.error || data.message || `HTTP ${response.status}`);
+      // Structured validation errors, e.g. [{ code, message, nodeIds }]
+      error.details = data.details;
+      throw error;
     }
 
     return data;
@@ -124,6 +127,10 @@ export const connectWebSocket = () => {
     console.log('📨 New message:', data);
   });
 
+  socket.on('message_status', (data) => {
+    console.log('✔️ Message status:', data);
+  });
+
   socket.on('user_presence', (data) => {
     console.log('👤 User presence:', data);
   });